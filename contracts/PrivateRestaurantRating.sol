@@ -1,14 +1,31 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, euint8, euint16, euint32, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { FHE, euint8, euint16, euint32, ebool, externalEuint8 } from "@fhevm/solidity/lib/FHE.sol";
 import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import { MessageHashUtils } from "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import { IReviewerEligibility } from "./interfaces/IReviewerEligibility.sol";
 
 contract PrivateRestaurantRating is SepoliaConfig {
 
-    address public owner;
     uint32 public restaurantCounter;
     uint32 public reviewCounter;
+    uint32 public minReviewsForReveal; // k-anonymity threshold before any average is revealed
+    uint32 public minNewReviewsBetweenReveals; // limits differencing between consecutive reveals
+
+    uint8 public constant MIN_RATING = 1;
+    uint8 public constant MAX_RATING = 10;
+    uint16 public constant RATING_PRECISION = 100; // averages are published with two decimals
+    uint256 public constant REVEAL_TIMEOUT = 1 days; // after this a stuck reveal can be re-requested
+    uint32 public constant MAX_PAGE_SIZE = 100; // upper bound for paginated views
+    // Roles granted and revoked by admins; the deployer starts with all of them
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE"); // configuration and role management
+    bytes32 public constant MODERATOR_ROLE = keccak256("MODERATOR_ROLE"); // acts through the moderation contract
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE"); // verifies reviews of any restaurant
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE"); // pauses the contract and freezes restaurants
+    bytes32 public constant VISIT_RECEIPT_TYPEHASH =
+        keccak256("VisitReceipt(uint32 restaurantId,address reviewer,uint256 nonce,uint256 expiry)");
 
     struct Restaurant {
         string name;
@@ -18,11 +35,16 @@ contract PrivateRestaurantRating is SepoliaConfig {
         uint32 totalReviews;
         euint32 totalRatingSum;
         uint256 createdAt;
+        euint32 foodQualitySum;
+        euint32 serviceSum;
+        euint32 atmosphereSum;
+        euint32 priceValueSum;
     }
 
     struct EncryptedReview {
         uint32 restaurantId;
         address reviewer;
+        uint32 listPosition;     // index in restaurantReviews while the review is listed
         euint8 foodQuality;      // 1-10 rating
         euint8 service;          // 1-10 rating
         euint8 atmosphere;       // 1-10 rating
@@ -31,50 +53,303 @@ contract PrivateRestaurantRating is SepoliaConfig {
         string comment;
         uint256 timestamp;
         bool isVerified;
+        bool isWithdrawn;
+        uint256 updatedAt;
+        ModerationStatus moderationStatus;
+    }
+
+    // Hidden, Appealed and AppealRejected reviews are out of the encrypted totals and restaurant listings
+    enum ModerationStatus { None, Flagged, Hidden, Appealed, AppealRejected }
+
+    // One-time proof of a visit, signed by the restaurant owner (EIP-712) and handed to the diner
+    struct VisitReceipt {
+        uint32 restaurantId;
+        address reviewer;        // only this diner can redeem it
+        uint256 nonce;
+        uint256 expiry;
+    }
+
+    struct ReviewRevision {
+        string comment;          // comment as it was before the edit
+        uint256 timestamp;       // when the replaced version was written
+        uint256 replacedAt;
     }
 
     struct ReviewSummary {
         uint32 reviewCount;
-        uint8 averageRating;
+        uint16 averageRating;    // average x RATING_PRECISION
+        uint256 publishedAt;
         bool hasData;
+        uint16 foodQualityAverage;
+        uint16 serviceAverage;
+        uint16 atmosphereAverage;
+        uint16 priceValueAverage;
+    }
+
+    struct RevealRequest {
+        uint32 restaurantId;
+        uint32 reviewCount;      // review count snapshot matching the requested sum
+        uint256 requestedAt;
+        bytes32[] sums;          // handles of the encrypted sums sent for decryption
+    }
+
+    // Public record returned by the paginated restaurant view
+    struct RestaurantView {
+        uint32 id;
+        string name;
+        string location;
+        address owner;
+        bool isActive;
+        uint32 totalReviews;
+        uint256 createdAt;
+        bool hasRevealedAverage;
+        uint16 averageRating;    // last revealed average x RATING_PRECISION
+        uint32 revealedReviewCount;
+        uint32 reviewsUntilReveal;
+        bool hasPendingReveal;
+    }
+
+    // Public (non-encrypted) record returned by the paginated review views
+    struct ReviewView {
+        uint32 id;
+        uint32 restaurantId;
+        address reviewer;
+        string comment;
+        uint256 timestamp;
+        bool isVerified;
+        bool isWithdrawn;
+        uint32 editCount;
+        uint256 updatedAt;
+        ModerationStatus moderationStatus;
     }
 
     mapping(uint32 => Restaurant) public restaurants;
-    mapping(uint32 => EncryptedReview) public reviews;
-    mapping(uint32 => uint32[]) public restaurantReviews; // restaurantId => reviewIds[]
+    mapping(uint32 => EncryptedReview) private reviews;
+    mapping(uint32 => uint32[]) public restaurantReviews; // restaurantId => listed (not hidden) reviewIds[]
     mapping(address => uint32[]) public userReviews; // user => reviewIds[]
     mapping(uint32 => mapping(address => bool)) public hasUserReviewed; // restaurantId => user => bool
+    mapping(uint32 => ReviewRevision[]) private reviewRevisions; // reviewId => previous versions
+    mapping(uint32 => address) public pendingRestaurantOwner; // restaurantId => proposed owner
+    mapping(uint32 => ReviewSummary) public reviewSummaries; // restaurantId => last published summary
+    mapping(uint256 => RevealRequest) public revealRequests; // decryption requestId => reveal request
+    mapping(uint32 => uint256) public pendingRevealRequest; // restaurantId => decryption requestId
+    mapping(uint32 => bool) public hasPendingReveal; // restaurantId => bool
+    mapping(uint32 => uint32) public lastRevealReviewCount; // restaurantId => review count of the last reveal request
+    mapping(uint32 => IReviewerEligibility) public reviewerEligibility; // restaurantId => check (unset: open)
+    mapping(bytes32 => mapping(address => bool)) public hasRole; // role => account => granted
+    // restaurantId => owner who delegated => staff => may verify; staff lapse when the restaurant changes hands
+    mapping(uint32 => mapping(address => mapping(address => bool))) private verificationDelegates;
+    mapping(uint32 => mapping(uint256 => bool)) public isVisitReceiptUsed; // restaurantId => nonce => redeemed
+    address public moderation; // contract that applies flag, takedown and appeal decisions (unset: none)
+    bool public paused; // emergency stop for registrations, review writes and reveals; views keep working
+    mapping(uint32 => bool) public isRestaurantFrozen; // restaurantId => review writes and reveals stopped
 
     event RestaurantRegistered(uint32 indexed restaurantId, string name, address indexed owner);
+    event RestaurantProfileUpdated(
+        uint32 indexed restaurantId,
+        string oldName,
+        string newName,
+        string oldLocation,
+        string newLocation
+    );
+    event RestaurantOwnershipTransferStarted(
+        uint32 indexed restaurantId,
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+    event RestaurantOwnershipTransferred(
+        uint32 indexed restaurantId,
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event PauseUpdated(bool paused, address indexed account);
+    event RestaurantFreezeUpdated(uint32 indexed restaurantId, bool frozen, address indexed account);
+    event VerificationDelegateUpdated(uint32 indexed restaurantId, address indexed delegate, bool enabled);
     event ReviewSubmitted(uint32 indexed reviewId, uint32 indexed restaurantId, address indexed reviewer);
     event ReviewVerified(uint32 indexed reviewId, uint32 indexed restaurantId);
-    event RatingSummaryUpdated(uint32 indexed restaurantId, uint8 averageRating, uint32 reviewCount);
+    event ModerationContractUpdated(address indexed moderation);
+    event ReviewModerationUpdated(uint32 indexed reviewId, uint32 indexed restaurantId, ModerationStatus status);
+    event VisitReceiptRedeemed(uint32 indexed restaurantId, uint256 indexed nonce, uint32 indexed reviewId);
+    event ReviewUpdated(uint32 indexed reviewId, uint32 indexed restaurantId, address indexed reviewer);
+    event ReviewRetracted(uint32 indexed reviewId, uint32 indexed restaurantId, address indexed reviewer);
+    event AverageRatingRequested(uint32 indexed restaurantId, uint256 indexed requestId, uint32 reviewCount);
+    event RatingSummaryUpdated(uint32 indexed restaurantId, uint16 averageRating, uint32 reviewCount);
+    event RevealThresholdsUpdated(uint32 minReviewsForReveal, uint32 minNewReviewsBetweenReveals);
+    event ReviewerEligibilityUpdated(uint32 indexed restaurantId, address indexed eligibility);
+    event CategoryAveragesUpdated(
+        uint32 indexed restaurantId,
+        uint16 foodQuality,
+        uint16 service,
+        uint16 atmosphere,
+        uint16 priceValue
+    );
+
+    // Decoded for scripts and frontends by scripts/client/errors.js; keep the two in sync
+    error MissingRole(bytes32 role, address account);
+    error CannotRevokeOwnAdminRole(address account);
+    error NotRestaurantOwner(uint32 restaurantId, address caller);
+    error NotPendingRestaurantOwner(uint32 restaurantId, address caller);
+    error NewOwnerHasReviewed(uint32 restaurantId, address newOwner);
+    error RestaurantNotFound(uint32 restaurantId);
+    error RestaurantNotActive(uint32 restaurantId);
+    error ContractPaused();
+    error RestaurantIsFrozen(uint32 restaurantId);
+    error AlreadyReviewed(uint32 restaurantId, address user);
+    error ReviewerNotEligible(uint32 restaurantId, address reviewer, address eligibility);
+    error OwnerCannotReview(uint32 restaurantId, address restaurantOwner);
+    error ReviewNotFound(uint32 reviewId);
+    error NotReviewAuthor(uint32 reviewId, address caller);
+    error ReviewWithdrawn(uint32 reviewId);
+    error ReviewAlreadyVerified(uint32 reviewId);
+    error ReviewIsHidden(uint32 reviewId);
+    error NotModerationContract(address caller);
+    error NotAuthorizedToVerify(uint32 reviewId, address caller);
+    error InvalidVisitReceipt(uint32 restaurantId, address signer);
+    error VisitReceiptNotForCaller(uint32 restaurantId, address reviewer, address caller);
+    error VisitReceiptExpired(uint32 restaurantId, uint256 expiry);
+    error VisitReceiptAlreadyUsed(uint32 restaurantId, uint256 nonce);
+    error NoReviewsToCalculate(uint32 restaurantId);
+    error NotEnoughReviews(uint32 restaurantId, uint32 reviewCount, uint32 required);
+    error NotEnoughNewReviews(uint32 restaurantId, uint32 reviewsNeeded);
+    error RevealAlreadyPending(uint32 restaurantId, uint256 retryAfter);
+    error UnknownDecryptionRequest(uint256 requestId);
+    error InvalidRevealThresholds(uint32 minReviewsForReveal, uint32 minNewReviewsBetweenReveals);
+    error InvalidPageSize(uint32 limit, uint32 maxPageSize);
 
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Not authorized");
+    modifier onlyRole(bytes32 _role) {
+        _checkRole(_role);
         _;
     }
 
     modifier onlyRestaurantOwner(uint32 _restaurantId) {
-        require(restaurants[_restaurantId].owner == msg.sender, "Not restaurant owner");
+        _checkRestaurantOwner(_restaurantId);
         _;
     }
 
     modifier restaurantExists(uint32 _restaurantId) {
-        require(_restaurantId > 0 && _restaurantId <= restaurantCounter, "Restaurant not found");
-        require(restaurants[_restaurantId].isActive, "Restaurant not active");
-        _;
-    }
-
-    modifier validRating(uint8 _rating) {
-        require(_rating >= 1 && _rating <= 10, "Rating must be between 1-10");
+        _requireOpenRestaurant(_restaurantId);
         _;
     }
 
     constructor() {
-        owner = msg.sender;
+        _grantRole(ADMIN_ROLE, msg.sender);
+        _grantRole(MODERATOR_ROLE, msg.sender);
+        _grantRole(VERIFIER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
         restaurantCounter = 0;
         reviewCounter = 0;
+        minReviewsForReveal = 3;
+        minNewReviewsBetweenReveals = 2;
+    }
+
+    // Give an account a role (only admins)
+    function grantRole(bytes32 _role, address _account) external onlyRole(ADMIN_ROLE) {
+        _grantRole(_role, _account);
+    }
+
+    // Take a role away (only admins). Admins cannot revoke their own admin role, so one admin always remains.
+    function revokeRole(bytes32 _role, address _account) external onlyRole(ADMIN_ROLE) {
+        if (_role == ADMIN_ROLE && _account == msg.sender) revert CannotRevokeOwnAdminRole(_account);
+        if (!hasRole[_role][_account]) return;
+
+        hasRole[_role][_account] = false;
+        emit RoleRevoked(_role, _account, msg.sender);
+    }
+
+    function _grantRole(bytes32 _role, address _account) internal {
+        if (hasRole[_role][_account]) return;
+
+        hasRole[_role][_account] = true;
+        emit RoleGranted(_role, _account, msg.sender);
+    }
+
+    // Stop or resume registrations, review writes and reveals across the contract (only pausers)
+    function setPaused(bool _paused) external onlyRole(PAUSER_ROLE) {
+        paused = _paused;
+        emit PauseUpdated(_paused, msg.sender);
+    }
+
+    // Stop or resume review writes and reveals for one restaurant (only pausers). Unlike
+    // toggleRestaurantStatus, the restaurant owner cannot lift it.
+    function setRestaurantFrozen(uint32 _restaurantId, bool _frozen) external onlyRole(PAUSER_ROLE) {
+        _requireRestaurant(_restaurantId);
+        isRestaurantFrozen[_restaurantId] = _frozen;
+        emit RestaurantFreezeUpdated(_restaurantId, _frozen, msg.sender);
+    }
+
+    // Configure the reveal thresholds (only admins)
+    function setRevealThresholds(
+        uint32 _minReviewsForReveal,
+        uint32 _minNewReviewsBetweenReveals
+    ) external onlyRole(ADMIN_ROLE) {
+        if (_minReviewsForReveal == 0 || _minNewReviewsBetweenReveals == 0) {
+            revert InvalidRevealThresholds(_minReviewsForReveal, _minNewReviewsBetweenReveals);
+        }
+
+        minReviewsForReveal = _minReviewsForReveal;
+        minNewReviewsBetweenReveals = _minNewReviewsBetweenReveals;
+
+        emit RevealThresholdsUpdated(_minReviewsForReveal, _minNewReviewsBetweenReveals);
+    }
+
+    // Choose the reviewer eligibility check of a restaurant, e.g. an allowlist, attestation or
+    // identity registry contract (only admins; address(0) lets anyone review)
+    function setReviewerEligibility(
+        uint32 _restaurantId,
+        IReviewerEligibility _eligibility
+    ) external onlyRole(ADMIN_ROLE) {
+        _requireRestaurant(_restaurantId);
+        reviewerEligibility[_restaurantId] = _eligibility;
+        emit ReviewerEligibilityUpdated(_restaurantId, address(_eligibility));
+    }
+
+    // Whether an address passes the eligibility check of a restaurant (ignores existing reviews)
+    function isEligibleReviewer(uint32 _restaurantId, address _reviewer) public view returns (bool) {
+        IReviewerEligibility eligibility = reviewerEligibility[_restaurantId];
+        if (address(eligibility) == address(0)) {
+            return true;
+        }
+
+        // A failing check must not let reviews through
+        try eligibility.isEligibleReviewer(_reviewer, _restaurantId) returns (bool eligible) {
+            return eligible;
+        } catch {
+            return false;
+        }
+    }
+
+    // Choose the contract that moderates reviews, e.g. ReviewModeration (only admins)
+    function setModeration(address _moderation) external onlyRole(ADMIN_ROLE) {
+        moderation = _moderation;
+        emit ModerationContractUpdated(_moderation);
+    }
+
+    // Record a moderation decision (only the moderation contract). Hiding a review takes its ratings out of
+    // the encrypted totals like a retraction; restoring it adds them back.
+    function setModerationStatus(uint32 _reviewId, ModerationStatus _status) external {
+        if (msg.sender != moderation) revert NotModerationContract(msg.sender);
+        EncryptedReview storage review = _existingReview(_reviewId);
+        if (review.isWithdrawn) revert ReviewWithdrawn(_reviewId);
+
+        uint32 restaurantId = review.restaurantId;
+        bool hide = _isHidden(_status);
+        if (hide != _isHidden(review.moderationStatus)) {
+            if (hide) {
+                _subtractFromTotals(_reviewId);
+                restaurants[restaurantId].totalReviews--;
+                _unlistReview(_reviewId);
+            } else {
+                _addToTotals(_reviewId);
+                restaurants[restaurantId].totalReviews++;
+                _listReview(_reviewId);
+            }
+            _allowRestaurantTotals(restaurantId);
+        }
+
+        review.moderationStatus = _status;
+        emit ReviewModerationUpdated(_reviewId, restaurantId, _status);
     }
 
     // Register a new restaurant
@@ -82,70 +357,195 @@ contract PrivateRestaurantRating is SepoliaConfig {
         string memory _name,
         string memory _location
     ) external returns (uint32) {
+        if (paused) revert ContractPaused();
         restaurantCounter++;
 
-        restaurants[restaurantCounter] = Restaurant({
-            name: _name,
-            location: _location,
-            owner: msg.sender,
-            isActive: true,
-            totalReviews: 0,
-            totalRatingSum: FHE.asEuint32(0),
-            createdAt: block.timestamp
-        });
+        Restaurant storage restaurant = restaurants[restaurantCounter];
+        restaurant.name = _name;
+        restaurant.location = _location;
+        restaurant.owner = msg.sender;
+        restaurant.isActive = true;
+        restaurant.totalReviews = 0;
+        restaurant.totalRatingSum = FHE.asEuint32(0);
+        restaurant.createdAt = block.timestamp;
+        restaurant.foodQualitySum = FHE.asEuint32(0);
+        restaurant.serviceSum = FHE.asEuint32(0);
+        restaurant.atmosphereSum = FHE.asEuint32(0);
+        restaurant.priceValueSum = FHE.asEuint32(0);
 
-        // Allow contract to access the encrypted total
-        FHE.allowThis(restaurants[restaurantCounter].totalRatingSum);
+        // Allow contract to access the encrypted totals
+        _allowRestaurantTotals(restaurantCounter);
 
         emit RestaurantRegistered(restaurantCounter, _name, msg.sender);
         return restaurantCounter;
     }
 
+    // Update restaurant name and location (only restaurant owner)
+    function updateRestaurantProfile(
+        uint32 _restaurantId,
+        string memory _name,
+        string memory _location
+    ) external onlyRestaurantOwner(_restaurantId) {
+        Restaurant storage restaurant = restaurants[_restaurantId];
+
+        emit RestaurantProfileUpdated(_restaurantId, restaurant.name, _name, restaurant.location, _location);
+
+        restaurant.name = _name;
+        restaurant.location = _location;
+    }
+
+    // Propose a new restaurant owner; they must accept before it takes effect (address(0) cancels)
+    function transferRestaurantOwnership(
+        uint32 _restaurantId,
+        address _newOwner
+    ) external onlyRestaurantOwner(_restaurantId) {
+        pendingRestaurantOwner[_restaurantId] = _newOwner;
+        emit RestaurantOwnershipTransferStarted(_restaurantId, msg.sender, _newOwner);
+    }
+
+    // Accept a pending restaurant ownership transfer
+    function acceptRestaurantOwnership(uint32 _restaurantId) external {
+        if (msg.sender != pendingRestaurantOwner[_restaurantId]) {
+            revert NotPendingRestaurantOwner(_restaurantId, msg.sender);
+        }
+        if (hasUserReviewed[_restaurantId][msg.sender]) revert NewOwnerHasReviewed(_restaurantId, msg.sender);
+
+        address previousOwner = restaurants[_restaurantId].owner;
+        restaurants[_restaurantId].owner = msg.sender;
+        delete pendingRestaurantOwner[_restaurantId];
+
+        emit RestaurantOwnershipTransferred(_restaurantId, previousOwner, msg.sender);
+    }
+
+    // Let a staff address verify reviews of the restaurant, or stop it (only restaurant owner)
+    function setVerificationDelegate(
+        uint32 _restaurantId,
+        address _delegate,
+        bool _enabled
+    ) external onlyRestaurantOwner(_restaurantId) {
+        verificationDelegates[_restaurantId][msg.sender][_delegate] = _enabled;
+        emit VerificationDelegateUpdated(_restaurantId, _delegate, _enabled);
+    }
+
     // Submit an encrypted review for a restaurant
+    // Ratings are encrypted client-side and verified against the input proof
     function submitReview(
         uint32 _restaurantId,
-        uint8 _foodQuality,
-        uint8 _service,
-        uint8 _atmosphere,
-        uint8 _priceValue,
-        uint8 _overallRating,
+        externalEuint8 _foodQuality,
+        externalEuint8 _service,
+        externalEuint8 _atmosphere,
+        externalEuint8 _priceValue,
+        externalEuint8 _overallRating,
+        bytes calldata _inputProof,
+        string memory _comment
+    ) external {
+        _submitReview(
+            _restaurantId, _foodQuality, _service, _atmosphere, _priceValue, _overallRating, _inputProof, _comment
+        );
+    }
+
+    // Submit an encrypted review together with a visit receipt from the restaurant; the review is
+    // verified on submission and the receipt cannot be used again
+    function submitReviewWithReceipt(
+        VisitReceipt calldata _receipt,
+        bytes calldata _signature,
+        externalEuint8 _foodQuality,
+        externalEuint8 _service,
+        externalEuint8 _atmosphere,
+        externalEuint8 _priceValue,
+        externalEuint8 _overallRating,
+        bytes calldata _inputProof,
+        string memory _comment
+    ) external {
+        uint32 restaurantId = _receipt.restaurantId;
+        _requireRestaurant(restaurantId);
+        // Otherwise anyone watching the mempool could redeem the diner's receipt first
+        if (_receipt.reviewer != msg.sender) {
+            revert VisitReceiptNotForCaller(restaurantId, _receipt.reviewer, msg.sender);
+        }
+        if (_receipt.expiry < block.timestamp) revert VisitReceiptExpired(restaurantId, _receipt.expiry);
+        if (isVisitReceiptUsed[restaurantId][_receipt.nonce]) {
+            revert VisitReceiptAlreadyUsed(restaurantId, _receipt.nonce);
+        }
+
+        address signer = visitReceiptSigner(_receipt, _signature);
+        if (signer != restaurants[restaurantId].owner) revert InvalidVisitReceipt(restaurantId, signer);
+        isVisitReceiptUsed[restaurantId][_receipt.nonce] = true;
+
+        _submitReview(
+            restaurantId, _foodQuality, _service, _atmosphere, _priceValue, _overallRating, _inputProof, _comment
+        );
+        reviews[reviewCounter].isVerified = true;
+
+        emit VisitReceiptRedeemed(restaurantId, _receipt.nonce, reviewCounter);
+        emit ReviewVerified(reviewCounter, restaurantId);
+    }
+
+    // Address that signed a visit receipt (address(0) for a malformed signature)
+    function visitReceiptSigner(
+        VisitReceipt calldata _receipt,
+        bytes calldata _signature
+    ) public view returns (address) {
+        bytes32 structHash = keccak256(abi.encode(
+            VISIT_RECEIPT_TYPEHASH,
+            _receipt.restaurantId,
+            _receipt.reviewer,
+            _receipt.nonce,
+            _receipt.expiry
+        ));
+        bytes32 digest = MessageHashUtils.toTypedDataHash(domainSeparator(), structHash);
+        (address signer, , ) = ECDSA.tryRecover(digest, _signature);
+        return signer;
+    }
+
+    // EIP-712 domain of visit receipts: name "PrivateRestaurantRating", version "1"
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+            keccak256("PrivateRestaurantRating"),
+            keccak256("1"),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    function _submitReview(
+        uint32 _restaurantId,
+        externalEuint8 _foodQuality,
+        externalEuint8 _service,
+        externalEuint8 _atmosphere,
+        externalEuint8 _priceValue,
+        externalEuint8 _overallRating,
+        bytes calldata _inputProof,
         string memory _comment
-    ) external
-        restaurantExists(_restaurantId)
-        validRating(_foodQuality)
-        validRating(_service)
-        validRating(_atmosphere)
-        validRating(_priceValue)
-        validRating(_overallRating)
-    {
-        require(!hasUserReviewed[_restaurantId][msg.sender], "User already reviewed this restaurant");
-        require(restaurants[_restaurantId].owner != msg.sender, "Restaurant owner cannot review own restaurant");
+    ) internal restaurantExists(_restaurantId) {
+        if (hasUserReviewed[_restaurantId][msg.sender]) revert AlreadyReviewed(_restaurantId, msg.sender);
+        if (restaurants[_restaurantId].owner == msg.sender) revert OwnerCannotReview(_restaurantId, msg.sender);
+        if (!isEligibleReviewer(_restaurantId, msg.sender)) {
+            revert ReviewerNotEligible(_restaurantId, msg.sender, address(reviewerEligibility[_restaurantId]));
+        }
 
         reviewCounter++;
 
         // Create review directly in storage to avoid local variables
-        reviews[reviewCounter] = EncryptedReview({
-            restaurantId: _restaurantId,
-            reviewer: msg.sender,
-            foodQuality: FHE.asEuint8(_foodQuality),
-            service: FHE.asEuint8(_service),
-            atmosphere: FHE.asEuint8(_atmosphere),
-            priceValue: FHE.asEuint8(_priceValue),
-            overallRating: FHE.asEuint8(_overallRating),
-            comment: _comment,
-            timestamp: block.timestamp,
-            isVerified: false
-        });
+        EncryptedReview storage review = reviews[reviewCounter];
+        review.restaurantId = _restaurantId;
+        review.reviewer = msg.sender;
+        review.foodQuality = _toValidRating(_foodQuality, _inputProof);
+        review.service = _toValidRating(_service, _inputProof);
+        review.atmosphere = _toValidRating(_atmosphere, _inputProof);
+        review.priceValue = _toValidRating(_priceValue, _inputProof);
+        review.overallRating = _toValidRating(_overallRating, _inputProof);
+        review.comment = _comment;
+        review.timestamp = block.timestamp;
+        review.isVerified = false;
 
         // Update restaurant totals
         restaurants[_restaurantId].totalReviews++;
-        restaurants[_restaurantId].totalRatingSum = FHE.add(
-            restaurants[_restaurantId].totalRatingSum,
-            FHE.asEuint32(_overallRating)
-        );
+        _addToTotals(reviewCounter);
 
         // Update mappings
-        restaurantReviews[_restaurantId].push(reviewCounter);
+        _listReview(reviewCounter);
         userReviews[msg.sender].push(reviewCounter);
         hasUserReviewed[_restaurantId][msg.sender] = true;
 
@@ -155,6 +555,155 @@ contract PrivateRestaurantRating is SepoliaConfig {
         emit ReviewSubmitted(reviewCounter, _restaurantId, msg.sender);
     }
 
+    // Replace the encrypted ratings and comment of your own review
+    function updateReview(
+        uint32 _reviewId,
+        externalEuint8 _foodQuality,
+        externalEuint8 _service,
+        externalEuint8 _atmosphere,
+        externalEuint8 _priceValue,
+        externalEuint8 _overallRating,
+        bytes calldata _inputProof,
+        string memory _comment
+    ) external {
+        EncryptedReview storage review = _authoredReview(_reviewId);
+        if (review.isWithdrawn) revert ReviewWithdrawn(_reviewId);
+        if (_isHidden(review.moderationStatus)) revert ReviewIsHidden(_reviewId);
+        _requireOpenRestaurant(review.restaurantId);
+
+        reviewRevisions[_reviewId].push(ReviewRevision({
+            comment: review.comment,
+            timestamp: review.updatedAt > 0 ? review.updatedAt : review.timestamp,
+            replacedAt: block.timestamp
+        }));
+
+        // Swap the old ratings out of the encrypted totals and the new ones in
+        _subtractFromTotals(_reviewId);
+        review.foodQuality = _toValidRating(_foodQuality, _inputProof);
+        review.service = _toValidRating(_service, _inputProof);
+        review.atmosphere = _toValidRating(_atmosphere, _inputProof);
+        review.priceValue = _toValidRating(_priceValue, _inputProof);
+        review.overallRating = _toValidRating(_overallRating, _inputProof);
+        review.comment = _comment;
+        review.updatedAt = block.timestamp;
+        _addToTotals(_reviewId);
+
+        _setReviewPermissions(_reviewId, review.restaurantId);
+
+        emit ReviewUpdated(_reviewId, review.restaurantId, msg.sender);
+    }
+
+    // Withdraw your own review and remove its ratings from the restaurant totals
+    function retractReview(uint32 _reviewId) external {
+        EncryptedReview storage review = _authoredReview(_reviewId);
+        if (review.isWithdrawn) revert ReviewWithdrawn(_reviewId);
+        // Its ratings already left the totals; the author can appeal instead
+        if (_isHidden(review.moderationStatus)) revert ReviewIsHidden(_reviewId);
+        _requireWritable(review.restaurantId);
+
+        uint32 restaurantId = review.restaurantId;
+        _subtractFromTotals(_reviewId);
+        restaurants[restaurantId].totalReviews--;
+        _allowRestaurantTotals(restaurantId);
+
+        review.isWithdrawn = true;
+        review.updatedAt = block.timestamp;
+        // The reviewer may leave a fresh review later
+        hasUserReviewed[restaurantId][msg.sender] = false;
+
+        emit ReviewRetracted(_reviewId, restaurantId, msg.sender);
+    }
+
+    function _checkRole(bytes32 _role) internal view {
+        if (!hasRole[_role][msg.sender]) revert MissingRole(_role, msg.sender);
+    }
+
+    function _checkRestaurantOwner(uint32 _restaurantId) internal view {
+        if (restaurants[_restaurantId].owner != msg.sender) revert NotRestaurantOwner(_restaurantId, msg.sender);
+    }
+
+    function _requireRestaurant(uint32 _restaurantId) internal view {
+        if (_restaurantId == 0 || _restaurantId > restaurantCounter) revert RestaurantNotFound(_restaurantId);
+    }
+
+    function _requireOpenRestaurant(uint32 _restaurantId) internal view {
+        _requireRestaurant(_restaurantId);
+        if (!restaurants[_restaurantId].isActive) revert RestaurantNotActive(_restaurantId);
+        _requireWritable(_restaurantId);
+    }
+
+    // A review the caller wrote
+    function _authoredReview(uint32 _reviewId) internal view returns (EncryptedReview storage review) {
+        review = _existingReview(_reviewId);
+        if (review.reviewer != msg.sender) revert NotReviewAuthor(_reviewId, msg.sender);
+    }
+
+    // Writes stop while the contract is paused or the restaurant is frozen
+    function _requireWritable(uint32 _restaurantId) internal view {
+        if (paused) revert ContractPaused();
+        if (isRestaurantFrozen[_restaurantId]) revert RestaurantIsFrozen(_restaurantId);
+    }
+
+    function _requireReview(uint32 _reviewId) internal view {
+        if (_reviewId == 0 || _reviewId > reviewCounter) revert ReviewNotFound(_reviewId);
+    }
+
+    function _existingReview(uint32 _reviewId) internal view returns (EncryptedReview storage) {
+        _requireReview(_reviewId);
+        return reviews[_reviewId];
+    }
+
+    function _isHidden(ModerationStatus _status) internal pure returns (bool) {
+        return _status >= ModerationStatus.Hidden;
+    }
+
+    // Append a review to its restaurant's listed reviews
+    function _listReview(uint32 _reviewId) internal {
+        uint32[] storage listed = restaurantReviews[reviews[_reviewId].restaurantId];
+        reviews[_reviewId].listPosition = uint32(listed.length);
+        listed.push(_reviewId);
+    }
+
+    // Remove a review from its restaurant's listed reviews in constant time; the last listed review takes its place
+    function _unlistReview(uint32 _reviewId) internal {
+        uint32[] storage listed = restaurantReviews[reviews[_reviewId].restaurantId];
+        uint32 position = reviews[_reviewId].listPosition;
+        uint32 lastId = listed[listed.length - 1];
+        listed[position] = lastId;
+        reviews[lastId].listPosition = position;
+        listed.pop();
+    }
+
+    // Add a review's ratings to its restaurant's encrypted totals
+    function _addToTotals(uint32 _reviewId) internal {
+        EncryptedReview storage review = reviews[_reviewId];
+        Restaurant storage restaurant = restaurants[review.restaurantId];
+
+        restaurant.totalRatingSum = FHE.add(restaurant.totalRatingSum, FHE.asEuint32(review.overallRating));
+        restaurant.foodQualitySum = FHE.add(restaurant.foodQualitySum, FHE.asEuint32(review.foodQuality));
+        restaurant.serviceSum = FHE.add(restaurant.serviceSum, FHE.asEuint32(review.service));
+        restaurant.atmosphereSum = FHE.add(restaurant.atmosphereSum, FHE.asEuint32(review.atmosphere));
+        restaurant.priceValueSum = FHE.add(restaurant.priceValueSum, FHE.asEuint32(review.priceValue));
+    }
+
+    // Remove a review's ratings from its restaurant's encrypted totals
+    function _subtractFromTotals(uint32 _reviewId) internal {
+        EncryptedReview storage review = reviews[_reviewId];
+        Restaurant storage restaurant = restaurants[review.restaurantId];
+
+        restaurant.totalRatingSum = FHE.sub(restaurant.totalRatingSum, FHE.asEuint32(review.overallRating));
+        restaurant.foodQualitySum = FHE.sub(restaurant.foodQualitySum, FHE.asEuint32(review.foodQuality));
+        restaurant.serviceSum = FHE.sub(restaurant.serviceSum, FHE.asEuint32(review.service));
+        restaurant.atmosphereSum = FHE.sub(restaurant.atmosphereSum, FHE.asEuint32(review.atmosphere));
+        restaurant.priceValueSum = FHE.sub(restaurant.priceValueSum, FHE.asEuint32(review.priceValue));
+    }
+
+    // Verify an encrypted input and clamp it to the 1-10 range without revealing it
+    function _toValidRating(externalEuint8 _rating, bytes calldata _inputProof) internal returns (euint8) {
+        euint8 rating = FHE.fromExternal(_rating, _inputProof);
+        return FHE.min(FHE.max(rating, MIN_RATING), MAX_RATING);
+    }
+
     // Internal function to handle ACL permissions
     function _setReviewPermissions(uint32 _reviewId, uint32 _restaurantId) internal {
         EncryptedReview storage review = reviews[_reviewId];
@@ -165,7 +714,7 @@ contract PrivateRestaurantRating is SepoliaConfig {
         FHE.allowThis(review.atmosphere);
         FHE.allowThis(review.priceValue);
         FHE.allowThis(review.overallRating);
-        FHE.allowThis(restaurants[_restaurantId].totalRatingSum);
+        _allowRestaurantTotals(_restaurantId);
 
         // Allow reviewer to access their own encrypted ratings
         FHE.allow(review.foodQuality, review.reviewer);
@@ -175,50 +724,177 @@ contract PrivateRestaurantRating is SepoliaConfig {
         FHE.allow(review.overallRating, review.reviewer);
     }
 
-    // Verify a review (only restaurant owner or contract owner can verify)
+    // Allow the contract to keep using a restaurant's encrypted totals
+    function _allowRestaurantTotals(uint32 _restaurantId) internal {
+        Restaurant storage restaurant = restaurants[_restaurantId];
+
+        FHE.allowThis(restaurant.totalRatingSum);
+        FHE.allowThis(restaurant.foodQualitySum);
+        FHE.allowThis(restaurant.serviceSum);
+        FHE.allowThis(restaurant.atmosphereSum);
+        FHE.allowThis(restaurant.priceValueSum);
+    }
+
+    // Whether an account may verify reviews of a restaurant: its owner, staff the owner delegated to, or verifiers
+    function canVerify(uint32 _restaurantId, address _account) public view returns (bool) {
+        address restaurantOwner = restaurants[_restaurantId].owner;
+        return _account == restaurantOwner
+            || verificationDelegates[_restaurantId][restaurantOwner][_account]
+            || hasRole[VERIFIER_ROLE][_account];
+    }
+
+    // Verify a review (see canVerify for who may)
     function verifyReview(uint32 _reviewId) external {
-        require(_reviewId > 0 && _reviewId <= reviewCounter, "Review not found");
-        EncryptedReview storage review = reviews[_reviewId];
-        require(!review.isVerified, "Review already verified");
+        EncryptedReview storage review = _existingReview(_reviewId);
+        if (review.isVerified) revert ReviewAlreadyVerified(_reviewId);
+        if (review.isWithdrawn) revert ReviewWithdrawn(_reviewId);
 
-        // Only restaurant owner or contract owner can verify
-        require(
-            msg.sender == restaurants[review.restaurantId].owner ||
-            msg.sender == owner,
-            "Not authorized to verify"
-        );
+        if (!canVerify(review.restaurantId, msg.sender)) revert NotAuthorizedToVerify(_reviewId, msg.sender);
 
         review.isVerified = true;
         emit ReviewVerified(_reviewId, review.restaurantId);
     }
 
-    // Calculate and reveal average rating for a restaurant (async decryption)
+    // Calculate and reveal the overall and per-category averages for a restaurant (async decryption)
     function calculateAverageRating(uint32 _restaurantId) external restaurantExists(_restaurantId) {
         Restaurant storage restaurant = restaurants[_restaurantId];
-        require(restaurant.totalReviews > 0, "No reviews to calculate");
+        if (restaurant.totalReviews == 0) revert NoReviewsToCalculate(_restaurantId);
+        if (restaurant.totalReviews < minReviewsForReveal) {
+            revert NotEnoughReviews(_restaurantId, restaurant.totalReviews, minReviewsForReveal);
+        }
 
-        // Request decryption of total sum
-        bytes32[] memory cts = new bytes32[](1);
+        // Decrypt the overall and category sums in one batch
+        bytes32[] memory cts = new bytes32[](5);
         cts[0] = FHE.toBytes32(restaurant.totalRatingSum);
-        FHE.requestDecryption(cts, this.processAverageRating.selector);
+        cts[1] = FHE.toBytes32(restaurant.foodQualitySum);
+        cts[2] = FHE.toBytes32(restaurant.serviceSum);
+        cts[3] = FHE.toBytes32(restaurant.atmosphereSum);
+        cts[4] = FHE.toBytes32(restaurant.priceValueSum);
+
+        // Only one reveal in flight per restaurant; a stuck one can be replaced after the timeout
+        bool isRetry = false;
+        if (hasPendingReveal[_restaurantId]) {
+            uint256 pendingId = pendingRevealRequest[_restaurantId];
+            uint256 retryAfter = revealRequests[pendingId].requestedAt + REVEAL_TIMEOUT;
+            if (block.timestamp <= retryAfter) revert RevealAlreadyPending(_restaurantId, retryAfter);
+            // Every edit, retraction, submission or moderation change produces new handles, even when the
+            // review count ends up the same
+            isRetry = keccak256(abi.encode(revealRequests[pendingId].sums)) == keccak256(abi.encode(cts));
+            delete revealRequests[pendingId];
+        }
+
+        // Decrypting the same ciphertexts again leaks nothing new; any other reveal needs enough new reviews
+        uint32 reviewsNeeded = isRetry ? 0 : reviewsUntilReveal(_restaurantId);
+        if (reviewsNeeded > 0) revert NotEnoughNewReviews(_restaurantId, reviewsNeeded);
+
+        uint256 requestId = FHE.requestDecryption(cts, this.processAverageRating.selector);
+
+        revealRequests[requestId] = RevealRequest({
+            restaurantId: _restaurantId,
+            reviewCount: restaurant.totalReviews,
+            requestedAt: block.timestamp,
+            sums: cts
+        });
+        pendingRevealRequest[_restaurantId] = requestId;
+        hasPendingReveal[_restaurantId] = true;
+        lastRevealReviewCount[_restaurantId] = restaurant.totalReviews;
+
+        emit AverageRatingRequested(_restaurantId, requestId, restaurant.totalReviews);
     }
 
-    // Process decrypted average rating
+    // Process decrypted rating sums (called back by the decryption oracle)
     function processAverageRating(
         uint256 requestId,
-        uint32 totalSum,
-        bytes memory signatures
+        bytes memory cleartexts,
+        bytes memory decryptionProof
     ) external {
-        // Convert totalSum to bytes for signature verification
-        bytes memory decryptedData = abi.encodePacked(totalSum);
-        FHE.checkSignatures(requestId, decryptedData, signatures);
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        RevealRequest memory request = revealRequests[requestId];
+        if (request.restaurantId == 0) revert UnknownDecryptionRequest(requestId);
+        // A reveal answered while writes are stopped can be requested again after REVEAL_TIMEOUT
+        _requireWritable(request.restaurantId);
+        delete revealRequests[requestId];
+        hasPendingReveal[request.restaurantId] = false;
+
+        (uint32 totalSum, uint32 foodQualitySum, uint32 serviceSum, uint32 atmosphereSum, uint32 priceValueSum) =
+            abi.decode(cleartexts, (uint32, uint32, uint32, uint32, uint32));
 
-        // Find which restaurant this calculation belongs to
-        // In a real implementation, you'd store the requestId mapping
-        // For simplicity, we'll emit an event with the data
+        ReviewSummary storage summary = reviewSummaries[request.restaurantId];
+        summary.reviewCount = request.reviewCount;
+        summary.averageRating = _average(totalSum, request.reviewCount);
+        summary.publishedAt = block.timestamp;
+        summary.hasData = true;
+        summary.foodQualityAverage = _average(foodQualitySum, request.reviewCount);
+        summary.serviceAverage = _average(serviceSum, request.reviewCount);
+        summary.atmosphereAverage = _average(atmosphereSum, request.reviewCount);
+        summary.priceValueAverage = _average(priceValueSum, request.reviewCount);
+
+        emit RatingSummaryUpdated(request.restaurantId, summary.averageRating, request.reviewCount);
+        emit CategoryAveragesUpdated(
+            request.restaurantId,
+            summary.foodQualityAverage,
+            summary.serviceAverage,
+            summary.atmosphereAverage,
+            summary.priceValueAverage
+        );
+    }
 
-        // This is a simplified approach - in production you'd need to map requestId to restaurantId
-        emit RatingSummaryUpdated(0, uint8(totalSum / 1), 0); // Placeholder
+    // Average of a revealed sum, rounded half up to RATING_PRECISION
+    function _average(uint32 _sum, uint32 _count) internal pure returns (uint16) {
+        return uint16((uint256(_sum) * RATING_PRECISION + _count / 2) / _count);
+    }
+
+    // Number of additional reviews needed before the averages can be revealed (0 when allowed)
+    function reviewsUntilReveal(uint32 _restaurantId) public view returns (uint32) {
+        // Summed in uint256 so a large threshold cannot overflow and break the listing views
+        uint256 required = minReviewsForReveal;
+        uint256 lastCount = lastRevealReviewCount[_restaurantId];
+        if (lastCount > 0 && lastCount + minNewReviewsBetweenReveals > required) {
+            required = lastCount + minNewReviewsBetweenReveals;
+        }
+
+        uint256 totalReviews = restaurants[_restaurantId].totalReviews;
+        if (totalReviews >= required) return 0;
+        // Saturates; a shortfall this large can never be made up anyway
+        uint256 missing = required - totalReviews;
+        return missing > type(uint32).max ? type(uint32).max : uint32(missing);
+    }
+
+    // Get the last published rating summary for a restaurant
+    function getRatingSummary(uint32 _restaurantId) external view returns (
+        uint32 reviewCount,
+        uint16 averageRating,
+        uint256 publishedAt,
+        bool hasData
+    ) {
+        _requireRestaurant(_restaurantId);
+        ReviewSummary storage summary = reviewSummaries[_restaurantId];
+
+        return (
+            summary.reviewCount,
+            summary.averageRating,
+            summary.publishedAt,
+            summary.hasData
+        );
+    }
+
+    // Get the last published per-category averages for a restaurant (x RATING_PRECISION)
+    function getCategoryAverages(uint32 _restaurantId) external view returns (
+        uint16 foodQuality,
+        uint16 service,
+        uint16 atmosphere,
+        uint16 priceValue
+    ) {
+        _requireRestaurant(_restaurantId);
+        ReviewSummary storage summary = reviewSummaries[_restaurantId];
+
+        return (
+            summary.foodQualityAverage,
+            summary.serviceAverage,
+            summary.atmosphereAverage,
+            summary.priceValueAverage
+        );
     }
 
     // Get restaurant information
@@ -230,7 +906,7 @@ contract PrivateRestaurantRating is SepoliaConfig {
         uint32 totalReviews,
         uint256 createdAt
     ) {
-        require(_restaurantId > 0 && _restaurantId <= restaurantCounter, "Restaurant not found");
+        _requireRestaurant(_restaurantId);
         Restaurant storage restaurant = restaurants[_restaurantId];
 
         return (
@@ -243,7 +919,102 @@ contract PrivateRestaurantRating is SepoliaConfig {
         );
     }
 
-    // Get review IDs for a restaurant
+    // Get a page of restaurants ordered by ID, plus the total number of restaurants
+    function getRestaurantsPage(uint32 _offset, uint32 _limit) external view returns (
+        RestaurantView[] memory page,
+        uint32 total
+    ) {
+        _checkPageSize(_limit);
+        total = restaurantCounter;
+        page = new RestaurantView[](_pageLength(total, _offset, _limit));
+
+        for (uint32 i = 0; i < page.length; i++) {
+            page[i] = _restaurantView(_offset + i + 1);
+        }
+    }
+
+    // Get a page of a restaurant's reviews, plus the total number of reviews listed. Reviews hidden by moderation
+    // are left out: hiding one moves the last listed review into its place and a restored review is listed last.
+    function getRestaurantReviewsPage(uint32 _restaurantId, uint32 _offset, uint32 _limit) external view returns (
+        ReviewView[] memory page,
+        uint32 total
+    ) {
+        _checkPageSize(_limit);
+        return _reviewsPage(restaurantReviews[_restaurantId], _offset, _limit);
+    }
+
+    // Get a page of a user's reviews in submission order, plus the total number of reviews listed
+    function getUserReviewsPage(address _user, uint32 _offset, uint32 _limit) external view returns (
+        ReviewView[] memory page,
+        uint32 total
+    ) {
+        _checkPageSize(_limit);
+        return _reviewsPage(userReviews[_user], _offset, _limit);
+    }
+
+    // Reads only the requested slice of the list
+    function _reviewsPage(uint32[] storage _reviewIds, uint32 _offset, uint32 _limit) internal view returns (
+        ReviewView[] memory page,
+        uint32 total
+    ) {
+        total = uint32(_reviewIds.length);
+        page = new ReviewView[](_pageLength(total, _offset, _limit));
+
+        for (uint32 i = 0; i < page.length; i++) {
+            page[i] = _reviewView(_reviewIds[_offset + i]);
+        }
+    }
+
+    function _checkPageSize(uint32 _limit) internal pure {
+        if (_limit == 0 || _limit > MAX_PAGE_SIZE) revert InvalidPageSize(_limit, MAX_PAGE_SIZE);
+    }
+
+    // Number of entries left in [offset, offset + limit) of a list of the given size
+    function _pageLength(uint32 _total, uint32 _offset, uint32 _limit) internal pure returns (uint32) {
+        if (_offset >= _total) {
+            return 0;
+        }
+        return _total - _offset < _limit ? _total - _offset : _limit;
+    }
+
+    function _restaurantView(uint32 _restaurantId) internal view returns (RestaurantView memory) {
+        Restaurant storage restaurant = restaurants[_restaurantId];
+        ReviewSummary storage summary = reviewSummaries[_restaurantId];
+
+        return RestaurantView({
+            id: _restaurantId,
+            name: restaurant.name,
+            location: restaurant.location,
+            owner: restaurant.owner,
+            isActive: restaurant.isActive,
+            totalReviews: restaurant.totalReviews,
+            createdAt: restaurant.createdAt,
+            hasRevealedAverage: summary.hasData,
+            averageRating: summary.averageRating,
+            revealedReviewCount: summary.reviewCount,
+            reviewsUntilReveal: reviewsUntilReveal(_restaurantId),
+            hasPendingReveal: hasPendingReveal[_restaurantId]
+        });
+    }
+
+    function _reviewView(uint32 _reviewId) internal view returns (ReviewView memory) {
+        EncryptedReview storage review = reviews[_reviewId];
+
+        return ReviewView({
+            id: _reviewId,
+            restaurantId: review.restaurantId,
+            reviewer: review.reviewer,
+            comment: review.comment,
+            timestamp: review.timestamp,
+            isVerified: review.isVerified,
+            isWithdrawn: review.isWithdrawn,
+            editCount: uint32(reviewRevisions[_reviewId].length),
+            updatedAt: review.updatedAt,
+            moderationStatus: review.moderationStatus
+        });
+    }
+
+    // Get review IDs for a restaurant, without the ones hidden by moderation (same order as getRestaurantReviewsPage)
     function getRestaurantReviews(uint32 _restaurantId) external view returns (uint32[] memory) {
         return restaurantReviews[_restaurantId];
     }
@@ -259,20 +1030,42 @@ contract PrivateRestaurantRating is SepoliaConfig {
         address reviewer,
         string memory comment,
         uint256 timestamp,
-        bool isVerified
+        bool isVerified,
+        ModerationStatus moderationStatus
     ) {
-        require(_reviewId > 0 && _reviewId <= reviewCounter, "Review not found");
-        EncryptedReview storage review = reviews[_reviewId];
+        EncryptedReview storage review = _existingReview(_reviewId);
 
         return (
             review.restaurantId,
             review.reviewer,
             review.comment,
             review.timestamp,
-            review.isVerified
+            review.isVerified,
+            review.moderationStatus
         );
     }
 
+    // Get the edit and withdrawal status of a review
+    function getReviewStatus(uint32 _reviewId) external view returns (
+        bool isWithdrawn,
+        uint32 editCount,
+        uint256 updatedAt
+    ) {
+        EncryptedReview storage review = _existingReview(_reviewId);
+
+        return (
+            review.isWithdrawn,
+            uint32(reviewRevisions[_reviewId].length),
+            review.updatedAt
+        );
+    }
+
+    // Get the previous versions of a review, oldest first
+    function getReviewHistory(uint32 _reviewId) external view returns (ReviewRevision[] memory) {
+        _requireReview(_reviewId);
+        return reviewRevisions[_reviewId];
+    }
+
     // Check if user has reviewed a restaurant
     function hasReviewed(uint32 _restaurantId, address _user) external view returns (bool) {
         return hasUserReviewed[_restaurantId][_user];
@@ -296,9 +1089,7 @@ contract PrivateRestaurantRating is SepoliaConfig {
         euint8 priceValue,
         euint8 overallRating
     ) {
-        require(_reviewId > 0 && _reviewId <= reviewCounter, "Review not found");
-        EncryptedReview storage review = reviews[_reviewId];
-        require(review.reviewer == msg.sender, "Can only view your own ratings");
+        EncryptedReview storage review = _authoredReview(_reviewId);
 
         return (
             review.foodQuality,
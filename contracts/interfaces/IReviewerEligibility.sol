@@ -0,0 +1,8 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+// Reviewer eligibility check a restaurant can be bound to (see PrivateRestaurantRating.setReviewerEligibility).
+// External identity registries can implement it directly or through a small adapter.
+interface IReviewerEligibility {
+    function isEligibleReviewer(address reviewer, uint32 restaurantId) external view returns (bool);
+}
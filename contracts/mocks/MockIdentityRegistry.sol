@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IReviewerEligibility } from "../interfaces/IReviewerEligibility.sol";
+
+// Test stand-in for an external identity registry
+contract MockIdentityRegistry is IReviewerEligibility {
+    mapping(address => bool) public isVerified;
+    bool public isUnavailable;
+
+    function setVerified(address _account, bool _verified) external {
+        isVerified[_account] = _verified;
+    }
+
+    function setUnavailable(bool _unavailable) external {
+        isUnavailable = _unavailable;
+    }
+
+    function isEligibleReviewer(address _reviewer, uint32) external view returns (bool) {
+        require(!isUnavailable, "Registry unavailable");
+        return isVerified[_reviewer];
+    }
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { IReviewerEligibility } from "../interfaces/IReviewerEligibility.sol";
+
+// Reviewers approved one by one by the owner of this list; applies to every restaurant bound to it
+contract AllowlistEligibility is IReviewerEligibility {
+
+    address public owner;
+    mapping(address => bool) public isAllowed;
+
+    event ReviewerAllowlistUpdated(address indexed reviewer, bool allowed);
+
+    error NotOwner(address caller);
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert NotOwner(msg.sender);
+        _;
+    }
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    // Add or remove reviewers (only list owner)
+    function setAllowed(address[] calldata _reviewers, bool _allowed) external onlyOwner {
+        for (uint256 i = 0; i < _reviewers.length; i++) {
+            isAllowed[_reviewers[i]] = _allowed;
+            emit ReviewerAllowlistUpdated(_reviewers[i], _allowed);
+        }
+    }
+
+    function isEligibleReviewer(address _reviewer, uint32) external view returns (bool) {
+        return isAllowed[_reviewer];
+    }
+}
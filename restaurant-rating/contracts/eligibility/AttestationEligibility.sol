@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { EIP712 } from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import { IReviewerEligibility } from "../interfaces/IReviewerEligibility.sol";
+
+// Reviewers holding an unexpired EIP-712 attestation from a trusted issuer, e.g. a proof-of-personhood service
+contract AttestationEligibility is IReviewerEligibility, EIP712 {
+
+    bytes32 public constant REVIEWER_ATTESTATION_TYPEHASH =
+        keccak256("ReviewerAttestation(address reviewer,uint256 expiry)");
+
+    struct Attestation {
+        address issuer;          // attestations from a replaced issuer no longer count
+        uint256 expiry;
+    }
+
+    address public owner;
+    address public issuer;
+    mapping(address => Attestation) public attestations;
+
+    event IssuerUpdated(address indexed previousIssuer, address indexed newIssuer);
+    event ReviewerAttested(address indexed reviewer, address indexed issuer, uint256 expiry);
+
+    error NotOwner(address caller);
+    error InvalidAttestation(address reviewer);
+    error AttestationExpired(address reviewer, uint256 expiry);
+
+    modifier onlyOwner() {
+        if (msg.sender != owner) revert NotOwner(msg.sender);
+        _;
+    }
+
+    constructor(address _issuer) EIP712("PrivateRestaurantRating Attestations", "1") {
+        owner = msg.sender;
+        issuer = _issuer;
+        emit IssuerUpdated(address(0), _issuer);
+    }
+
+    // Replace the trusted issuer; attestations it signed stop counting (only owner)
+    function setIssuer(address _issuer) external onlyOwner {
+        emit IssuerUpdated(issuer, _issuer);
+        issuer = _issuer;
+    }
+
+    // Record an attestation signed by the issuer; anyone may relay it for the reviewer
+    function submitAttestation(address _reviewer, uint256 _expiry, bytes calldata _signature) external {
+        if (_expiry <= block.timestamp) revert AttestationExpired(_reviewer, _expiry);
+
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(REVIEWER_ATTESTATION_TYPEHASH, _reviewer, _expiry)));
+        (address signer, ECDSA.RecoverError recoverError, ) = ECDSA.tryRecover(digest, _signature);
+        if (recoverError != ECDSA.RecoverError.NoError || signer != issuer) {
+            revert InvalidAttestation(_reviewer);
+        }
+
+        attestations[_reviewer] = Attestation({ issuer: signer, expiry: _expiry });
+        emit ReviewerAttested(_reviewer, signer, _expiry);
+    }
+
+    function isEligibleReviewer(address _reviewer, uint32) external view returns (bool) {
+        Attestation storage attestation = attestations[_reviewer];
+        return attestation.issuer != address(0) && attestation.issuer == issuer && attestation.expiry > block.timestamp;
+    }
+}
@@ -0,0 +1,98 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { PrivateRestaurantRating } from "../PrivateRestaurantRating.sol";
+
+// Flag, takedown and appeal workflow for reviews of a PrivateRestaurantRating contract.
+// Status changes are recorded on the rating contract, which keeps hidden reviews out of the totals.
+// Moderators are the holders of the rating contract's MODERATOR_ROLE.
+contract ReviewModeration {
+
+    enum FlagReason { Spam, Offensive, OffTopic, ConflictOfInterest, Other }
+
+    PrivateRestaurantRating public immutable rating;
+    mapping(uint32 => uint32) public flagCount; // reports received, including dismissed ones
+    mapping(uint32 => mapping(address => bool)) public hasFlagged;
+
+    event ReviewFlagged(uint32 indexed reviewId, address indexed reporter, FlagReason reason);
+    event ReviewHidden(uint32 indexed reviewId, address indexed moderator, FlagReason reason);
+    event ReviewAppealed(uint32 indexed reviewId, address indexed reviewer);
+    event ReviewRestored(uint32 indexed reviewId, address indexed moderator);
+    event AppealRejected(uint32 indexed reviewId, address indexed moderator);
+
+    error NotModerator(address caller);
+    error NotReviewAuthor(uint32 reviewId, address caller);
+    error AlreadyFlagged(uint32 reviewId, address reporter);
+    error InvalidModerationStatus(uint32 reviewId, PrivateRestaurantRating.ModerationStatus status);
+
+    modifier onlyModerator() {
+        if (!rating.hasRole(rating.MODERATOR_ROLE(), msg.sender)) revert NotModerator(msg.sender);
+        _;
+    }
+
+    constructor(PrivateRestaurantRating _rating) {
+        rating = _rating;
+    }
+
+    // Report a review to the moderators; once per reporter, and not while the review is hidden
+    function flagReview(uint32 _reviewId, FlagReason _reason) external {
+        PrivateRestaurantRating.ModerationStatus status = moderationStatus(_reviewId);
+        if (status > PrivateRestaurantRating.ModerationStatus.Flagged) revert InvalidModerationStatus(_reviewId, status);
+        if (hasFlagged[_reviewId][msg.sender]) revert AlreadyFlagged(_reviewId, msg.sender);
+
+        hasFlagged[_reviewId][msg.sender] = true;
+        flagCount[_reviewId]++;
+        if (status == PrivateRestaurantRating.ModerationStatus.None) {
+            rating.setModerationStatus(_reviewId, PrivateRestaurantRating.ModerationStatus.Flagged);
+        }
+
+        emit ReviewFlagged(_reviewId, msg.sender, _reason);
+    }
+
+    // Take a review down, flagged or not; its ratings leave the restaurant totals (only moderators)
+    function hideReview(uint32 _reviewId, FlagReason _reason) external onlyModerator {
+        PrivateRestaurantRating.ModerationStatus status = moderationStatus(_reviewId);
+        if (status > PrivateRestaurantRating.ModerationStatus.Flagged) revert InvalidModerationStatus(_reviewId, status);
+
+        rating.setModerationStatus(_reviewId, PrivateRestaurantRating.ModerationStatus.Hidden);
+        emit ReviewHidden(_reviewId, msg.sender, _reason);
+    }
+
+    // Ask the moderators to reconsider a takedown; one appeal per takedown (only review author)
+    function appealReview(uint32 _reviewId) external {
+        (, address reviewer, , , , PrivateRestaurantRating.ModerationStatus status) = rating.getReviewInfo(_reviewId);
+        if (msg.sender != reviewer) revert NotReviewAuthor(_reviewId, msg.sender);
+        if (status != PrivateRestaurantRating.ModerationStatus.Hidden) revert InvalidModerationStatus(_reviewId, status);
+
+        rating.setModerationStatus(_reviewId, PrivateRestaurantRating.ModerationStatus.Appealed);
+        emit ReviewAppealed(_reviewId, msg.sender);
+    }
+
+    // Put a hidden or appealed review back, or dismiss the flags on a visible one; clears it back to None.
+    // A rejected appeal is final. (only moderators)
+    function restoreReview(uint32 _reviewId) external onlyModerator {
+        PrivateRestaurantRating.ModerationStatus status = moderationStatus(_reviewId);
+        if (
+            status == PrivateRestaurantRating.ModerationStatus.None ||
+            status == PrivateRestaurantRating.ModerationStatus.AppealRejected
+        ) {
+            revert InvalidModerationStatus(_reviewId, status);
+        }
+
+        rating.setModerationStatus(_reviewId, PrivateRestaurantRating.ModerationStatus.None);
+        emit ReviewRestored(_reviewId, msg.sender);
+    }
+
+    // Keep an appealed review hidden for good (only moderators)
+    function rejectAppeal(uint32 _reviewId) external onlyModerator {
+        PrivateRestaurantRating.ModerationStatus status = moderationStatus(_reviewId);
+        if (status != PrivateRestaurantRating.ModerationStatus.Appealed) revert InvalidModerationStatus(_reviewId, status);
+
+        rating.setModerationStatus(_reviewId, PrivateRestaurantRating.ModerationStatus.AppealRejected);
+        emit AppealRejected(_reviewId, msg.sender);
+    }
+
+    function moderationStatus(uint32 _reviewId) public view returns (PrivateRestaurantRating.ModerationStatus status) {
+        (, , , , , status) = rating.getReviewInfo(_reviewId);
+    }
+}
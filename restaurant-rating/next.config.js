@@ -10,7 +10,7 @@ const nextConfig = {
     };
     return config;
   },
-  // Allow external scripts for fhevmjs
+  // Allow the relayer SDK bundle (loaded by lib/fhevm.ts) and its WebAssembly
   async headers() {
     return [
       {
@@ -18,7 +18,7 @@ const nextConfig = {
         headers: [
           {
             key: 'Content-Security-Policy',
-            value: "script-src 'self' 'unsafe-eval' 'unsafe-inline' https://unpkg.com;",
+            value: "script-src 'self' 'unsafe-eval' 'wasm-unsafe-eval' 'unsafe-inline' https://cdn.zama.ai;",
           },
         ],
       },
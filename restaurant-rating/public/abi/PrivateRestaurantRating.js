@@ -0,0 +1,406 @@
+// Generated by scripts/client from the PrivateRestaurantRating artifact, deployments and errors.js. Do not edit.
+window.PrivateRestaurantRating = {
+  abi: [{"inputs":[],"stateMutability":"nonpayable","type":"constructor"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"address","name":"user","type":"address"}],"name":"AlreadyReviewed","type":"error"},{"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"CannotRevokeOwnAdminRole","type":"error"},{"inputs":[],"name":"ContractPaused","type":"error"},{"inputs":[],"name":"HandlesAlreadySavedForRequestID","type":"error"},{"inputs":[],"name":"InvalidKMSSignatures","type":"error"},{"inputs":[{"internalType":"uint32","name":"limit","type":"uint32"},{"internalType":"uint32","name":"maxPageSize","type":"uint32"}],"name":"InvalidPageSize","type":"error"},{"inputs":[{"internalType":"uint32","name":"minReviewsForReveal","type":"uint32"},{"internalType":"uint32","name":"minNewReviewsBetweenReveals","type":"uint32"}],"name":"InvalidRevealThresholds","type":"error"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"address","name":"signer","type":"address"}],"name":"InvalidVisitReceipt","type":"error"},{"inputs":[{"internalType":"bytes32","name":"role","type":"bytes32"},{"internalType":"address","name":"account","type":"address"}],"name":"MissingRole","type":"error"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"address","name":"newOwner","type":"address"}],"name":"NewOwnerHasReviewed","type":"error"},{"inputs":[],"name":"NoHandleFoundForRequestID","type":"error"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"}],"name":"NoReviewsToCalculate","type":"error"},{"inputs":[{"internalType":"uint32","name":"reviewId","type":"uint32"},{"internalType":"address","name":"caller","type":"address"}],"name":"NotAuthorizedToVerify","type":"error"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"uint32","name":"reviewsNeeded","type":"uint32"}],"name":"NotEnoughNewReviews","type":"error"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"uint32","name":"reviewCount","type":"uint32"},{"internalType":"uint32","name":"required","type":"uint32"}],"name":"NotEnoughReviews","type":"error"},{"inputs":[{"internalType":"address","name":"caller","type":"address"}],"name":"NotModerationContract","type":"error"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"address","name":"caller","type":"address"}],"name":"NotPendingRestaurantOwner","type":"error"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"address","name":"caller","type":"address"}],"name":"NotRestaurantOwner","type":"error"},{"inputs":[{"internalType":"uint32","name":"reviewId","type":"uint32"},{"internalType":"address","name":"caller","type":"address"}],"name":"NotReviewAuthor","type":"error"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"address","name":"restaurantOwner","type":"address"}],"name":"OwnerCannotReview","type":"error"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"}],"name":"RestaurantIsFrozen","type":"error"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"}],"name":"RestaurantNotActive","type":"error"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"}],"name":"RestaurantNotFound","type":"error"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"uint256","name":"retryAfter","type":"uint256"}],"name":"RevealAlreadyPending","type":"error"},{"inputs":[{"internalType":"uint32","name":"reviewId","type":"uint32"}],"name":"ReviewAlreadyVerified","type":"error"},{"inputs":[{"internalType":"uint32","name":"reviewId","type":"uint32"}],"name":"ReviewIsHidden","type":"error"},{"inputs":[{"internalType":"uint32","name":"reviewId","type":"uint32"}],"name":"ReviewNotFound","type":"error"},{"inputs":[{"internalType":"uint32","name":"reviewId","type":"uint32"}],"name":"ReviewWithdrawn","type":"error"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"address","name":"reviewer","type":"address"},{"internalType":"address","name":"eligibility","type":"address"}],"name":"ReviewerNotEligible","type":"error"},{"inputs":[{"internalType":"uint256","name":"requestId","type":"uint256"}],"name":"UnknownDecryptionRequest","type":"error"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"uint256","name":"nonce","type":"uint256"}],"name":"VisitReceiptAlreadyUsed","type":"error"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"uint256","name":"expiry","type":"uint256"}],"name":"VisitReceiptExpired","type":"error"},{"inputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"address","name":"reviewer","type":"address"},{"internalType":"address","name":"caller","type":"address"}],"name":"VisitReceiptNotForCaller","type":"error"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint32","name":"restaurantId","type":"uint32"},{"indexed":true,"internalType":"uint256","name":"requestId","type":"uint256"},{"indexed":false,"internalType":"uint32","name":"reviewCount","type":"uint32"}],"name":"AverageRatingRequested","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint32","name":"restaurantId","type":"uint32"},{"indexed":false,"internalType":"uint16","name":"foodQuality","type":"uint16"},{"indexed":false,"internalType":"uint16","name":"service","type":"uint16"},{"indexed":false,"internalType":"uint16","name":"atmosphere","type":"uint16"},{"indexed":false,"internalType":"uint16","name":"priceValue","type":"uint16"}],"name":"CategoryAveragesUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"requestID","type":"uint256"}],"name":"DecryptionFulfilled","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"moderation","type":"address"}],"name":"ModerationContractUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"bool","name":"paused","type":"bool"},{"indexed":true,"internalType":"address","name":"account","type":"address"}],"name":"PauseUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint32","name":"restaurantId","type":"uint32"},{"indexed":false,"internalType":"uint16","name":"averageRating","type":"uint16"},{"indexed":false,"internalType":"uint32","name":"reviewCount","type":"uint32"}],"name":"RatingSummaryUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint32","name":"restaurantId","type":"uint32"},{"indexed":false,"internalType":"bool","name":"frozen","type":"bool"},{"indexed":true,"internalType":"address","name":"account","type":"address"}],"name":"RestaurantFreezeUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint32","name":"restaurantId","type":"uint32"},{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"RestaurantOwnershipTransferStarted","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint32","name":"restaurantId","type":"uint32"},{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"RestaurantOwnershipTransferred","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint32","name":"restaurantId","type":"uint32"},{"indexed":false,"internalType":"string","name":"oldName","type":"string"},{"indexed":false,"internalType":"string","name":"newName","type":"string"},{"indexed":false,"internalType":"string","name":"oldLocation","type":"string"},{"indexed":false,"internalType":"string","name":"newLocation","type":"string"}],"name":"RestaurantProfileUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint32","name":"restaurantId","type":"uint32"},{"indexed":false,"internalType":"string","name":"name","type":"string"},{"indexed":true,"internalType":"address","name":"owner","type":"address"}],"name":"RestaurantRegistered","type":"event"},{"anonymous":false,"inputs":[{"indexed":false,"internalType":"uint32","name":"minReviewsForReveal","type":"uint32"},{"indexed":false,"internalType":"uint32","name":"minNewReviewsBetweenReveals","type":"uint32"}],"name":"RevealThresholdsUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint32","name":"reviewId","type":"uint32"},{"indexed":true,"internalType":"uint32","name":"restaurantId","type":"uint32"},{"indexed":false,"internalType":"enum PrivateRestaurantRating.ModerationStatus","name":"status","type":"uint8"}],"name":"ReviewModerationUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint32","name":"reviewId","type":"uint32"},{"indexed":true,"internalType":"uint32","name":"restaurantId","type":"uint32"},{"indexed":true,"internalType":"address","name":"reviewer","type":"address"}],"name":"ReviewRetracted","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint32","name":"reviewId","type":"uint32"},{"indexed":true,"internalType":"uint32","name":"restaurantId","type":"uint32"},{"indexed":true,"internalType":"address","name":"reviewer","type":"address"}],"name":"ReviewSubmitted","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint32","name":"reviewId","type":"uint32"},{"indexed":true,"internalType":"uint32","name":"restaurantId","type":"uint32"},{"indexed":true,"internalType":"address","name":"reviewer","type":"address"}],"name":"ReviewUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint32","name":"reviewId","type":"uint32"},{"indexed":true,"internalType":"uint32","name":"restaurantId","type":"uint32"}],"name":"ReviewVerified","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint32","name":"restaurantId","type":"uint32"},{"indexed":true,"internalType":"address","name":"eligibility","type":"address"}],"name":"ReviewerEligibilityUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"role","type":"bytes32"},{"indexed":true,"internalType":"address","name":"account","type":"address"},{"indexed":true,"internalType":"address","name":"sender","type":"address"}],"name":"RoleGranted","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"bytes32","name":"role","type":"bytes32"},{"indexed":true,"internalType":"address","name":"account","type":"address"},{"indexed":true,"internalType":"address","name":"sender","type":"address"}],"name":"RoleRevoked","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint32","name":"restaurantId","type":"uint32"},{"indexed":true,"internalType":"address","name":"delegate","type":"address"},{"indexed":false,"internalType":"bool","name":"enabled","type":"bool"}],"name":"VerificationDelegateUpdated","type":"event"},{"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint32","name":"restaurantId","type":"uint32"},{"indexed":true,"internalType":"uint256","name":"nonce","type":"uint256"},{"indexed":true,"internalType":"uint32","name":"reviewId","type":"uint32"}],"name":"VisitReceiptRedeemed","type":"event"},{"inputs":[],"name":"ADMIN_ROLE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"MAX_PAGE_SIZE","outputs":[{"internalType":"uint32","name":"","type":"uint32"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"MAX_RATING","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"MIN_RATING","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"MODERATOR_ROLE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"PAUSER_ROLE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"RATING_PRECISION","outputs":[{"internalType":"uint16","name":"","type":"uint16"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"REVEAL_TIMEOUT","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"VERIFIER_ROLE","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"VISIT_RECEIPT_TYPEHASH","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"}],"name":"acceptRestaurantOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"}],"name":"calculateAverageRating","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"},{"internalType":"address","name":"_account","type":"address"}],"name":"canVerify","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"domainSeparator","outputs":[{"internalType":"bytes32","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"}],"name":"getCategoryAverages","outputs":[{"internalType":"uint16","name":"foodQuality","type":"uint16"},{"internalType":"uint16","name":"service","type":"uint16"},{"internalType":"uint16","name":"atmosphere","type":"uint16"},{"internalType":"uint16","name":"priceValue","type":"uint16"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"_reviewId","type":"uint32"}],"name":"getMyReviewRatings","outputs":[{"internalType":"euint8","name":"foodQuality","type":"bytes32"},{"internalType":"euint8","name":"service","type":"bytes32"},{"internalType":"euint8","name":"atmosphere","type":"bytes32"},{"internalType":"euint8","name":"priceValue","type":"bytes32"},{"internalType":"euint8","name":"overallRating","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"}],"name":"getRatingSummary","outputs":[{"internalType":"uint32","name":"reviewCount","type":"uint32"},{"internalType":"uint16","name":"averageRating","type":"uint16"},{"internalType":"uint256","name":"publishedAt","type":"uint256"},{"internalType":"bool","name":"hasData","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"}],"name":"getRestaurant","outputs":[{"internalType":"string","name":"name","type":"string"},{"internalType":"string","name":"location","type":"string"},{"internalType":"address","name":"restaurantOwner","type":"address"},{"internalType":"bool","name":"isActive","type":"bool"},{"internalType":"uint32","name":"totalReviews","type":"uint32"},{"internalType":"uint256","name":"createdAt","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"}],"name":"getRestaurantReviews","outputs":[{"internalType":"uint32[]","name":"","type":"uint32[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"},{"internalType":"uint32","name":"_offset","type":"uint32"},{"internalType":"uint32","name":"_limit","type":"uint32"}],"name":"getRestaurantReviewsPage","outputs":[{"components":[{"internalType":"uint32","name":"id","type":"uint32"},{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"address","name":"reviewer","type":"address"},{"internalType":"string","name":"comment","type":"string"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"bool","name":"isVerified","type":"bool"},{"internalType":"bool","name":"isWithdrawn","type":"bool"},{"internalType":"uint32","name":"editCount","type":"uint32"},{"internalType":"uint256","name":"updatedAt","type":"uint256"},{"internalType":"enum PrivateRestaurantRating.ModerationStatus","name":"moderationStatus","type":"uint8"}],"internalType":"struct PrivateRestaurantRating.ReviewView[]","name":"page","type":"tuple[]"},{"internalType":"uint32","name":"total","type":"uint32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"_offset","type":"uint32"},{"internalType":"uint32","name":"_limit","type":"uint32"}],"name":"getRestaurantsPage","outputs":[{"components":[{"internalType":"uint32","name":"id","type":"uint32"},{"internalType":"string","name":"name","type":"string"},{"internalType":"string","name":"location","type":"string"},{"internalType":"address","name":"owner","type":"address"},{"internalType":"bool","name":"isActive","type":"bool"},{"internalType":"uint32","name":"totalReviews","type":"uint32"},{"internalType":"uint256","name":"createdAt","type":"uint256"},{"internalType":"bool","name":"hasRevealedAverage","type":"bool"},{"internalType":"uint16","name":"averageRating","type":"uint16"},{"internalType":"uint32","name":"revealedReviewCount","type":"uint32"},{"internalType":"uint32","name":"reviewsUntilReveal","type":"uint32"},{"internalType":"bool","name":"hasPendingReveal","type":"bool"}],"internalType":"struct PrivateRestaurantRating.RestaurantView[]","name":"page","type":"tuple[]"},{"internalType":"uint32","name":"total","type":"uint32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"_reviewId","type":"uint32"}],"name":"getReviewHistory","outputs":[{"components":[{"internalType":"string","name":"comment","type":"string"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"uint256","name":"replacedAt","type":"uint256"}],"internalType":"struct PrivateRestaurantRating.ReviewRevision[]","name":"","type":"tuple[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"_reviewId","type":"uint32"}],"name":"getReviewInfo","outputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"address","name":"reviewer","type":"address"},{"internalType":"string","name":"comment","type":"string"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"bool","name":"isVerified","type":"bool"},{"internalType":"enum PrivateRestaurantRating.ModerationStatus","name":"moderationStatus","type":"uint8"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"_reviewId","type":"uint32"}],"name":"getReviewStatus","outputs":[{"internalType":"bool","name":"isWithdrawn","type":"bool"},{"internalType":"uint32","name":"editCount","type":"uint32"},{"internalType":"uint256","name":"updatedAt","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"getTotalCounts","outputs":[{"internalType":"uint32","name":"totalRestaurants","type":"uint32"},{"internalType":"uint32","name":"totalReviews","type":"uint32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getUserReviews","outputs":[{"internalType":"uint32[]","name":"","type":"uint32[]"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"address","name":"_user","type":"address"},{"internalType":"uint32","name":"_offset","type":"uint32"},{"internalType":"uint32","name":"_limit","type":"uint32"}],"name":"getUserReviewsPage","outputs":[{"components":[{"internalType":"uint32","name":"id","type":"uint32"},{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"address","name":"reviewer","type":"address"},{"internalType":"string","name":"comment","type":"string"},{"internalType":"uint256","name":"timestamp","type":"uint256"},{"internalType":"bool","name":"isVerified","type":"bool"},{"internalType":"bool","name":"isWithdrawn","type":"bool"},{"internalType":"uint32","name":"editCount","type":"uint32"},{"internalType":"uint256","name":"updatedAt","type":"uint256"},{"internalType":"enum PrivateRestaurantRating.ModerationStatus","name":"moderationStatus","type":"uint8"}],"internalType":"struct PrivateRestaurantRating.ReviewView[]","name":"page","type":"tuple[]"},{"internalType":"uint32","name":"total","type":"uint32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"bytes32","name":"_role","type":"bytes32"},{"internalType":"address","name":"_account","type":"address"}],"name":"grantRole","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint32","name":"","type":"uint32"}],"name":"hasPendingReveal","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"},{"internalType":"address","name":"_user","type":"address"}],"name":"hasReviewed","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"bytes32","name":"","type":"bytes32"},{"internalType":"address","name":"","type":"address"}],"name":"hasRole","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"","type":"uint32"},{"internalType":"address","name":"","type":"address"}],"name":"hasUserReviewed","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"},{"internalType":"address","name":"_reviewer","type":"address"}],"name":"isEligibleReviewer","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"","type":"uint32"}],"name":"isRestaurantFrozen","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"","type":"uint32"},{"internalType":"uint256","name":"","type":"uint256"}],"name":"isVisitReceiptUsed","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"","type":"uint32"}],"name":"lastRevealReviewCount","outputs":[{"internalType":"uint32","name":"","type":"uint32"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"minNewReviewsBetweenReveals","outputs":[{"internalType":"uint32","name":"","type":"uint32"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"minReviewsForReveal","outputs":[{"internalType":"uint32","name":"","type":"uint32"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"moderation","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"paused","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"","type":"uint32"}],"name":"pendingRestaurantOwner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"","type":"uint32"}],"name":"pendingRevealRequest","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint256","name":"requestId","type":"uint256"},{"internalType":"bytes","name":"cleartexts","type":"bytes"},{"internalType":"bytes","name":"decryptionProof","type":"bytes"}],"name":"processAverageRating","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"protocolId","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"pure","type":"function"},{"inputs":[{"internalType":"string","name":"_name","type":"string"},{"internalType":"string","name":"_location","type":"string"}],"name":"registerRestaurant","outputs":[{"internalType":"uint32","name":"","type":"uint32"}],"stateMutability":"nonpayable","type":"function"},{"inputs":[],"name":"restaurantCounter","outputs":[{"internalType":"uint32","name":"","type":"uint32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"","type":"uint32"},{"internalType":"uint256","name":"","type":"uint256"}],"name":"restaurantReviews","outputs":[{"internalType":"uint32","name":"","type":"uint32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"","type":"uint32"}],"name":"restaurants","outputs":[{"internalType":"string","name":"name","type":"string"},{"internalType":"string","name":"location","type":"string"},{"internalType":"address","name":"owner","type":"address"},{"internalType":"bool","name":"isActive","type":"bool"},{"internalType":"uint32","name":"totalReviews","type":"uint32"},{"internalType":"euint32","name":"totalRatingSum","type":"bytes32"},{"internalType":"uint256","name":"createdAt","type":"uint256"},{"internalType":"euint32","name":"foodQualitySum","type":"bytes32"},{"internalType":"euint32","name":"serviceSum","type":"bytes32"},{"internalType":"euint32","name":"atmosphereSum","type":"bytes32"},{"internalType":"euint32","name":"priceValueSum","type":"bytes32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"_reviewId","type":"uint32"}],"name":"retractReview","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"revealRequests","outputs":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"uint32","name":"reviewCount","type":"uint32"},{"internalType":"uint256","name":"requestedAt","type":"uint256"}],"stateMutability":"view","type":"function"},{"inputs":[],"name":"reviewCounter","outputs":[{"internalType":"uint32","name":"","type":"uint32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"","type":"uint32"}],"name":"reviewSummaries","outputs":[{"internalType":"uint32","name":"reviewCount","type":"uint32"},{"internalType":"uint16","name":"averageRating","type":"uint16"},{"internalType":"uint256","name":"publishedAt","type":"uint256"},{"internalType":"bool","name":"hasData","type":"bool"},{"internalType":"uint16","name":"foodQualityAverage","type":"uint16"},{"internalType":"uint16","name":"serviceAverage","type":"uint16"},{"internalType":"uint16","name":"atmosphereAverage","type":"uint16"},{"internalType":"uint16","name":"priceValueAverage","type":"uint16"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"","type":"uint32"}],"name":"reviewerEligibility","outputs":[{"internalType":"contract IReviewerEligibility","name":"","type":"address"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"}],"name":"reviewsUntilReveal","outputs":[{"internalType":"uint32","name":"","type":"uint32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"bytes32","name":"_role","type":"bytes32"},{"internalType":"address","name":"_account","type":"address"}],"name":"revokeRole","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"_moderation","type":"address"}],"name":"setModeration","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint32","name":"_reviewId","type":"uint32"},{"internalType":"enum PrivateRestaurantRating.ModerationStatus","name":"_status","type":"uint8"}],"name":"setModerationStatus","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"bool","name":"_paused","type":"bool"}],"name":"setPaused","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"},{"internalType":"bool","name":"_frozen","type":"bool"}],"name":"setRestaurantFrozen","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint32","name":"_minReviewsForReveal","type":"uint32"},{"internalType":"uint32","name":"_minNewReviewsBetweenReveals","type":"uint32"}],"name":"setRevealThresholds","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"},{"internalType":"contract IReviewerEligibility","name":"_eligibility","type":"address"}],"name":"setReviewerEligibility","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"},{"internalType":"address","name":"_delegate","type":"address"},{"internalType":"bool","name":"_enabled","type":"bool"}],"name":"setVerificationDelegate","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"},{"internalType":"externalEuint8","name":"_foodQuality","type":"bytes32"},{"internalType":"externalEuint8","name":"_service","type":"bytes32"},{"internalType":"externalEuint8","name":"_atmosphere","type":"bytes32"},{"internalType":"externalEuint8","name":"_priceValue","type":"bytes32"},{"internalType":"externalEuint8","name":"_overallRating","type":"bytes32"},{"internalType":"bytes","name":"_inputProof","type":"bytes"},{"internalType":"string","name":"_comment","type":"string"}],"name":"submitReview","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"components":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"address","name":"reviewer","type":"address"},{"internalType":"uint256","name":"nonce","type":"uint256"},{"internalType":"uint256","name":"expiry","type":"uint256"}],"internalType":"struct PrivateRestaurantRating.VisitReceipt","name":"_receipt","type":"tuple"},{"internalType":"bytes","name":"_signature","type":"bytes"},{"internalType":"externalEuint8","name":"_foodQuality","type":"bytes32"},{"internalType":"externalEuint8","name":"_service","type":"bytes32"},{"internalType":"externalEuint8","name":"_atmosphere","type":"bytes32"},{"internalType":"externalEuint8","name":"_priceValue","type":"bytes32"},{"internalType":"externalEuint8","name":"_overallRating","type":"bytes32"},{"internalType":"bytes","name":"_inputProof","type":"bytes"},{"internalType":"string","name":"_comment","type":"string"}],"name":"submitReviewWithReceipt","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"}],"name":"toggleRestaurantStatus","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"},{"internalType":"address","name":"_newOwner","type":"address"}],"name":"transferRestaurantOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint32","name":"_restaurantId","type":"uint32"},{"internalType":"string","name":"_name","type":"string"},{"internalType":"string","name":"_location","type":"string"}],"name":"updateRestaurantProfile","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"uint32","name":"_reviewId","type":"uint32"},{"internalType":"externalEuint8","name":"_foodQuality","type":"bytes32"},{"internalType":"externalEuint8","name":"_service","type":"bytes32"},{"internalType":"externalEuint8","name":"_atmosphere","type":"bytes32"},{"internalType":"externalEuint8","name":"_priceValue","type":"bytes32"},{"internalType":"externalEuint8","name":"_overallRating","type":"bytes32"},{"internalType":"bytes","name":"_inputProof","type":"bytes"},{"internalType":"string","name":"_comment","type":"string"}],"name":"updateReview","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"internalType":"address","name":"","type":"address"},{"internalType":"uint256","name":"","type":"uint256"}],"name":"userReviews","outputs":[{"internalType":"uint32","name":"","type":"uint32"}],"stateMutability":"view","type":"function"},{"inputs":[{"internalType":"uint32","name":"_reviewId","type":"uint32"}],"name":"verifyReview","outputs":[],"stateMutability":"nonpayable","type":"function"},{"inputs":[{"components":[{"internalType":"uint32","name":"restaurantId","type":"uint32"},{"internalType":"address","name":"reviewer","type":"address"},{"internalType":"uint256","name":"nonce","type":"uint256"},{"internalType":"uint256","name":"expiry","type":"uint256"}],"internalType":"struct PrivateRestaurantRating.VisitReceipt","name":"_receipt","type":"tuple"},{"internalType":"bytes","name":"_signature","type":"bytes"}],"name":"visitReceiptSigner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"}],
+  addresses: {},
+  errors: (function (module) {
+// Typed errors and localized messages for the PrivateRestaurantRating custom errors.
+// Shared by the CLI scripts, the Next.js app and the static pages: `npm run client` copies this file
+// to restaurant-rating/src/contracts/errors.js and embeds it in the browser bundles, so it must not
+// require anything and has to work with both ethers v5 (index.html) and ethers v6.
+
+const DEFAULT_LOCALE = "en";
+const LOCALES = ["en", "es"];
+
+const MIN_RATING = 1;
+const MAX_RATING = 10;
+const RATING_FIELDS = ["foodQuality", "service", "atmosphere", "priceValue", "overallRating"];
+
+const RATING_FIELD_LABELS = {
+  en: {
+    foodQuality: "Food quality",
+    service: "Service",
+    atmosphere: "Atmosphere",
+    priceValue: "Price/value",
+    overallRating: "Overall rating",
+  },
+  es: {
+    foodQuality: "Calidad de la comida",
+    service: "Servicio",
+    atmosphere: "Ambiente",
+    priceValue: "Relación calidad/precio",
+    overallRating: "Valoración general",
+  },
+};
+
+// One entry per custom error in the contract ABI, with its parameter names in declaration order.
+// InvalidRating is raised here before encryption: the contract only sees encrypted ratings and clamps them.
+const ERROR_CATALOG = {
+  MissingRole: {
+    params: ["role", "account"],
+    en: "Your account does not have the role this action requires.",
+    es: "Tu cuenta no tiene el rol que requiere esta acción.",
+  },
+  CannotRevokeOwnAdminRole: {
+    params: ["account"],
+    en: "Admins cannot revoke their own admin role; ask another admin.",
+    es: "Un administrador no puede revocar su propio rol de administrador; pídeselo a otro administrador.",
+  },
+  NotRestaurantOwner: {
+    params: ["restaurantId", "caller"],
+    en: "Only the owner of restaurant #{restaurantId} can do this.",
+    es: "Solo el propietario del restaurante #{restaurantId} puede hacer esto.",
+  },
+  NotPendingRestaurantOwner: {
+    params: ["restaurantId", "caller"],
+    en: "{caller} has no pending ownership transfer for restaurant #{restaurantId}.",
+    es: "{caller} no tiene una transferencia pendiente del restaurante #{restaurantId}.",
+  },
+  NewOwnerHasReviewed: {
+    params: ["restaurantId", "newOwner"],
+    en: "The new owner has already reviewed restaurant #{restaurantId}.",
+    es: "El nuevo propietario ya ha reseñado el restaurante #{restaurantId}.",
+  },
+  RestaurantNotFound: {
+    params: ["restaurantId"],
+    en: "Restaurant #{restaurantId} does not exist.",
+    es: "El restaurante #{restaurantId} no existe.",
+  },
+  RestaurantNotActive: {
+    params: ["restaurantId"],
+    en: "Restaurant #{restaurantId} is currently inactive.",
+    es: "El restaurante #{restaurantId} está inactivo.",
+  },
+  ContractPaused: {
+    params: [],
+    en: "The contract is paused for maintenance; registrations, reviews and reveals are temporarily stopped.",
+    es: "El contrato está en pausa por mantenimiento; los registros, las reseñas y las revelaciones están detenidos temporalmente.",
+  },
+  RestaurantIsFrozen: {
+    params: ["restaurantId"],
+    en: "Restaurant #{restaurantId} is frozen; reviews and reveals are temporarily stopped.",
+    es: "El restaurante #{restaurantId} está congelado; las reseñas y las revelaciones están detenidas temporalmente.",
+  },
+  AlreadyReviewed: {
+    params: ["restaurantId", "user"],
+    en: "You have already reviewed restaurant #{restaurantId}.",
+    es: "Ya has reseñado el restaurante #{restaurantId}.",
+  },
+  OwnerCannotReview: {
+    params: ["restaurantId", "restaurantOwner"],
+    en: "Owners cannot review their own restaurant.",
+    es: "Los propietarios no pueden reseñar su propio restaurante.",
+  },
+  ReviewerNotEligible: {
+    params: ["restaurantId", "reviewer", "eligibility"],
+    en: "Restaurant #{restaurantId} only accepts reviews from approved reviewers, and {reviewer} is not one of them.",
+    es: "El restaurante #{restaurantId} solo acepta reseñas de usuarios aprobados, y {reviewer} no lo es.",
+  },
+  ReviewNotFound: {
+    params: ["reviewId"],
+    en: "Review #{reviewId} does not exist.",
+    es: "La reseña #{reviewId} no existe.",
+  },
+  NotReviewAuthor: {
+    params: ["reviewId", "caller"],
+    en: "Only the author of review #{reviewId} can do this.",
+    es: "Solo el autor de la reseña #{reviewId} puede hacer esto.",
+  },
+  ReviewWithdrawn: {
+    params: ["reviewId"],
+    en: "Review #{reviewId} has been retracted.",
+    es: "La reseña #{reviewId} fue retirada.",
+  },
+  ReviewAlreadyVerified: {
+    params: ["reviewId"],
+    en: "Review #{reviewId} is already verified.",
+    es: "La reseña #{reviewId} ya está verificada.",
+  },
+  ReviewIsHidden: {
+    params: ["reviewId"],
+    en: "Review #{reviewId} was hidden by a moderator; appeal the decision instead.",
+    es: "La reseña #{reviewId} fue ocultada por un moderador; apela la decisión en su lugar.",
+  },
+  NotModerationContract: {
+    params: ["caller"],
+    en: "Only the moderation contract can change the moderation status of reviews.",
+    es: "Solo el contrato de moderación puede cambiar el estado de moderación de las reseñas.",
+  },
+  NotAuthorizedToVerify: {
+    params: ["reviewId", "caller"],
+    en: "Only the restaurant owner, staff they delegated to, or a verifier can verify review #{reviewId}.",
+    es: "Solo el propietario del restaurante, el personal en quien delegó o un verificador puede verificar la reseña #{reviewId}.",
+  },
+  InvalidVisitReceipt: {
+    params: ["restaurantId", "signer"],
+    en: "This visit receipt was not issued by the owner of restaurant #{restaurantId}.",
+    es: "Este comprobante de visita no fue emitido por el propietario del restaurante #{restaurantId}.",
+  },
+  VisitReceiptNotForCaller: {
+    params: ["restaurantId", "reviewer", "caller"],
+    en: "This visit receipt for restaurant #{restaurantId} was issued to {reviewer}.",
+    es: "Este comprobante de visita del restaurante #{restaurantId} fue emitido para {reviewer}.",
+  },
+  VisitReceiptExpired: {
+    params: ["restaurantId", "expiry"],
+    en: "This visit receipt for restaurant #{restaurantId} has expired.",
+    es: "Este comprobante de visita del restaurante #{restaurantId} ha caducado.",
+  },
+  VisitReceiptAlreadyUsed: {
+    params: ["restaurantId", "nonce"],
+    en: "This visit receipt for restaurant #{restaurantId} has already been used.",
+    es: "Este comprobante de visita del restaurante #{restaurantId} ya fue utilizado.",
+  },
+  NoReviewsToCalculate: {
+    params: ["restaurantId"],
+    en: "Restaurant #{restaurantId} has no reviews yet.",
+    es: "El restaurante #{restaurantId} aún no tiene reseñas.",
+  },
+  NotEnoughReviews: {
+    params: ["restaurantId", "reviewCount", "required"],
+    en: "Restaurant #{restaurantId} needs {required} reviews before its average can be revealed (it has {reviewCount}).",
+    es: "El restaurante #{restaurantId} necesita {required} reseñas para revelar su promedio (tiene {reviewCount}).",
+  },
+  NotEnoughNewReviews: {
+    params: ["restaurantId", "reviewsNeeded"],
+    en: "Restaurant #{restaurantId} needs {reviewsNeeded} more review(s) since the last reveal.",
+    es: "El restaurante #{restaurantId} necesita {reviewsNeeded} reseña(s) más desde la última revelación.",
+  },
+  RevealAlreadyPending: {
+    params: ["restaurantId", "retryAfter"],
+    en: "A reveal for restaurant #{restaurantId} is already in progress.",
+    es: "Ya hay una revelación en curso para el restaurante #{restaurantId}.",
+  },
+  UnknownDecryptionRequest: {
+    params: ["requestId"],
+    en: "Decryption request {requestId} is unknown or was already processed.",
+    es: "La solicitud de descifrado {requestId} es desconocida o ya fue procesada.",
+  },
+  InvalidRevealThresholds: {
+    params: ["minReviewsForReveal", "minNewReviewsBetweenReveals"],
+    en: "Reveal thresholds must be positive (got {minReviewsForReveal} and {minNewReviewsBetweenReveals}).",
+    es: "Los umbrales de revelación deben ser positivos (se recibió {minReviewsForReveal} y {minNewReviewsBetweenReveals}).",
+  },
+  InvalidPageSize: {
+    params: ["limit", "maxPageSize"],
+    en: "Page size must be between 1 and {maxPageSize} (got {limit}).",
+    es: "El tamaño de página debe estar entre 1 y {maxPageSize} (se recibió {limit}).",
+  },
+  // Raised by the FHE library while checking decryption callbacks
+  InvalidKMSSignatures: {
+    params: [],
+    en: "The decryption proof is not signed by the key management service.",
+    es: "La prueba de descifrado no está firmada por el servicio de gestión de claves.",
+  },
+  NoHandleFoundForRequestID: {
+    params: [],
+    en: "No encrypted values are registered for this decryption request.",
+    es: "No hay valores cifrados registrados para esta solicitud de descifrado.",
+  },
+  HandlesAlreadySavedForRequestID: {
+    params: [],
+    en: "This decryption request was already registered.",
+    es: "Esta solicitud de descifrado ya fue registrada.",
+  },
+  // Raised by the reviewer eligibility modules in contracts/eligibility
+  NotOwner: {
+    params: ["caller"],
+    en: "Only the owner of this contract can do this.",
+    es: "Solo el propietario de este contrato puede hacer esto.",
+  },
+  InvalidAttestation: {
+    params: ["reviewer"],
+    en: "The attestation for {reviewer} is not signed by the trusted issuer.",
+    es: "La atestación de {reviewer} no está firmada por el emisor de confianza.",
+  },
+  AttestationExpired: {
+    params: ["reviewer", "expiry"],
+    en: "The attestation for {reviewer} has expired.",
+    es: "La atestación de {reviewer} ha caducado.",
+  },
+  // Raised by the review moderation contract in contracts/moderation
+  NotModerator: {
+    params: ["caller"],
+    en: "Only accounts with the moderator role can hide or restore reviews.",
+    es: "Solo las cuentas con el rol de moderador pueden ocultar o restaurar reseñas.",
+  },
+  AlreadyFlagged: {
+    params: ["reviewId", "reporter"],
+    en: "You have already reported review #{reviewId}.",
+    es: "Ya has denunciado la reseña #{reviewId}.",
+  },
+  InvalidModerationStatus: {
+    params: ["reviewId", "status"],
+    en: "Review #{reviewId} cannot take this moderation step in its current state.",
+    es: "La reseña #{reviewId} no admite este paso de moderación en su estado actual.",
+  },
+  InvalidRating: {
+    params: ["field", "value"],
+    en: `{field} must be a whole number from ${MIN_RATING} to ${MAX_RATING}.`,
+    es: `{field} debe ser un número entero del ${MIN_RATING} al ${MAX_RATING}.`,
+  },
+};
+
+// Supported language for a BCP 47 tag or POSIX locale ("es-AR", "es_ES.UTF-8"); English otherwise
+function resolveLocale(tag) {
+  const language = String(tag || "")
+    .toLowerCase()
+    .split(/[-_.]/)[0];
+  return LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+function formatMessage(errorName, args, locale) {
+  const language = resolveLocale(locale);
+  const template = ERROR_CATALOG[errorName][language];
+  return template.replace(/\{(\w+)\}/g, (placeholder, param) => {
+    if (param === "field" && RATING_FIELD_LABELS[language][args.field]) {
+      return RATING_FIELD_LABELS[language][args.field];
+    }
+    return param in args ? String(args[param]) : placeholder;
+  });
+}
+
+// Base class of every decoded error; `errorName` is the Solidity error name and `args` its named arguments
+class ContractError extends Error {
+  constructor(errorName, args = {}, cause) {
+    super(formatMessage(errorName, args, DEFAULT_LOCALE));
+    this.name = `${errorName}Error`;
+    this.errorName = errorName;
+    this.args = args;
+    if (cause !== undefined) {
+      this.cause = cause;
+    }
+  }
+
+  // The message in another supported language
+  localize(locale) {
+    return formatMessage(this.errorName, this.args, locale);
+  }
+}
+
+function defineError(errorName) {
+  const ErrorClass = class extends ContractError {
+    constructor(args, cause) {
+      super(errorName, args, cause);
+    }
+  };
+  Object.defineProperty(ErrorClass, "name", { value: `${errorName}Error` });
+  return ErrorClass;
+}
+
+// One subclass per catalog entry, so callers can use `instanceof ERRORS.AlreadyReviewed`
+const ERRORS = Object.fromEntries(Object.keys(ERROR_CATALOG).map((errorName) => [errorName, defineError(errorName)]));
+
+// A 4-byte selector followed by whole ABI words; rules out transaction hashes and addresses
+const REVERT_DATA_PATTERN = /^0x[0-9a-fA-F]{8}(?:[0-9a-fA-F]{64})*$/;
+const NESTED_ERROR_KEYS = ["error", "info", "data", "cause", "originalError"];
+const MAX_NESTING = 6;
+
+// Revert data sits at different depths depending on the ethers version, the wallet and the node
+function findRevertData(error, depth = 0) {
+  if (!error || typeof error !== "object" || depth > MAX_NESTING) {
+    return null;
+  }
+  if (typeof error.data === "string" && REVERT_DATA_PATTERN.test(error.data)) {
+    return error.data;
+  }
+  // ethers v5 JSON-RPC errors keep the node response as a string
+  if (typeof error.body === "string") {
+    try {
+      const data = findRevertData(JSON.parse(error.body), depth + 1);
+      if (data) return data;
+    } catch {
+      // Not JSON; keep looking
+    }
+  }
+  for (const key of NESTED_ERROR_KEYS) {
+    const data = findRevertData(error[key], depth + 1);
+    if (data) return data;
+  }
+  return null;
+}
+
+// uint32 arguments become numbers; larger integers stay exact as decimal strings
+function toPlainValue(value) {
+  if (typeof value === "bigint" || (value && value._isBigNumber)) {
+    const text = value.toString();
+    return Number.isSafeInteger(Number(text)) ? Number(text) : text;
+  }
+  return value;
+}
+
+function parseRevert(error, contractInterface) {
+  const data = findRevertData(error);
+  if (data && contractInterface) {
+    try {
+      // ethers v6 returns null for unknown selectors, v5 throws
+      const parsed = contractInterface.parseError(data);
+      if (parsed) return parsed;
+    } catch {
+      // Not one of our errors
+    }
+  }
+  // ethers v6 contract calls already decode the revert
+  return error && error.revert ? error.revert : null;
+}
+
+// Typed error for a failed call or transaction, or null when the revert is not one of ours
+function decodeContractError(error, contractInterface) {
+  if (error instanceof ContractError) {
+    return error;
+  }
+
+  const revert = parseRevert(error, contractInterface);
+  if (!revert || !ERRORS[revert.name]) {
+    return null;
+  }
+
+  const args = {};
+  ERROR_CATALOG[revert.name].params.forEach((param, index) => {
+    args[param] = toPlainValue(revert.args[index]);
+  });
+  return new ERRORS[revert.name](args, error);
+}
+
+// One line describing any error: the localized contract error when decodable, the ethers summary otherwise
+function formatContractError(error, contractInterface, locale = DEFAULT_LOCALE) {
+  const decoded = decodeContractError(error, contractInterface);
+  if (decoded) {
+    return decoded.localize(locale);
+  }
+  if (!error) {
+    return "Unknown error";
+  }
+  return error.shortMessage || error.reason || error.message || String(error);
+}
+
+// Parse ratings typed by a user (numbers or strings) and check the 1-10 range before encrypting them
+function parseRatings(ratings) {
+  const parsed = {};
+  for (const field of RATING_FIELDS) {
+    const value = Number(ratings[field]);
+    if (!Number.isInteger(value) || value < MIN_RATING || value > MAX_RATING) {
+      throw new ERRORS.InvalidRating({ field, value: ratings[field] });
+    }
+    parsed[field] = value;
+  }
+  return parsed;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  MIN_RATING,
+  MAX_RATING,
+  RATING_FIELDS,
+  ERROR_CATALOG,
+  ERRORS,
+  ContractError,
+  resolveLocale,
+  findRevertData,
+  decodeContractError,
+  formatContractError,
+  parseRatings,
+};
+    return module.exports;
+  })({ exports: {} }),
+};
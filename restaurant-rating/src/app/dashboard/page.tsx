@@ -0,0 +1,265 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useWallet } from '@/hooks/useWallet';
+import { useOwnerDashboard } from '@/hooks/useOwnerDashboard';
+import WalletPicker from '@/components/WalletPicker';
+import { DEFAULT_CHAIN_ID, getChainName } from '@/lib/chains';
+import { getFriendlyErrorMessage } from '@/lib/errors';
+import { shortAddress } from '@/lib/restaurants';
+import { StatusMessage } from '@/types';
+
+export default function OwnerDashboard() {
+  const { walletState, provider, isWrongNetwork, switchNetwork } = useWallet();
+  const {
+    isLoading,
+    restaurants,
+    pendingReviews,
+    reviewVolume,
+    summaryHistory,
+    isPending,
+    loadDashboard,
+    verifyReviews,
+    toggleStatus,
+  } = useOwnerDashboard(provider);
+
+  const [showWalletPicker, setShowWalletPicker] = useState(false);
+  const [selected, setSelected] = useState<number[]>([]);
+  // Bulk verification sends one transaction at a time; keep the button disabled in between
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [status, setStatus] = useState<StatusMessage | null>(null);
+
+  useEffect(() => {
+    if (!provider) return;
+    setSelected([]);
+    loadDashboard().catch((error: any) => {
+      console.error('Error loading dashboard:', error);
+      setStatus({ message: `Failed to load your restaurants: ${getFriendlyErrorMessage(error)}`, type: 'error' });
+    });
+  }, [provider, loadDashboard]);
+
+  const restaurantName = (restaurantId: number) =>
+    restaurants.find((restaurant) => restaurant.id === restaurantId)?.name ?? `Restaurant #${restaurantId}`;
+
+  const toggleSelected = (reviewId: number) => {
+    setSelected((current) =>
+      current.includes(reviewId) ? current.filter((id) => id !== reviewId) : [...current, reviewId]
+    );
+  };
+
+  const allSelected = pendingReviews.length > 0 && selected.length === pendingReviews.length;
+
+  const handleVerifySelected = async () => {
+    const reviewIds = [...selected];
+    let verified = 0;
+    setIsVerifying(true);
+    try {
+      setStatus({
+        message: `Verifying ${reviewIds.length} review(s); confirm each transaction in your wallet...`,
+        type: 'info',
+      });
+      await verifyReviews(reviewIds, (count) => {
+        verified = count;
+        setSelected((current) => current.filter((id) => id !== reviewIds[count - 1]));
+        setStatus({ message: `Verified ${count} of ${reviewIds.length} review(s)...`, type: 'info' });
+      });
+      setStatus({ message: `Verified ${reviewIds.length} review(s)`, type: 'success' });
+    } catch (error: any) {
+      console.error('Error verifying reviews:', error);
+      setStatus({
+        message: `Stopped after ${verified} of ${reviewIds.length} review(s): ${getFriendlyErrorMessage(error)}`,
+        type: 'error',
+      });
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const handleToggleStatus = async (restaurantId: number, isActive: boolean) => {
+    try {
+      setStatus({ message: isActive ? 'Deactivating restaurant...' : 'Activating restaurant...', type: 'info' });
+      await toggleStatus(restaurantId);
+      setStatus({ message: isActive ? 'Restaurant deactivated' : 'Restaurant activated', type: 'success' });
+    } catch (error: any) {
+      console.error('Error toggling restaurant status:', error);
+      setStatus({ message: `Failed to change status: ${getFriendlyErrorMessage(error)}`, type: 'error' });
+    }
+  };
+
+  return (
+    <div className="container py-5">
+      <div className="text-white mb-8">
+        <Link href="/" className="underline opacity-90">
+          ← All restaurants
+        </Link>
+        <h1 className="text-4xl font-bold mt-3 drop-shadow-lg">🏪 Owner Dashboard</h1>
+      </div>
+
+      {!walletState.isConnected ? (
+        <div className="card text-center">
+          <p className="text-gray-600 mb-4">Connect the wallet that owns your restaurants.</p>
+          <button className="btn btn-secondary max-w-md" onClick={() => setShowWalletPicker(true)}>
+            Connect Wallet
+          </button>
+        </div>
+      ) : isWrongNetwork ? (
+        <div className="status error max-w-2xl mx-auto">
+          <strong>Wrong network:</strong> {getChainName(walletState.chainId!)} ({walletState.chainId}) has no
+          deployment of this app.
+          <br />
+          <button
+            className="btn btn-secondary max-w-md mt-3"
+            onClick={() => switchNetwork().catch((error) => console.error('Failed to switch network:', error))}
+          >
+            Switch to {getChainName(DEFAULT_CHAIN_ID)}
+          </button>
+        </div>
+      ) : (
+        <>
+          {status && <div className={`status ${status.type} mb-6`}>{status.message}</div>}
+
+          {restaurants.length === 0 ? (
+            <div className="card text-center text-gray-600">
+              {isLoading ? 'Loading your restaurants...' : `${shortAddress(walletState.address!)} owns no restaurants.`}
+            </div>
+          ) : (
+            <>
+              {/* Pending reviews */}
+              <div className="card mb-8">
+                <h2 className="text-2xl font-semibold mb-6 text-gray-800 border-b-2 border-cyan-500 pb-3">
+                  ⏳ Pending Verification ({pendingReviews.length})
+                </h2>
+                {pendingReviews.length === 0 ? (
+                  <p className="text-gray-600">Every review of your restaurants is verified.</p>
+                ) : (
+                  <>
+                    <div className="flex justify-between items-center mb-4">
+                      <label className="text-gray-700 text-sm">
+                        <input
+                          type="checkbox"
+                          className="mr-2"
+                          checked={allSelected}
+                          onChange={() => setSelected(allSelected ? [] : pendingReviews.map((review) => review.id))}
+                        />
+                        Select all
+                      </label>
+                      <button
+                        className="review-btn"
+                        disabled={isVerifying || selected.length === 0}
+                        onClick={handleVerifySelected}
+                      >
+                        Verify Selected ({selected.length})
+                      </button>
+                    </div>
+                    <div className="space-y-3">
+                      {pendingReviews.map((review) => (
+                        <label key={review.id} className="restaurant-item flex gap-3 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={selected.includes(review.id)}
+                            onChange={() => toggleSelected(review.id)}
+                          />
+                          <div className="flex-1">
+                            <div className="flex justify-between text-sm text-gray-700 mb-1">
+                              <strong>{restaurantName(review.restaurantId)}</strong>
+                              <span>
+                                Review #{review.id} · {shortAddress(review.reviewer)} ·{' '}
+                                {new Date(review.timestamp * 1000).toLocaleDateString()}
+                              </span>
+                            </div>
+                            {review.comment && (
+                              <p className="text-gray-700 italic">&ldquo;{review.comment}&rdquo;</p>
+                            )}
+                          </div>
+                        </label>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
+
+              {/* Per-restaurant stats */}
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                {restaurants.map((restaurant) => {
+                  const volume = reviewVolume[restaurant.id] ?? [];
+                  const peak = Math.max(1, ...volume.map((point) => point.count));
+                  const history = summaryHistory[restaurant.id] ?? [];
+
+                  return (
+                    <div key={restaurant.id} className="card">
+                      <div className="flex justify-between items-start mb-2">
+                        <h2 className="text-2xl font-semibold text-gray-800">
+                          <Link href={`/restaurants/${restaurant.id}`} className="hover:underline">
+                            {restaurant.name}
+                          </Link>
+                        </h2>
+                        <span>{restaurant.isActive ? '✅ Active' : '❌ Inactive'}</span>
+                      </div>
+                      <div className="text-gray-600 italic mb-3">📍 {restaurant.location}</div>
+                      <div className="text-gray-700 text-sm mb-4">
+                        Reviews: {restaurant.totalReviews}
+                        {restaurant.averageRating !== null && ` · Average: ${restaurant.averageRating.toFixed(2)} / 10`}
+                      </div>
+                      <button
+                        className="btn btn-secondary max-w-xs mb-6"
+                        disabled={isPending(`toggle:${restaurant.id}`)}
+                        onClick={() => handleToggleStatus(restaurant.id, restaurant.isActive)}
+                      >
+                        {restaurant.isActive ? 'Deactivate' : 'Activate'}
+                      </button>
+
+                      <h3 className="text-lg font-semibold text-gray-800 mb-2">📈 Reviews per day</h3>
+                      {volume.length === 0 ? (
+                        <p className="text-gray-500 text-sm mb-6">No reviews yet.</p>
+                      ) : (
+                        <div className="space-y-1 mb-6">
+                          {volume.map((point) => (
+                            <div key={point.date} className="flex items-center gap-2 text-sm text-gray-700">
+                              <span className="w-24 shrink-0">{point.date}</span>
+                              <div
+                                className="bg-cyan-500 h-3 rounded"
+                                style={{ width: `${(point.count / peak) * 100}%` }}
+                              />
+                              <span>{point.count}</span>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+
+                      <h3 className="text-lg font-semibold text-gray-800 mb-2">📊 Published summaries</h3>
+                      {history.length === 0 ? (
+                        <p className="text-gray-500 text-sm">No average has been published yet.</p>
+                      ) : (
+                        <table className="w-full text-sm text-gray-700">
+                          <thead>
+                            <tr className="text-left border-b">
+                              <th className="py-1">Published</th>
+                              <th className="py-1">Average</th>
+                              <th className="py-1">Reviews</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {history.map((entry) => (
+                              <tr key={entry.transactionHash} className="border-b last:border-0">
+                                <td className="py-1">{new Date(entry.publishedAt * 1000).toLocaleString()}</td>
+                                <td className="py-1">{entry.averageRating.toFixed(2)} / 10</td>
+                                <td className="py-1">{entry.reviewCount}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </>
+          )}
+        </>
+      )}
+
+      {showWalletPicker && <WalletPicker onClose={() => setShowWalletPicker(false)} />}
+    </div>
+  );
+}
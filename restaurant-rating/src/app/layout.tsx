@@ -1,4 +1,8 @@
 import type { Metadata } from 'next';
+import FhevmProvider from '@/components/FhevmProvider';
+import PauseBanner from '@/components/PauseBanner';
+import TransactionProvider from '@/components/TransactionProvider';
+import WalletProvider from '@/components/WalletProvider';
 import './globals.css';
 
 export const metadata: Metadata = {
@@ -17,8 +21,14 @@ export default function RootLayout({
   return (
     <html lang="en">
       <body>
-        <script src="https://unpkg.com/fhevmjs@0.5.8/lib/web/fhevm.min.js" async />
-        {children}
+        <WalletProvider>
+          <FhevmProvider>
+            <TransactionProvider>
+              <PauseBanner />
+              {children}
+            </TransactionProvider>
+          </FhevmProvider>
+        </WalletProvider>
       </body>
     </html>
   );
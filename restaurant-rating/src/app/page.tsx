@@ -1,14 +1,36 @@
 'use client';
 
 import { useState, useEffect } from 'react';
+import Link from 'next/link';
 import { useWallet } from '@/hooks/useWallet';
 import { useRestaurant } from '@/hooks/useRestaurant';
-import { initFHEVM } from '@/lib/fhevm';
-import { Restaurant, ReviewFormData, StatusMessage } from '@/types';
+import { useRestaurantQuery } from '@/hooks/useRestaurantQuery';
+import MyReviews from '@/components/MyReviews';
+import RestaurantFilters from '@/components/RestaurantFilters';
+import WalletPicker from '@/components/WalletPicker';
+import { useFhevm } from '@/hooks/useFhevm';
+import { DEFAULT_CHAIN_ID, getChainName } from '@/lib/chains';
+import { getFriendlyErrorMessage, parseRatings } from '@/lib/errors';
+import { getRevealBlocker } from '@/lib/restaurants';
+import { ReviewFormData, StatusMessage } from '@/types';
 
 export default function Home() {
-  const { walletState, provider, connectWallet } = useWallet();
-  const { isLoading, restaurants, registerRestaurant, submitReview, loadRestaurants, checkHasReviewed } = useRestaurant(provider);
+  const { walletState, provider, connector, isWrongNetwork, disconnectWallet, switchNetwork } = useWallet();
+  const { query, setQuery, resetQuery } = useRestaurantQuery();
+  const {
+    isLoading,
+    restaurants,
+    visibleRestaurants,
+    revealThresholds,
+    isPending,
+    registerRestaurant,
+    submitReview,
+    loadRestaurants,
+    revealAverage,
+  } = useRestaurant(provider, query);
+  const { status: fhevmStatus, error: fhevmError, waitForReady, retry: retryFhevm } = useFhevm();
+
+  const [showWalletPicker, setShowWalletPicker] = useState(false);
 
   // Form states
   const [restaurantName, setRestaurantName] = useState('');
@@ -24,41 +46,19 @@ export default function Home() {
   // Status states
   const [registerStatus, setRegisterStatus] = useState<StatusMessage | null>(null);
   const [reviewStatus, setReviewStatus] = useState<StatusMessage | null>(null);
-  const [reviewedRestaurants, setReviewedRestaurants] = useState<Set<number>>(new Set());
+  const [revealStatus, setRevealStatus] = useState<StatusMessage | null>(null);
 
   useEffect(() => {
     if (walletState.isConnected && provider) {
-      initFHEVM().catch(console.error);
       loadRestaurants().catch(console.error);
     }
   }, [walletState.isConnected, provider, loadRestaurants]);
 
-  useEffect(() => {
-    // Check which restaurants the user has reviewed
-    if (walletState.isConnected && walletState.address && restaurants.length > 0) {
-      const checkReviews = async () => {
-        const reviewed = new Set<number>();
-        for (const restaurant of restaurants) {
-          try {
-            const hasReviewed = await checkHasReviewed(restaurant.id, walletState.address!);
-            if (hasReviewed) {
-              reviewed.add(restaurant.id);
-            }
-          } catch (error) {
-            console.error(`Error checking review status for restaurant ${restaurant.id}:`, error);
-          }
-        }
-        setReviewedRestaurants(reviewed);
-      };
-      checkReviews();
-    }
-  }, [walletState, restaurants, checkHasReviewed]);
-
-  const handleConnectWallet = async () => {
+  const handleSwitchNetwork = async () => {
     try {
-      await connectWallet();
+      await switchNetwork();
     } catch (error: any) {
-      console.error('Failed to connect wallet:', error);
+      console.error('Failed to switch network:', error);
     }
   };
 
@@ -84,27 +84,15 @@ export default function Home() {
       setRegisterStatus({ message: 'Restaurant registered successfully!', type: 'success' });
       setRestaurantName('');
       setRestaurantLocation('');
-
-      // Reload restaurants after a delay
-      setTimeout(() => {
-        loadRestaurants().catch(console.error);
-      }, 2000);
     } catch (error: any) {
       console.error('Error registering restaurant:', error);
-      setRegisterStatus({ message: `Failed to register restaurant: ${error.message}`, type: 'error' });
+      setRegisterStatus({ message: `Failed to register restaurant: ${getFriendlyErrorMessage(error)}`, type: 'error' });
     }
   };
 
   const handleSubmitReview = async () => {
     try {
       const restaurantId = parseInt(reviewRestaurantId);
-      const ratings = {
-        foodQuality: parseInt(foodQuality),
-        service: parseInt(service),
-        atmosphere: parseInt(atmosphere),
-        priceValue: parseInt(priceValue),
-        overallRating: parseInt(overallRating),
-      };
 
       // Validation
       if (!restaurantId || restaurantId < 1) {
@@ -112,19 +100,16 @@ export default function Home() {
         return;
       }
 
-      const allRatings = [ratings.foodQuality, ratings.service, ratings.atmosphere, ratings.priceValue, ratings.overallRating];
-      for (const rating of allRatings) {
-        if (!rating || rating < 1 || rating > 10) {
-          setReviewStatus({ message: 'All ratings must be between 1-10', type: 'error' });
-          return;
-        }
-      }
+      const ratings = parseRatings({ foodQuality, service, atmosphere, priceValue, overallRating });
 
       if (!provider) {
         setReviewStatus({ message: 'Please connect your wallet first', type: 'error' });
         return;
       }
 
+      setReviewStatus({ message: 'Preparing encryption...', type: 'info' });
+      await waitForReady();
+
       setReviewStatus({ message: 'Submitting encrypted review...', type: 'info' });
 
       const reviewData: ReviewFormData = {
@@ -147,7 +132,28 @@ export default function Home() {
       setReviewComment('');
     } catch (error: any) {
       console.error('Error submitting review:', error);
-      setReviewStatus({ message: `Failed to submit review: ${error.message}`, type: 'error' });
+      setReviewStatus({ message: `Failed to submit review: ${getFriendlyErrorMessage(error)}`, type: 'error' });
+    }
+  };
+
+  const handleRevealAverage = async (restaurantId: number) => {
+    try {
+      if (!provider) {
+        setRevealStatus({ message: 'Please connect your wallet first', type: 'error' });
+        return;
+      }
+
+      setRevealStatus({ message: 'Requesting average reveal...', type: 'info' });
+
+      await revealAverage(restaurantId);
+
+      setRevealStatus({
+        message: 'Reveal requested! The average will be published once decryption completes.',
+        type: 'success',
+      });
+    } catch (error: any) {
+      console.error('Error requesting reveal:', error);
+      setRevealStatus({ message: `Failed to request reveal: ${getFriendlyErrorMessage(error)}`, type: 'error' });
     }
   };
 
@@ -175,15 +181,47 @@ export default function Home() {
       <div className="text-center text-white mb-8">
         {!walletState.isConnected ? (
           <div className="bg-white/10 backdrop-blur-sm rounded-xl p-4">
-            <button className="btn btn-secondary max-w-md" onClick={handleConnectWallet}>
+            <button className="btn btn-secondary max-w-md" onClick={() => setShowWalletPicker(true)}>
               Connect Wallet
             </button>
           </div>
+        ) : isWrongNetwork ? (
+          <div className="status error max-w-2xl mx-auto">
+            <strong>Wrong network:</strong> {getChainName(walletState.chainId!)} ({walletState.chainId}) has no
+            deployment of this app.
+            <br />
+            <button className="btn btn-secondary max-w-md mt-3" onClick={handleSwitchNetwork}>
+              Switch to {getChainName(DEFAULT_CHAIN_ID)}
+            </button>
+            <button className="underline text-sm" onClick={disconnectWallet}>
+              Disconnect
+            </button>
+          </div>
         ) : (
           <div className="status success max-w-2xl mx-auto">
             <strong>Connected:</strong> {walletState.address?.substring(0, 6)}...{walletState.address?.substring(38)}
+            {connector && ` via ${connector.name}`}{' '}
+            <button className="underline text-sm" onClick={disconnectWallet}>
+              Disconnect
+            </button>
             <br />
-            <strong>Network:</strong> Chain ID {walletState.chainId}
+            <strong>Network:</strong> {getChainName(walletState.chainId!)} ({walletState.chainId})
+            {' · '}
+            <Link href="/dashboard" className="underline">
+              Owner dashboard
+            </Link>
+            <br />
+            <strong>Encryption:</strong>{' '}
+            {fhevmStatus === 'ready' && 'Ready'}
+            {(fhevmStatus === 'idle' || fhevmStatus === 'loading') && 'Initializing...'}
+            {fhevmStatus === 'error' && (
+              <>
+                {fhevmError?.message}{' '}
+                <button className="underline" onClick={retryFhevm}>
+                  Retry
+                </button>
+              </>
+            )}
           </div>
         )}
       </div>
@@ -224,9 +262,9 @@ export default function Home() {
           <button
             className="btn"
             onClick={handleRegisterRestaurant}
-            disabled={isLoading}
+            disabled={isPending('register')}
           >
-            Register Restaurant
+            {isPending('register') ? 'Registering...' : 'Register Restaurant'}
           </button>
           {registerStatus && (
             <div className={`status ${registerStatus.type}`}>
@@ -342,7 +380,7 @@ export default function Home() {
           <button
             className="btn"
             onClick={handleSubmitReview}
-            disabled={isLoading}
+            disabled={isPending(`review:${reviewRestaurantId}`) || fhevmStatus === 'error'}
           >
             Submit Review
           </button>
@@ -366,16 +404,28 @@ export default function Home() {
         >
           Load Restaurants
         </button>
+        <RestaurantFilters query={query} onChange={setQuery} onReset={resetQuery} />
+        {revealStatus && (
+          <div className={`status ${revealStatus.type}`}>
+            {revealStatus.message}
+          </div>
+        )}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-5 mt-5">
           {restaurants.length === 0 ? (
             <p className="text-gray-600 col-span-full text-center py-8">
               No restaurants found. {walletState.isConnected ? 'Click "Load Restaurants" to fetch data.' : 'Please connect your wallet first.'}
             </p>
+          ) : visibleRestaurants.length === 0 ? (
+            <p className="text-gray-600 col-span-full text-center py-8">
+              No restaurants match these filters ({restaurants.length} loaded).
+            </p>
           ) : (
-            restaurants.map((restaurant) => (
+            visibleRestaurants.map((restaurant) => (
               <div key={restaurant.id} className="restaurant-item">
                 <h3 className="text-xl font-semibold text-gray-800 mb-2">
-                  {restaurant.name}
+                  <Link href={`/restaurants/${restaurant.id}`} className="hover:underline">
+                    {restaurant.name}
+                  </Link>
                 </h3>
                 <div className="text-gray-600 italic mb-2">
                   📍 {restaurant.location}
@@ -390,7 +440,25 @@ export default function Home() {
                   </span>
                   <span>{restaurant.isActive ? '✅ Active' : '❌ Inactive'}</span>
                 </div>
-                {reviewedRestaurants.has(restaurant.id) ? (
+                <div className="text-gray-700 text-sm mb-3">
+                  {restaurant.averageRating !== null
+                    ? `Average: ${restaurant.averageRating.toFixed(2)} / 10 (from ${restaurant.revealedReviewCount} reviews)`
+                    : 'Average: not revealed yet'}
+                </div>
+                <button
+                  className="review-btn mb-2"
+                  onClick={() => handleRevealAverage(restaurant.id)}
+                  disabled={isPending(`reveal:${restaurant.id}`) || getRevealBlocker(restaurant, revealThresholds) !== null}
+                  title={getRevealBlocker(restaurant, revealThresholds) ?? undefined}
+                >
+                  Reveal Average
+                </button>
+                {getRevealBlocker(restaurant, revealThresholds) && (
+                  <div className="text-gray-500 text-xs mb-3">
+                    {getRevealBlocker(restaurant, revealThresholds)}
+                  </div>
+                )}
+                {restaurant.hasReviewed ? (
                   <div className="status info text-sm">
                     You have already reviewed this restaurant
                   </div>
@@ -407,6 +475,10 @@ export default function Home() {
           )}
         </div>
       </div>
+
+      {walletState.isConnected && <MyReviews provider={provider} restaurants={restaurants} />}
+
+      {showWalletPicker && <WalletPicker onClose={() => setShowWalletPicker(false)} />}
     </div>
   );
 }
@@ -0,0 +1,270 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { useParams } from 'next/navigation';
+import { useWallet } from '@/hooks/useWallet';
+import { useRestaurantDetail } from '@/hooks/useRestaurantDetail';
+import ReviewForm from '@/components/ReviewForm';
+import WalletPicker from '@/components/WalletPicker';
+import { DEFAULT_CHAIN_ID, getChainName } from '@/lib/chains';
+import { getFriendlyErrorMessage } from '@/lib/errors';
+import { getRevealBlocker, shortAddress } from '@/lib/restaurants';
+import { StatusMessage } from '@/types';
+
+export default function RestaurantPage() {
+  const params = useParams<{ id: string }>();
+  const restaurantId = Number(params.id);
+  const isValidId = Number.isInteger(restaurantId) && restaurantId > 0;
+
+  const { walletState, provider, isWrongNetwork, switchNetwork } = useWallet();
+  const {
+    restaurant,
+    reviews,
+    summary,
+    revealThresholds,
+    canVerify,
+    isFrozen,
+    isPending,
+    loadRestaurant,
+    submitReview,
+    revealAverage,
+    verifyReview,
+    toggleStatus,
+  } = useRestaurantDetail(provider, restaurantId);
+
+  const [showWalletPicker, setShowWalletPicker] = useState(false);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [actionStatus, setActionStatus] = useState<StatusMessage | null>(null);
+
+  useEffect(() => {
+    if (!provider || !isValidId) return;
+    setLoadError(null);
+    loadRestaurant().catch((error: any) => {
+      console.error('Error loading restaurant:', error);
+      setLoadError(getFriendlyErrorMessage(error));
+    });
+  }, [provider, isValidId, loadRestaurant]);
+
+  const userAddress = walletState.address?.toLowerCase();
+  const isRestaurantOwner = !!restaurant && restaurant.owner.toLowerCase() === userAddress;
+  const revealBlocker = restaurant ? getRevealBlocker(restaurant, revealThresholds) : null;
+
+  // Run an owner or reveal action and report its outcome in one status line
+  const runAction = async (pending: string, success: string, action: () => Promise<unknown>) => {
+    try {
+      setActionStatus({ message: pending, type: 'info' });
+      await action();
+      setActionStatus({ message: success, type: 'success' });
+    } catch (error: any) {
+      console.error('Restaurant action failed:', error);
+      setActionStatus({ message: `Failed: ${getFriendlyErrorMessage(error)}`, type: 'error' });
+    }
+  };
+
+  const renderWalletGate = () => {
+    if (!walletState.isConnected) {
+      return (
+        <div className="card text-center">
+          <p className="text-gray-600 mb-4">Connect your wallet to view this restaurant.</p>
+          <button className="btn btn-secondary max-w-md" onClick={() => setShowWalletPicker(true)}>
+            Connect Wallet
+          </button>
+        </div>
+      );
+    }
+    if (isWrongNetwork) {
+      return (
+        <div className="status error max-w-2xl mx-auto">
+          <strong>Wrong network:</strong> {getChainName(walletState.chainId!)} ({walletState.chainId}) has no
+          deployment of this app.
+          <br />
+          <button
+            className="btn btn-secondary max-w-md mt-3"
+            onClick={() => switchNetwork().catch((error) => console.error('Failed to switch network:', error))}
+          >
+            Switch to {getChainName(DEFAULT_CHAIN_ID)}
+          </button>
+        </div>
+      );
+    }
+    return null;
+  };
+
+  const walletGate = renderWalletGate();
+
+  return (
+    <div className="container py-5">
+      <div className="text-white mb-8">
+        <Link href="/" className="underline opacity-90">
+          ← All restaurants
+        </Link>
+      </div>
+
+      {!isValidId ? (
+        <div className="status error max-w-2xl mx-auto">Invalid restaurant ID: {params.id}</div>
+      ) : walletGate ? (
+        walletGate
+      ) : loadError ? (
+        <div className="status error max-w-2xl mx-auto">{loadError}</div>
+      ) : !restaurant ? (
+        <div className="card text-center text-gray-600">Loading restaurant #{restaurantId}...</div>
+      ) : (
+        <>
+          {isFrozen && (
+            <div className="status warning mb-6">
+              🧊 This restaurant is frozen by the platform. Its reviews stay readable, but new reviews, edits and
+              average reveals are stopped until the freeze is lifted.
+            </div>
+          )}
+
+          {/* Restaurant header */}
+          <div className="card mb-8">
+            <div className="flex justify-between items-start mb-2">
+              <h1 className="text-3xl font-bold text-gray-800">{restaurant.name}</h1>
+              <span className="text-gray-500">ID: {restaurant.id}</span>
+            </div>
+            <div className="text-gray-600 italic mb-4">📍 {restaurant.location}</div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-2 text-gray-700 text-sm">
+              <span>Owner: {shortAddress(restaurant.owner)}{isRestaurantOwner && ' (you)'}</span>
+              <span>Registered: {new Date(restaurant.createdAt * 1000).toLocaleDateString()}</span>
+              <span>{restaurant.isActive ? '✅ Active' : '❌ Inactive'}</span>
+            </div>
+            {isRestaurantOwner && (
+              <button
+                className="btn btn-secondary max-w-xs mt-4"
+                disabled={isPending(`toggle:${restaurant.id}`)}
+                onClick={() =>
+                  runAction(
+                    restaurant.isActive ? 'Deactivating restaurant...' : 'Activating restaurant...',
+                    restaurant.isActive ? 'Restaurant deactivated' : 'Restaurant activated',
+                    toggleStatus
+                  )
+                }
+              >
+                {restaurant.isActive ? 'Deactivate Restaurant' : 'Activate Restaurant'}
+              </button>
+            )}
+            {actionStatus && <div className={`status ${actionStatus.type}`}>{actionStatus.message}</div>}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+            {/* Rating summary */}
+            <div className="card">
+              <h2 className="text-2xl font-semibold mb-6 text-gray-800 border-b-2 border-cyan-500 pb-3">
+                📊 Rating Summary
+              </h2>
+              {summary ? (
+                <>
+                  <div className="text-4xl font-bold text-gray-800 mb-1">{summary.averageRating.toFixed(2)} / 10</div>
+                  <div className="text-gray-600 text-sm mb-4">
+                    From {summary.reviewCount} reviews, published{' '}
+                    {new Date(summary.publishedAt * 1000).toLocaleString()}
+                  </div>
+                  <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm text-gray-700 mb-4">
+                    <div className="flex justify-between">
+                      <span>Food Quality:</span>
+                      <strong>{summary.categoryAverages.foodQuality.toFixed(2)}</strong>
+                    </div>
+                    <div className="flex justify-between">
+                      <span>Service:</span>
+                      <strong>{summary.categoryAverages.service.toFixed(2)}</strong>
+                    </div>
+                    <div className="flex justify-between">
+                      <span>Atmosphere:</span>
+                      <strong>{summary.categoryAverages.atmosphere.toFixed(2)}</strong>
+                    </div>
+                    <div className="flex justify-between">
+                      <span>Price/Value:</span>
+                      <strong>{summary.categoryAverages.priceValue.toFixed(2)}</strong>
+                    </div>
+                  </div>
+                </>
+              ) : (
+                <p className="text-gray-600 mb-4">No average has been published yet.</p>
+              )}
+              <button
+                className="review-btn"
+                disabled={isPending(`reveal:${restaurant.id}`) || revealBlocker !== null || isFrozen}
+                title={revealBlocker ?? undefined}
+                onClick={() =>
+                  runAction(
+                    'Requesting average reveal...',
+                    'Reveal requested! The average will be published once decryption completes.',
+                    revealAverage
+                  )
+                }
+              >
+                Request Average
+              </button>
+              {revealBlocker && <div className="text-gray-500 text-xs mt-2">{revealBlocker}</div>}
+            </div>
+
+            {/* Review form */}
+            <div className="card">
+              <h2 className="text-2xl font-semibold mb-6 text-gray-800 border-b-2 border-cyan-500 pb-3">
+                ⭐ Write a Review
+              </h2>
+              {isRestaurantOwner ? (
+                <div className="status info">Owners cannot review their own restaurant</div>
+              ) : restaurant.hasReviewed ? (
+                <div className="status info">You have already reviewed this restaurant</div>
+              ) : !restaurant.isActive ? (
+                <div className="status info">This restaurant is not accepting reviews</div>
+              ) : isFrozen ? (
+                <div className="status info">This restaurant is frozen and not accepting reviews</div>
+              ) : (
+                <ReviewForm disabled={isPending(`review:${restaurant.id}`)} onSubmit={submitReview} />
+              )}
+            </div>
+          </div>
+
+          {/* Reviews */}
+          <div className="card">
+            <h2 className="text-2xl font-semibold mb-6 text-gray-800 border-b-2 border-cyan-500 pb-3">
+              💬 Reviews ({reviews.length})
+            </h2>
+            {reviews.length === 0 ? (
+              <p className="text-gray-600 text-center py-8">No reviews yet.</p>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+                {reviews.map((review) => (
+                  <div key={review.id} className="restaurant-item">
+                    <div className="flex justify-between items-start mb-2">
+                      <span className="text-gray-800 font-medium">
+                        {shortAddress(review.reviewer)}
+                        {review.reviewer.toLowerCase() === userAddress && ' (you)'}
+                      </span>
+                      {review.isVerified && <span className="text-sm">✅ Verified</span>}
+                    </div>
+                    <div className="text-gray-600 text-sm mb-2">
+                      {new Date(review.timestamp * 1000).toLocaleString()}
+                      {review.editCount > 0 && ` · edited ${review.editCount}×`}
+                    </div>
+                    {review.comment && <p className="text-gray-700 italic mb-3">&ldquo;{review.comment}&rdquo;</p>}
+                    <div className="text-gray-500 text-sm mb-2">Scores encrypted 🔒</div>
+                    {canVerify && !review.isVerified && (
+                      <button
+                        className="review-btn"
+                        disabled={isPending(`verify:${review.id}`)}
+                        onClick={() =>
+                          runAction('Verifying review...', `Review #${review.id} verified`, () =>
+                            verifyReview(review.id)
+                          )
+                        }
+                      >
+                        Verify
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      {showWalletPicker && <WalletPicker onClose={() => setShowWalletPicker(false)} />}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+'use client';
+
+import { createContext, ReactNode, useCallback, useEffect, useRef, useState } from 'react';
+import type { FhevmInstance } from '@zama-fhe/relayer-sdk/web';
+import { useWallet } from '@/hooks/useWallet';
+import { initFHEVM } from '@/lib/fhevm';
+
+export type FhevmStatus = 'idle' | 'loading' | 'ready' | 'error';
+
+export interface FhevmContextValue {
+  instance: FhevmInstance | null;
+  status: FhevmStatus;
+  error: Error | null;
+  chainId: number | null;
+  // Resolves with the instance for the wallet's chain once it is ready; rejects if initialization fails
+  waitForReady: () => Promise<FhevmInstance>;
+  retry: () => void;
+}
+
+export const FhevmContext = createContext<FhevmContextValue | null>(null);
+
+interface FhevmState {
+  instance: FhevmInstance | null;
+  status: FhevmStatus;
+  error: Error | null;
+}
+
+// Must be rendered inside WalletProvider; follows the connected wallet's chain
+export default function FhevmProvider({ children }: { children: ReactNode }) {
+  const { walletState, ethereum } = useWallet();
+  const chainId = walletState.chainId;
+  const [state, setState] = useState<FhevmState>({ instance: null, status: 'idle', error: null });
+  const [attempt, setAttempt] = useState(0);
+  const initPromise = useRef<Promise<FhevmInstance> | null>(null);
+
+  useEffect(() => {
+    if (chainId === null || !ethereum) {
+      initPromise.current = null;
+      setState({ instance: null, status: 'idle', error: null });
+      return;
+    }
+
+    let cancelled = false;
+    setState({ instance: null, status: 'loading', error: null });
+
+    const promise = initFHEVM(chainId, ethereum);
+    initPromise.current = promise;
+    promise.then(
+      (instance) => {
+        if (!cancelled) setState({ instance, status: 'ready', error: null });
+      },
+      (error: Error) => {
+        console.error('Failed to initialize FHEVM:', error);
+        if (!cancelled) setState({ instance: null, status: 'error', error });
+      }
+    );
+
+    return () => {
+      cancelled = true;
+    };
+  }, [chainId, ethereum, attempt]);
+
+  const waitForReady = useCallback(() => {
+    if (!initPromise.current) {
+      return Promise.reject(new Error('Connect a wallet to initialize FHEVM'));
+    }
+    return initPromise.current;
+  }, []);
+
+  const retry = useCallback(() => setAttempt((current) => current + 1), []);
+
+  return (
+    <FhevmContext.Provider value={{ ...state, chainId, waitForReady, retry }}>{children}</FhevmContext.Provider>
+  );
+}
@@ -0,0 +1,125 @@
+'use client';
+
+import { useState } from 'react';
+import { BrowserProvider } from 'ethers';
+import { useFhevm } from '@/hooks/useFhevm';
+import { useMyReviews } from '@/hooks/useMyReviews';
+import { getFriendlyErrorMessage } from '@/lib/errors';
+import { ModerationStatus, Restaurant, ReviewRatings, StatusMessage } from '@/types';
+
+const RATING_LABELS: [keyof ReviewRatings, string][] = [
+  ['foodQuality', 'Food Quality'],
+  ['service', 'Service'],
+  ['atmosphere', 'Atmosphere'],
+  ['priceValue', 'Price/Value'],
+  ['overallRating', 'Overall'],
+];
+
+// Hidden reviews no longer count towards the restaurant's average
+const MODERATION_LABELS: Record<ModerationStatus, string> = {
+  none: '',
+  flagged: ' · 🚩 Reported',
+  hidden: ' · 🚫 Hidden by a moderator',
+  appealed: ' · ⚖️ Hidden, appeal pending',
+  appealRejected: ' · 🚫 Hidden, appeal rejected',
+};
+
+interface MyReviewsProps {
+  provider: BrowserProvider | null;
+  restaurants: Restaurant[];
+}
+
+export default function MyReviews({ provider, restaurants }: MyReviewsProps) {
+  const { isLoading, isDecrypting, reviews, ratings, loadMyReviews, decryptRatings, hideRatings } =
+    useMyReviews(provider);
+  const { status: fhevmStatus, waitForReady } = useFhevm();
+  const [status, setStatus] = useState<StatusMessage | null>(null);
+
+  const restaurantName = (restaurantId: number) =>
+    restaurants.find((restaurant) => restaurant.id === restaurantId)?.name ?? `Restaurant #${restaurantId}`;
+
+  const handleLoad = async () => {
+    try {
+      setStatus(null);
+      const loaded = await loadMyReviews();
+      if (loaded.length === 0) {
+        setStatus({ message: 'You have not written any reviews yet', type: 'info' });
+      }
+    } catch (error: any) {
+      console.error('Error loading reviews:', error);
+      setStatus({ message: `Failed to load your reviews: ${getFriendlyErrorMessage(error)}`, type: 'error' });
+    }
+  };
+
+  const handleDecrypt = async () => {
+    try {
+      setStatus({ message: 'Decrypting your ratings (your wallet may ask you to sign)...', type: 'info' });
+      await waitForReady();
+      await decryptRatings();
+      setStatus({ message: 'Ratings decrypted. They are visible only in this browser tab.', type: 'success' });
+    } catch (error: any) {
+      console.error('Error decrypting ratings:', error);
+      setStatus({ message: `Failed to decrypt ratings: ${getFriendlyErrorMessage(error)}`, type: 'error' });
+    }
+  };
+
+  const hasRatings = Object.keys(ratings).length > 0;
+
+  return (
+    <div className="card mt-8">
+      <h2 className="text-2xl font-semibold mb-6 text-gray-800 border-b-2 border-cyan-500 pb-3">
+        🔒 My Reviews
+      </h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <button className="btn btn-secondary" onClick={handleLoad} disabled={!provider || isLoading}>
+          Load My Reviews
+        </button>
+        {hasRatings ? (
+          <button className="btn btn-secondary" onClick={hideRatings}>
+            Hide My Ratings
+          </button>
+        ) : (
+          <button
+            className="btn"
+            onClick={handleDecrypt}
+            disabled={reviews.length === 0 || isDecrypting || fhevmStatus === 'error'}
+          >
+            Decrypt My Ratings
+          </button>
+        )}
+      </div>
+      {status && <div className={`status ${status.type}`}>{status.message}</div>}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-5 mt-5">
+        {reviews.map((review) => (
+          <div key={review.id} className="restaurant-item">
+            <div className="flex justify-between items-start mb-2">
+              <h3 className="text-lg font-semibold text-gray-800">{restaurantName(review.restaurantId)}</h3>
+              <span className="text-gray-500 text-sm">Review #{review.id}</span>
+            </div>
+            <div className="text-gray-600 text-sm mb-2">
+              {new Date(review.timestamp * 1000).toLocaleDateString()}
+              {review.editCount > 0 && ` · edited ${review.editCount}×`}
+              {review.isVerified && ' · ✅ Verified'}
+              {review.isWithdrawn && ' · ↩️ Retracted'}
+              {MODERATION_LABELS[review.moderationStatus]}
+            </div>
+            {review.comment && <p className="text-gray-700 italic mb-3">&ldquo;{review.comment}&rdquo;</p>}
+            {ratings[review.id] ? (
+              <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm text-gray-700">
+                {RATING_LABELS.map(([field, label]) => (
+                  <div key={field} className="flex justify-between">
+                    <span>{label}:</span>
+                    <strong>{ratings[review.id][field]} / 10</strong>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="text-gray-500 text-sm">Scores encrypted 🔒</div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
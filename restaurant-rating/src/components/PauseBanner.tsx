@@ -0,0 +1,19 @@
+'use client';
+
+import { useWallet } from '@/hooks/useWallet';
+import { useContractPaused } from '@/hooks/useContractPaused';
+
+// Shown on every page while the contract is paused; reading keeps working, writing does not
+export default function PauseBanner() {
+  const { provider, isWrongNetwork } = useWallet();
+  const paused = useContractPaused(isWrongNetwork ? null : provider);
+
+  if (!paused) return null;
+
+  return (
+    <div className="status warning text-center rounded-none my-0">
+      ⚠️ The contract is paused for maintenance. You can browse restaurants and reviews, but registrations, new reviews,
+      edits and average reveals are stopped until it resumes.
+    </div>
+  );
+}
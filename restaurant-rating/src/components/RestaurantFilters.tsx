@@ -0,0 +1,98 @@
+'use client';
+
+import { RestaurantQuery, RestaurantSort, RestaurantStatusFilter } from '@/lib/restaurantQuery';
+
+const SORT_OPTIONS: [RestaurantSort, string][] = [
+  ['id', 'ID'],
+  ['reviews', 'Most reviews'],
+  ['newest', 'Newest'],
+  ['rating', 'Highest rated'],
+];
+
+interface RestaurantFiltersProps {
+  query: RestaurantQuery;
+  onChange: (changes: Partial<RestaurantQuery>) => void;
+  onReset: () => void;
+}
+
+export default function RestaurantFilters({ query, onChange, onReset }: RestaurantFiltersProps) {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-6 gap-3 items-end mt-5">
+      <div className="lg:col-span-2">
+        <label htmlFor="restaurantSearch" className="label">
+          Search:
+        </label>
+        <input
+          type="search"
+          id="restaurantSearch"
+          className="input-field"
+          placeholder="Name or location"
+          value={query.search}
+          onChange={(e) => onChange({ search: e.target.value })}
+        />
+      </div>
+      <div>
+        <label htmlFor="restaurantStatus" className="label">
+          Status:
+        </label>
+        <select
+          id="restaurantStatus"
+          className="input-field"
+          value={query.status}
+          onChange={(e) => onChange({ status: e.target.value as RestaurantStatusFilter })}
+        >
+          <option value="all">All</option>
+          <option value="active">Active</option>
+          <option value="inactive">Inactive</option>
+        </select>
+      </div>
+      <div>
+        <label htmlFor="restaurantMinRating" className="label">
+          Min. average:
+        </label>
+        <input
+          type="number"
+          id="restaurantMinRating"
+          className="input-field"
+          min="1"
+          max="10"
+          step="0.5"
+          placeholder="Any"
+          value={query.minRating ?? ''}
+          onChange={(e) => onChange({ minRating: e.target.value ? Number(e.target.value) : null })}
+        />
+      </div>
+      <div>
+        <label htmlFor="restaurantSort" className="label">
+          Sort by:
+        </label>
+        <select
+          id="restaurantSort"
+          className="input-field"
+          value={query.sort}
+          onChange={(e) => onChange({ sort: e.target.value as RestaurantSort })}
+        >
+          {SORT_OPTIONS.map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="flex flex-col gap-2 pb-1">
+        <label className="text-gray-700 text-sm">
+          <input
+            type="checkbox"
+            className="mr-2"
+            checked={query.notReviewed}
+            onChange={(e) => onChange({ notReviewed: e.target.checked })}
+          />
+          Not reviewed by me
+        </label>
+        <button className="underline text-sm text-gray-600 text-left" onClick={onReset}>
+          Clear filters
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,23 +1,18 @@
 'use client';
 
 import { useState } from 'react';
-import { useFhevm, useContract } from '@fhevm/sdk/react';
-import { encryptRating } from '@fhevm/sdk';
-import { BrowserProvider } from 'ethers';
-
-// Import ABI (you would generate this from your contract)
-const CONTRACT_ABI = [
-  'function registerRestaurant(string name, string location) returns (uint32)',
-  'function submitReview(uint32 restaurantId, uint8 foodQuality, uint8 service, uint8 atmosphere, uint8 priceValue, uint8 overallRating, string comment)',
-  'function getRestaurant(uint32 restaurantId) view returns (string name, string location, address owner, bool isActive, uint32 totalReviews, uint256 createdAt)',
-  'function restaurantCounter() view returns (uint32)',
-];
-
-const CONTRACT_ADDRESS = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS || '0x...';
+import WalletPicker from '@/components/WalletPicker';
+import { useFhevm } from '@/hooks/useFhevm';
+import { useTransactions } from '@/hooks/useTransactions';
+import { useWallet } from '@/hooks/useWallet';
+import { getContractWithSigner } from '@/lib/contract';
+import { getFriendlyErrorMessage, TransactionError } from '@/lib/errors';
+import { encryptRatings } from '@/lib/fhevm';
 
 export default function RestaurantRatingApp() {
-  const [provider, setProvider] = useState<BrowserProvider | null>(null);
-  const [account, setAccount] = useState<string>('');
+  const { walletState, provider } = useWallet();
+  const account = walletState.address ?? '';
+  const [showWalletPicker, setShowWalletPicker] = useState(false);
   const [restaurantName, setRestaurantName] = useState('');
   const [location, setLocation] = useState('');
   const [ratings, setRatings] = useState({
@@ -30,77 +25,66 @@ export default function RestaurantRatingApp() {
   const [comment, setComment] = useState('');
   const [selectedRestaurant, setSelectedRestaurant] = useState<number>(0);
 
-  const { client, isInitialized, init } = useFhevm({
-    network: {
-      chainId: 11155111,
-      rpcUrl: process.env.NEXT_PUBLIC_RPC_URL!,
-    },
-  });
-
-  const { call, read, isLoading } = useContract({
-    client,
-    address: CONTRACT_ADDRESS,
-    abi: CONTRACT_ABI,
-  });
-
-  const handleConnect = async () => {
-    if (typeof window.ethereum === 'undefined') {
-      alert('Please install MetaMask');
-      return;
-    }
-
-    const walletProvider = new BrowserProvider(window.ethereum);
-    const accounts = await walletProvider.send('eth_requestAccounts', []);
-    const walletAccount = accounts[0];
-
-    setProvider(walletProvider);
-    setAccount(walletAccount);
-
-    const signer = await walletProvider.getSigner();
-    await init(walletProvider, signer);
-  };
+  const { status: fhevmStatus, error: fhevmError, waitForReady, retry } = useFhevm();
+  // Results and failures are reported as toasts by the transaction manager
+  const { sendTransaction, isPending, notify } = useTransactions();
+  const isRegistering = isPending('register');
+  const isSubmitting = isPending(`review:${selectedRestaurant}`);
 
   const handleRegisterRestaurant = async () => {
+    if (!provider) return;
     if (!restaurantName || !location) {
-      alert('Please fill all fields');
+      notify('Please fill all fields', 'error');
       return;
     }
 
     try {
-      const tx = await call('registerRestaurant', [restaurantName, location]);
-      alert(`Restaurant registered! Transaction: ${tx.hash}`);
+      const contract = await getContractWithSigner(provider);
+      await sendTransaction('register', `Registering ${restaurantName}`, () =>
+        contract.registerRestaurant(restaurantName, location)
+      );
       setRestaurantName('');
       setLocation('');
     } catch (err: any) {
-      alert(`Error: ${err.message}`);
+      console.error('Error registering restaurant:', err);
+      // Transaction failures already have a toast
+      if (!(err instanceof TransactionError)) notify(`Error: ${getFriendlyErrorMessage(err)}`, 'error');
     }
   };
 
   const handleSubmitReview = async () => {
-    if (!client || !isInitialized) {
-      alert('FHEVM client not initialized');
-      return;
-    }
-
+    if (!provider) return;
     if (selectedRestaurant === 0) {
-      alert('Please select a restaurant');
+      notify('Please select a restaurant', 'error');
       return;
     }
 
     try {
-      // Encrypt all ratings - note: using plain values for demo
-      // In production, these would be properly encrypted
-      const tx = await call('submitReview', [
-        selectedRestaurant,
-        ratings.foodQuality,
-        ratings.service,
-        ratings.atmosphere,
-        ratings.priceValue,
-        ratings.overall,
-        comment,
-      ]);
-
-      alert(`Review submitted! Transaction: ${tx.hash}`);
+      await waitForReady();
+      const contract = await getContractWithSigner(provider);
+      await sendTransaction(`review:${selectedRestaurant}`, `Review of restaurant #${selectedRestaurant}`, async () => {
+        const {
+          handles: [foodQuality, service, atmosphere, priceValue, overall],
+          inputProof,
+        } = await encryptRatings(await contract.getAddress(), account, [
+          ratings.foodQuality,
+          ratings.service,
+          ratings.atmosphere,
+          ratings.priceValue,
+          ratings.overall,
+        ]);
+
+        return contract.submitReview(
+          selectedRestaurant,
+          foodQuality,
+          service,
+          atmosphere,
+          priceValue,
+          overall,
+          inputProof,
+          comment
+        );
+      });
 
       // Reset form
       setRatings({
@@ -112,7 +96,8 @@ export default function RestaurantRatingApp() {
       });
       setComment('');
     } catch (err: any) {
-      alert(`Error: ${err.message}`);
+      console.error('Error submitting review:', err);
+      if (!(err instanceof TransactionError)) notify(`Error: ${getFriendlyErrorMessage(err)}`, 'error');
     }
   };
 
@@ -124,7 +109,7 @@ export default function RestaurantRatingApp() {
       {!account ? (
         <div className="bg-white rounded-lg p-6 shadow-md mb-6">
           <button
-            onClick={handleConnect}
+            onClick={() => setShowWalletPicker(true)}
             className="w-full bg-blue-600 hover:bg-blue-700 text-white font-medium py-3 px-6 rounded-lg"
           >
             Connect Wallet
@@ -138,7 +123,22 @@ export default function RestaurantRatingApp() {
         </div>
       )}
 
-      {isInitialized && (
+      {account && fhevmStatus === 'loading' && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
+          <p className="text-blue-800">Initializing FHE encryption...</p>
+        </div>
+      )}
+
+      {account && fhevmStatus === 'error' && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+          <p className="text-red-800">{fhevmError?.message}</p>
+          <button onClick={retry} className="mt-2 text-red-800 underline">
+            Retry
+          </button>
+        </div>
+      )}
+
+      {account && fhevmStatus === 'ready' && (
         <div className="space-y-6">
           {/* Register Restaurant */}
           <div className="bg-white rounded-lg p-6 shadow-md">
@@ -160,10 +160,10 @@ export default function RestaurantRatingApp() {
               />
               <button
                 onClick={handleRegisterRestaurant}
-                disabled={isLoading}
+                disabled={isRegistering}
                 className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-medium py-2 px-4 rounded-lg"
               >
-                {isLoading ? 'Registering...' : 'Register Restaurant'}
+                {isRegistering ? 'Registering...' : 'Register Restaurant'}
               </button>
             </div>
           </div>
@@ -208,10 +208,10 @@ export default function RestaurantRatingApp() {
 
               <button
                 onClick={handleSubmitReview}
-                disabled={isLoading}
+                disabled={isSubmitting}
                 className="w-full bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white font-medium py-2 px-4 rounded-lg"
               >
-                {isLoading ? 'Submitting...' : 'Submit Encrypted Review'}
+                {isSubmitting ? 'Submitting...' : 'Submit Encrypted Review'}
               </button>
             </div>
           </div>
@@ -226,6 +226,8 @@ export default function RestaurantRatingApp() {
           </div>
         </div>
       )}
+
+      {showWalletPicker && <WalletPicker onClose={() => setShowWalletPicker(false)} />}
     </div>
   );
 }
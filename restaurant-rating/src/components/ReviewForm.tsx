@@ -0,0 +1,112 @@
+'use client';
+
+import { useState } from 'react';
+import { useFhevm } from '@/hooks/useFhevm';
+import { getFriendlyErrorMessage, parseRatings } from '@/lib/errors';
+import { ReviewFormData, ReviewRatings, StatusMessage } from '@/types';
+
+const RATING_FIELDS: [keyof ReviewRatings, string][] = [
+  ['foodQuality', 'Food Quality'],
+  ['service', 'Service'],
+  ['atmosphere', 'Atmosphere'],
+  ['priceValue', 'Price/Value'],
+  ['overallRating', 'Overall Rating'],
+];
+
+const EMPTY_RATINGS: Record<keyof ReviewRatings, string> = {
+  foodQuality: '',
+  service: '',
+  atmosphere: '',
+  priceValue: '',
+  overallRating: '',
+};
+
+interface ReviewFormProps {
+  disabled: boolean;
+  onSubmit: (reviewData: Omit<ReviewFormData, 'restaurantId'>) => Promise<unknown>;
+}
+
+// Review form for a restaurant that is already known, e.g. on its detail page
+export default function ReviewForm({ disabled, onSubmit }: ReviewFormProps) {
+  const { status: fhevmStatus, waitForReady } = useFhevm();
+  const [ratings, setRatings] = useState(EMPTY_RATINGS);
+  const [comment, setComment] = useState('');
+  const [visitReceipt, setVisitReceipt] = useState('');
+  const [status, setStatus] = useState<StatusMessage | null>(null);
+
+  const handleSubmit = async () => {
+    try {
+      const parsed = parseRatings(ratings);
+
+      setStatus({ message: 'Preparing encryption...', type: 'info' });
+      await waitForReady();
+
+      setStatus({ message: 'Submitting encrypted review...', type: 'info' });
+      await onSubmit({ ...parsed, comment: comment.trim(), visitReceipt: visitReceipt.trim() || undefined });
+
+      setStatus({ message: 'Review submitted successfully! Your ratings are encrypted and private.', type: 'success' });
+      setRatings(EMPTY_RATINGS);
+      setComment('');
+      setVisitReceipt('');
+    } catch (error: any) {
+      console.error('Error submitting review:', error);
+      setStatus({ message: `Failed to submit review: ${getFriendlyErrorMessage(error)}`, type: 'error' });
+    }
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-5">
+        {RATING_FIELDS.map(([field, label]) => (
+          <div key={field} className="rating-item">
+            <label htmlFor={`detail-${field}`} className="label mb-0 mr-2">
+              {label}:
+            </label>
+            <input
+              type="number"
+              id={`detail-${field}`}
+              className="input-field"
+              min="1"
+              max="10"
+              placeholder="1-10"
+              value={ratings[field]}
+              onChange={(e) => setRatings((current) => ({ ...current, [field]: e.target.value }))}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="detail-comment" className="label">
+          Comment:
+        </label>
+        <textarea
+          id="detail-comment"
+          className="input-field min-h-[80px] resize-y"
+          placeholder="Share your dining experience..."
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="detail-visit-receipt" className="label">
+          Visit receipt (optional):
+        </label>
+        <input
+          type="text"
+          id="detail-visit-receipt"
+          className="input-field font-mono text-sm"
+          placeholder="Paste the receipt from the restaurant to get a verified review"
+          value={visitReceipt}
+          onChange={(e) => setVisitReceipt(e.target.value)}
+        />
+      </div>
+
+      <button className="btn" onClick={handleSubmit} disabled={disabled || fhevmStatus === 'error'}>
+        Submit Review
+      </button>
+      {status && <div className={`status ${status.type}`}>{status.message}</div>}
+    </div>
+  );
+}
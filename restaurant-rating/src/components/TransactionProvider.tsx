@@ -0,0 +1,220 @@
+'use client';
+
+import { createContext, ReactNode, useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { ContractTransactionResponse, TransactionReceipt, TransactionResponse } from 'ethers';
+import TransactionToasts, { Toast } from '@/components/TransactionToasts';
+import { useWallet } from '@/hooks/useWallet';
+import { getFriendlyErrorMessage, TransactionError } from '@/lib/errors';
+import { loadTransactions, saveTransactions, TrackedTransaction } from '@/lib/transactions';
+import { StatusMessage } from '@/types';
+
+export interface TransactionContextValue {
+  // Newest first, across chains and accounts
+  transactions: TrackedTransaction[];
+  // Send a transaction and follow it until it is mined, failed or replaced; throws TransactionError
+  sendTransaction: (
+    action: string,
+    description: string,
+    send: () => Promise<ContractTransactionResponse>
+  ) => Promise<TransactionReceipt>;
+  // Whether a transaction for this action is being prepared, signed or mined
+  isPending: (action: string) => boolean;
+  notify: (message: string, type: StatusMessage['type']) => void;
+  clearTransactions: () => void;
+}
+
+export const TransactionContext = createContext<TransactionContextValue | null>(null);
+
+// Successful and informational toasts close themselves; errors stay until dismissed
+const TOAST_TIMEOUT_MS = 6000;
+
+export default function TransactionProvider({ children }: { children: ReactNode }) {
+  const { walletState, provider } = useWallet();
+  const [transactions, setTransactions] = useState<TrackedTransaction[]>([]);
+  const [preparing, setPreparing] = useState<string[]>([]);
+  const [toasts, setToasts] = useState<Toast[]>([]);
+  const [isHydrated, setIsHydrated] = useState(false);
+  const nextToastId = useRef(0);
+  // Hashes already being waited on, so a resumed transaction is not watched twice
+  const watching = useRef(new Set<string>());
+
+  // localStorage is not available during server rendering
+  useEffect(() => {
+    setTransactions(loadTransactions());
+    setIsHydrated(true);
+  }, []);
+
+  useEffect(() => {
+    if (isHydrated) saveTransactions(transactions);
+  }, [transactions, isHydrated]);
+
+  const dismissToast = useCallback((id: number) => {
+    setToasts((current) => current.filter((toast) => toast.id !== id));
+  }, []);
+
+  const showToast = useCallback(
+    (toast: Omit<Toast, 'id'>) => {
+      const id = nextToastId.current++;
+      setToasts((current) => [...current, { ...toast, id }]);
+      if (toast.type !== 'error') {
+        setTimeout(() => dismissToast(id), TOAST_TIMEOUT_MS);
+      }
+    },
+    [dismissToast]
+  );
+
+  const notify = useCallback(
+    (message: string, type: StatusMessage['type']) => showToast({ message, type }),
+    [showToast]
+  );
+
+  const updateTransaction = useCallback((hash: string, changes: Partial<TrackedTransaction>) => {
+    setTransactions((current) => current.map((tx) => (tx.hash === hash ? { ...tx, ...changes } : tx)));
+  }, []);
+
+  // Wait for a replaceable transaction and record how it ended; resolves with the receipt that counts
+  const watchTransaction = useCallback(
+    async (record: TrackedTransaction, tx: TransactionResponse): Promise<TransactionReceipt> => {
+      watching.current.add(record.hash);
+      try {
+        const receipt = await tx.wait();
+        if (!receipt) throw new Error('Transaction was not mined');
+
+        updateTransaction(record.hash, { status: 'mined' });
+        showToast({
+          message: `${record.description} confirmed`,
+          type: 'success',
+          hash: record.hash,
+          chainId: record.chainId,
+        });
+        return receipt;
+      } catch (error: any) {
+        // A speed-up keeps the same calldata, so it still counts as this action succeeding
+        if (error?.code === 'TRANSACTION_REPLACED' && !error.cancelled) {
+          const replacement = error.replacement.hash;
+          updateTransaction(record.hash, { status: 'mined', replacedBy: replacement });
+          showToast({
+            message: `${record.description} confirmed (sped up)`,
+            type: 'success',
+            hash: replacement,
+            chainId: record.chainId,
+          });
+          return error.receipt;
+        }
+
+        const message =
+          error?.code === 'TRANSACTION_REPLACED'
+            ? `${record.description} was cancelled or replaced in your wallet.`
+            : `${record.description} failed: ${getFriendlyErrorMessage(error)}`;
+        updateTransaction(record.hash, {
+          status: error?.code === 'TRANSACTION_REPLACED' ? 'replaced' : 'failed',
+          replacedBy: error?.replacement?.hash,
+          error: message,
+        });
+        showToast({ message, type: 'error', hash: record.hash, chainId: record.chainId });
+        throw new TransactionError(message, error);
+      } finally {
+        watching.current.delete(record.hash);
+      }
+    },
+    [updateTransaction, showToast]
+  );
+
+  const sendTransaction = useCallback(
+    async (action: string, description: string, send: () => Promise<ContractTransactionResponse>) => {
+      if (!provider || walletState.chainId === null) throw new TransactionError('Wallet not connected');
+
+      setPreparing((current) => [...current, action]);
+      try {
+        const startBlock = await provider.getBlockNumber();
+        let tx: ContractTransactionResponse;
+        try {
+          tx = await send();
+        } catch (error) {
+          const message = getFriendlyErrorMessage(error);
+          showToast({ message: `${description} failed: ${message}`, type: 'error' });
+          throw new TransactionError(message, error);
+        }
+
+        const record: TrackedTransaction = {
+          hash: tx.hash,
+          chainId: walletState.chainId,
+          from: tx.from,
+          nonce: tx.nonce,
+          startBlock,
+          action,
+          description,
+          status: 'pending',
+          submittedAt: Date.now(),
+        };
+        setTransactions((current) => [record, ...current]);
+        showToast({ message: `${description} submitted`, type: 'info', hash: tx.hash, chainId: record.chainId });
+
+        return await watchTransaction(record, tx);
+      } finally {
+        setPreparing((current) => {
+          const index = current.indexOf(action);
+          return index === -1 ? current : [...current.slice(0, index), ...current.slice(index + 1)];
+        });
+      }
+    },
+    [provider, walletState.chainId, showToast, watchTransaction]
+  );
+
+  // Pick up transactions that were still pending when the page was last closed
+  useEffect(() => {
+    if (!isHydrated || !provider || walletState.chainId === null) return;
+
+    for (const record of transactions) {
+      const isOtherChain = record.chainId !== walletState.chainId;
+      if (record.status !== 'pending' || isOtherChain || watching.current.has(record.hash)) continue;
+      watching.current.add(record.hash);
+
+      provider
+        .getTransaction(record.hash)
+        .then(async (tx) => {
+          if (tx) {
+            watching.current.delete(record.hash);
+            await watchTransaction(record, tx.replaceableTransaction(record.startBlock));
+            return;
+          }
+
+          // The node forgot it: either another transaction used the nonce or it was dropped
+          const nonce = await provider.getTransactionCount(record.from, 'latest');
+          watching.current.delete(record.hash);
+          updateTransaction(
+            record.hash,
+            nonce > record.nonce
+              ? { status: 'replaced', error: `${record.description} was replaced by another transaction.` }
+              : { status: 'failed', error: `${record.description} was dropped by the network.` }
+          );
+        })
+        .catch((error) => {
+          // watchTransaction already reported failures of the transaction itself
+          if (!(error instanceof TransactionError)) console.error('Error resuming transaction:', error);
+        });
+    }
+  }, [isHydrated, provider, walletState.chainId, transactions, watchTransaction, updateTransaction]);
+
+  const pendingActions = useMemo(
+    () => [
+      ...preparing,
+      ...transactions
+        .filter((tx) => tx.status === 'pending' && tx.chainId === walletState.chainId)
+        .map((tx) => tx.action),
+    ],
+    [preparing, transactions, walletState.chainId]
+  );
+  const isPending = useCallback((action: string) => pendingActions.includes(action), [pendingActions]);
+
+  const clearTransactions = useCallback(() => {
+    setTransactions((current) => current.filter((tx) => tx.status === 'pending'));
+  }, []);
+
+  return (
+    <TransactionContext.Provider value={{ transactions, sendTransaction, isPending, notify, clearTransactions }}>
+      {children}
+      <TransactionToasts toasts={toasts} onDismiss={dismissToast} />
+    </TransactionContext.Provider>
+  );
+}
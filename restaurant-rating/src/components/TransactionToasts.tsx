@@ -0,0 +1,48 @@
+'use client';
+
+import { getExplorerTxUrl } from '@/lib/transactions';
+import { StatusMessage } from '@/types';
+
+export interface Toast {
+  id: number;
+  message: string;
+  type: StatusMessage['type'];
+  // Linked to the block explorer when the chain has one
+  hash?: string;
+  chainId?: number;
+}
+
+interface TransactionToastsProps {
+  toasts: Toast[];
+  onDismiss: (id: number) => void;
+}
+
+export default function TransactionToasts({ toasts, onDismiss }: TransactionToastsProps) {
+  if (toasts.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 w-full max-w-sm space-y-2" role="status" aria-live="polite">
+      {toasts.map((toast) => {
+        const explorerUrl = toast.hash && toast.chainId ? getExplorerTxUrl(toast.chainId, toast.hash) : null;
+
+        return (
+          <div key={toast.id} className={`status ${toast.type} shadow-lg flex justify-between items-start gap-3`}>
+            <div>
+              <div>{toast.message}</div>
+              {explorerUrl ? (
+                <a href={explorerUrl} target="_blank" rel="noopener noreferrer" className="underline text-sm">
+                  View on explorer
+                </a>
+              ) : (
+                toast.hash && <div className="text-xs opacity-75 break-all">{toast.hash}</div>
+              )}
+            </div>
+            <button className="text-lg leading-none" aria-label="Dismiss" onClick={() => onDismiss(toast.id)}>
+              ×
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+'use client';
+
+import { useState } from 'react';
+import { useWallet } from '@/hooks/useWallet';
+import { StatusMessage } from '@/types';
+
+interface WalletPickerProps {
+  onClose: () => void;
+}
+
+export default function WalletPicker({ onClose }: WalletPickerProps) {
+  const { connectors, connectWallet } = useWallet();
+  const [pendingId, setPendingId] = useState<string | null>(null);
+  const [status, setStatus] = useState<StatusMessage | null>(null);
+
+  const handleSelect = async (connectorId: string) => {
+    try {
+      setPendingId(connectorId);
+      setStatus(null);
+      const connected = await connectWallet(connectorId);
+      if (connected) {
+        onClose();
+      } else {
+        setStatus({ message: 'The wallet did not share an account', type: 'error' });
+      }
+    } catch (error: any) {
+      setStatus({ message: `Failed to connect: ${error.message}`, type: 'error' });
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" onClick={onClose}>
+      <div className="card w-full max-w-md" onClick={(event) => event.stopPropagation()}>
+        <div className="flex justify-between items-center mb-6 border-b-2 border-cyan-500 pb-3">
+          <h2 className="text-2xl font-semibold text-gray-800">Connect a Wallet</h2>
+          <button className="text-gray-500 text-2xl leading-none" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        {connectors.length === 0 ? (
+          <p className="text-gray-600">
+            No wallet found. Install a browser wallet such as MetaMask, Rabby or Coinbase Wallet and reload the page.
+          </p>
+        ) : (
+          <div className="flex flex-col gap-3">
+            {connectors.map((connector) => (
+              <button
+                key={connector.id}
+                className="btn btn-secondary flex items-center gap-3"
+                onClick={() => handleSelect(connector.id)}
+                disabled={pendingId !== null}
+              >
+                {connector.icon ? (
+                  // eslint-disable-next-line @next/next/no-img-element
+                  <img src={connector.icon} alt="" className="w-6 h-6" />
+                ) : (
+                  <span className="w-6 text-center">{connector.id === 'walletconnect' ? '📱' : '👛'}</span>
+                )}
+                <span>{pendingId === connector.id ? `Connecting ${connector.name}...` : connector.name}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {status && <div className={`status ${status.type}`}>{status.message}</div>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,214 @@
+'use client';
+
+import { createContext, ReactNode, useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { BrowserProvider } from 'ethers';
+import { DEFAULT_CHAIN_ID, isSupportedChain, SUPPORTED_CHAIN_IDS, switchWalletChain } from '@/lib/chains';
+import {
+  forgetWallet,
+  getLegacyInjectedConnector,
+  getRememberedWallet,
+  getWalletConnectConnector,
+  rememberWallet,
+  WalletConnector,
+  WalletEip1193Provider,
+  watchInjectedWallets,
+} from '@/lib/wallets';
+import { WalletState } from '@/types';
+
+export interface WalletContextValue {
+  walletState: WalletState;
+  // Only set while the wallet is on a chain with a deployment, so nothing reads the wrong network
+  provider: BrowserProvider | null;
+  // Raw EIP-1193 provider of the connected wallet
+  ethereum: WalletEip1193Provider | null;
+  connector: WalletConnector | null;
+  connectors: WalletConnector[];
+  isWrongNetwork: boolean;
+  supportedChainIds: number[];
+  connectWallet: (connectorId: string) => Promise<BrowserProvider | null>;
+  disconnectWallet: () => void;
+  switchNetwork: (chainId?: number) => Promise<void>;
+}
+
+export const WalletContext = createContext<WalletContextValue | null>(null);
+
+interface ActiveWallet {
+  connector: WalletConnector;
+  ethereum: WalletEip1193Provider;
+}
+
+const DISCONNECTED: WalletState = {
+  address: null,
+  chainId: null,
+  isConnected: false,
+};
+
+export default function WalletProvider({ children }: { children: ReactNode }) {
+  const [walletState, setWalletState] = useState<WalletState>(DISCONNECTED);
+  const [provider, setProvider] = useState<BrowserProvider | null>(null);
+  const [active, setActive] = useState<ActiveWallet | null>(null);
+  const [injectedConnectors, setInjectedConnectors] = useState<WalletConnector[]>([]);
+  const [fallbackConnectors, setFallbackConnectors] = useState<WalletConnector[]>([]);
+  const restoreAttempted = useRef(false);
+
+  // Discover wallets on mount; window is not available during server rendering
+  useEffect(() => {
+    const legacy = getLegacyInjectedConnector();
+    const walletConnect = getWalletConnectConnector();
+    setFallbackConnectors([legacy, walletConnect].filter((connector): connector is WalletConnector => !!connector));
+    return watchInjectedWallets(setInjectedConnectors);
+  }, []);
+
+  // window.ethereum is only offered when no wallet announced itself via EIP-6963
+  const connectors = useMemo(
+    () => [
+      ...injectedConnectors,
+      ...fallbackConnectors.filter((connector) => connector.id !== 'injected' || injectedConnectors.length === 0),
+    ],
+    [injectedConnectors, fallbackConnectors]
+  );
+
+  // A BrowserProvider is bound to one network, so build a fresh one for the wallet's current chain
+  const syncWallet = useCallback(async (ethereum: WalletEip1193Provider) => {
+    const web3Provider = new BrowserProvider(ethereum);
+    const signer = await web3Provider.getSigner();
+    const address = await signer.getAddress();
+    const chainId = Number((await web3Provider.getNetwork()).chainId);
+
+    setProvider(isSupportedChain(chainId) ? web3Provider : null);
+    setWalletState({
+      address,
+      chainId,
+      isConnected: true,
+    });
+
+    return web3Provider;
+  }, []);
+
+  // `silent` only picks up accounts the wallet already shares with this site
+  const activate = useCallback(
+    async (connector: WalletConnector, silent: boolean) => {
+      const ethereum = await connector.getProvider();
+      const accounts: string[] = await ethereum.request({
+        method: silent ? 'eth_accounts' : 'eth_requestAccounts',
+      });
+      if (accounts.length === 0) return null;
+
+      const web3Provider = await syncWallet(ethereum);
+      setActive({ connector, ethereum });
+      rememberWallet(connector.id);
+      return web3Provider;
+    },
+    [syncWallet]
+  );
+
+  const connectWallet = useCallback(
+    async (connectorId: string) => {
+      try {
+        const connector = connectors.find((candidate) => candidate.id === connectorId);
+        if (!connector) {
+          throw new Error(`Wallet ${connectorId} is not available`);
+        }
+        return await activate(connector, false);
+      } catch (error) {
+        console.error('Error connecting wallet:', error);
+        throw error;
+      }
+    },
+    [connectors, activate]
+  );
+
+  const resetWallet = useCallback(() => {
+    forgetWallet();
+    setActive(null);
+    setWalletState(DISCONNECTED);
+    setProvider(null);
+  }, []);
+
+  const disconnectWallet = useCallback(() => {
+    active?.connector.disconnect?.().catch(console.error);
+    resetWallet();
+  }, [active, resetWallet]);
+
+  const switchNetwork = useCallback(
+    async (chainId: number = DEFAULT_CHAIN_ID) => {
+      if (!active) throw new Error('Wallet not connected');
+      // The chainChanged listener picks up the new chain once the wallet has switched
+      await switchWalletChain(active.ethereum, chainId);
+    },
+    [active]
+  );
+
+  // Reconnect the last-used wallet without prompting once it has been discovered
+  useEffect(() => {
+    if (restoreAttempted.current || active) return;
+
+    const rememberedId = getRememberedWallet();
+    if (!rememberedId) {
+      restoreAttempted.current = true;
+      return;
+    }
+
+    // EIP-6963 wallets may announce themselves after the first render
+    const connector = connectors.find((candidate) => candidate.id === rememberedId);
+    if (!connector) return;
+
+    restoreAttempted.current = true;
+    activate(connector, true).catch(console.error);
+  }, [connectors, active, activate]);
+
+  useEffect(() => {
+    if (!active) return;
+    const { connector, ethereum } = active;
+
+    const handleAccountsChanged = (accounts: string[]) => {
+      if (accounts.length === 0) {
+        resetWallet();
+      } else {
+        syncWallet(ethereum).catch(console.error);
+      }
+    };
+
+    // Re-initialize in place instead of reloading the page
+    const handleChainChanged = () => {
+      syncWallet(ethereum).catch(console.error);
+    };
+
+    // Remote sessions (WalletConnect) can be ended from the phone; an injected wallet's
+    // disconnect event only means it lost its RPC connection
+    const handleDisconnect = () => {
+      if (connector.disconnect) resetWallet();
+    };
+
+    ethereum.on?.('accountsChanged', handleAccountsChanged);
+    ethereum.on?.('chainChanged', handleChainChanged);
+    ethereum.on?.('disconnect', handleDisconnect);
+
+    return () => {
+      ethereum.removeListener?.('accountsChanged', handleAccountsChanged);
+      ethereum.removeListener?.('chainChanged', handleChainChanged);
+      ethereum.removeListener?.('disconnect', handleDisconnect);
+    };
+  }, [active, syncWallet, resetWallet]);
+
+  const isWrongNetwork = walletState.isConnected && !isSupportedChain(walletState.chainId);
+
+  return (
+    <WalletContext.Provider
+      value={{
+        walletState,
+        provider,
+        ethereum: active?.ethereum ?? null,
+        connector: active?.connector ?? null,
+        connectors,
+        isWrongNetwork,
+        supportedChainIds: SUPPORTED_CHAIN_IDS,
+        connectWallet,
+        disconnectWallet,
+        switchNetwork,
+      }}
+    >
+      {children}
+    </WalletContext.Provider>
+  );
+}
@@ -0,0 +1,29 @@
+// Typed PrivateRestaurantRating client. Types and ABI are generated by `npm run client` in the
+// repository root; addresses.json is updated by scripts/deploy.js.
+import addresses from './addresses.json';
+
+export { PrivateRestaurantRating__factory } from './types';
+export type { PrivateRestaurantRating } from './types';
+
+export interface ContractDeployment {
+  network: string;
+  address: string;
+  // Block of the deployment transaction, when known
+  blockNumber: number | null;
+}
+
+export const DEPLOYMENTS: Record<string, ContractDeployment> = addresses;
+
+export function getDeployment(chainId: number): ContractDeployment {
+  const deployment = DEPLOYMENTS[chainId];
+  if (!deployment) {
+    if (Object.keys(DEPLOYMENTS).length === 0) {
+      throw new Error('PrivateRestaurantRating has no recorded deployment; deploy it with `npm run deploy:*`');
+    }
+    const supported = Object.entries(DEPLOYMENTS)
+      .map(([id, { network }]) => `${network} (${id})`)
+      .join(', ');
+    throw new Error(`PrivateRestaurantRating is not deployed on chain ${chainId}; available on ${supported}`);
+  }
+  return deployment;
+}
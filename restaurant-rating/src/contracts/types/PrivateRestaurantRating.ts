@@ -0,0 +1,2670 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "./common";
+
+export declare namespace PrivateRestaurantRating {
+  export type ReviewViewStruct = {
+    id: BigNumberish;
+    restaurantId: BigNumberish;
+    reviewer: AddressLike;
+    comment: string;
+    timestamp: BigNumberish;
+    isVerified: boolean;
+    isWithdrawn: boolean;
+    editCount: BigNumberish;
+    updatedAt: BigNumberish;
+    moderationStatus: BigNumberish;
+  };
+
+  export type ReviewViewStructOutput = [
+    id: bigint,
+    restaurantId: bigint,
+    reviewer: string,
+    comment: string,
+    timestamp: bigint,
+    isVerified: boolean,
+    isWithdrawn: boolean,
+    editCount: bigint,
+    updatedAt: bigint,
+    moderationStatus: bigint
+  ] & {
+    id: bigint;
+    restaurantId: bigint;
+    reviewer: string;
+    comment: string;
+    timestamp: bigint;
+    isVerified: boolean;
+    isWithdrawn: boolean;
+    editCount: bigint;
+    updatedAt: bigint;
+    moderationStatus: bigint;
+  };
+
+  export type RestaurantViewStruct = {
+    id: BigNumberish;
+    name: string;
+    location: string;
+    owner: AddressLike;
+    isActive: boolean;
+    totalReviews: BigNumberish;
+    createdAt: BigNumberish;
+    hasRevealedAverage: boolean;
+    averageRating: BigNumberish;
+    revealedReviewCount: BigNumberish;
+    reviewsUntilReveal: BigNumberish;
+    hasPendingReveal: boolean;
+  };
+
+  export type RestaurantViewStructOutput = [
+    id: bigint,
+    name: string,
+    location: string,
+    owner: string,
+    isActive: boolean,
+    totalReviews: bigint,
+    createdAt: bigint,
+    hasRevealedAverage: boolean,
+    averageRating: bigint,
+    revealedReviewCount: bigint,
+    reviewsUntilReveal: bigint,
+    hasPendingReveal: boolean
+  ] & {
+    id: bigint;
+    name: string;
+    location: string;
+    owner: string;
+    isActive: boolean;
+    totalReviews: bigint;
+    createdAt: bigint;
+    hasRevealedAverage: boolean;
+    averageRating: bigint;
+    revealedReviewCount: bigint;
+    reviewsUntilReveal: bigint;
+    hasPendingReveal: boolean;
+  };
+
+  export type ReviewRevisionStruct = {
+    comment: string;
+    timestamp: BigNumberish;
+    replacedAt: BigNumberish;
+  };
+
+  export type ReviewRevisionStructOutput = [
+    comment: string,
+    timestamp: bigint,
+    replacedAt: bigint
+  ] & { comment: string; timestamp: bigint; replacedAt: bigint };
+
+  export type VisitReceiptStruct = {
+    restaurantId: BigNumberish;
+    reviewer: AddressLike;
+    nonce: BigNumberish;
+    expiry: BigNumberish;
+  };
+
+  export type VisitReceiptStructOutput = [
+    restaurantId: bigint,
+    reviewer: string,
+    nonce: bigint,
+    expiry: bigint
+  ] & { restaurantId: bigint; reviewer: string; nonce: bigint; expiry: bigint };
+}
+
+export interface PrivateRestaurantRatingInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "ADMIN_ROLE"
+      | "MAX_PAGE_SIZE"
+      | "MAX_RATING"
+      | "MIN_RATING"
+      | "MODERATOR_ROLE"
+      | "PAUSER_ROLE"
+      | "RATING_PRECISION"
+      | "REVEAL_TIMEOUT"
+      | "VERIFIER_ROLE"
+      | "VISIT_RECEIPT_TYPEHASH"
+      | "acceptRestaurantOwnership"
+      | "calculateAverageRating"
+      | "canVerify"
+      | "domainSeparator"
+      | "getCategoryAverages"
+      | "getMyReviewRatings"
+      | "getRatingSummary"
+      | "getRestaurant"
+      | "getRestaurantReviews"
+      | "getRestaurantReviewsPage"
+      | "getRestaurantsPage"
+      | "getReviewHistory"
+      | "getReviewInfo"
+      | "getReviewStatus"
+      | "getTotalCounts"
+      | "getUserReviews"
+      | "getUserReviewsPage"
+      | "grantRole"
+      | "hasPendingReveal"
+      | "hasReviewed"
+      | "hasRole"
+      | "hasUserReviewed"
+      | "isEligibleReviewer"
+      | "isRestaurantFrozen"
+      | "isVisitReceiptUsed"
+      | "lastRevealReviewCount"
+      | "minNewReviewsBetweenReveals"
+      | "minReviewsForReveal"
+      | "moderation"
+      | "paused"
+      | "pendingRestaurantOwner"
+      | "pendingRevealRequest"
+      | "processAverageRating"
+      | "protocolId"
+      | "registerRestaurant"
+      | "restaurantCounter"
+      | "restaurantReviews"
+      | "restaurants"
+      | "retractReview"
+      | "revealRequests"
+      | "reviewCounter"
+      | "reviewSummaries"
+      | "reviewerEligibility"
+      | "reviewsUntilReveal"
+      | "revokeRole"
+      | "setModeration"
+      | "setModerationStatus"
+      | "setPaused"
+      | "setRestaurantFrozen"
+      | "setRevealThresholds"
+      | "setReviewerEligibility"
+      | "setVerificationDelegate"
+      | "submitReview"
+      | "submitReviewWithReceipt"
+      | "toggleRestaurantStatus"
+      | "transferRestaurantOwnership"
+      | "updateRestaurantProfile"
+      | "updateReview"
+      | "userReviews"
+      | "verifyReview"
+      | "visitReceiptSigner"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "AverageRatingRequested"
+      | "CategoryAveragesUpdated"
+      | "DecryptionFulfilled"
+      | "ModerationContractUpdated"
+      | "PauseUpdated"
+      | "RatingSummaryUpdated"
+      | "RestaurantFreezeUpdated"
+      | "RestaurantOwnershipTransferStarted"
+      | "RestaurantOwnershipTransferred"
+      | "RestaurantProfileUpdated"
+      | "RestaurantRegistered"
+      | "RevealThresholdsUpdated"
+      | "ReviewModerationUpdated"
+      | "ReviewRetracted"
+      | "ReviewSubmitted"
+      | "ReviewUpdated"
+      | "ReviewVerified"
+      | "ReviewerEligibilityUpdated"
+      | "RoleGranted"
+      | "RoleRevoked"
+      | "VerificationDelegateUpdated"
+      | "VisitReceiptRedeemed"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "ADMIN_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MAX_PAGE_SIZE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MAX_RATING",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MIN_RATING",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "MODERATOR_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "PAUSER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "RATING_PRECISION",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "REVEAL_TIMEOUT",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "VERIFIER_ROLE",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "VISIT_RECEIPT_TYPEHASH",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "acceptRestaurantOwnership",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "calculateAverageRating",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "canVerify",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "domainSeparator",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getCategoryAverages",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getMyReviewRatings",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRatingSummary",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRestaurant",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRestaurantReviews",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRestaurantReviewsPage",
+    values: [BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getRestaurantsPage",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReviewHistory",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReviewInfo",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getReviewStatus",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getTotalCounts",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserReviews",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getUserReviewsPage",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "grantRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasPendingReveal",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasReviewed",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "hasUserReviewed",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isEligibleReviewer",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isRestaurantFrozen",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isVisitReceiptUsed",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "lastRevealReviewCount",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "minNewReviewsBetweenReveals",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "minReviewsForReveal",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "moderation",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "paused", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "pendingRestaurantOwner",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "pendingRevealRequest",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "processAverageRating",
+    values: [BigNumberish, BytesLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "protocolId",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "registerRestaurant",
+    values: [string, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "restaurantCounter",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "restaurantReviews",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "restaurants",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "retractReview",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revealRequests",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reviewCounter",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reviewSummaries",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reviewerEligibility",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "reviewsUntilReveal",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "revokeRole",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setModeration",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setModerationStatus",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "setPaused", values: [boolean]): string;
+  encodeFunctionData(
+    functionFragment: "setRestaurantFrozen",
+    values: [BigNumberish, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setRevealThresholds",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setReviewerEligibility",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setVerificationDelegate",
+    values: [BigNumberish, AddressLike, boolean]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "submitReview",
+    values: [
+      BigNumberish,
+      BytesLike,
+      BytesLike,
+      BytesLike,
+      BytesLike,
+      BytesLike,
+      BytesLike,
+      string
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "submitReviewWithReceipt",
+    values: [
+      PrivateRestaurantRating.VisitReceiptStruct,
+      BytesLike,
+      BytesLike,
+      BytesLike,
+      BytesLike,
+      BytesLike,
+      BytesLike,
+      BytesLike,
+      string
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "toggleRestaurantStatus",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferRestaurantOwnership",
+    values: [BigNumberish, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateRestaurantProfile",
+    values: [BigNumberish, string, string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "updateReview",
+    values: [
+      BigNumberish,
+      BytesLike,
+      BytesLike,
+      BytesLike,
+      BytesLike,
+      BytesLike,
+      BytesLike,
+      string
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "userReviews",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "verifyReview",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "visitReceiptSigner",
+    values: [PrivateRestaurantRating.VisitReceiptStruct, BytesLike]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "ADMIN_ROLE", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "MAX_PAGE_SIZE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "MAX_RATING", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "MIN_RATING", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "MODERATOR_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "PAUSER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "RATING_PRECISION",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "REVEAL_TIMEOUT",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "VERIFIER_ROLE",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "VISIT_RECEIPT_TYPEHASH",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "acceptRestaurantOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "calculateAverageRating",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "canVerify", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "domainSeparator",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getCategoryAverages",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getMyReviewRatings",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRatingSummary",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRestaurant",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRestaurantReviews",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRestaurantReviewsPage",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getRestaurantsPage",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReviewHistory",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReviewInfo",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getReviewStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getTotalCounts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserReviews",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getUserReviewsPage",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "grantRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "hasPendingReveal",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "hasReviewed",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "hasRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "hasUserReviewed",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "isEligibleReviewer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "isRestaurantFrozen",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "isVisitReceiptUsed",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "lastRevealReviewCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "minNewReviewsBetweenReveals",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "minReviewsForReveal",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "moderation", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "paused", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "pendingRestaurantOwner",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "pendingRevealRequest",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "processAverageRating",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "protocolId", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "registerRestaurant",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "restaurantCounter",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "restaurantReviews",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "restaurants",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "retractReview",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "revealRequests",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "reviewCounter",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "reviewSummaries",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "reviewerEligibility",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "reviewsUntilReveal",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "revokeRole", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setModeration",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setModerationStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "setPaused", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setRestaurantFrozen",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setRevealThresholds",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setReviewerEligibility",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setVerificationDelegate",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "submitReview",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "submitReviewWithReceipt",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "toggleRestaurantStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferRestaurantOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateRestaurantProfile",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "updateReview",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "userReviews",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "verifyReview",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "visitReceiptSigner",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace AverageRatingRequestedEvent {
+  export type InputTuple = [
+    restaurantId: BigNumberish,
+    requestId: BigNumberish,
+    reviewCount: BigNumberish
+  ];
+  export type OutputTuple = [
+    restaurantId: bigint,
+    requestId: bigint,
+    reviewCount: bigint
+  ];
+  export interface OutputObject {
+    restaurantId: bigint;
+    requestId: bigint;
+    reviewCount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CategoryAveragesUpdatedEvent {
+  export type InputTuple = [
+    restaurantId: BigNumberish,
+    foodQuality: BigNumberish,
+    service: BigNumberish,
+    atmosphere: BigNumberish,
+    priceValue: BigNumberish
+  ];
+  export type OutputTuple = [
+    restaurantId: bigint,
+    foodQuality: bigint,
+    service: bigint,
+    atmosphere: bigint,
+    priceValue: bigint
+  ];
+  export interface OutputObject {
+    restaurantId: bigint;
+    foodQuality: bigint;
+    service: bigint;
+    atmosphere: bigint;
+    priceValue: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DecryptionFulfilledEvent {
+  export type InputTuple = [requestID: BigNumberish];
+  export type OutputTuple = [requestID: bigint];
+  export interface OutputObject {
+    requestID: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ModerationContractUpdatedEvent {
+  export type InputTuple = [moderation: AddressLike];
+  export type OutputTuple = [moderation: string];
+  export interface OutputObject {
+    moderation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PauseUpdatedEvent {
+  export type InputTuple = [paused: boolean, account: AddressLike];
+  export type OutputTuple = [paused: boolean, account: string];
+  export interface OutputObject {
+    paused: boolean;
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RatingSummaryUpdatedEvent {
+  export type InputTuple = [
+    restaurantId: BigNumberish,
+    averageRating: BigNumberish,
+    reviewCount: BigNumberish
+  ];
+  export type OutputTuple = [
+    restaurantId: bigint,
+    averageRating: bigint,
+    reviewCount: bigint
+  ];
+  export interface OutputObject {
+    restaurantId: bigint;
+    averageRating: bigint;
+    reviewCount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RestaurantFreezeUpdatedEvent {
+  export type InputTuple = [
+    restaurantId: BigNumberish,
+    frozen: boolean,
+    account: AddressLike
+  ];
+  export type OutputTuple = [
+    restaurantId: bigint,
+    frozen: boolean,
+    account: string
+  ];
+  export interface OutputObject {
+    restaurantId: bigint;
+    frozen: boolean;
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RestaurantOwnershipTransferStartedEvent {
+  export type InputTuple = [
+    restaurantId: BigNumberish,
+    previousOwner: AddressLike,
+    newOwner: AddressLike
+  ];
+  export type OutputTuple = [
+    restaurantId: bigint,
+    previousOwner: string,
+    newOwner: string
+  ];
+  export interface OutputObject {
+    restaurantId: bigint;
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RestaurantOwnershipTransferredEvent {
+  export type InputTuple = [
+    restaurantId: BigNumberish,
+    previousOwner: AddressLike,
+    newOwner: AddressLike
+  ];
+  export type OutputTuple = [
+    restaurantId: bigint,
+    previousOwner: string,
+    newOwner: string
+  ];
+  export interface OutputObject {
+    restaurantId: bigint;
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RestaurantProfileUpdatedEvent {
+  export type InputTuple = [
+    restaurantId: BigNumberish,
+    oldName: string,
+    newName: string,
+    oldLocation: string,
+    newLocation: string
+  ];
+  export type OutputTuple = [
+    restaurantId: bigint,
+    oldName: string,
+    newName: string,
+    oldLocation: string,
+    newLocation: string
+  ];
+  export interface OutputObject {
+    restaurantId: bigint;
+    oldName: string;
+    newName: string;
+    oldLocation: string;
+    newLocation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RestaurantRegisteredEvent {
+  export type InputTuple = [
+    restaurantId: BigNumberish,
+    name: string,
+    owner: AddressLike
+  ];
+  export type OutputTuple = [restaurantId: bigint, name: string, owner: string];
+  export interface OutputObject {
+    restaurantId: bigint;
+    name: string;
+    owner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RevealThresholdsUpdatedEvent {
+  export type InputTuple = [
+    minReviewsForReveal: BigNumberish,
+    minNewReviewsBetweenReveals: BigNumberish
+  ];
+  export type OutputTuple = [
+    minReviewsForReveal: bigint,
+    minNewReviewsBetweenReveals: bigint
+  ];
+  export interface OutputObject {
+    minReviewsForReveal: bigint;
+    minNewReviewsBetweenReveals: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReviewModerationUpdatedEvent {
+  export type InputTuple = [
+    reviewId: BigNumberish,
+    restaurantId: BigNumberish,
+    status: BigNumberish
+  ];
+  export type OutputTuple = [
+    reviewId: bigint,
+    restaurantId: bigint,
+    status: bigint
+  ];
+  export interface OutputObject {
+    reviewId: bigint;
+    restaurantId: bigint;
+    status: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReviewRetractedEvent {
+  export type InputTuple = [
+    reviewId: BigNumberish,
+    restaurantId: BigNumberish,
+    reviewer: AddressLike
+  ];
+  export type OutputTuple = [
+    reviewId: bigint,
+    restaurantId: bigint,
+    reviewer: string
+  ];
+  export interface OutputObject {
+    reviewId: bigint;
+    restaurantId: bigint;
+    reviewer: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReviewSubmittedEvent {
+  export type InputTuple = [
+    reviewId: BigNumberish,
+    restaurantId: BigNumberish,
+    reviewer: AddressLike
+  ];
+  export type OutputTuple = [
+    reviewId: bigint,
+    restaurantId: bigint,
+    reviewer: string
+  ];
+  export interface OutputObject {
+    reviewId: bigint;
+    restaurantId: bigint;
+    reviewer: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReviewUpdatedEvent {
+  export type InputTuple = [
+    reviewId: BigNumberish,
+    restaurantId: BigNumberish,
+    reviewer: AddressLike
+  ];
+  export type OutputTuple = [
+    reviewId: bigint,
+    restaurantId: bigint,
+    reviewer: string
+  ];
+  export interface OutputObject {
+    reviewId: bigint;
+    restaurantId: bigint;
+    reviewer: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReviewVerifiedEvent {
+  export type InputTuple = [reviewId: BigNumberish, restaurantId: BigNumberish];
+  export type OutputTuple = [reviewId: bigint, restaurantId: bigint];
+  export interface OutputObject {
+    reviewId: bigint;
+    restaurantId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ReviewerEligibilityUpdatedEvent {
+  export type InputTuple = [
+    restaurantId: BigNumberish,
+    eligibility: AddressLike
+  ];
+  export type OutputTuple = [restaurantId: bigint, eligibility: string];
+  export interface OutputObject {
+    restaurantId: bigint;
+    eligibility: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleGrantedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RoleRevokedEvent {
+  export type InputTuple = [
+    role: BytesLike,
+    account: AddressLike,
+    sender: AddressLike
+  ];
+  export type OutputTuple = [role: string, account: string, sender: string];
+  export interface OutputObject {
+    role: string;
+    account: string;
+    sender: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace VerificationDelegateUpdatedEvent {
+  export type InputTuple = [
+    restaurantId: BigNumberish,
+    delegate: AddressLike,
+    enabled: boolean
+  ];
+  export type OutputTuple = [
+    restaurantId: bigint,
+    delegate: string,
+    enabled: boolean
+  ];
+  export interface OutputObject {
+    restaurantId: bigint;
+    delegate: string;
+    enabled: boolean;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace VisitReceiptRedeemedEvent {
+  export type InputTuple = [
+    restaurantId: BigNumberish,
+    nonce: BigNumberish,
+    reviewId: BigNumberish
+  ];
+  export type OutputTuple = [
+    restaurantId: bigint,
+    nonce: bigint,
+    reviewId: bigint
+  ];
+  export interface OutputObject {
+    restaurantId: bigint;
+    nonce: bigint;
+    reviewId: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface PrivateRestaurantRating extends BaseContract {
+  connect(runner?: ContractRunner | null): PrivateRestaurantRating;
+  waitForDeployment(): Promise<this>;
+
+  interface: PrivateRestaurantRatingInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  ADMIN_ROLE: TypedContractMethod<[], [string], "view">;
+
+  MAX_PAGE_SIZE: TypedContractMethod<[], [bigint], "view">;
+
+  MAX_RATING: TypedContractMethod<[], [bigint], "view">;
+
+  MIN_RATING: TypedContractMethod<[], [bigint], "view">;
+
+  MODERATOR_ROLE: TypedContractMethod<[], [string], "view">;
+
+  PAUSER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  RATING_PRECISION: TypedContractMethod<[], [bigint], "view">;
+
+  REVEAL_TIMEOUT: TypedContractMethod<[], [bigint], "view">;
+
+  VERIFIER_ROLE: TypedContractMethod<[], [string], "view">;
+
+  VISIT_RECEIPT_TYPEHASH: TypedContractMethod<[], [string], "view">;
+
+  acceptRestaurantOwnership: TypedContractMethod<
+    [_restaurantId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  calculateAverageRating: TypedContractMethod<
+    [_restaurantId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  canVerify: TypedContractMethod<
+    [_restaurantId: BigNumberish, _account: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  domainSeparator: TypedContractMethod<[], [string], "view">;
+
+  getCategoryAverages: TypedContractMethod<
+    [_restaurantId: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        foodQuality: bigint;
+        service: bigint;
+        atmosphere: bigint;
+        priceValue: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getMyReviewRatings: TypedContractMethod<
+    [_reviewId: BigNumberish],
+    [
+      [string, string, string, string, string] & {
+        foodQuality: string;
+        service: string;
+        atmosphere: string;
+        priceValue: string;
+        overallRating: string;
+      }
+    ],
+    "view"
+  >;
+
+  getRatingSummary: TypedContractMethod<
+    [_restaurantId: BigNumberish],
+    [
+      [bigint, bigint, bigint, boolean] & {
+        reviewCount: bigint;
+        averageRating: bigint;
+        publishedAt: bigint;
+        hasData: boolean;
+      }
+    ],
+    "view"
+  >;
+
+  getRestaurant: TypedContractMethod<
+    [_restaurantId: BigNumberish],
+    [
+      [string, string, string, boolean, bigint, bigint] & {
+        name: string;
+        location: string;
+        restaurantOwner: string;
+        isActive: boolean;
+        totalReviews: bigint;
+        createdAt: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getRestaurantReviews: TypedContractMethod<
+    [_restaurantId: BigNumberish],
+    [bigint[]],
+    "view"
+  >;
+
+  getRestaurantReviewsPage: TypedContractMethod<
+    [_restaurantId: BigNumberish, _offset: BigNumberish, _limit: BigNumberish],
+    [
+      [PrivateRestaurantRating.ReviewViewStructOutput[], bigint] & {
+        page: PrivateRestaurantRating.ReviewViewStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getRestaurantsPage: TypedContractMethod<
+    [_offset: BigNumberish, _limit: BigNumberish],
+    [
+      [PrivateRestaurantRating.RestaurantViewStructOutput[], bigint] & {
+        page: PrivateRestaurantRating.RestaurantViewStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getReviewHistory: TypedContractMethod<
+    [_reviewId: BigNumberish],
+    [PrivateRestaurantRating.ReviewRevisionStructOutput[]],
+    "view"
+  >;
+
+  getReviewInfo: TypedContractMethod<
+    [_reviewId: BigNumberish],
+    [
+      [bigint, string, string, bigint, boolean, bigint] & {
+        restaurantId: bigint;
+        reviewer: string;
+        comment: string;
+        timestamp: bigint;
+        isVerified: boolean;
+        moderationStatus: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getReviewStatus: TypedContractMethod<
+    [_reviewId: BigNumberish],
+    [
+      [boolean, bigint, bigint] & {
+        isWithdrawn: boolean;
+        editCount: bigint;
+        updatedAt: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getTotalCounts: TypedContractMethod<
+    [],
+    [[bigint, bigint] & { totalRestaurants: bigint; totalReviews: bigint }],
+    "view"
+  >;
+
+  getUserReviews: TypedContractMethod<[_user: AddressLike], [bigint[]], "view">;
+
+  getUserReviewsPage: TypedContractMethod<
+    [_user: AddressLike, _offset: BigNumberish, _limit: BigNumberish],
+    [
+      [PrivateRestaurantRating.ReviewViewStructOutput[], bigint] & {
+        page: PrivateRestaurantRating.ReviewViewStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  grantRole: TypedContractMethod<
+    [_role: BytesLike, _account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  hasPendingReveal: TypedContractMethod<
+    [arg0: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  hasReviewed: TypedContractMethod<
+    [_restaurantId: BigNumberish, _user: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  hasRole: TypedContractMethod<
+    [arg0: BytesLike, arg1: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  hasUserReviewed: TypedContractMethod<
+    [arg0: BigNumberish, arg1: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  isEligibleReviewer: TypedContractMethod<
+    [_restaurantId: BigNumberish, _reviewer: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  isRestaurantFrozen: TypedContractMethod<
+    [arg0: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  isVisitReceiptUsed: TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [boolean],
+    "view"
+  >;
+
+  lastRevealReviewCount: TypedContractMethod<
+    [arg0: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  minNewReviewsBetweenReveals: TypedContractMethod<[], [bigint], "view">;
+
+  minReviewsForReveal: TypedContractMethod<[], [bigint], "view">;
+
+  moderation: TypedContractMethod<[], [string], "view">;
+
+  paused: TypedContractMethod<[], [boolean], "view">;
+
+  pendingRestaurantOwner: TypedContractMethod<
+    [arg0: BigNumberish],
+    [string],
+    "view"
+  >;
+
+  pendingRevealRequest: TypedContractMethod<
+    [arg0: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  processAverageRating: TypedContractMethod<
+    [
+      requestId: BigNumberish,
+      cleartexts: BytesLike,
+      decryptionProof: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  protocolId: TypedContractMethod<[], [bigint], "view">;
+
+  registerRestaurant: TypedContractMethod<
+    [_name: string, _location: string],
+    [bigint],
+    "nonpayable"
+  >;
+
+  restaurantCounter: TypedContractMethod<[], [bigint], "view">;
+
+  restaurantReviews: TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  restaurants: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        string,
+        string,
+        string,
+        boolean,
+        bigint,
+        string,
+        bigint,
+        string,
+        string,
+        string,
+        string
+      ] & {
+        name: string;
+        location: string;
+        owner: string;
+        isActive: boolean;
+        totalReviews: bigint;
+        totalRatingSum: string;
+        createdAt: bigint;
+        foodQualitySum: string;
+        serviceSum: string;
+        atmosphereSum: string;
+        priceValueSum: string;
+      }
+    ],
+    "view"
+  >;
+
+  retractReview: TypedContractMethod<
+    [_reviewId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  revealRequests: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [bigint, bigint, bigint] & {
+        restaurantId: bigint;
+        reviewCount: bigint;
+        requestedAt: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  reviewCounter: TypedContractMethod<[], [bigint], "view">;
+
+  reviewSummaries: TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [bigint, bigint, bigint, boolean, bigint, bigint, bigint, bigint] & {
+        reviewCount: bigint;
+        averageRating: bigint;
+        publishedAt: bigint;
+        hasData: boolean;
+        foodQualityAverage: bigint;
+        serviceAverage: bigint;
+        atmosphereAverage: bigint;
+        priceValueAverage: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  reviewerEligibility: TypedContractMethod<
+    [arg0: BigNumberish],
+    [string],
+    "view"
+  >;
+
+  reviewsUntilReveal: TypedContractMethod<
+    [_restaurantId: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  revokeRole: TypedContractMethod<
+    [_role: BytesLike, _account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setModeration: TypedContractMethod<
+    [_moderation: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setModerationStatus: TypedContractMethod<
+    [_reviewId: BigNumberish, _status: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setPaused: TypedContractMethod<[_paused: boolean], [void], "nonpayable">;
+
+  setRestaurantFrozen: TypedContractMethod<
+    [_restaurantId: BigNumberish, _frozen: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  setRevealThresholds: TypedContractMethod<
+    [
+      _minReviewsForReveal: BigNumberish,
+      _minNewReviewsBetweenReveals: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  setReviewerEligibility: TypedContractMethod<
+    [_restaurantId: BigNumberish, _eligibility: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setVerificationDelegate: TypedContractMethod<
+    [_restaurantId: BigNumberish, _delegate: AddressLike, _enabled: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  submitReview: TypedContractMethod<
+    [
+      _restaurantId: BigNumberish,
+      _foodQuality: BytesLike,
+      _service: BytesLike,
+      _atmosphere: BytesLike,
+      _priceValue: BytesLike,
+      _overallRating: BytesLike,
+      _inputProof: BytesLike,
+      _comment: string
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  submitReviewWithReceipt: TypedContractMethod<
+    [
+      _receipt: PrivateRestaurantRating.VisitReceiptStruct,
+      _signature: BytesLike,
+      _foodQuality: BytesLike,
+      _service: BytesLike,
+      _atmosphere: BytesLike,
+      _priceValue: BytesLike,
+      _overallRating: BytesLike,
+      _inputProof: BytesLike,
+      _comment: string
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  toggleRestaurantStatus: TypedContractMethod<
+    [_restaurantId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  transferRestaurantOwnership: TypedContractMethod<
+    [_restaurantId: BigNumberish, _newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  updateRestaurantProfile: TypedContractMethod<
+    [_restaurantId: BigNumberish, _name: string, _location: string],
+    [void],
+    "nonpayable"
+  >;
+
+  updateReview: TypedContractMethod<
+    [
+      _reviewId: BigNumberish,
+      _foodQuality: BytesLike,
+      _service: BytesLike,
+      _atmosphere: BytesLike,
+      _priceValue: BytesLike,
+      _overallRating: BytesLike,
+      _inputProof: BytesLike,
+      _comment: string
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  userReviews: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  verifyReview: TypedContractMethod<
+    [_reviewId: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  visitReceiptSigner: TypedContractMethod<
+    [
+      _receipt: PrivateRestaurantRating.VisitReceiptStruct,
+      _signature: BytesLike
+    ],
+    [string],
+    "view"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "ADMIN_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "MAX_PAGE_SIZE"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "MAX_RATING"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "MIN_RATING"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "MODERATOR_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "PAUSER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "RATING_PRECISION"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "REVEAL_TIMEOUT"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "VERIFIER_ROLE"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "VISIT_RECEIPT_TYPEHASH"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "acceptRestaurantOwnership"
+  ): TypedContractMethod<[_restaurantId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "calculateAverageRating"
+  ): TypedContractMethod<[_restaurantId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "canVerify"
+  ): TypedContractMethod<
+    [_restaurantId: BigNumberish, _account: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "domainSeparator"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "getCategoryAverages"
+  ): TypedContractMethod<
+    [_restaurantId: BigNumberish],
+    [
+      [bigint, bigint, bigint, bigint] & {
+        foodQuality: bigint;
+        service: bigint;
+        atmosphere: bigint;
+        priceValue: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getMyReviewRatings"
+  ): TypedContractMethod<
+    [_reviewId: BigNumberish],
+    [
+      [string, string, string, string, string] & {
+        foodQuality: string;
+        service: string;
+        atmosphere: string;
+        priceValue: string;
+        overallRating: string;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRatingSummary"
+  ): TypedContractMethod<
+    [_restaurantId: BigNumberish],
+    [
+      [bigint, bigint, bigint, boolean] & {
+        reviewCount: bigint;
+        averageRating: bigint;
+        publishedAt: bigint;
+        hasData: boolean;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRestaurant"
+  ): TypedContractMethod<
+    [_restaurantId: BigNumberish],
+    [
+      [string, string, string, boolean, bigint, bigint] & {
+        name: string;
+        location: string;
+        restaurantOwner: string;
+        isActive: boolean;
+        totalReviews: bigint;
+        createdAt: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRestaurantReviews"
+  ): TypedContractMethod<[_restaurantId: BigNumberish], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getRestaurantReviewsPage"
+  ): TypedContractMethod<
+    [_restaurantId: BigNumberish, _offset: BigNumberish, _limit: BigNumberish],
+    [
+      [PrivateRestaurantRating.ReviewViewStructOutput[], bigint] & {
+        page: PrivateRestaurantRating.ReviewViewStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getRestaurantsPage"
+  ): TypedContractMethod<
+    [_offset: BigNumberish, _limit: BigNumberish],
+    [
+      [PrivateRestaurantRating.RestaurantViewStructOutput[], bigint] & {
+        page: PrivateRestaurantRating.RestaurantViewStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getReviewHistory"
+  ): TypedContractMethod<
+    [_reviewId: BigNumberish],
+    [PrivateRestaurantRating.ReviewRevisionStructOutput[]],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getReviewInfo"
+  ): TypedContractMethod<
+    [_reviewId: BigNumberish],
+    [
+      [bigint, string, string, bigint, boolean, bigint] & {
+        restaurantId: bigint;
+        reviewer: string;
+        comment: string;
+        timestamp: bigint;
+        isVerified: boolean;
+        moderationStatus: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getReviewStatus"
+  ): TypedContractMethod<
+    [_reviewId: BigNumberish],
+    [
+      [boolean, bigint, bigint] & {
+        isWithdrawn: boolean;
+        editCount: bigint;
+        updatedAt: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getTotalCounts"
+  ): TypedContractMethod<
+    [],
+    [[bigint, bigint] & { totalRestaurants: bigint; totalReviews: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getUserReviews"
+  ): TypedContractMethod<[_user: AddressLike], [bigint[]], "view">;
+  getFunction(
+    nameOrSignature: "getUserReviewsPage"
+  ): TypedContractMethod<
+    [_user: AddressLike, _offset: BigNumberish, _limit: BigNumberish],
+    [
+      [PrivateRestaurantRating.ReviewViewStructOutput[], bigint] & {
+        page: PrivateRestaurantRating.ReviewViewStructOutput[];
+        total: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "grantRole"
+  ): TypedContractMethod<
+    [_role: BytesLike, _account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "hasPendingReveal"
+  ): TypedContractMethod<[arg0: BigNumberish], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "hasReviewed"
+  ): TypedContractMethod<
+    [_restaurantId: BigNumberish, _user: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "hasRole"
+  ): TypedContractMethod<
+    [arg0: BytesLike, arg1: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "hasUserReviewed"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "isEligibleReviewer"
+  ): TypedContractMethod<
+    [_restaurantId: BigNumberish, _reviewer: AddressLike],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "isRestaurantFrozen"
+  ): TypedContractMethod<[arg0: BigNumberish], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "isVisitReceiptUsed"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [boolean],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "lastRevealReviewCount"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "minNewReviewsBetweenReveals"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "minReviewsForReveal"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "moderation"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "paused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "pendingRestaurantOwner"
+  ): TypedContractMethod<[arg0: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "pendingRevealRequest"
+  ): TypedContractMethod<[arg0: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "processAverageRating"
+  ): TypedContractMethod<
+    [
+      requestId: BigNumberish,
+      cleartexts: BytesLike,
+      decryptionProof: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "protocolId"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "registerRestaurant"
+  ): TypedContractMethod<
+    [_name: string, _location: string],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "restaurantCounter"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "restaurantReviews"
+  ): TypedContractMethod<
+    [arg0: BigNumberish, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "restaurants"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [
+        string,
+        string,
+        string,
+        boolean,
+        bigint,
+        string,
+        bigint,
+        string,
+        string,
+        string,
+        string
+      ] & {
+        name: string;
+        location: string;
+        owner: string;
+        isActive: boolean;
+        totalReviews: bigint;
+        totalRatingSum: string;
+        createdAt: bigint;
+        foodQualitySum: string;
+        serviceSum: string;
+        atmosphereSum: string;
+        priceValueSum: string;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "retractReview"
+  ): TypedContractMethod<[_reviewId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "revealRequests"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [bigint, bigint, bigint] & {
+        restaurantId: bigint;
+        reviewCount: bigint;
+        requestedAt: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "reviewCounter"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "reviewSummaries"
+  ): TypedContractMethod<
+    [arg0: BigNumberish],
+    [
+      [bigint, bigint, bigint, boolean, bigint, bigint, bigint, bigint] & {
+        reviewCount: bigint;
+        averageRating: bigint;
+        publishedAt: bigint;
+        hasData: boolean;
+        foodQualityAverage: bigint;
+        serviceAverage: bigint;
+        atmosphereAverage: bigint;
+        priceValueAverage: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "reviewerEligibility"
+  ): TypedContractMethod<[arg0: BigNumberish], [string], "view">;
+  getFunction(
+    nameOrSignature: "reviewsUntilReveal"
+  ): TypedContractMethod<[_restaurantId: BigNumberish], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "revokeRole"
+  ): TypedContractMethod<
+    [_role: BytesLike, _account: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setModeration"
+  ): TypedContractMethod<[_moderation: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setModerationStatus"
+  ): TypedContractMethod<
+    [_reviewId: BigNumberish, _status: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setPaused"
+  ): TypedContractMethod<[_paused: boolean], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setRestaurantFrozen"
+  ): TypedContractMethod<
+    [_restaurantId: BigNumberish, _frozen: boolean],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setRevealThresholds"
+  ): TypedContractMethod<
+    [
+      _minReviewsForReveal: BigNumberish,
+      _minNewReviewsBetweenReveals: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setReviewerEligibility"
+  ): TypedContractMethod<
+    [_restaurantId: BigNumberish, _eligibility: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setVerificationDelegate"
+  ): TypedContractMethod<
+    [_restaurantId: BigNumberish, _delegate: AddressLike, _enabled: boolean],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "submitReview"
+  ): TypedContractMethod<
+    [
+      _restaurantId: BigNumberish,
+      _foodQuality: BytesLike,
+      _service: BytesLike,
+      _atmosphere: BytesLike,
+      _priceValue: BytesLike,
+      _overallRating: BytesLike,
+      _inputProof: BytesLike,
+      _comment: string
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "submitReviewWithReceipt"
+  ): TypedContractMethod<
+    [
+      _receipt: PrivateRestaurantRating.VisitReceiptStruct,
+      _signature: BytesLike,
+      _foodQuality: BytesLike,
+      _service: BytesLike,
+      _atmosphere: BytesLike,
+      _priceValue: BytesLike,
+      _overallRating: BytesLike,
+      _inputProof: BytesLike,
+      _comment: string
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "toggleRestaurantStatus"
+  ): TypedContractMethod<[_restaurantId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "transferRestaurantOwnership"
+  ): TypedContractMethod<
+    [_restaurantId: BigNumberish, _newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updateRestaurantProfile"
+  ): TypedContractMethod<
+    [_restaurantId: BigNumberish, _name: string, _location: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "updateReview"
+  ): TypedContractMethod<
+    [
+      _reviewId: BigNumberish,
+      _foodQuality: BytesLike,
+      _service: BytesLike,
+      _atmosphere: BytesLike,
+      _priceValue: BytesLike,
+      _overallRating: BytesLike,
+      _inputProof: BytesLike,
+      _comment: string
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "userReviews"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "verifyReview"
+  ): TypedContractMethod<[_reviewId: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "visitReceiptSigner"
+  ): TypedContractMethod<
+    [
+      _receipt: PrivateRestaurantRating.VisitReceiptStruct,
+      _signature: BytesLike
+    ],
+    [string],
+    "view"
+  >;
+
+  getEvent(
+    key: "AverageRatingRequested"
+  ): TypedContractEvent<
+    AverageRatingRequestedEvent.InputTuple,
+    AverageRatingRequestedEvent.OutputTuple,
+    AverageRatingRequestedEvent.OutputObject
+  >;
+  getEvent(
+    key: "CategoryAveragesUpdated"
+  ): TypedContractEvent<
+    CategoryAveragesUpdatedEvent.InputTuple,
+    CategoryAveragesUpdatedEvent.OutputTuple,
+    CategoryAveragesUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DecryptionFulfilled"
+  ): TypedContractEvent<
+    DecryptionFulfilledEvent.InputTuple,
+    DecryptionFulfilledEvent.OutputTuple,
+    DecryptionFulfilledEvent.OutputObject
+  >;
+  getEvent(
+    key: "ModerationContractUpdated"
+  ): TypedContractEvent<
+    ModerationContractUpdatedEvent.InputTuple,
+    ModerationContractUpdatedEvent.OutputTuple,
+    ModerationContractUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "PauseUpdated"
+  ): TypedContractEvent<
+    PauseUpdatedEvent.InputTuple,
+    PauseUpdatedEvent.OutputTuple,
+    PauseUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RatingSummaryUpdated"
+  ): TypedContractEvent<
+    RatingSummaryUpdatedEvent.InputTuple,
+    RatingSummaryUpdatedEvent.OutputTuple,
+    RatingSummaryUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RestaurantFreezeUpdated"
+  ): TypedContractEvent<
+    RestaurantFreezeUpdatedEvent.InputTuple,
+    RestaurantFreezeUpdatedEvent.OutputTuple,
+    RestaurantFreezeUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RestaurantOwnershipTransferStarted"
+  ): TypedContractEvent<
+    RestaurantOwnershipTransferStartedEvent.InputTuple,
+    RestaurantOwnershipTransferStartedEvent.OutputTuple,
+    RestaurantOwnershipTransferStartedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RestaurantOwnershipTransferred"
+  ): TypedContractEvent<
+    RestaurantOwnershipTransferredEvent.InputTuple,
+    RestaurantOwnershipTransferredEvent.OutputTuple,
+    RestaurantOwnershipTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "RestaurantProfileUpdated"
+  ): TypedContractEvent<
+    RestaurantProfileUpdatedEvent.InputTuple,
+    RestaurantProfileUpdatedEvent.OutputTuple,
+    RestaurantProfileUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RestaurantRegistered"
+  ): TypedContractEvent<
+    RestaurantRegisteredEvent.InputTuple,
+    RestaurantRegisteredEvent.OutputTuple,
+    RestaurantRegisteredEvent.OutputObject
+  >;
+  getEvent(
+    key: "RevealThresholdsUpdated"
+  ): TypedContractEvent<
+    RevealThresholdsUpdatedEvent.InputTuple,
+    RevealThresholdsUpdatedEvent.OutputTuple,
+    RevealThresholdsUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReviewModerationUpdated"
+  ): TypedContractEvent<
+    ReviewModerationUpdatedEvent.InputTuple,
+    ReviewModerationUpdatedEvent.OutputTuple,
+    ReviewModerationUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReviewRetracted"
+  ): TypedContractEvent<
+    ReviewRetractedEvent.InputTuple,
+    ReviewRetractedEvent.OutputTuple,
+    ReviewRetractedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReviewSubmitted"
+  ): TypedContractEvent<
+    ReviewSubmittedEvent.InputTuple,
+    ReviewSubmittedEvent.OutputTuple,
+    ReviewSubmittedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReviewUpdated"
+  ): TypedContractEvent<
+    ReviewUpdatedEvent.InputTuple,
+    ReviewUpdatedEvent.OutputTuple,
+    ReviewUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReviewVerified"
+  ): TypedContractEvent<
+    ReviewVerifiedEvent.InputTuple,
+    ReviewVerifiedEvent.OutputTuple,
+    ReviewVerifiedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ReviewerEligibilityUpdated"
+  ): TypedContractEvent<
+    ReviewerEligibilityUpdatedEvent.InputTuple,
+    ReviewerEligibilityUpdatedEvent.OutputTuple,
+    ReviewerEligibilityUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleGranted"
+  ): TypedContractEvent<
+    RoleGrantedEvent.InputTuple,
+    RoleGrantedEvent.OutputTuple,
+    RoleGrantedEvent.OutputObject
+  >;
+  getEvent(
+    key: "RoleRevoked"
+  ): TypedContractEvent<
+    RoleRevokedEvent.InputTuple,
+    RoleRevokedEvent.OutputTuple,
+    RoleRevokedEvent.OutputObject
+  >;
+  getEvent(
+    key: "VerificationDelegateUpdated"
+  ): TypedContractEvent<
+    VerificationDelegateUpdatedEvent.InputTuple,
+    VerificationDelegateUpdatedEvent.OutputTuple,
+    VerificationDelegateUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "VisitReceiptRedeemed"
+  ): TypedContractEvent<
+    VisitReceiptRedeemedEvent.InputTuple,
+    VisitReceiptRedeemedEvent.OutputTuple,
+    VisitReceiptRedeemedEvent.OutputObject
+  >;
+
+  filters: {
+    "AverageRatingRequested(uint32,uint256,uint32)": TypedContractEvent<
+      AverageRatingRequestedEvent.InputTuple,
+      AverageRatingRequestedEvent.OutputTuple,
+      AverageRatingRequestedEvent.OutputObject
+    >;
+    AverageRatingRequested: TypedContractEvent<
+      AverageRatingRequestedEvent.InputTuple,
+      AverageRatingRequestedEvent.OutputTuple,
+      AverageRatingRequestedEvent.OutputObject
+    >;
+
+    "CategoryAveragesUpdated(uint32,uint16,uint16,uint16,uint16)": TypedContractEvent<
+      CategoryAveragesUpdatedEvent.InputTuple,
+      CategoryAveragesUpdatedEvent.OutputTuple,
+      CategoryAveragesUpdatedEvent.OutputObject
+    >;
+    CategoryAveragesUpdated: TypedContractEvent<
+      CategoryAveragesUpdatedEvent.InputTuple,
+      CategoryAveragesUpdatedEvent.OutputTuple,
+      CategoryAveragesUpdatedEvent.OutputObject
+    >;
+
+    "DecryptionFulfilled(uint256)": TypedContractEvent<
+      DecryptionFulfilledEvent.InputTuple,
+      DecryptionFulfilledEvent.OutputTuple,
+      DecryptionFulfilledEvent.OutputObject
+    >;
+    DecryptionFulfilled: TypedContractEvent<
+      DecryptionFulfilledEvent.InputTuple,
+      DecryptionFulfilledEvent.OutputTuple,
+      DecryptionFulfilledEvent.OutputObject
+    >;
+
+    "ModerationContractUpdated(address)": TypedContractEvent<
+      ModerationContractUpdatedEvent.InputTuple,
+      ModerationContractUpdatedEvent.OutputTuple,
+      ModerationContractUpdatedEvent.OutputObject
+    >;
+    ModerationContractUpdated: TypedContractEvent<
+      ModerationContractUpdatedEvent.InputTuple,
+      ModerationContractUpdatedEvent.OutputTuple,
+      ModerationContractUpdatedEvent.OutputObject
+    >;
+
+    "PauseUpdated(bool,address)": TypedContractEvent<
+      PauseUpdatedEvent.InputTuple,
+      PauseUpdatedEvent.OutputTuple,
+      PauseUpdatedEvent.OutputObject
+    >;
+    PauseUpdated: TypedContractEvent<
+      PauseUpdatedEvent.InputTuple,
+      PauseUpdatedEvent.OutputTuple,
+      PauseUpdatedEvent.OutputObject
+    >;
+
+    "RatingSummaryUpdated(uint32,uint16,uint32)": TypedContractEvent<
+      RatingSummaryUpdatedEvent.InputTuple,
+      RatingSummaryUpdatedEvent.OutputTuple,
+      RatingSummaryUpdatedEvent.OutputObject
+    >;
+    RatingSummaryUpdated: TypedContractEvent<
+      RatingSummaryUpdatedEvent.InputTuple,
+      RatingSummaryUpdatedEvent.OutputTuple,
+      RatingSummaryUpdatedEvent.OutputObject
+    >;
+
+    "RestaurantFreezeUpdated(uint32,bool,address)": TypedContractEvent<
+      RestaurantFreezeUpdatedEvent.InputTuple,
+      RestaurantFreezeUpdatedEvent.OutputTuple,
+      RestaurantFreezeUpdatedEvent.OutputObject
+    >;
+    RestaurantFreezeUpdated: TypedContractEvent<
+      RestaurantFreezeUpdatedEvent.InputTuple,
+      RestaurantFreezeUpdatedEvent.OutputTuple,
+      RestaurantFreezeUpdatedEvent.OutputObject
+    >;
+
+    "RestaurantOwnershipTransferStarted(uint32,address,address)": TypedContractEvent<
+      RestaurantOwnershipTransferStartedEvent.InputTuple,
+      RestaurantOwnershipTransferStartedEvent.OutputTuple,
+      RestaurantOwnershipTransferStartedEvent.OutputObject
+    >;
+    RestaurantOwnershipTransferStarted: TypedContractEvent<
+      RestaurantOwnershipTransferStartedEvent.InputTuple,
+      RestaurantOwnershipTransferStartedEvent.OutputTuple,
+      RestaurantOwnershipTransferStartedEvent.OutputObject
+    >;
+
+    "RestaurantOwnershipTransferred(uint32,address,address)": TypedContractEvent<
+      RestaurantOwnershipTransferredEvent.InputTuple,
+      RestaurantOwnershipTransferredEvent.OutputTuple,
+      RestaurantOwnershipTransferredEvent.OutputObject
+    >;
+    RestaurantOwnershipTransferred: TypedContractEvent<
+      RestaurantOwnershipTransferredEvent.InputTuple,
+      RestaurantOwnershipTransferredEvent.OutputTuple,
+      RestaurantOwnershipTransferredEvent.OutputObject
+    >;
+
+    "RestaurantProfileUpdated(uint32,string,string,string,string)": TypedContractEvent<
+      RestaurantProfileUpdatedEvent.InputTuple,
+      RestaurantProfileUpdatedEvent.OutputTuple,
+      RestaurantProfileUpdatedEvent.OutputObject
+    >;
+    RestaurantProfileUpdated: TypedContractEvent<
+      RestaurantProfileUpdatedEvent.InputTuple,
+      RestaurantProfileUpdatedEvent.OutputTuple,
+      RestaurantProfileUpdatedEvent.OutputObject
+    >;
+
+    "RestaurantRegistered(uint32,string,address)": TypedContractEvent<
+      RestaurantRegisteredEvent.InputTuple,
+      RestaurantRegisteredEvent.OutputTuple,
+      RestaurantRegisteredEvent.OutputObject
+    >;
+    RestaurantRegistered: TypedContractEvent<
+      RestaurantRegisteredEvent.InputTuple,
+      RestaurantRegisteredEvent.OutputTuple,
+      RestaurantRegisteredEvent.OutputObject
+    >;
+
+    "RevealThresholdsUpdated(uint32,uint32)": TypedContractEvent<
+      RevealThresholdsUpdatedEvent.InputTuple,
+      RevealThresholdsUpdatedEvent.OutputTuple,
+      RevealThresholdsUpdatedEvent.OutputObject
+    >;
+    RevealThresholdsUpdated: TypedContractEvent<
+      RevealThresholdsUpdatedEvent.InputTuple,
+      RevealThresholdsUpdatedEvent.OutputTuple,
+      RevealThresholdsUpdatedEvent.OutputObject
+    >;
+
+    "ReviewModerationUpdated(uint32,uint32,uint8)": TypedContractEvent<
+      ReviewModerationUpdatedEvent.InputTuple,
+      ReviewModerationUpdatedEvent.OutputTuple,
+      ReviewModerationUpdatedEvent.OutputObject
+    >;
+    ReviewModerationUpdated: TypedContractEvent<
+      ReviewModerationUpdatedEvent.InputTuple,
+      ReviewModerationUpdatedEvent.OutputTuple,
+      ReviewModerationUpdatedEvent.OutputObject
+    >;
+
+    "ReviewRetracted(uint32,uint32,address)": TypedContractEvent<
+      ReviewRetractedEvent.InputTuple,
+      ReviewRetractedEvent.OutputTuple,
+      ReviewRetractedEvent.OutputObject
+    >;
+    ReviewRetracted: TypedContractEvent<
+      ReviewRetractedEvent.InputTuple,
+      ReviewRetractedEvent.OutputTuple,
+      ReviewRetractedEvent.OutputObject
+    >;
+
+    "ReviewSubmitted(uint32,uint32,address)": TypedContractEvent<
+      ReviewSubmittedEvent.InputTuple,
+      ReviewSubmittedEvent.OutputTuple,
+      ReviewSubmittedEvent.OutputObject
+    >;
+    ReviewSubmitted: TypedContractEvent<
+      ReviewSubmittedEvent.InputTuple,
+      ReviewSubmittedEvent.OutputTuple,
+      ReviewSubmittedEvent.OutputObject
+    >;
+
+    "ReviewUpdated(uint32,uint32,address)": TypedContractEvent<
+      ReviewUpdatedEvent.InputTuple,
+      ReviewUpdatedEvent.OutputTuple,
+      ReviewUpdatedEvent.OutputObject
+    >;
+    ReviewUpdated: TypedContractEvent<
+      ReviewUpdatedEvent.InputTuple,
+      ReviewUpdatedEvent.OutputTuple,
+      ReviewUpdatedEvent.OutputObject
+    >;
+
+    "ReviewVerified(uint32,uint32)": TypedContractEvent<
+      ReviewVerifiedEvent.InputTuple,
+      ReviewVerifiedEvent.OutputTuple,
+      ReviewVerifiedEvent.OutputObject
+    >;
+    ReviewVerified: TypedContractEvent<
+      ReviewVerifiedEvent.InputTuple,
+      ReviewVerifiedEvent.OutputTuple,
+      ReviewVerifiedEvent.OutputObject
+    >;
+
+    "ReviewerEligibilityUpdated(uint32,address)": TypedContractEvent<
+      ReviewerEligibilityUpdatedEvent.InputTuple,
+      ReviewerEligibilityUpdatedEvent.OutputTuple,
+      ReviewerEligibilityUpdatedEvent.OutputObject
+    >;
+    ReviewerEligibilityUpdated: TypedContractEvent<
+      ReviewerEligibilityUpdatedEvent.InputTuple,
+      ReviewerEligibilityUpdatedEvent.OutputTuple,
+      ReviewerEligibilityUpdatedEvent.OutputObject
+    >;
+
+    "RoleGranted(bytes32,address,address)": TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+    RoleGranted: TypedContractEvent<
+      RoleGrantedEvent.InputTuple,
+      RoleGrantedEvent.OutputTuple,
+      RoleGrantedEvent.OutputObject
+    >;
+
+    "RoleRevoked(bytes32,address,address)": TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+    RoleRevoked: TypedContractEvent<
+      RoleRevokedEvent.InputTuple,
+      RoleRevokedEvent.OutputTuple,
+      RoleRevokedEvent.OutputObject
+    >;
+
+    "VerificationDelegateUpdated(uint32,address,bool)": TypedContractEvent<
+      VerificationDelegateUpdatedEvent.InputTuple,
+      VerificationDelegateUpdatedEvent.OutputTuple,
+      VerificationDelegateUpdatedEvent.OutputObject
+    >;
+    VerificationDelegateUpdated: TypedContractEvent<
+      VerificationDelegateUpdatedEvent.InputTuple,
+      VerificationDelegateUpdatedEvent.OutputTuple,
+      VerificationDelegateUpdatedEvent.OutputObject
+    >;
+
+    "VisitReceiptRedeemed(uint32,uint256,uint32)": TypedContractEvent<
+      VisitReceiptRedeemedEvent.InputTuple,
+      VisitReceiptRedeemedEvent.OutputTuple,
+      VisitReceiptRedeemedEvent.OutputObject
+    >;
+    VisitReceiptRedeemed: TypedContractEvent<
+      VisitReceiptRedeemedEvent.InputTuple,
+      VisitReceiptRedeemedEvent.OutputTuple,
+      VisitReceiptRedeemedEvent.OutputObject
+    >;
+  };
+}
@@ -0,0 +1,2821 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+
+import { Contract, Interface, type ContractRunner } from "ethers";
+import type {
+  PrivateRestaurantRating,
+  PrivateRestaurantRatingInterface,
+} from "../PrivateRestaurantRating";
+
+const _abi = [
+  {
+    inputs: [],
+    stateMutability: "nonpayable",
+    type: "constructor",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "user",
+        type: "address",
+      },
+    ],
+    name: "AlreadyReviewed",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "CannotRevokeOwnAdminRole",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "ContractPaused",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "HandlesAlreadySavedForRequestID",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "InvalidKMSSignatures",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "limit",
+        type: "uint32",
+      },
+      {
+        internalType: "uint32",
+        name: "maxPageSize",
+        type: "uint32",
+      },
+    ],
+    name: "InvalidPageSize",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "minReviewsForReveal",
+        type: "uint32",
+      },
+      {
+        internalType: "uint32",
+        name: "minNewReviewsBetweenReveals",
+        type: "uint32",
+      },
+    ],
+    name: "InvalidRevealThresholds",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+    ],
+    name: "InvalidVisitReceipt",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "role",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "MissingRole",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "newOwner",
+        type: "address",
+      },
+    ],
+    name: "NewOwnerHasReviewed",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "NoHandleFoundForRequestID",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+    ],
+    name: "NoReviewsToCalculate",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "reviewId",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "caller",
+        type: "address",
+      },
+    ],
+    name: "NotAuthorizedToVerify",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "uint32",
+        name: "reviewsNeeded",
+        type: "uint32",
+      },
+    ],
+    name: "NotEnoughNewReviews",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "uint32",
+        name: "reviewCount",
+        type: "uint32",
+      },
+      {
+        internalType: "uint32",
+        name: "required",
+        type: "uint32",
+      },
+    ],
+    name: "NotEnoughReviews",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "caller",
+        type: "address",
+      },
+    ],
+    name: "NotModerationContract",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "caller",
+        type: "address",
+      },
+    ],
+    name: "NotPendingRestaurantOwner",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "caller",
+        type: "address",
+      },
+    ],
+    name: "NotRestaurantOwner",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "reviewId",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "caller",
+        type: "address",
+      },
+    ],
+    name: "NotReviewAuthor",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "restaurantOwner",
+        type: "address",
+      },
+    ],
+    name: "OwnerCannotReview",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+    ],
+    name: "RestaurantIsFrozen",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+    ],
+    name: "RestaurantNotActive",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+    ],
+    name: "RestaurantNotFound",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "uint256",
+        name: "retryAfter",
+        type: "uint256",
+      },
+    ],
+    name: "RevealAlreadyPending",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "reviewId",
+        type: "uint32",
+      },
+    ],
+    name: "ReviewAlreadyVerified",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "reviewId",
+        type: "uint32",
+      },
+    ],
+    name: "ReviewIsHidden",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "reviewId",
+        type: "uint32",
+      },
+    ],
+    name: "ReviewNotFound",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "reviewId",
+        type: "uint32",
+      },
+    ],
+    name: "ReviewWithdrawn",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "reviewer",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "eligibility",
+        type: "address",
+      },
+    ],
+    name: "ReviewerNotEligible",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+    ],
+    name: "UnknownDecryptionRequest",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "uint256",
+        name: "nonce",
+        type: "uint256",
+      },
+    ],
+    name: "VisitReceiptAlreadyUsed",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "uint256",
+        name: "expiry",
+        type: "uint256",
+      },
+    ],
+    name: "VisitReceiptExpired",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "reviewer",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "caller",
+        type: "address",
+      },
+    ],
+    name: "VisitReceiptNotForCaller",
+    type: "error",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint32",
+        name: "reviewCount",
+        type: "uint32",
+      },
+    ],
+    name: "AverageRatingRequested",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        indexed: false,
+        internalType: "uint16",
+        name: "foodQuality",
+        type: "uint16",
+      },
+      {
+        indexed: false,
+        internalType: "uint16",
+        name: "service",
+        type: "uint16",
+      },
+      {
+        indexed: false,
+        internalType: "uint16",
+        name: "atmosphere",
+        type: "uint16",
+      },
+      {
+        indexed: false,
+        internalType: "uint16",
+        name: "priceValue",
+        type: "uint16",
+      },
+    ],
+    name: "CategoryAveragesUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "requestID",
+        type: "uint256",
+      },
+    ],
+    name: "DecryptionFulfilled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "moderation",
+        type: "address",
+      },
+    ],
+    name: "ModerationContractUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "paused",
+        type: "bool",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "PauseUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        indexed: false,
+        internalType: "uint16",
+        name: "averageRating",
+        type: "uint16",
+      },
+      {
+        indexed: false,
+        internalType: "uint32",
+        name: "reviewCount",
+        type: "uint32",
+      },
+    ],
+    name: "RatingSummaryUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "frozen",
+        type: "bool",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "RestaurantFreezeUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousOwner",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newOwner",
+        type: "address",
+      },
+    ],
+    name: "RestaurantOwnershipTransferStarted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousOwner",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newOwner",
+        type: "address",
+      },
+    ],
+    name: "RestaurantOwnershipTransferred",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "oldName",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "newName",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "oldLocation",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "newLocation",
+        type: "string",
+      },
+    ],
+    name: "RestaurantProfileUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "RestaurantRegistered",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint32",
+        name: "minReviewsForReveal",
+        type: "uint32",
+      },
+      {
+        indexed: false,
+        internalType: "uint32",
+        name: "minNewReviewsBetweenReveals",
+        type: "uint32",
+      },
+    ],
+    name: "RevealThresholdsUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "reviewId",
+        type: "uint32",
+      },
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        indexed: false,
+        internalType: "enum PrivateRestaurantRating.ModerationStatus",
+        name: "status",
+        type: "uint8",
+      },
+    ],
+    name: "ReviewModerationUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "reviewId",
+        type: "uint32",
+      },
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reviewer",
+        type: "address",
+      },
+    ],
+    name: "ReviewRetracted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "reviewId",
+        type: "uint32",
+      },
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reviewer",
+        type: "address",
+      },
+    ],
+    name: "ReviewSubmitted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "reviewId",
+        type: "uint32",
+      },
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reviewer",
+        type: "address",
+      },
+    ],
+    name: "ReviewUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "reviewId",
+        type: "uint32",
+      },
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+    ],
+    name: "ReviewVerified",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "eligibility",
+        type: "address",
+      },
+    ],
+    name: "ReviewerEligibilityUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "role",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "sender",
+        type: "address",
+      },
+    ],
+    name: "RoleGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "role",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "sender",
+        type: "address",
+      },
+    ],
+    name: "RoleRevoked",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "delegate",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "enabled",
+        type: "bool",
+      },
+    ],
+    name: "VerificationDelegateUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "nonce",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "uint32",
+        name: "reviewId",
+        type: "uint32",
+      },
+    ],
+    name: "VisitReceiptRedeemed",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "ADMIN_ROLE",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "MAX_PAGE_SIZE",
+    outputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "MAX_RATING",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "MIN_RATING",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "MODERATOR_ROLE",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "PAUSER_ROLE",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "RATING_PRECISION",
+    outputs: [
+      {
+        internalType: "uint16",
+        name: "",
+        type: "uint16",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "REVEAL_TIMEOUT",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "VERIFIER_ROLE",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "VISIT_RECEIPT_TYPEHASH",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+    ],
+    name: "acceptRestaurantOwnership",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+    ],
+    name: "calculateAverageRating",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "_account",
+        type: "address",
+      },
+    ],
+    name: "canVerify",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "domainSeparator",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+    ],
+    name: "getCategoryAverages",
+    outputs: [
+      {
+        internalType: "uint16",
+        name: "foodQuality",
+        type: "uint16",
+      },
+      {
+        internalType: "uint16",
+        name: "service",
+        type: "uint16",
+      },
+      {
+        internalType: "uint16",
+        name: "atmosphere",
+        type: "uint16",
+      },
+      {
+        internalType: "uint16",
+        name: "priceValue",
+        type: "uint16",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_reviewId",
+        type: "uint32",
+      },
+    ],
+    name: "getMyReviewRatings",
+    outputs: [
+      {
+        internalType: "euint8",
+        name: "foodQuality",
+        type: "bytes32",
+      },
+      {
+        internalType: "euint8",
+        name: "service",
+        type: "bytes32",
+      },
+      {
+        internalType: "euint8",
+        name: "atmosphere",
+        type: "bytes32",
+      },
+      {
+        internalType: "euint8",
+        name: "priceValue",
+        type: "bytes32",
+      },
+      {
+        internalType: "euint8",
+        name: "overallRating",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+    ],
+    name: "getRatingSummary",
+    outputs: [
+      {
+        internalType: "uint32",
+        name: "reviewCount",
+        type: "uint32",
+      },
+      {
+        internalType: "uint16",
+        name: "averageRating",
+        type: "uint16",
+      },
+      {
+        internalType: "uint256",
+        name: "publishedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "hasData",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+    ],
+    name: "getRestaurant",
+    outputs: [
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "location",
+        type: "string",
+      },
+      {
+        internalType: "address",
+        name: "restaurantOwner",
+        type: "address",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "uint32",
+        name: "totalReviews",
+        type: "uint32",
+      },
+      {
+        internalType: "uint256",
+        name: "createdAt",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+    ],
+    name: "getRestaurantReviews",
+    outputs: [
+      {
+        internalType: "uint32[]",
+        name: "",
+        type: "uint32[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "uint32",
+        name: "_offset",
+        type: "uint32",
+      },
+      {
+        internalType: "uint32",
+        name: "_limit",
+        type: "uint32",
+      },
+    ],
+    name: "getRestaurantReviewsPage",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "uint32",
+            name: "id",
+            type: "uint32",
+          },
+          {
+            internalType: "uint32",
+            name: "restaurantId",
+            type: "uint32",
+          },
+          {
+            internalType: "address",
+            name: "reviewer",
+            type: "address",
+          },
+          {
+            internalType: "string",
+            name: "comment",
+            type: "string",
+          },
+          {
+            internalType: "uint256",
+            name: "timestamp",
+            type: "uint256",
+          },
+          {
+            internalType: "bool",
+            name: "isVerified",
+            type: "bool",
+          },
+          {
+            internalType: "bool",
+            name: "isWithdrawn",
+            type: "bool",
+          },
+          {
+            internalType: "uint32",
+            name: "editCount",
+            type: "uint32",
+          },
+          {
+            internalType: "uint256",
+            name: "updatedAt",
+            type: "uint256",
+          },
+          {
+            internalType: "enum PrivateRestaurantRating.ModerationStatus",
+            name: "moderationStatus",
+            type: "uint8",
+          },
+        ],
+        internalType: "struct PrivateRestaurantRating.ReviewView[]",
+        name: "page",
+        type: "tuple[]",
+      },
+      {
+        internalType: "uint32",
+        name: "total",
+        type: "uint32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_offset",
+        type: "uint32",
+      },
+      {
+        internalType: "uint32",
+        name: "_limit",
+        type: "uint32",
+      },
+    ],
+    name: "getRestaurantsPage",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "uint32",
+            name: "id",
+            type: "uint32",
+          },
+          {
+            internalType: "string",
+            name: "name",
+            type: "string",
+          },
+          {
+            internalType: "string",
+            name: "location",
+            type: "string",
+          },
+          {
+            internalType: "address",
+            name: "owner",
+            type: "address",
+          },
+          {
+            internalType: "bool",
+            name: "isActive",
+            type: "bool",
+          },
+          {
+            internalType: "uint32",
+            name: "totalReviews",
+            type: "uint32",
+          },
+          {
+            internalType: "uint256",
+            name: "createdAt",
+            type: "uint256",
+          },
+          {
+            internalType: "bool",
+            name: "hasRevealedAverage",
+            type: "bool",
+          },
+          {
+            internalType: "uint16",
+            name: "averageRating",
+            type: "uint16",
+          },
+          {
+            internalType: "uint32",
+            name: "revealedReviewCount",
+            type: "uint32",
+          },
+          {
+            internalType: "uint32",
+            name: "reviewsUntilReveal",
+            type: "uint32",
+          },
+          {
+            internalType: "bool",
+            name: "hasPendingReveal",
+            type: "bool",
+          },
+        ],
+        internalType: "struct PrivateRestaurantRating.RestaurantView[]",
+        name: "page",
+        type: "tuple[]",
+      },
+      {
+        internalType: "uint32",
+        name: "total",
+        type: "uint32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_reviewId",
+        type: "uint32",
+      },
+    ],
+    name: "getReviewHistory",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "string",
+            name: "comment",
+            type: "string",
+          },
+          {
+            internalType: "uint256",
+            name: "timestamp",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "replacedAt",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct PrivateRestaurantRating.ReviewRevision[]",
+        name: "",
+        type: "tuple[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_reviewId",
+        type: "uint32",
+      },
+    ],
+    name: "getReviewInfo",
+    outputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "reviewer",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "comment",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "isVerified",
+        type: "bool",
+      },
+      {
+        internalType: "enum PrivateRestaurantRating.ModerationStatus",
+        name: "moderationStatus",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_reviewId",
+        type: "uint32",
+      },
+    ],
+    name: "getReviewStatus",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "isWithdrawn",
+        type: "bool",
+      },
+      {
+        internalType: "uint32",
+        name: "editCount",
+        type: "uint32",
+      },
+      {
+        internalType: "uint256",
+        name: "updatedAt",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "getTotalCounts",
+    outputs: [
+      {
+        internalType: "uint32",
+        name: "totalRestaurants",
+        type: "uint32",
+      },
+      {
+        internalType: "uint32",
+        name: "totalReviews",
+        type: "uint32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_user",
+        type: "address",
+      },
+    ],
+    name: "getUserReviews",
+    outputs: [
+      {
+        internalType: "uint32[]",
+        name: "",
+        type: "uint32[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_user",
+        type: "address",
+      },
+      {
+        internalType: "uint32",
+        name: "_offset",
+        type: "uint32",
+      },
+      {
+        internalType: "uint32",
+        name: "_limit",
+        type: "uint32",
+      },
+    ],
+    name: "getUserReviewsPage",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "uint32",
+            name: "id",
+            type: "uint32",
+          },
+          {
+            internalType: "uint32",
+            name: "restaurantId",
+            type: "uint32",
+          },
+          {
+            internalType: "address",
+            name: "reviewer",
+            type: "address",
+          },
+          {
+            internalType: "string",
+            name: "comment",
+            type: "string",
+          },
+          {
+            internalType: "uint256",
+            name: "timestamp",
+            type: "uint256",
+          },
+          {
+            internalType: "bool",
+            name: "isVerified",
+            type: "bool",
+          },
+          {
+            internalType: "bool",
+            name: "isWithdrawn",
+            type: "bool",
+          },
+          {
+            internalType: "uint32",
+            name: "editCount",
+            type: "uint32",
+          },
+          {
+            internalType: "uint256",
+            name: "updatedAt",
+            type: "uint256",
+          },
+          {
+            internalType: "enum PrivateRestaurantRating.ModerationStatus",
+            name: "moderationStatus",
+            type: "uint8",
+          },
+        ],
+        internalType: "struct PrivateRestaurantRating.ReviewView[]",
+        name: "page",
+        type: "tuple[]",
+      },
+      {
+        internalType: "uint32",
+        name: "total",
+        type: "uint32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "_role",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "_account",
+        type: "address",
+      },
+    ],
+    name: "grantRole",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    name: "hasPendingReveal",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "_user",
+        type: "address",
+      },
+    ],
+    name: "hasReviewed",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "hasRole",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "hasUserReviewed",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "_reviewer",
+        type: "address",
+      },
+    ],
+    name: "isEligibleReviewer",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    name: "isRestaurantFrozen",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "isVisitReceiptUsed",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    name: "lastRevealReviewCount",
+    outputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "minNewReviewsBetweenReveals",
+    outputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "minReviewsForReveal",
+    outputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "moderation",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "paused",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    name: "pendingRestaurantOwner",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    name: "pendingRevealRequest",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "requestId",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes",
+        name: "cleartexts",
+        type: "bytes",
+      },
+      {
+        internalType: "bytes",
+        name: "decryptionProof",
+        type: "bytes",
+      },
+    ],
+    name: "processAverageRating",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "protocolId",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "pure",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "_name",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_location",
+        type: "string",
+      },
+    ],
+    name: "registerRestaurant",
+    outputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "restaurantCounter",
+    outputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "restaurantReviews",
+    outputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    name: "restaurants",
+    outputs: [
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "location",
+        type: "string",
+      },
+      {
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+      {
+        internalType: "bool",
+        name: "isActive",
+        type: "bool",
+      },
+      {
+        internalType: "uint32",
+        name: "totalReviews",
+        type: "uint32",
+      },
+      {
+        internalType: "euint32",
+        name: "totalRatingSum",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "createdAt",
+        type: "uint256",
+      },
+      {
+        internalType: "euint32",
+        name: "foodQualitySum",
+        type: "bytes32",
+      },
+      {
+        internalType: "euint32",
+        name: "serviceSum",
+        type: "bytes32",
+      },
+      {
+        internalType: "euint32",
+        name: "atmosphereSum",
+        type: "bytes32",
+      },
+      {
+        internalType: "euint32",
+        name: "priceValueSum",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_reviewId",
+        type: "uint32",
+      },
+    ],
+    name: "retractReview",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "revealRequests",
+    outputs: [
+      {
+        internalType: "uint32",
+        name: "restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "uint32",
+        name: "reviewCount",
+        type: "uint32",
+      },
+      {
+        internalType: "uint256",
+        name: "requestedAt",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "reviewCounter",
+    outputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    name: "reviewSummaries",
+    outputs: [
+      {
+        internalType: "uint32",
+        name: "reviewCount",
+        type: "uint32",
+      },
+      {
+        internalType: "uint16",
+        name: "averageRating",
+        type: "uint16",
+      },
+      {
+        internalType: "uint256",
+        name: "publishedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "hasData",
+        type: "bool",
+      },
+      {
+        internalType: "uint16",
+        name: "foodQualityAverage",
+        type: "uint16",
+      },
+      {
+        internalType: "uint16",
+        name: "serviceAverage",
+        type: "uint16",
+      },
+      {
+        internalType: "uint16",
+        name: "atmosphereAverage",
+        type: "uint16",
+      },
+      {
+        internalType: "uint16",
+        name: "priceValueAverage",
+        type: "uint16",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    name: "reviewerEligibility",
+    outputs: [
+      {
+        internalType: "contract IReviewerEligibility",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+    ],
+    name: "reviewsUntilReveal",
+    outputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "_role",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "_account",
+        type: "address",
+      },
+    ],
+    name: "revokeRole",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_moderation",
+        type: "address",
+      },
+    ],
+    name: "setModeration",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_reviewId",
+        type: "uint32",
+      },
+      {
+        internalType: "enum PrivateRestaurantRating.ModerationStatus",
+        name: "_status",
+        type: "uint8",
+      },
+    ],
+    name: "setModerationStatus",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bool",
+        name: "_paused",
+        type: "bool",
+      },
+    ],
+    name: "setPaused",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "bool",
+        name: "_frozen",
+        type: "bool",
+      },
+    ],
+    name: "setRestaurantFrozen",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_minReviewsForReveal",
+        type: "uint32",
+      },
+      {
+        internalType: "uint32",
+        name: "_minNewReviewsBetweenReveals",
+        type: "uint32",
+      },
+    ],
+    name: "setRevealThresholds",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "contract IReviewerEligibility",
+        name: "_eligibility",
+        type: "address",
+      },
+    ],
+    name: "setReviewerEligibility",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "_delegate",
+        type: "address",
+      },
+      {
+        internalType: "bool",
+        name: "_enabled",
+        type: "bool",
+      },
+    ],
+    name: "setVerificationDelegate",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "externalEuint8",
+        name: "_foodQuality",
+        type: "bytes32",
+      },
+      {
+        internalType: "externalEuint8",
+        name: "_service",
+        type: "bytes32",
+      },
+      {
+        internalType: "externalEuint8",
+        name: "_atmosphere",
+        type: "bytes32",
+      },
+      {
+        internalType: "externalEuint8",
+        name: "_priceValue",
+        type: "bytes32",
+      },
+      {
+        internalType: "externalEuint8",
+        name: "_overallRating",
+        type: "bytes32",
+      },
+      {
+        internalType: "bytes",
+        name: "_inputProof",
+        type: "bytes",
+      },
+      {
+        internalType: "string",
+        name: "_comment",
+        type: "string",
+      },
+    ],
+    name: "submitReview",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "uint32",
+            name: "restaurantId",
+            type: "uint32",
+          },
+          {
+            internalType: "address",
+            name: "reviewer",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "nonce",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "expiry",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct PrivateRestaurantRating.VisitReceipt",
+        name: "_receipt",
+        type: "tuple",
+      },
+      {
+        internalType: "bytes",
+        name: "_signature",
+        type: "bytes",
+      },
+      {
+        internalType: "externalEuint8",
+        name: "_foodQuality",
+        type: "bytes32",
+      },
+      {
+        internalType: "externalEuint8",
+        name: "_service",
+        type: "bytes32",
+      },
+      {
+        internalType: "externalEuint8",
+        name: "_atmosphere",
+        type: "bytes32",
+      },
+      {
+        internalType: "externalEuint8",
+        name: "_priceValue",
+        type: "bytes32",
+      },
+      {
+        internalType: "externalEuint8",
+        name: "_overallRating",
+        type: "bytes32",
+      },
+      {
+        internalType: "bytes",
+        name: "_inputProof",
+        type: "bytes",
+      },
+      {
+        internalType: "string",
+        name: "_comment",
+        type: "string",
+      },
+    ],
+    name: "submitReviewWithReceipt",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+    ],
+    name: "toggleRestaurantStatus",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "address",
+        name: "_newOwner",
+        type: "address",
+      },
+    ],
+    name: "transferRestaurantOwnership",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_restaurantId",
+        type: "uint32",
+      },
+      {
+        internalType: "string",
+        name: "_name",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "_location",
+        type: "string",
+      },
+    ],
+    name: "updateRestaurantProfile",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_reviewId",
+        type: "uint32",
+      },
+      {
+        internalType: "externalEuint8",
+        name: "_foodQuality",
+        type: "bytes32",
+      },
+      {
+        internalType: "externalEuint8",
+        name: "_service",
+        type: "bytes32",
+      },
+      {
+        internalType: "externalEuint8",
+        name: "_atmosphere",
+        type: "bytes32",
+      },
+      {
+        internalType: "externalEuint8",
+        name: "_priceValue",
+        type: "bytes32",
+      },
+      {
+        internalType: "externalEuint8",
+        name: "_overallRating",
+        type: "bytes32",
+      },
+      {
+        internalType: "bytes",
+        name: "_inputProof",
+        type: "bytes",
+      },
+      {
+        internalType: "string",
+        name: "_comment",
+        type: "string",
+      },
+    ],
+    name: "updateReview",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "userReviews",
+    outputs: [
+      {
+        internalType: "uint32",
+        name: "",
+        type: "uint32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint32",
+        name: "_reviewId",
+        type: "uint32",
+      },
+    ],
+    name: "verifyReview",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "uint32",
+            name: "restaurantId",
+            type: "uint32",
+          },
+          {
+            internalType: "address",
+            name: "reviewer",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "nonce",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "expiry",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct PrivateRestaurantRating.VisitReceipt",
+        name: "_receipt",
+        type: "tuple",
+      },
+      {
+        internalType: "bytes",
+        name: "_signature",
+        type: "bytes",
+      },
+    ],
+    name: "visitReceiptSigner",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+export class PrivateRestaurantRating__factory {
+  static readonly abi = _abi;
+  static createInterface(): PrivateRestaurantRatingInterface {
+    return new Interface(_abi) as PrivateRestaurantRatingInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): PrivateRestaurantRating {
+    return new Contract(
+      address,
+      _abi,
+      runner
+    ) as unknown as PrivateRestaurantRating;
+  }
+}
@@ -0,0 +1,4 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+export { PrivateRestaurantRating__factory } from "./PrivateRestaurantRating__factory";
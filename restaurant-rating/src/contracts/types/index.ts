@@ -0,0 +1,6 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+export type { PrivateRestaurantRating } from "./PrivateRestaurantRating";
+export * as factories from "./factories";
+export { PrivateRestaurantRating__factory } from "./factories/PrivateRestaurantRating__factory";
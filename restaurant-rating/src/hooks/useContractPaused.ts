@@ -0,0 +1,37 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { BrowserProvider } from 'ethers';
+import { PrivateRestaurantRating } from '@/contracts';
+import { getContract } from '@/lib/contract';
+
+// Whether a pauser has stopped writes on the wallet's current chain; follows PauseUpdated events
+export function useContractPaused(provider: BrowserProvider | null) {
+  const [paused, setPaused] = useState(false);
+
+  useEffect(() => {
+    setPaused(false);
+    if (!provider) return;
+
+    let contract: PrivateRestaurantRating | null = null;
+    let cancelled = false;
+    const handlePauseUpdated = (isPaused: boolean) => setPaused(isPaused);
+
+    getContract(provider)
+      .then(async (resolved) => {
+        if (cancelled) return;
+        contract = resolved;
+        resolved.on(resolved.filters.PauseUpdated, handlePauseUpdated);
+        const isPaused = await resolved.paused();
+        if (!cancelled) setPaused(isPaused);
+      })
+      .catch(console.error);
+
+    return () => {
+      cancelled = true;
+      contract?.off(contract.filters.PauseUpdated, handlePauseUpdated);
+    };
+  }, [provider]);
+
+  return paused;
+}
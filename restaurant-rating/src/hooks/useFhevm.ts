@@ -0,0 +1,13 @@
+'use client';
+
+import { useContext } from 'react';
+import { FhevmContext } from '@/components/FhevmProvider';
+
+// FHEVM instance, initialization status and error for the wallet's current chain
+export function useFhevm() {
+  const context = useContext(FhevmContext);
+  if (!context) {
+    throw new Error('useFhevm must be used inside FhevmProvider');
+  }
+  return context;
+}
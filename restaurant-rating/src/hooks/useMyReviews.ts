@@ -0,0 +1,128 @@
+'use client';
+
+import { useState, useCallback, useEffect } from 'react';
+import { BrowserProvider } from 'ethers';
+import { PrivateRestaurantRating } from '@/contracts';
+import { getContract, getContractWithSigner } from '@/lib/contract';
+import { clearDecryptionPermission, userDecryptHandles } from '@/lib/fhevm';
+import { DEFAULT_CONCURRENCY, mapWithConcurrency, multicall, ReadCall } from '@/lib/multicall';
+import { MODERATION_STATUSES } from '@/lib/restaurants';
+import { MyReview, ReviewRatings } from '@/types';
+
+// Reviews fetched per getUserReviewsPage call (contract MAX_PAGE_SIZE is 100)
+const PAGE_SIZE = 50;
+
+// Order of the handles returned by getMyReviewRatings
+const RATING_FIELDS: (keyof ReviewRatings)[] = ['foodQuality', 'service', 'atmosphere', 'priceValue', 'overallRating'];
+
+function toMyReview(record: PrivateRestaurantRating.ReviewViewStructOutput): MyReview {
+  return {
+    id: Number(record.id),
+    restaurantId: Number(record.restaurantId),
+    comment: record.comment,
+    timestamp: Number(record.timestamp),
+    isVerified: record.isVerified,
+    isWithdrawn: record.isWithdrawn,
+    editCount: Number(record.editCount),
+    updatedAt: Number(record.updatedAt),
+    moderationStatus: MODERATION_STATUSES[Number(record.moderationStatus)],
+  };
+}
+
+export function useMyReviews(provider: BrowserProvider | null) {
+  const [isLoading, setIsLoading] = useState(false);
+  const [isDecrypting, setIsDecrypting] = useState(false);
+  const [reviews, setReviews] = useState<MyReview[]>([]);
+  const [ratings, setRatings] = useState<Record<number, ReviewRatings>>({});
+
+  // Never carry one account's plaintext scores over to another
+  useEffect(() => {
+    setReviews([]);
+    setRatings({});
+  }, [provider]);
+
+  const loadMyReviews = useCallback(async () => {
+    if (!provider) throw new Error('Wallet not connected');
+
+    setIsLoading(true);
+    try {
+      const contract = await getContract(provider);
+      const signer = await provider.getSigner();
+      const userAddress = await signer.getAddress();
+
+      const firstPage = await contract.getUserReviewsPage(userAddress, 0, PAGE_SIZE);
+      const pageCalls: ReadCall<PrivateRestaurantRating>[] = [];
+      for (let offset = PAGE_SIZE; offset < Number(firstPage.total); offset += PAGE_SIZE) {
+        pageCalls.push({ method: 'getUserReviewsPage', args: [userAddress, offset, PAGE_SIZE] });
+      }
+
+      const otherPages = await multicall(provider, contract, pageCalls);
+      const records: PrivateRestaurantRating.ReviewViewStructOutput[] = [];
+      for (const pageResult of [firstPage, ...otherPages]) {
+        if (!pageResult) throw new Error('Failed to load a page of reviews');
+        records.push(...pageResult.page);
+      }
+
+      const reviewList = records.map(toMyReview);
+      setReviews(reviewList);
+      return reviewList;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [provider]);
+
+  // Decrypt the given reviews' scores with one signed permission (all loaded reviews by default)
+  const decryptRatings = useCallback(
+    async (reviewIds: number[] = reviews.map((review) => review.id)) => {
+      if (!provider) throw new Error('Wallet not connected');
+      if (reviewIds.length === 0) return {};
+
+      setIsDecrypting(true);
+      try {
+        // getMyReviewRatings checks msg.sender, so these calls go through the signer rather than Multicall3
+        const contract = await getContractWithSigner(provider);
+        const contractAddress = await contract.getAddress();
+        const signer = await provider.getSigner();
+        const handleSets = await mapWithConcurrency(reviewIds, DEFAULT_CONCURRENCY, async (reviewId) => {
+          const handles = await contract.getMyReviewRatings(reviewId);
+          return RATING_FIELDS.map((field) => handles[field]);
+        });
+
+        let values: bigint[];
+        try {
+          values = await userDecryptHandles(signer, contractAddress, handleSets.flat());
+        } catch (error) {
+          // A rejected permission would otherwise be reused until it expires
+          await clearDecryptionPermission(signer, contractAddress);
+          throw error;
+        }
+
+        const decrypted: Record<number, ReviewRatings> = {};
+        reviewIds.forEach((reviewId, i) => {
+          const scores = values.slice(i * RATING_FIELDS.length, (i + 1) * RATING_FIELDS.length);
+          decrypted[reviewId] = Object.fromEntries(
+            RATING_FIELDS.map((field, j) => [field, Number(scores[j])])
+          ) as unknown as ReviewRatings;
+        });
+
+        setRatings((current) => ({ ...current, ...decrypted }));
+        return decrypted;
+      } finally {
+        setIsDecrypting(false);
+      }
+    },
+    [provider, reviews]
+  );
+
+  const hideRatings = useCallback(() => setRatings({}), []);
+
+  return {
+    isLoading,
+    isDecrypting,
+    reviews,
+    ratings,
+    loadMyReviews,
+    decryptRatings,
+    hideRatings,
+  };
+}
@@ -0,0 +1,160 @@
+'use client';
+
+import { useState, useCallback, useEffect } from 'react';
+import { BrowserProvider } from 'ethers';
+import { useTransactions } from '@/hooks/useTransactions';
+import { getContract, getContractWithSigner, getDeploymentBlock } from '@/lib/contract';
+import { DEFAULT_CONCURRENCY, mapWithConcurrency } from '@/lib/multicall';
+import {
+  fetchAllRestaurantRecords,
+  fetchRestaurantReviewRecords,
+  RATING_PRECISION,
+  toRestaurant,
+  toRestaurantReview,
+} from '@/lib/restaurants';
+import { PublishedSummary, Restaurant, RestaurantReview, ReviewVolumePoint } from '@/types';
+
+// Count events per UTC day, oldest first
+function toVolume(timestamps: number[]): ReviewVolumePoint[] {
+  const counts = new Map<string, number>();
+  for (const timestamp of timestamps) {
+    const date = new Date(timestamp * 1000).toISOString().slice(0, 10);
+    counts.set(date, (counts.get(date) ?? 0) + 1);
+  }
+  return Array.from(counts, ([date, count]) => ({ date, count })).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export function useOwnerDashboard(provider: BrowserProvider | null) {
+  const [isLoading, setIsLoading] = useState(false);
+  const [restaurants, setRestaurants] = useState<Restaurant[]>([]);
+  const [pendingReviews, setPendingReviews] = useState<RestaurantReview[]>([]);
+  const [reviewVolume, setReviewVolume] = useState<Record<number, ReviewVolumePoint[]>>({});
+  const [summaryHistory, setSummaryHistory] = useState<Record<number, PublishedSummary[]>>({});
+  const { sendTransaction, isPending } = useTransactions();
+
+  // Ownership is per account and per chain
+  useEffect(() => {
+    setRestaurants([]);
+    setPendingReviews([]);
+    setReviewVolume({});
+    setSummaryHistory({});
+  }, [provider]);
+
+  const loadDashboard = useCallback(async () => {
+    if (!provider) throw new Error('Wallet not connected');
+
+    setIsLoading(true);
+    try {
+      const contract = await getContract(provider);
+      const signer = await provider.getSigner();
+      const userAddress = (await signer.getAddress()).toLowerCase();
+      const fromBlock = await getDeploymentBlock(provider);
+
+      // There is no owner index on-chain, so filter the full list
+      const owned = (await fetchAllRestaurantRecords(provider, contract))
+        .filter((record) => record.owner.toLowerCase() === userAddress)
+        .map((record) => toRestaurant(record, false));
+      const ownedIds = owned.map((restaurant) => restaurant.id);
+
+      const [reviewLists, submittedLogs, summaryLogs] = await Promise.all([
+        mapWithConcurrency(ownedIds, DEFAULT_CONCURRENCY, (id) => fetchRestaurantReviewRecords(provider, contract, id)),
+        mapWithConcurrency(ownedIds, DEFAULT_CONCURRENCY, (id) =>
+          contract.queryFilter(contract.filters.ReviewSubmitted(undefined, id), fromBlock)
+        ),
+        mapWithConcurrency(ownedIds, DEFAULT_CONCURRENCY, (id) =>
+          contract.queryFilter(contract.filters.RatingSummaryUpdated(id), fromBlock)
+        ),
+      ]);
+
+      // Neither event carries a timestamp, so read it from each distinct block once
+      const blockNumbers = Array.from(
+        new Set([...submittedLogs.flat(), ...summaryLogs.flat()].map((log) => log.blockNumber))
+      );
+      const blocks = await mapWithConcurrency(blockNumbers, DEFAULT_CONCURRENCY, (blockNumber) =>
+        provider.getBlock(blockNumber)
+      );
+      const blockTimes = new Map(blockNumbers.map((blockNumber, i) => [blockNumber, blocks[i]?.timestamp ?? 0]));
+
+      const volume: Record<number, ReviewVolumePoint[]> = {};
+      const history: Record<number, PublishedSummary[]> = {};
+      ownedIds.forEach((id, i) => {
+        volume[id] = toVolume(submittedLogs[i].map((log) => blockTimes.get(log.blockNumber)!));
+        // Newest first
+        history[id] = summaryLogs[i]
+          .map((log) => ({
+            restaurantId: id,
+            averageRating: Number(log.args.averageRating) / RATING_PRECISION,
+            reviewCount: Number(log.args.reviewCount),
+            publishedAt: blockTimes.get(log.blockNumber)!,
+            transactionHash: log.transactionHash,
+          }))
+          .reverse();
+      });
+
+      setRestaurants(owned);
+      setPendingReviews(
+        reviewLists
+          .flat()
+          .map(toRestaurantReview)
+          .filter((review) => !review.isVerified && !review.isWithdrawn)
+      );
+      setReviewVolume(volume);
+      setSummaryHistory(history);
+      return owned;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [provider]);
+
+  // One transaction per review; stops at the first failure so the caller can report how far it got
+  const verifyReviews = useCallback(
+    async (reviewIds: number[], onProgress?: (verified: number) => void) => {
+      if (!provider) throw new Error('Wallet not connected');
+
+      const contract = await getContractWithSigner(provider);
+      let verified = 0;
+      for (const reviewId of reviewIds) {
+        await sendTransaction(`verify:${reviewId}`, `Verification of review #${reviewId}`, () =>
+          contract.verifyReview(reviewId)
+        );
+        verified++;
+        setPendingReviews((current) => current.filter((review) => review.id !== reviewId));
+        onProgress?.(verified);
+      }
+      return verified;
+    },
+    [provider, sendTransaction]
+  );
+
+  // toggleRestaurantStatus emits no event, so re-read the row once mined
+  const toggleStatus = useCallback(
+    async (restaurantId: number) => {
+      if (!provider) throw new Error('Wallet not connected');
+
+      const contract = await getContractWithSigner(provider);
+      const receipt = await sendTransaction(
+        `toggle:${restaurantId}`,
+        `Status change of restaurant #${restaurantId}`,
+        () => contract.toggleRestaurantStatus(restaurantId)
+      );
+
+      const [record] = (await contract.getRestaurantsPage(restaurantId - 1, 1)).page;
+      const updated = toRestaurant(record, false);
+      setRestaurants((current) => current.map((restaurant) => (restaurant.id === restaurantId ? updated : restaurant)));
+      return receipt;
+    },
+    [provider, sendTransaction]
+  );
+
+  return {
+    isLoading,
+    restaurants,
+    pendingReviews,
+    reviewVolume,
+    summaryHistory,
+    isPending,
+    loadDashboard,
+    verifyReviews,
+    toggleStatus,
+  };
+}
@@ -1,54 +1,148 @@
 'use client';
 
-import { useState, useCallback } from 'react';
-import { BrowserProvider } from 'ethers';
-import { getContractWithSigner } from '@/lib/contract';
-import { Restaurant, ReviewFormData } from '@/types';
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import { BrowserProvider, ContractEventPayload } from 'ethers';
+import { PrivateRestaurantRating } from '@/contracts';
+import { useTransactions } from '@/hooks/useTransactions';
+import { getContract, getContractWithSigner } from '@/lib/contract';
+import { encryptRatings } from '@/lib/fhevm';
+import { multicall } from '@/lib/multicall';
+import { applyRestaurantQuery, DEFAULT_RESTAURANT_QUERY, RestaurantQuery } from '@/lib/restaurantQuery';
+import { fetchAllRestaurantRecords, toRestaurant } from '@/lib/restaurants';
+import { Restaurant, ReviewFormData, RevealThresholds } from '@/types';
+
+// Events whose restaurantId row should be re-read when they fire
+const RESTAURANT_EVENTS: (keyof PrivateRestaurantRating['filters'])[] = [
+  'RestaurantRegistered',
+  'RestaurantProfileUpdated',
+  'RestaurantOwnershipTransferred',
+  'ReviewSubmitted',
+  'ReviewRetracted',
+  // Hiding or restoring a review changes the restaurant's review count
+  'ReviewModerationUpdated',
+  'AverageRatingRequested',
+  'RatingSummaryUpdated',
+];
+
+// Replace rows by ID and append new ones, keeping the list ordered by ID
+function mergeRestaurants(current: Restaurant[], updated: Restaurant[]): Restaurant[] {
+  const byId = new Map(current.map((restaurant) => [restaurant.id, restaurant]));
+  for (const restaurant of updated) {
+    byId.set(restaurant.id, restaurant);
+  }
+  return Array.from(byId.values()).sort((a, b) => a.id - b.id);
+}
 
-export function useRestaurant(provider: BrowserProvider | null) {
+// `restaurants` is every loaded row in ID order; `visibleRestaurants` applies the search, filters and sort
+export function useRestaurant(provider: BrowserProvider | null, query: RestaurantQuery = DEFAULT_RESTAURANT_QUERY) {
   const [isLoading, setIsLoading] = useState(false);
   const [restaurants, setRestaurants] = useState<Restaurant[]>([]);
+  const [revealThresholds, setRevealThresholds] = useState<RevealThresholds | null>(null);
+  const { sendTransaction, isPending } = useTransactions();
+
+  // Rows and review flags belong to the previous chain or account
+  useEffect(() => {
+    setRestaurants([]);
+    setRevealThresholds(null);
+  }, [provider]);
+
+  // Re-read only the given rows (record and review flag for each ID in one batch)
+  const refreshRestaurants = useCallback(
+    async (restaurantIds: number[]) => {
+      if (!provider) throw new Error('Wallet not connected');
+      if (restaurantIds.length === 0) return [];
+
+      const contract = await getContract(provider);
+      const signer = await provider.getSigner();
+      const userAddress = await signer.getAddress();
+
+      const results = await multicall(
+        provider,
+        contract,
+        restaurantIds.flatMap((id) => [
+          { method: 'getRestaurantsPage', args: [id - 1, 1] },
+          { method: 'hasReviewed', args: [id, userAddress] },
+        ])
+      );
+
+      const updated: Restaurant[] = [];
+      restaurantIds.forEach((id, i) => {
+        const pageResult = results[2 * i];
+        const reviewedResult = results[2 * i + 1];
+        if (pageResult && pageResult.page.length > 0) {
+          updated.push(toRestaurant(pageResult.page[0], Boolean(reviewedResult?.[0])));
+        } else {
+          console.error(`Error refreshing restaurant ${id}`);
+        }
+      });
+
+      setRestaurants((current) => mergeRestaurants(current, updated));
+      return updated;
+    },
+    [provider]
+  );
 
   const registerRestaurant = useCallback(
     async (name: string, location: string) => {
       if (!provider) throw new Error('Wallet not connected');
 
-      setIsLoading(true);
-      try {
-        const contract = await getContractWithSigner(provider);
-        const tx = await contract.registerRestaurant(name, location);
-        await tx.wait();
-        return tx;
-      } finally {
-        setIsLoading(false);
+      const contract = await getContractWithSigner(provider);
+      const receipt = await sendTransaction('register', `Registering ${name}`, () =>
+        contract.registerRestaurant(name, location)
+      );
+
+      // Add just the new row instead of reloading the whole list
+      for (const log of receipt.logs) {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed?.name === 'RestaurantRegistered') {
+          refreshRestaurants([Number(parsed.args.restaurantId)]).catch(console.error);
+        }
       }
+      return receipt;
     },
-    [provider]
+    [provider, sendTransaction, refreshRestaurants]
   );
 
   const submitReview = useCallback(
     async (reviewData: ReviewFormData) => {
       if (!provider) throw new Error('Wallet not connected');
 
-      setIsLoading(true);
-      try {
-        const contract = await getContractWithSigner(provider);
-        const tx = await contract.submitReview(
-          reviewData.restaurantId,
-          reviewData.foodQuality,
-          reviewData.service,
-          reviewData.atmosphere,
-          reviewData.priceValue,
-          reviewData.overallRating,
-          reviewData.comment
-        );
-        await tx.wait();
-        return tx;
-      } finally {
-        setIsLoading(false);
-      }
+      const contract = await getContractWithSigner(provider);
+      const signer = await provider.getSigner();
+      const userAddress = await signer.getAddress();
+
+      const receipt = await sendTransaction(
+        `review:${reviewData.restaurantId}`,
+        `Review of restaurant #${reviewData.restaurantId}`,
+        async () => {
+          // Ratings never leave the browser in plaintext
+          const {
+            handles: [foodQuality, service, atmosphere, priceValue, overallRating],
+            inputProof,
+          } = await encryptRatings(await contract.getAddress(), userAddress, [
+            reviewData.foodQuality,
+            reviewData.service,
+            reviewData.atmosphere,
+            reviewData.priceValue,
+            reviewData.overallRating,
+          ]);
+
+          return contract.submitReview(
+            reviewData.restaurantId,
+            foodQuality,
+            service,
+            atmosphere,
+            priceValue,
+            overallRating,
+            inputProof,
+            reviewData.comment
+          );
+        }
+      );
+      refreshRestaurants([reviewData.restaurantId]).catch(console.error);
+      return receipt;
     },
-    [provider]
+    [provider, sendTransaction, refreshRestaurants]
   );
 
   const loadRestaurants = useCallback(async () => {
@@ -56,33 +150,27 @@ export function useRestaurant(provider: BrowserProvider | null) {
 
     setIsLoading(true);
     try {
-      const contract = await getContractWithSigner(provider);
+      const contract = await getContract(provider);
       const signer = await provider.getSigner();
       const userAddress = await signer.getAddress();
 
-      const counts = await contract.getTotalCounts();
-      const totalRestaurants = Number(counts.totalRestaurants);
-
-      const restaurantList: Restaurant[] = [];
-
-      for (let i = 1; i <= totalRestaurants; i++) {
-        try {
-          const restaurant = await contract.getRestaurant(i);
-          const hasReviewed = await contract.hasReviewed(i, userAddress);
-
-          restaurantList.push({
-            id: i,
-            name: restaurant.name,
-            location: restaurant.location,
-            owner: restaurant.restaurantOwner,
-            isActive: restaurant.isActive,
-            totalReviews: Number(restaurant.totalReviews),
-            createdAt: Number(restaurant.createdAt),
-          });
-        } catch (error) {
-          console.error(`Error loading restaurant ${i}:`, error);
-        }
-      }
+      const [minReviewsForReveal, minNewReviewsBetweenReveals, records] = await Promise.all([
+        contract.minReviewsForReveal(),
+        contract.minNewReviewsBetweenReveals(),
+        fetchAllRestaurantRecords(provider, contract),
+      ]);
+      setRevealThresholds({
+        minReviewsForReveal: Number(minReviewsForReveal),
+        minNewReviewsBetweenReveals: Number(minNewReviewsBetweenReveals),
+      });
+
+      const reviewedResults = await multicall(
+        provider,
+        contract,
+        records.map((record) => ({ method: 'hasReviewed', args: [record.id, userAddress] }))
+      );
+
+      const restaurantList = records.map((record, i) => toRestaurant(record, Boolean(reviewedResults[i]?.[0])));
 
       setRestaurants(restaurantList);
       return restaurantList;
@@ -91,6 +179,22 @@ export function useRestaurant(provider: BrowserProvider | null) {
     }
   }, [provider]);
 
+  const revealAverage = useCallback(
+    async (restaurantId: number) => {
+      if (!provider) throw new Error('Wallet not connected');
+
+      const contract = await getContractWithSigner(provider);
+      const receipt = await sendTransaction(
+        `reveal:${restaurantId}`,
+        `Reveal request for restaurant #${restaurantId}`,
+        () => contract.calculateAverageRating(restaurantId)
+      );
+      refreshRestaurants([restaurantId]).catch(console.error);
+      return receipt;
+    },
+    [provider, sendTransaction, refreshRestaurants]
+  );
+
   const checkHasReviewed = useCallback(
     async (restaurantId: number, userAddress: string) => {
       if (!provider) throw new Error('Wallet not connected');
@@ -101,12 +205,48 @@ export function useRestaurant(provider: BrowserProvider | null) {
     [provider]
   );
 
+  useEffect(() => {
+    // Keep rows current as other users review and reveals complete
+    if (!provider) return;
+
+    let contract: PrivateRestaurantRating | null = null;
+    let cancelled = false;
+    const handleEvent = (...args: unknown[]) => {
+      const payload = args[args.length - 1] as ContractEventPayload;
+      refreshRestaurants([Number(payload.args.restaurantId)]).catch(console.error);
+    };
+
+    getContract(provider)
+      .then((resolved) => {
+        if (cancelled) return;
+        contract = resolved;
+        for (const eventName of RESTAURANT_EVENTS) {
+          resolved.on(resolved.filters[eventName], handleEvent);
+        }
+      })
+      .catch(console.error);
+
+    return () => {
+      cancelled = true;
+      for (const eventName of RESTAURANT_EVENTS) {
+        contract?.off(contract.filters[eventName], handleEvent);
+      }
+    };
+  }, [provider, refreshRestaurants]);
+
+  const visibleRestaurants = useMemo(() => applyRestaurantQuery(restaurants, query), [restaurants, query]);
+
   return {
     isLoading,
     restaurants,
+    visibleRestaurants,
+    revealThresholds,
+    isPending,
     registerRestaurant,
     submitReview,
     loadRestaurants,
+    refreshRestaurants,
+    revealAverage,
     checkHasReviewed,
   };
 }
@@ -0,0 +1,271 @@
+'use client';
+
+import { useState, useCallback, useEffect } from 'react';
+import { BrowserProvider, ContractTransactionResponse } from 'ethers';
+import { PrivateRestaurantRating } from '@/contracts';
+import { useTransactions } from '@/hooks/useTransactions';
+import { getContract, getContractWithSigner } from '@/lib/contract';
+import { encryptRatings } from '@/lib/fhevm';
+import { parseVisitReceipt } from '@/lib/receipts';
+import { multicall } from '@/lib/multicall';
+import {
+  fetchRestaurantReviewRecords,
+  RATING_PRECISION,
+  toRestaurant,
+  toRestaurantReview,
+} from '@/lib/restaurants';
+import { RatingSummary, Restaurant, RestaurantReview, ReviewFormData, RevealThresholds } from '@/types';
+
+// Per-restaurant events that change what this page shows
+const DETAIL_EVENTS = [
+  'ReviewSubmitted',
+  'ReviewVerified',
+  'ReviewUpdated',
+  'ReviewRetracted',
+  'ReviewModerationUpdated',
+  'AverageRatingRequested',
+  'RatingSummaryUpdated',
+  'RestaurantFreezeUpdated',
+] as const;
+
+export function useRestaurantDetail(provider: BrowserProvider | null, restaurantId: number) {
+  const [isLoading, setIsLoading] = useState(false);
+  const [restaurant, setRestaurant] = useState<Restaurant | null>(null);
+  const [reviews, setReviews] = useState<RestaurantReview[]>([]);
+  const [summary, setSummary] = useState<RatingSummary | null>(null);
+  const [revealThresholds, setRevealThresholds] = useState<RevealThresholds | null>(null);
+  // Whether the connected wallet may verify reviews here: owner, delegated staff or verifier role
+  const [canVerify, setCanVerify] = useState(false);
+  // Frozen by a pauser: review writes and reveals are stopped until a pauser lifts it
+  const [isFrozen, setIsFrozen] = useState(false);
+  const { sendTransaction, isPending } = useTransactions();
+
+  // Everything shown belongs to the previous chain, account or restaurant
+  useEffect(() => {
+    setRestaurant(null);
+    setReviews([]);
+    setSummary(null);
+    setRevealThresholds(null);
+    setCanVerify(false);
+    setIsFrozen(false);
+  }, [provider, restaurantId]);
+
+  const loadRestaurant = useCallback(async () => {
+    if (!provider) throw new Error('Wallet not connected');
+
+    setIsLoading(true);
+    try {
+      const contract = await getContract(provider);
+      const signer = await provider.getSigner();
+      const userAddress = await signer.getAddress();
+
+      const [results, records] = await Promise.all([
+        multicall(provider, contract, [
+          { method: 'getRestaurantsPage', args: [restaurantId - 1, 1] },
+          { method: 'hasReviewed', args: [restaurantId, userAddress] },
+          { method: 'getRatingSummary', args: [restaurantId] },
+          { method: 'getCategoryAverages', args: [restaurantId] },
+          { method: 'minReviewsForReveal', args: [] },
+          { method: 'minNewReviewsBetweenReveals', args: [] },
+          { method: 'canVerify', args: [restaurantId, userAddress] },
+          { method: 'isRestaurantFrozen', args: [restaurantId] },
+        ]),
+        fetchRestaurantReviewRecords(provider, contract, restaurantId),
+      ]);
+      const [
+        restaurantPage,
+        reviewed,
+        ratingSummary,
+        categoryAverages,
+        minReviewsForReveal,
+        minNewReviewsBetweenReveals,
+        verifier,
+        frozen,
+      ] = results;
+
+      if (!restaurantPage || restaurantPage.page.length === 0 || Number(restaurantPage.page[0].id) !== restaurantId) {
+        throw new Error(`Restaurant #${restaurantId} not found`);
+      }
+
+      const loaded = toRestaurant(restaurantPage.page[0], Boolean(reviewed?.[0]));
+      setRestaurant(loaded);
+      // Newest first; retracted reviews no longer count towards anything
+      setReviews(
+        records
+          .map(toRestaurantReview)
+          .filter((review) => !review.isWithdrawn)
+          .reverse()
+      );
+      setSummary(
+        ratingSummary?.hasData && categoryAverages
+          ? {
+              reviewCount: Number(ratingSummary.reviewCount),
+              averageRating: Number(ratingSummary.averageRating) / RATING_PRECISION,
+              publishedAt: Number(ratingSummary.publishedAt),
+              categoryAverages: {
+                foodQuality: Number(categoryAverages.foodQuality) / RATING_PRECISION,
+                service: Number(categoryAverages.service) / RATING_PRECISION,
+                atmosphere: Number(categoryAverages.atmosphere) / RATING_PRECISION,
+                priceValue: Number(categoryAverages.priceValue) / RATING_PRECISION,
+              },
+            }
+          : null
+      );
+      if (minReviewsForReveal && minNewReviewsBetweenReveals) {
+        setRevealThresholds({
+          minReviewsForReveal: Number(minReviewsForReveal[0]),
+          minNewReviewsBetweenReveals: Number(minNewReviewsBetweenReveals[0]),
+        });
+      }
+      setCanVerify(Boolean(verifier?.[0]));
+      setIsFrozen(Boolean(frozen?.[0]));
+      return loaded;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [provider, restaurantId]);
+
+  // Send a transaction through the transaction manager and re-read the page once it is mined
+  const runTransaction = useCallback(
+    async (
+      action: string,
+      description: string,
+      send: (contract: PrivateRestaurantRating) => Promise<ContractTransactionResponse>
+    ) => {
+      if (!provider) throw new Error('Wallet not connected');
+
+      const contract = await getContractWithSigner(provider);
+      const receipt = await sendTransaction(action, description, () => send(contract));
+      loadRestaurant().catch(console.error);
+      return receipt;
+    },
+    [provider, sendTransaction, loadRestaurant]
+  );
+
+  const submitReview = useCallback(
+    (reviewData: Omit<ReviewFormData, 'restaurantId'>) =>
+      runTransaction(`review:${restaurantId}`, `Review of restaurant #${restaurantId}`, async (contract) => {
+        const signer = await provider!.getSigner();
+        const userAddress = await signer.getAddress();
+        const visitReceipt = reviewData.visitReceipt
+          ? parseVisitReceipt(reviewData.visitReceipt, restaurantId, userAddress)
+          : null;
+
+        // Ratings never leave the browser in plaintext
+        const {
+          handles: [foodQuality, service, atmosphere, priceValue, overallRating],
+          inputProof,
+        } = await encryptRatings(await contract.getAddress(), userAddress, [
+          reviewData.foodQuality,
+          reviewData.service,
+          reviewData.atmosphere,
+          reviewData.priceValue,
+          reviewData.overallRating,
+        ]);
+
+        if (visitReceipt) {
+          return contract.submitReviewWithReceipt(
+            visitReceipt.receipt,
+            visitReceipt.signature,
+            foodQuality,
+            service,
+            atmosphere,
+            priceValue,
+            overallRating,
+            inputProof,
+            reviewData.comment
+          );
+        }
+        return contract.submitReview(
+          restaurantId,
+          foodQuality,
+          service,
+          atmosphere,
+          priceValue,
+          overallRating,
+          inputProof,
+          reviewData.comment
+        );
+      }),
+    [provider, restaurantId, runTransaction]
+  );
+
+  const revealAverage = useCallback(
+    () =>
+      runTransaction(`reveal:${restaurantId}`, `Reveal request for restaurant #${restaurantId}`, (contract) =>
+        contract.calculateAverageRating(restaurantId)
+      ),
+    [restaurantId, runTransaction]
+  );
+
+  const verifyReview = useCallback(
+    (reviewId: number) =>
+      runTransaction(`verify:${reviewId}`, `Verification of review #${reviewId}`, (contract) =>
+        contract.verifyReview(reviewId)
+      ),
+    [runTransaction]
+  );
+
+  // toggleRestaurantStatus emits no event, so the reload after mining is the only refresh
+  const toggleStatus = useCallback(
+    () =>
+      runTransaction(`toggle:${restaurantId}`, `Status change of restaurant #${restaurantId}`, (contract) =>
+        contract.toggleRestaurantStatus(restaurantId)
+      ),
+    [restaurantId, runTransaction]
+  );
+
+  useEffect(() => {
+    // Pick up other users' reviews, verifications and reveals for this restaurant
+    if (!provider) return;
+
+    let contract: PrivateRestaurantRating | null = null;
+    let cancelled = false;
+    const handleEvent = () => {
+      loadRestaurant().catch(console.error);
+    };
+
+    // restaurantId is indexed on every event here, so let the node do the filtering
+    const filterFor = (resolved: PrivateRestaurantRating, eventName: (typeof DETAIL_EVENTS)[number]) =>
+      eventName === 'AverageRatingRequested' ||
+      eventName === 'RatingSummaryUpdated' ||
+      eventName === 'RestaurantFreezeUpdated'
+        ? resolved.filters[eventName](restaurantId)
+        : resolved.filters[eventName](undefined, restaurantId);
+
+    getContract(provider)
+      .then((resolved) => {
+        if (cancelled) return;
+        contract = resolved;
+        for (const eventName of DETAIL_EVENTS) {
+          resolved.on(filterFor(resolved, eventName), handleEvent);
+        }
+      })
+      .catch(console.error);
+
+    return () => {
+      cancelled = true;
+      if (contract) {
+        for (const eventName of DETAIL_EVENTS) {
+          contract.off(filterFor(contract, eventName), handleEvent);
+        }
+      }
+    };
+  }, [provider, restaurantId, loadRestaurant]);
+
+  return {
+    isLoading,
+    restaurant,
+    reviews,
+    summary,
+    revealThresholds,
+    canVerify,
+    isFrozen,
+    isPending,
+    loadRestaurant,
+    submitReview,
+    revealAverage,
+    verifyReview,
+    toggleStatus,
+  };
+}
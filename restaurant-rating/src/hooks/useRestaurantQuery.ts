@@ -0,0 +1,29 @@
+'use client';
+
+import { useState, useCallback, useEffect } from 'react';
+import { DEFAULT_RESTAURANT_QUERY, parseRestaurantQuery, RestaurantQuery, toSearchParams } from '@/lib/restaurantQuery';
+
+// Restaurant list query kept in sync with the URL, so filtered views can be shared and survive reloads
+export function useRestaurantQuery() {
+  const [query, setQueryState] = useState<RestaurantQuery>(DEFAULT_RESTAURANT_QUERY);
+
+  // window is not available during server rendering
+  useEffect(() => {
+    setQueryState(parseRestaurantQuery(new URLSearchParams(window.location.search)));
+  }, []);
+
+  const setQuery = useCallback(
+    (changes: Partial<RestaurantQuery>) => {
+      const next = { ...query, ...changes };
+      const search = toSearchParams(next).toString();
+      // Replace rather than push so typing in the search box does not flood the history
+      window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}`);
+      setQueryState(next);
+    },
+    [query]
+  );
+
+  const resetQuery = useCallback(() => setQuery(DEFAULT_RESTAURANT_QUERY), [setQuery]);
+
+  return { query, setQuery, resetQuery };
+}
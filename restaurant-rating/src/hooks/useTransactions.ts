@@ -0,0 +1,13 @@
+'use client';
+
+import { useContext } from 'react';
+import { TransactionContext } from '@/components/TransactionProvider';
+
+// Submitted transactions, per-action pending state and toast notifications
+export function useTransactions() {
+  const context = useContext(TransactionContext);
+  if (!context) {
+    throw new Error('useTransactions must be used inside TransactionProvider');
+  }
+  return context;
+}
@@ -1,86 +1,13 @@
 'use client';
 
-import { useState, useEffect, useCallback } from 'react';
-import { BrowserProvider } from 'ethers';
-import { WalletState } from '@/types';
+import { useContext } from 'react';
+import { WalletContext } from '@/components/WalletProvider';
 
+// Connected wallet, its account and chain, and the wallets available to connect
 export function useWallet() {
-  const [walletState, setWalletState] = useState<WalletState>({
-    address: null,
-    chainId: null,
-    isConnected: false,
-  });
-  const [provider, setProvider] = useState<BrowserProvider | null>(null);
-
-  const connectWallet = useCallback(async () => {
-    try {
-      if (typeof window.ethereum === 'undefined') {
-        throw new Error('Please install MetaMask!');
-      }
-
-      await window.ethereum.request({ method: 'eth_requestAccounts' });
-      const web3Provider = new BrowserProvider(window.ethereum);
-      const signer = await web3Provider.getSigner();
-      const address = await signer.getAddress();
-      const network = await web3Provider.getNetwork();
-
-      setProvider(web3Provider);
-      setWalletState({
-        address,
-        chainId: Number(network.chainId),
-        isConnected: true,
-      });
-
-      return web3Provider;
-    } catch (error) {
-      console.error('Error connecting wallet:', error);
-      throw error;
-    }
-  }, []);
-
-  const disconnectWallet = useCallback(() => {
-    setWalletState({
-      address: null,
-      chainId: null,
-      isConnected: false,
-    });
-    setProvider(null);
-  }, []);
-
-  useEffect(() => {
-    // Auto-connect if already connected
-    if (typeof window.ethereum !== 'undefined' && window.ethereum.selectedAddress) {
-      connectWallet().catch(console.error);
-    }
-
-    // Listen for account changes
-    if (typeof window.ethereum !== 'undefined') {
-      const handleAccountsChanged = (accounts: string[]) => {
-        if (accounts.length === 0) {
-          disconnectWallet();
-        } else {
-          connectWallet().catch(console.error);
-        }
-      };
-
-      const handleChainChanged = () => {
-        window.location.reload();
-      };
-
-      window.ethereum.on('accountsChanged', handleAccountsChanged);
-      window.ethereum.on('chainChanged', handleChainChanged);
-
-      return () => {
-        window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
-        window.ethereum.removeListener('chainChanged', handleChainChanged);
-      };
-    }
-  }, [connectWallet, disconnectWallet]);
-
-  return {
-    walletState,
-    provider,
-    connectWallet,
-    disconnectWallet,
-  };
+  const context = useContext(WalletContext);
+  if (!context) {
+    throw new Error('useWallet must be used inside WalletProvider');
+  }
+  return context;
 }
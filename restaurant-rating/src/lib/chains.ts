@@ -0,0 +1,60 @@
+import type { Eip1193Provider } from 'ethers';
+import { DEPLOYMENTS } from '@/contracts';
+
+// Parameters for wallet_addEthereumChain (EIP-3085)
+export interface AddEthereumChainParameter {
+  chainId: string;
+  chainName: string;
+  nativeCurrency: { name: string; symbol: string; decimals: number };
+  rpcUrls: string[];
+  blockExplorerUrls?: string[];
+}
+
+// MetaMask's error code when wallet_switchEthereumChain targets a chain it doesn't know
+const UNRECOGNIZED_CHAIN_ERROR = 4902;
+
+export const CHAIN_PARAMS: Record<number, AddEthereumChainParameter> = {
+  11155111: {
+    chainId: '0xaa36a7',
+    chainName: 'Sepolia',
+    nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: [process.env.NEXT_PUBLIC_SEPOLIA_RPC_URL || 'https://rpc.sepolia.org'],
+    blockExplorerUrls: ['https://sepolia.etherscan.io'],
+  },
+  31337: {
+    chainId: '0x7a69',
+    chainName: 'Hardhat',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: [process.env.NEXT_PUBLIC_HARDHAT_RPC_URL || 'http://127.0.0.1:8545'],
+  },
+};
+
+// Chains the contract is deployed on, per the address registry
+export const SUPPORTED_CHAIN_IDS = Object.keys(DEPLOYMENTS).map(Number);
+
+// Chain offered by "switch network"; Sepolia unless another chain has the only deployments
+export const DEFAULT_CHAIN_ID =
+  SUPPORTED_CHAIN_IDS.includes(11155111) || SUPPORTED_CHAIN_IDS.length === 0 ? 11155111 : SUPPORTED_CHAIN_IDS[0];
+
+export function isSupportedChain(chainId: number | null): boolean {
+  return chainId !== null && SUPPORTED_CHAIN_IDS.includes(chainId);
+}
+
+export function getChainName(chainId: number): string {
+  return CHAIN_PARAMS[chainId]?.chainName ?? `Chain ${chainId}`;
+}
+
+// Ask the wallet to switch chains, adding the chain first if the wallet doesn't know it
+export async function switchWalletChain(ethereum: Eip1193Provider, chainId: number) {
+  const hexChainId = `0x${chainId.toString(16)}`;
+  try {
+    await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: hexChainId }] });
+  } catch (error: any) {
+    // Some wallets wrap the provider error
+    const code = error?.code ?? error?.data?.originalError?.code;
+    const params = CHAIN_PARAMS[chainId];
+    if (code !== UNRECOGNIZED_CHAIN_ERROR || !params) throw error;
+
+    await ethereum.request({ method: 'wallet_addEthereumChain', params: [params] });
+  }
+}
@@ -0,0 +1,61 @@
+import { PrivateRestaurantRating__factory } from '@/contracts';
+import { decodeContractError, parseRatings as parseRatingInputs, resolveLocale } from '@/contracts/errors';
+import { ReviewRatings } from '@/types';
+
+export { ContractError, ERRORS } from '@/contracts/errors';
+
+const contractInterface = PrivateRestaurantRating__factory.createInterface();
+
+// Error thrown by the transaction manager; `cause` keeps the original wallet or RPC error
+export class TransactionError extends Error {
+  constructor(
+    message: string,
+    readonly cause?: unknown
+  ) {
+    super(message);
+    this.name = 'TransactionError';
+  }
+}
+
+// Contract errors are shown in the browser's language when the shared catalog has it
+export function getLocale(): string {
+  return resolveLocale(typeof navigator === 'undefined' ? undefined : navigator.language);
+}
+
+// Wallets report a user rejection as EIP-1193 code 4001; ethers wraps it as ACTION_REJECTED
+export function isUserRejection(error: any): boolean {
+  return error?.code === 'ACTION_REJECTED' || error?.code === 4001 || error?.info?.error?.code === 4001;
+}
+
+// Revert reason string from an ethers v6 error, for reverts that are not custom errors of the contract
+export function getRevertReason(error: any): string | null {
+  if (typeof error?.reason === 'string' && error.reason) return error.reason;
+
+  const messages = [error?.info?.error?.message, error?.error?.message, error?.shortMessage, error?.message];
+  for (const message of messages) {
+    const match = typeof message === 'string' && message.match(/reverted with reason string '([^']+)'|execution reverted: ([^"\n]+)/);
+    if (match) return (match[1] ?? match[2]).trim();
+  }
+  return null;
+}
+
+// One sentence describing why a call or transaction failed, or why its input was rejected
+export function getFriendlyErrorMessage(error: any): string {
+  // Already worded by the transaction manager
+  if (error instanceof TransactionError) return error.message;
+  if (isUserRejection(error)) return 'Transaction rejected in your wallet.';
+  if (error?.code === 'INSUFFICIENT_FUNDS') return 'Your account does not have enough ETH to pay for gas.';
+
+  const decoded = decodeContractError(error, contractInterface);
+  if (decoded) return decoded.localize(getLocale());
+
+  const reason = getRevertReason(error);
+  if (reason) return `Transaction reverted: ${reason}`;
+
+  return error?.shortMessage ?? error?.message ?? 'Transaction failed.';
+}
+
+// Ratings typed into a form, checked against the contract's 1-10 scale; throws ERRORS.InvalidRating
+export function parseRatings(inputs: Record<keyof ReviewRatings, string>): ReviewRatings {
+  return parseRatingInputs(inputs) as ReviewRatings;
+}
@@ -1,26 +1,200 @@
 // FHEVM client initialization
 // This file handles the setup of the FHEVM client for encrypted operations
 
-let fhevmInstance: any = null;
-
-export async function initFHEVM() {
-  try {
-    // Using fhevmjs from CDN - the client-side initialization
-    // In a production environment, you would use proper FHEVM SDK initialization
-    if (typeof window !== 'undefined' && (window as any).fhevm) {
-      fhevmInstance = await (window as any).fhevm.createInstance({
-        chainId: 8009,
-        publicKey: 'YOUR_FHE_PUBLIC_KEY_HERE',
-      });
-      console.log('FHEVM initialized successfully');
-      return fhevmInstance;
-    }
-  } catch (error) {
-    console.error('Failed to initialize FHEVM:', error);
-    throw error;
+import type { Eip1193Provider, Signer } from 'ethers';
+import type { FhevmInstance } from '@zama-fhe/relayer-sdk/web';
+import { FhevmChainConfig, getFhevmChainConfig, RELAYER_SDK_URL } from '@/lib/fhevmConfig';
+
+let fhevmInstance: FhevmInstance | null = null;
+let fhevmChainId: number | null = null;
+let pendingInit: { chainId: number; promise: Promise<FhevmInstance> } | null = null;
+
+// The relayer SDK ships its WASM in a browser bundle that registers itself as window.relayerSDK
+function loadRelayerSdk(): Promise<NonNullable<Window['relayerSDK']>> {
+  if (window.relayerSDK) {
+    return Promise.resolve(window.relayerSDK);
+  }
+
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = RELAYER_SDK_URL;
+    script.async = true;
+    script.onload = () =>
+      window.relayerSDK ? resolve(window.relayerSDK) : reject(new Error('Relayer SDK did not load'));
+    script.onerror = () => reject(new Error(`Failed to load the relayer SDK from ${RELAYER_SDK_URL}`));
+    document.head.appendChild(script);
+  });
+}
+
+async function createFhevmInstance(config: FhevmChainConfig, network: Eip1193Provider): Promise<FhevmInstance> {
+  const contracts = {
+    aclContractAddress: config.aclContractAddress,
+    kmsContractAddress: config.kmsContractAddress,
+    inputVerifierContractAddress: config.inputVerifierContractAddress,
+    verifyingContractAddressDecryption: config.verifyingContractAddressDecryption,
+    verifyingContractAddressInputVerification: config.verifyingContractAddressInputVerification,
+    chainId: config.chainId,
+    gatewayChainId: config.gatewayChainId,
+  };
+
+  // A local Hardhat node has no relayer; the mock encrypts and decrypts against the node itself
+  if (config.mockRpcUrl) {
+    const [{ MockFhevmInstance }, { JsonRpcProvider }] = await Promise.all([
+      import('@fhevm/mock-utils'),
+      import('ethers'),
+    ]);
+    const rpcProvider = new JsonRpcProvider(config.mockRpcUrl);
+    return MockFhevmInstance.create(rpcProvider, rpcProvider, contracts);
+  }
+
+  // The relayer serves the network public key and CRS when the instance is created
+  const sdk = await loadRelayerSdk();
+  await sdk.initSDK();
+  return sdk.createInstance({ ...contracts, relayerUrl: config.relayerUrl, network });
+}
+
+// Create (or reuse) the instance for the wallet's chain. Concurrent calls share one initialization.
+export async function initFHEVM(chainId: number, network: Eip1193Provider): Promise<FhevmInstance> {
+  if (fhevmInstance && fhevmChainId === chainId) {
+    return fhevmInstance;
+  }
+  if (pendingInit?.chainId === chainId) {
+    return pendingInit.promise;
   }
+
+  fhevmInstance = null;
+  fhevmChainId = null;
+  const promise = createFhevmInstance(getFhevmChainConfig(chainId), network).then((instance) => {
+    if (pendingInit?.promise === promise) {
+      fhevmInstance = instance;
+      fhevmChainId = chainId;
+      pendingInit = null;
+    }
+    return instance;
+  });
+  promise.catch(() => {
+    if (pendingInit?.promise === promise) pendingInit = null;
+  });
+
+  pendingInit = { chainId, promise };
+  return promise;
 }
 
 export function getFHEVMInstance() {
   return fhevmInstance;
 }
+
+function requireInstance(): FhevmInstance {
+  if (!fhevmInstance) {
+    throw new Error('FHEVM not initialized');
+  }
+  return fhevmInstance;
+}
+
+// Encrypt 1-10 ratings as euint8 inputs bound to the contract and the sending user
+export async function encryptRatings(
+  contractAddress: string,
+  userAddress: string,
+  ratings: number[]
+): Promise<{ handles: Uint8Array[]; inputProof: Uint8Array }> {
+  const input = requireInstance().createEncryptedInput(contractAddress, userAddress);
+  ratings.forEach((rating) => input.add8(rating));
+  return await input.encrypt();
+}
+
+// A signed EIP-712 request letting a throwaway keypair decrypt the user's ciphertexts for a contract
+export interface DecryptionPermission {
+  publicKey: string;
+  privateKey: string;
+  signature: string;
+  startTimestamp: number;
+  durationDays: number;
+}
+
+// How long a signed permission stays valid, and how close to expiry we stop reusing it
+const PERMISSION_DURATION_DAYS = 1;
+const PERMISSION_EXPIRY_MARGIN_SECONDS = 5 * 60;
+const PERMISSION_STORAGE_PREFIX = 'fhevm-decryption-permission';
+
+function permissionStorageKey(chainId: bigint, contractAddress: string, userAddress: string) {
+  return `${PERMISSION_STORAGE_PREFIX}:${chainId}:${contractAddress.toLowerCase()}:${userAddress.toLowerCase()}`;
+}
+
+function isPermissionValid(permission: DecryptionPermission) {
+  const expiresAt = permission.startTimestamp + permission.durationDays * 24 * 60 * 60;
+  return Math.floor(Date.now() / 1000) < expiresAt - PERMISSION_EXPIRY_MARGIN_SECONDS;
+}
+
+// Reuse the stored permission while it is valid so the wallet only asks for a signature once per period
+async function getDecryptionPermission(signer: Signer, contractAddress: string): Promise<DecryptionPermission> {
+  const userAddress = await signer.getAddress();
+  const { chainId } = await signer.provider!.getNetwork();
+  const storageKey = permissionStorageKey(chainId, contractAddress, userAddress);
+
+  const stored = window.localStorage.getItem(storageKey);
+  if (stored) {
+    const permission: DecryptionPermission = JSON.parse(stored);
+    if (isPermissionValid(permission)) {
+      return permission;
+    }
+    window.localStorage.removeItem(storageKey);
+  }
+
+  const instance = requireInstance();
+  const { publicKey, privateKey } = instance.generateKeypair();
+  const startTimestamp = Math.floor(Date.now() / 1000);
+  const eip712 = instance.createEIP712(
+    publicKey,
+    [contractAddress],
+    startTimestamp.toString(),
+    PERMISSION_DURATION_DAYS.toString()
+  );
+  const signature = await signer.signTypedData(
+    eip712.domain,
+    { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+    eip712.message
+  );
+
+  const permission: DecryptionPermission = {
+    publicKey,
+    privateKey,
+    signature,
+    startTimestamp,
+    durationDays: PERMISSION_DURATION_DAYS,
+  };
+  window.localStorage.setItem(storageKey, JSON.stringify(permission));
+  return permission;
+}
+
+// Forget the stored permission, e.g. after the relayer rejects it
+export async function clearDecryptionPermission(signer: Signer, contractAddress: string) {
+  const userAddress = await signer.getAddress();
+  const { chainId } = await signer.provider!.getNetwork();
+  window.localStorage.removeItem(permissionStorageKey(chainId, contractAddress, userAddress));
+}
+
+// Decrypt ciphertext handles the signer has ACL access to. Values come back in the order of `handles`.
+export async function userDecryptHandles(
+  signer: Signer,
+  contractAddress: string,
+  handles: string[]
+): Promise<bigint[]> {
+  const instance = requireInstance();
+  if (handles.length === 0) return [];
+
+  const userAddress = await signer.getAddress();
+  const permission = await getDecryptionPermission(signer, contractAddress);
+
+  const results = await instance.userDecrypt(
+    handles.map((handle) => ({ handle, contractAddress })),
+    permission.privateKey,
+    permission.publicKey,
+    permission.signature.replace('0x', ''),
+    [contractAddress],
+    userAddress,
+    permission.startTimestamp.toString(),
+    permission.durationDays.toString()
+  );
+
+  return handles.map((handle) => BigInt(results[handle]));
+}
@@ -0,0 +1,58 @@
+// FHEVM system contracts and relayer endpoints for each supported chain (mirrored in the static index.html)
+
+export interface FhevmChainConfig {
+  chainId: number;
+  name: string;
+  aclContractAddress: string;
+  kmsContractAddress: string;
+  inputVerifierContractAddress: string;
+  verifyingContractAddressDecryption: string;
+  verifyingContractAddressInputVerification: string;
+  gatewayChainId: number;
+  // Relayer that serves the network public key and handles decryption requests
+  relayerUrl?: string;
+  // Hardhat node running the @fhevm/hardhat-plugin mock; set instead of relayerUrl for local development
+  mockRpcUrl?: string;
+}
+
+// Version of the relayer SDK browser bundle loaded from the Zama CDN (keep in sync with package.json)
+export const RELAYER_SDK_VERSION = '0.2.0';
+export const RELAYER_SDK_URL = `https://cdn.zama.ai/relayer-sdk-js/${RELAYER_SDK_VERSION}/relayer-sdk-js.umd.cjs`;
+
+// The Hardhat mock deploys its ACL, KMS and input verifier at the Sepolia addresses
+const HOST_CONTRACTS = {
+  aclContractAddress: '0x687820221192C5B662b25367F70076A37bc79b6c',
+  kmsContractAddress: '0x1364cBBf2cDF5032C47d8226a6f6FBD2AFCDacAC',
+  inputVerifierContractAddress: '0xbc91f3daD1A5F19F8390c400196e58073B6a0BC4',
+  gatewayChainId: 55815,
+};
+
+export const FHEVM_CHAINS: Record<number, FhevmChainConfig> = {
+  11155111: {
+    chainId: 11155111,
+    name: 'Sepolia',
+    ...HOST_CONTRACTS,
+    verifyingContractAddressDecryption: '0xb6E160B1ff80D67Bfe90A85eE06Ce0A2613607D1',
+    verifyingContractAddressInputVerification: '0x7048C39f048125eDa9d678AEbaDfB22F7900a29F',
+    relayerUrl: process.env.NEXT_PUBLIC_RELAYER_URL || 'https://relayer.testnet.zama.cloud',
+  },
+  31337: {
+    chainId: 31337,
+    name: 'Hardhat',
+    ...HOST_CONTRACTS,
+    verifyingContractAddressDecryption: '0x5ffdaAB0373E62E2ea2944776209aEf29E631A64',
+    verifyingContractAddressInputVerification: '0x812b06e1CDCE800494b79fFE4f925A504a9A9810',
+    mockRpcUrl: process.env.NEXT_PUBLIC_HARDHAT_RPC_URL || 'http://127.0.0.1:8545',
+  },
+};
+
+export function getFhevmChainConfig(chainId: number): FhevmChainConfig {
+  const config = FHEVM_CHAINS[chainId];
+  if (!config) {
+    const supported = Object.values(FHEVM_CHAINS)
+      .map((chain) => `${chain.name} (${chain.chainId})`)
+      .join(' or ');
+    throw new Error(`FHEVM is not available on chain ${chainId}; switch to ${supported}`);
+  }
+  return config;
+}
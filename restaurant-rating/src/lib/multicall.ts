@@ -0,0 +1,95 @@
+import { BaseContract, Contract, Provider, Result } from 'ethers';
+
+// Multicall3 is deployed at the same address on Sepolia and most public chains
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+];
+
+// Calls packed into a single aggregate3 request, and requests in flight at once
+const MAX_CALLS_PER_BATCH = 100;
+export const DEFAULT_CONCURRENCY = 4;
+
+// Method names are checked against the typed contract, so a renamed or removed view fails to compile
+export interface ReadCall<C extends BaseContract = BaseContract> {
+  method: keyof C & string;
+  args: unknown[];
+}
+
+const multicallSupport = new Map<bigint, boolean>();
+
+async function hasMulticall(provider: Provider): Promise<boolean> {
+  const { chainId } = await provider.getNetwork();
+  if (!multicallSupport.has(chainId)) {
+    const code = await provider.getCode(MULTICALL3_ADDRESS);
+    multicallSupport.set(chainId, code !== '0x');
+  }
+  return multicallSupport.get(chainId)!;
+}
+
+// Run an async function over items with at most `limit` calls pending at a time
+export async function mapWithConcurrency<T, R>(
+  items: T[],
+  limit: number,
+  fn: (item: T, index: number) => Promise<R>
+): Promise<R[]> {
+  const results = new Array<R>(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Batch view calls against one contract. Results keep the order of `calls`; a failed call yields null.
+// Chains without Multicall3 (e.g. a local Hardhat node) fall back to individual calls.
+export async function multicall<C extends BaseContract>(
+  provider: Provider,
+  contract: C,
+  calls: ReadCall<C>[],
+  concurrency = DEFAULT_CONCURRENCY
+): Promise<(Result | null)[]> {
+  if (calls.length === 0) return [];
+
+  if (!(await hasMulticall(provider))) {
+    return mapWithConcurrency(calls, concurrency, async ({ method, args }) => {
+      try {
+        return await contract.getFunction(method).staticCallResult(...args);
+      } catch (error) {
+        console.error(`Call ${method} failed:`, error);
+        return null;
+      }
+    });
+  }
+
+  const target = await contract.getAddress();
+  const aggregator = new Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+
+  const batches: ReadCall<C>[][] = [];
+  for (let i = 0; i < calls.length; i += MAX_CALLS_PER_BATCH) {
+    batches.push(calls.slice(i, i + MAX_CALLS_PER_BATCH));
+  }
+
+  const batchResults = await mapWithConcurrency(batches, concurrency, async (batch) => {
+    const responses = await aggregator.aggregate3.staticCall(
+      batch.map(({ method, args }) => ({
+        target,
+        allowFailure: true,
+        callData: contract.interface.encodeFunctionData(method, args),
+      }))
+    );
+
+    return batch.map(({ method }, i) =>
+      responses[i].success ? contract.interface.decodeFunctionResult(method, responses[i].returnData) : null
+    );
+  });
+
+  return batchResults.flat();
+}
@@ -0,0 +1,37 @@
+import { getAddress, isAddress, isHexString } from 'ethers';
+import { PrivateRestaurantRating } from '@/contracts';
+
+// A visit receipt as printed by "Mint visit receipts" in scripts/interact.js
+export interface SignedVisitReceipt {
+  receipt: PrivateRestaurantRating.VisitReceiptStruct;
+  signature: string;
+}
+
+const INVALID_RECEIPT = 'This visit receipt is not valid; paste it exactly as the restaurant gave it.';
+
+// Parse a pasted receipt code; throws when it is malformed or meant for another restaurant or diner
+export function parseVisitReceipt(code: string, restaurantId: number, reviewer: string): SignedVisitReceipt {
+  let parsed: any;
+  try {
+    parsed = JSON.parse(code);
+  } catch {
+    throw new Error(INVALID_RECEIPT);
+  }
+
+  const { restaurantId: receiptRestaurantId, reviewer: receiptReviewer, nonce, expiry, signature } = parsed ?? {};
+  const isWellFormed =
+    Number.isInteger(receiptRestaurantId) &&
+    isAddress(receiptReviewer) &&
+    /^\d+$/.test(String(nonce)) &&
+    Number.isInteger(expiry) &&
+    isHexString(signature);
+  if (!isWellFormed) throw new Error(INVALID_RECEIPT);
+  if (receiptRestaurantId !== restaurantId) {
+    throw new Error(`This visit receipt is for restaurant #${receiptRestaurantId}.`);
+  }
+  if (getAddress(receiptReviewer) !== getAddress(reviewer)) {
+    throw new Error(`This visit receipt was issued to ${receiptReviewer}; connect that wallet to use it.`);
+  }
+
+  return { receipt: { restaurantId, reviewer: receiptReviewer, nonce: BigInt(nonce), expiry }, signature };
+}
@@ -0,0 +1,76 @@
+import { Restaurant } from '@/types';
+
+export type RestaurantSort = 'id' | 'reviews' | 'newest' | 'rating';
+export type RestaurantStatusFilter = 'all' | 'active' | 'inactive';
+
+// Search, filter and sort state of the restaurant list; mirrored in the URL query string
+export interface RestaurantQuery {
+  search: string;
+  status: RestaurantStatusFilter;
+  // Hide restaurants the connected wallet has already reviewed
+  notReviewed: boolean;
+  // Minimum published average (1-10); restaurants without one are hidden when set
+  minRating: number | null;
+  sort: RestaurantSort;
+}
+
+export const DEFAULT_RESTAURANT_QUERY: RestaurantQuery = {
+  search: '',
+  status: 'all',
+  notReviewed: false,
+  minRating: null,
+  sort: 'id',
+};
+
+const SORTS: RestaurantSort[] = ['id', 'reviews', 'newest', 'rating'];
+const STATUSES: RestaurantStatusFilter[] = ['all', 'active', 'inactive'];
+
+// Unknown or malformed parameters fall back to the defaults; index.html reads the same keys
+export function parseRestaurantQuery(params: URLSearchParams): RestaurantQuery {
+  const status = params.get('status') as RestaurantStatusFilter;
+  const sort = params.get('sort') as RestaurantSort;
+  const minRating = Number(params.get('minRating'));
+
+  return {
+    search: params.get('q') ?? '',
+    status: STATUSES.includes(status) ? status : 'all',
+    notReviewed: params.get('unreviewed') === '1',
+    minRating: params.has('minRating') && minRating >= 1 && minRating <= 10 ? minRating : null,
+    sort: SORTS.includes(sort) ? sort : 'id',
+  };
+}
+
+// Only non-default values are written, so an unfiltered list keeps a clean URL
+export function toSearchParams(query: RestaurantQuery): URLSearchParams {
+  const params = new URLSearchParams();
+  if (query.search) params.set('q', query.search);
+  if (query.status !== 'all') params.set('status', query.status);
+  if (query.notReviewed) params.set('unreviewed', '1');
+  if (query.minRating !== null) params.set('minRating', String(query.minRating));
+  if (query.sort !== 'id') params.set('sort', query.sort);
+  return params;
+}
+
+const COMPARATORS: Record<RestaurantSort, (a: Restaurant, b: Restaurant) => number> = {
+  id: (a, b) => a.id - b.id,
+  reviews: (a, b) => b.totalReviews - a.totalReviews || a.id - b.id,
+  newest: (a, b) => b.createdAt - a.createdAt || b.id - a.id,
+  // Restaurants without a published average go last
+  rating: (a, b) => (b.averageRating ?? -1) - (a.averageRating ?? -1) || a.id - b.id,
+};
+
+export function applyRestaurantQuery(restaurants: Restaurant[], query: RestaurantQuery): Restaurant[] {
+  const search = query.search.trim().toLowerCase();
+
+  return restaurants
+    .filter(
+      (restaurant) =>
+        (!search ||
+          restaurant.name.toLowerCase().includes(search) ||
+          restaurant.location.toLowerCase().includes(search)) &&
+        (query.status === 'all' || restaurant.isActive === (query.status === 'active')) &&
+        (!query.notReviewed || !restaurant.hasReviewed) &&
+        (query.minRating === null || (restaurant.averageRating !== null && restaurant.averageRating >= query.minRating))
+    )
+    .sort(COMPARATORS[query.sort]);
+}
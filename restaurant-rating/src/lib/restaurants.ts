@@ -0,0 +1,108 @@
+import { BrowserProvider } from 'ethers';
+import { PrivateRestaurantRating } from '@/contracts';
+import { multicall, ReadCall } from '@/lib/multicall';
+import { ModerationStatus, Restaurant, RestaurantReview, RevealThresholds } from '@/types';
+
+// Revealed averages are stored on-chain multiplied by this factor
+export const RATING_PRECISION = 100;
+// Rows fetched per paginated view call (contract MAX_PAGE_SIZE is 100)
+export const PAGE_SIZE = 50;
+// Values of the contract's ModerationStatus enum, in declaration order
+export const MODERATION_STATUSES: ModerationStatus[] = ['none', 'flagged', 'hidden', 'appealed', 'appealRejected'];
+
+export function toRestaurant(
+  record: PrivateRestaurantRating.RestaurantViewStructOutput,
+  hasReviewed: boolean
+): Restaurant {
+  return {
+    id: Number(record.id),
+    name: record.name,
+    location: record.location,
+    owner: record.owner,
+    isActive: record.isActive,
+    totalReviews: Number(record.totalReviews),
+    createdAt: Number(record.createdAt),
+    averageRating: record.hasRevealedAverage ? Number(record.averageRating) / RATING_PRECISION : null,
+    revealedReviewCount: Number(record.revealedReviewCount),
+    reviewsUntilReveal: Number(record.reviewsUntilReveal),
+    hasPendingReveal: record.hasPendingReveal,
+    hasReviewed,
+  };
+}
+
+export function toRestaurantReview(record: PrivateRestaurantRating.ReviewViewStructOutput): RestaurantReview {
+  return {
+    id: Number(record.id),
+    restaurantId: Number(record.restaurantId),
+    reviewer: record.reviewer,
+    comment: record.comment,
+    timestamp: Number(record.timestamp),
+    isVerified: record.isVerified,
+    isWithdrawn: record.isWithdrawn,
+    editCount: Number(record.editCount),
+    updatedAt: Number(record.updatedAt),
+    moderationStatus: MODERATION_STATUSES[Number(record.moderationStatus)],
+  };
+}
+
+// Every restaurant record, ordered by ID; the first page also tells us how many exist
+export async function fetchAllRestaurantRecords(
+  provider: BrowserProvider,
+  contract: PrivateRestaurantRating
+): Promise<PrivateRestaurantRating.RestaurantViewStructOutput[]> {
+  const firstPage = await contract.getRestaurantsPage(0, PAGE_SIZE);
+  const pageCalls: ReadCall<PrivateRestaurantRating>[] = [];
+  for (let offset = PAGE_SIZE; offset < Number(firstPage.total); offset += PAGE_SIZE) {
+    pageCalls.push({ method: 'getRestaurantsPage', args: [offset, PAGE_SIZE] });
+  }
+
+  const otherPages = await multicall(provider, contract, pageCalls);
+  const records: PrivateRestaurantRating.RestaurantViewStructOutput[] = [];
+  for (const pageResult of [firstPage, ...otherPages]) {
+    if (!pageResult) throw new Error('Failed to load a page of restaurants');
+    records.push(...pageResult.page);
+  }
+  return records;
+}
+
+// Every review listed for a restaurant, in submission order (retracted ones included). The contract reorders its list
+// when moderators hide or restore reviews, so the records are sorted by ID here.
+export async function fetchRestaurantReviewRecords(
+  provider: BrowserProvider,
+  contract: PrivateRestaurantRating,
+  restaurantId: number
+): Promise<PrivateRestaurantRating.ReviewViewStructOutput[]> {
+  const firstPage = await contract.getRestaurantReviewsPage(restaurantId, 0, PAGE_SIZE);
+  const pageCalls: ReadCall<PrivateRestaurantRating>[] = [];
+  for (let offset = PAGE_SIZE; offset < Number(firstPage.total); offset += PAGE_SIZE) {
+    pageCalls.push({ method: 'getRestaurantReviewsPage', args: [restaurantId, offset, PAGE_SIZE] });
+  }
+
+  const otherPages = await multicall(provider, contract, pageCalls);
+  const records: PrivateRestaurantRating.ReviewViewStructOutput[] = [];
+  for (const pageResult of [firstPage, ...otherPages]) {
+    if (!pageResult) throw new Error('Failed to load a page of reviews');
+    records.push(...pageResult.page);
+  }
+  return records.sort((a, b) => Number(a.id - b.id));
+}
+
+// Explain why a reveal is not possible yet, or null when it can be requested
+export function getRevealBlocker(restaurant: Restaurant, thresholds: RevealThresholds | null): string | null {
+  if (restaurant.hasPendingReveal) {
+    return 'A reveal is already in progress';
+  }
+  if (restaurant.reviewsUntilReveal === 0 || !thresholds) {
+    return null;
+  }
+
+  const needed = `${restaurant.reviewsUntilReveal} more review${restaurant.reviewsUntilReveal === 1 ? '' : 's'}`;
+  if (restaurant.totalReviews < thresholds.minReviewsForReveal) {
+    return `Needs ${needed}: averages stay hidden until at least ${thresholds.minReviewsForReveal} reviews so no single rating can be identified`;
+  }
+  return `Needs ${needed}: at least ${thresholds.minNewReviewsBetweenReveals} new reviews are required between reveals`;
+}
+
+export function shortAddress(address: string): string {
+  return `${address.substring(0, 6)}...${address.substring(38)}`;
+}
@@ -0,0 +1,45 @@
+import { CHAIN_PARAMS } from '@/lib/chains';
+
+export type TransactionStatus = 'pending' | 'mined' | 'failed' | 'replaced';
+
+// A submitted transaction as remembered across page reloads
+export interface TrackedTransaction {
+  hash: string;
+  chainId: number;
+  from: string;
+  nonce: number;
+  // Block number just before submission; replacements are searched for from here
+  startBlock: number;
+  // Groups transactions for per-action loading state, e.g. `review:3`
+  action: string;
+  description: string;
+  status: TransactionStatus;
+  submittedAt: number;
+  // Hash of the speed-up or cancellation that took this transaction's nonce
+  replacedBy?: string;
+  error?: string;
+}
+
+const STORAGE_KEY = 'tx:history';
+// Older entries are dropped so the history cannot grow without bound
+const MAX_STORED = 50;
+
+export function loadTransactions(): TrackedTransaction[] {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Ignoring unreadable transaction history:', error);
+    return [];
+  }
+}
+
+export function saveTransactions(transactions: TrackedTransaction[]) {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(transactions.slice(0, MAX_STORED)));
+}
+
+// Block explorer page for a transaction, or null on chains without an explorer (e.g. Hardhat)
+export function getExplorerTxUrl(chainId: number, hash: string): string | null {
+  const explorer = CHAIN_PARAMS[chainId]?.blockExplorerUrls?.[0];
+  return explorer ? `${explorer}/tx/${hash}` : null;
+}
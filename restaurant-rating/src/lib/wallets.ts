@@ -0,0 +1,117 @@
+import type { Eip1193Provider } from 'ethers';
+import { CHAIN_PARAMS, SUPPORTED_CHAIN_IDS } from '@/lib/chains';
+
+// EIP-1193 provider plus the event methods wallets expose
+export interface WalletEip1193Provider extends Eip1193Provider {
+  on?(event: string, listener: (...args: any[]) => void): void;
+  removeListener?(event: string, listener: (...args: any[]) => void): void;
+}
+
+// A wallet the user can pick; EIP-6963 wallets use their reverse-DNS id
+export interface WalletConnector {
+  id: string;
+  name: string;
+  // Data URI or URL of the wallet's icon
+  icon?: string;
+  getProvider(): Promise<WalletEip1193Provider>;
+  // End a remote session (WalletConnect); injected wallets have nothing to close
+  disconnect?(): Promise<void>;
+}
+
+// EIP-6963 announcement payload
+interface EIP6963ProviderDetail {
+  info: { uuid: string; name: string; icon: string; rdns: string };
+  provider: WalletEip1193Provider;
+}
+
+const LAST_WALLET_KEY = 'wallet:last-connector';
+
+const WALLETCONNECT_PROJECT_ID = process.env.NEXT_PUBLIC_WALLETCONNECT_PROJECT_ID;
+
+// Report every wallet that announces itself via EIP-6963; returns an unsubscribe function
+export function watchInjectedWallets(onChange: (connectors: WalletConnector[]) => void): () => void {
+  const found = new Map<string, WalletConnector>();
+
+  const handleAnnounce = (event: Event) => {
+    const { info, provider } = (event as CustomEvent<EIP6963ProviderDetail>).detail;
+    found.set(info.rdns, {
+      id: info.rdns,
+      name: info.name,
+      icon: info.icon,
+      getProvider: async () => provider,
+    });
+    onChange(Array.from(found.values()));
+  };
+
+  window.addEventListener('eip6963:announceProvider', handleAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+
+  return () => window.removeEventListener('eip6963:announceProvider', handleAnnounce);
+}
+
+// Wallets that predate EIP-6963 only inject window.ethereum
+export function getLegacyInjectedConnector(): WalletConnector | null {
+  if (typeof window.ethereum === 'undefined') return null;
+
+  return {
+    id: 'injected',
+    name: 'Browser Wallet',
+    getProvider: async () => window.ethereum!,
+  };
+}
+
+let walletConnectProvider: Promise<WalletEip1193Provider & { disconnect(): Promise<void> }> | null = null;
+
+// Mobile wallets over WalletConnect v2; only offered when NEXT_PUBLIC_WALLETCONNECT_PROJECT_ID is set
+export function getWalletConnectConnector(): WalletConnector | null {
+  if (!WALLETCONNECT_PROJECT_ID) return null;
+
+  const getProvider = () => {
+    // One SignClient per page; init() restores a previous session from storage
+    walletConnectProvider ??= import('@walletconnect/ethereum-provider')
+      .then(({ EthereumProvider }) =>
+        EthereumProvider.init({
+          projectId: WALLETCONNECT_PROJECT_ID,
+          showQrModal: true,
+          optionalChains: SUPPORTED_CHAIN_IDS as [number, ...number[]],
+          rpcMap: Object.fromEntries(
+            SUPPORTED_CHAIN_IDS.filter((id) => CHAIN_PARAMS[id]).map((id) => [id, CHAIN_PARAMS[id].rpcUrls[0]])
+          ),
+          metadata: {
+            name: 'Private Restaurant Rating',
+            description: 'Confidential dining experience reviews using homomorphic encryption',
+            url: window.location.origin,
+            icons: [],
+          },
+        })
+      )
+      .catch((error) => {
+        walletConnectProvider = null;
+        throw error;
+      });
+    return walletConnectProvider;
+  };
+
+  return {
+    id: 'walletconnect',
+    name: 'WalletConnect',
+    getProvider,
+    disconnect: async () => {
+      if (walletConnectProvider) {
+        await (await walletConnectProvider).disconnect();
+      }
+    },
+  };
+}
+
+export function rememberWallet(connectorId: string) {
+  window.localStorage.setItem(LAST_WALLET_KEY, connectorId);
+}
+
+export function getRememberedWallet(): string | null {
+  return window.localStorage.getItem(LAST_WALLET_KEY);
+}
+
+export function forgetWallet() {
+  window.localStorage.removeItem(LAST_WALLET_KEY);
+}
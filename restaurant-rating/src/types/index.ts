@@ -6,6 +6,74 @@ export interface Restaurant {
   isActive: boolean;
   totalReviews: number;
   createdAt: number;
+  averageRating: number | null; // last revealed average, null until the first reveal
+  revealedReviewCount: number;
+  reviewsUntilReveal: number; // 0 when a reveal may be requested
+  hasPendingReveal: boolean;
+  hasReviewed: boolean; // whether the connected wallet has an active review here
+}
+
+export interface RevealThresholds {
+  minReviewsForReveal: number;
+  minNewReviewsBetweenReveals: number;
+}
+
+// ModerationStatus of the contract; hidden, appealed and appealRejected reviews are out of the listings and totals
+export type ModerationStatus = 'none' | 'flagged' | 'hidden' | 'appealed' | 'appealRejected';
+
+// A review written by the connected wallet
+export interface MyReview {
+  id: number;
+  restaurantId: number;
+  comment: string;
+  timestamp: number;
+  isVerified: boolean;
+  isWithdrawn: boolean;
+  editCount: number;
+  updatedAt: number;
+  moderationStatus: ModerationStatus;
+}
+
+// Public record of any review, as listed on a restaurant's page
+export interface RestaurantReview extends MyReview {
+  reviewer: string;
+}
+
+// Last published aggregate for a restaurant; averages are on the 1-10 scale
+export interface RatingSummary {
+  reviewCount: number;
+  averageRating: number;
+  publishedAt: number;
+  categoryAverages: {
+    foodQuality: number;
+    service: number;
+    atmosphere: number;
+    priceValue: number;
+  };
+}
+
+// Reviews submitted on one calendar day (UTC, YYYY-MM-DD)
+export interface ReviewVolumePoint {
+  date: string;
+  count: number;
+}
+
+// One RatingSummaryUpdated event; averageRating is on the 1-10 scale
+export interface PublishedSummary {
+  restaurantId: number;
+  averageRating: number;
+  reviewCount: number;
+  publishedAt: number;
+  transactionHash: string;
+}
+
+// Plaintext scores of one review, only ever held in memory for its reviewer
+export interface ReviewRatings {
+  foodQuality: number;
+  service: number;
+  atmosphere: number;
+  priceValue: number;
+  overallRating: number;
 }
 
 export interface ReviewFormData {
@@ -16,6 +84,8 @@ export interface ReviewFormData {
   priceValue: number;
   overallRating: number;
   comment: string;
+  // Receipt code from the restaurant (see lib/receipts.ts); the review is verified on submission
+  visitReceipt?: string;
 }
 
 export interface WalletState {
@@ -1,4 +1,6 @@
 interface Window {
-  ethereum?: any;
-  fhevm?: any;
+  // Legacy single injected wallet; lib/wallets.ts prefers EIP-6963 discovery
+  ethereum?: import('@/lib/wallets').WalletEip1193Provider;
+  // Registered by the relayer SDK browser bundle (see lib/fhevm.ts)
+  relayerSDK?: typeof import('@zama-fhe/relayer-sdk/web');
 }
@@ -0,0 +1,231 @@
+// OpenAPI description of the read-only rating API, served at /openapi.json
+
+const pageParameters = [
+  {
+    name: "limit",
+    in: "query",
+    description: "Page size (1-100)",
+    schema: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+  },
+  {
+    name: "offset",
+    in: "query",
+    description: "Number of items to skip",
+    schema: { type: "integer", minimum: 0, default: 0 },
+  },
+];
+
+const restaurantIdParameter = {
+  name: "id",
+  in: "path",
+  required: true,
+  schema: { type: "integer", minimum: 1 },
+};
+
+function pageOf(itemSchema) {
+  return {
+    type: "object",
+    required: ["items", "total", "limit", "offset"],
+    properties: {
+      items: { type: "array", items: { $ref: itemSchema } },
+      total: { type: "integer", description: "Number of items matching the filters" },
+      limit: { type: "integer" },
+      offset: { type: "integer" },
+    },
+  };
+}
+
+function jsonResponse(description, schema) {
+  return {
+    description,
+    headers: { ETag: { $ref: "#/components/headers/ETag" } },
+    content: { "application/json": { schema } },
+  };
+}
+
+const errorResponses = {
+  304: { description: "Not modified since the ETag given in If-None-Match" },
+  400: jsonResponse("Invalid parameter", { $ref: "#/components/schemas/Error" }),
+};
+
+const openApiDocument = {
+  openapi: "3.0.3",
+  info: {
+    title: "Private Restaurant Rating API",
+    version: "1.0.0",
+    description:
+      "Read-only view of restaurants, reviews and published rating summaries, served from the event indexer database. " +
+      "Encrypted ratings are never exposed; averages appear only once revealed on-chain.",
+  },
+  paths: {
+    "/restaurants": {
+      get: {
+        summary: "List restaurants",
+        parameters: [
+          {
+            name: "owner",
+            in: "query",
+            description: "Only restaurants owned by this address",
+            schema: { type: "string" },
+          },
+          {
+            name: "search",
+            in: "query",
+            description: "Case-insensitive match on name or location",
+            schema: { type: "string" },
+          },
+          {
+            name: "rated",
+            in: "query",
+            description: "Only restaurants with (true) or without (false) a revealed average",
+            schema: { type: "boolean" },
+          },
+          {
+            name: "minRating",
+            in: "query",
+            description: "Minimum revealed average rating",
+            schema: { type: "number", minimum: 0, maximum: 10 },
+          },
+          ...pageParameters,
+        ],
+        responses: {
+          200: jsonResponse("Page of restaurants ordered by ID", pageOf("#/components/schemas/Restaurant")),
+          ...errorResponses,
+        },
+      },
+    },
+    "/restaurants/{id}": {
+      get: {
+        summary: "Restaurant detail",
+        parameters: [restaurantIdParameter],
+        responses: {
+          200: jsonResponse("Restaurant", { $ref: "#/components/schemas/Restaurant" }),
+          ...errorResponses,
+          404: jsonResponse("Restaurant not found", { $ref: "#/components/schemas/Error" }),
+        },
+      },
+    },
+    "/restaurants/{id}/reviews": {
+      get: {
+        summary: "Reviews of a restaurant",
+        description: "Retracted reviews and reviews hidden by moderators are left out",
+        parameters: [restaurantIdParameter, ...pageParameters],
+        responses: {
+          200: jsonResponse("Page of reviews ordered by ID", pageOf("#/components/schemas/Review")),
+          ...errorResponses,
+          404: jsonResponse("Restaurant not found", { $ref: "#/components/schemas/Error" }),
+        },
+      },
+    },
+    "/users/{address}/reviews": {
+      get: {
+        summary: "Reviews written by a user",
+        description: "Retracted reviews and reviews hidden by moderators are left out",
+        parameters: [{ name: "address", in: "path", required: true, schema: { type: "string" } }, ...pageParameters],
+        responses: {
+          200: jsonResponse("Page of reviews ordered by ID", pageOf("#/components/schemas/Review")),
+          ...errorResponses,
+        },
+      },
+    },
+    "/summaries": {
+      get: {
+        summary: "Published rating summaries",
+        parameters: [
+          {
+            name: "restaurantId",
+            in: "query",
+            description: "Only summaries for this restaurant",
+            schema: { type: "integer", minimum: 1 },
+          },
+          ...pageParameters,
+        ],
+        responses: {
+          200: jsonResponse("Page of summaries, newest first", pageOf("#/components/schemas/RatingSummary")),
+          ...errorResponses,
+        },
+      },
+    },
+    "/counts": {
+      get: {
+        summary: "Global counts (mirrors getTotalCounts)",
+        responses: {
+          200: jsonResponse("Counts as of the indexed block", { $ref: "#/components/schemas/Counts" }),
+          304: errorResponses[304],
+        },
+      },
+    },
+  },
+  components: {
+    headers: {
+      ETag: {
+        description: "Entity tag of the response body; send it back in If-None-Match to revalidate",
+        schema: { type: "string" },
+      },
+    },
+    schemas: {
+      Restaurant: {
+        type: "object",
+        properties: {
+          id: { type: "integer" },
+          name: { type: "string" },
+          location: { type: "string" },
+          owner: { type: "string" },
+          createdAt: { type: "integer", description: "Unix timestamp" },
+          reviewCount: { type: "integer", description: "Reviews not retracted or hidden by moderators" },
+          verifiedReviewCount: { type: "integer" },
+          ratingSummary: {
+            nullable: true,
+            type: "object",
+            description: "Most recently published summary, or null before the first reveal",
+            properties: {
+              averageRating: { type: "number" },
+              reviewCount: { type: "integer" },
+              publishedAt: { type: "integer" },
+            },
+          },
+        },
+      },
+      Review: {
+        type: "object",
+        properties: {
+          id: { type: "integer" },
+          restaurantId: { type: "integer" },
+          reviewer: { type: "string" },
+          comment: { type: "string" },
+          timestamp: { type: "integer" },
+          isVerified: { type: "boolean" },
+        },
+      },
+      RatingSummary: {
+        type: "object",
+        properties: {
+          restaurantId: { type: "integer" },
+          averageRating: { type: "number" },
+          reviewCount: { type: "integer", description: "Reviews included in the average" },
+          publishedAt: { type: "integer" },
+          blockNumber: { type: "integer" },
+          transactionHash: { type: "string" },
+        },
+      },
+      Counts: {
+        type: "object",
+        properties: {
+          totalRestaurants: { type: "integer" },
+          totalReviews: {
+            type: "integer",
+            description: "Every review submitted, including retracted and hidden ones (reviewCounter)",
+          },
+          visibleReviews: { type: "integer", description: "Reviews that are neither retracted nor hidden" },
+          indexedBlock: { type: "integer", nullable: true },
+        },
+      },
+      Error: {
+        type: "object",
+        properties: { error: { type: "string" } },
+      },
+    },
+  },
+};
+
+module.exports = { openApiDocument };
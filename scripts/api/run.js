@@ -0,0 +1,43 @@
+const { network } = require("hardhat");
+const fs = require("fs");
+const { openStore, defaultDatabasePath } = require("../indexer/store");
+const { createApiServer } = require("./server");
+
+// 3001 is taken by the Next.js app (next dev/start -p 3001)
+const DEFAULT_PORT = 3002;
+
+async function main() {
+  console.log("=".repeat(60));
+  console.log("Private Restaurant Rating System - Read API");
+  console.log("=".repeat(60));
+
+  const dbPath = process.env.INDEXER_DB_PATH || defaultDatabasePath(network.name);
+  if (!fs.existsSync(dbPath)) {
+    throw new Error(`No indexer database at ${dbPath}; run npm run indexer:${network.name} first`);
+  }
+
+  const port = Number(process.env.API_PORT || DEFAULT_PORT);
+  const store = openStore(dbPath);
+  const server = createApiServer({ store });
+
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`\nDatabase: ${dbPath}`);
+  console.log(`Listening on http://localhost:${port} (OpenAPI document at /openapi.json)`);
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+
+  await new Promise((resolve) => server.close(resolve));
+  store.close();
+  console.log("\n✅ API stopped");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ API failed:");
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,188 @@
+const http = require("http");
+const crypto = require("crypto");
+const { getAddress, isAddress } = require("ethers");
+const { openApiDocument } = require("./openapi");
+
+// Revealed averages are stored on-chain multiplied by this factor
+const RATING_PRECISION = 100;
+// Same bounds as the contract's paginated getters
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseInteger(value, message, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  if (!/^\d+$/.test(value)) throw httpError(400, message);
+  const number = Number(value);
+  if (number < min || number > max) throw httpError(400, message);
+  return number;
+}
+
+function parsePagination(query) {
+  return {
+    limit: query.has("limit")
+      ? parseInteger(query.get("limit"), "Invalid page size", { min: 1, max: MAX_PAGE_SIZE })
+      : DEFAULT_PAGE_SIZE,
+    offset: query.has("offset") ? parseInteger(query.get("offset"), "Invalid offset") : 0,
+  };
+}
+
+function parseAddress(value, message) {
+  if (!isAddress(value)) throw httpError(400, message);
+  return getAddress(value);
+}
+
+function parseRating(value) {
+  const rating = Number(value);
+  if (value === "" || !Number.isFinite(rating) || rating < 0 || rating > 10) {
+    throw httpError(400, "Invalid minimum rating");
+  }
+  return Math.round(rating * RATING_PRECISION);
+}
+
+function formatSummary(summary) {
+  return summary && { ...summary, averageRating: summary.averageRating / RATING_PRECISION };
+}
+
+function formatRestaurant(restaurant) {
+  return { ...restaurant, ratingSummary: formatSummary(restaurant.ratingSummary) };
+}
+
+function pageResponse({ items, total }, { limit, offset }) {
+  return { items, total, limit, offset };
+}
+
+function createRoutes(store) {
+  function requireRestaurant(id) {
+    const restaurant = store.getRestaurant(parseInteger(id, "Invalid restaurant ID", { min: 1 }));
+    if (!restaurant) throw httpError(404, "Restaurant not found");
+    return restaurant;
+  }
+
+  return [
+    {
+      pattern: /^\/restaurants$/,
+      handler: (_params, query) => {
+        const pagination = parsePagination(query);
+        const filters = {};
+        if (query.has("owner")) filters.owner = parseAddress(query.get("owner"), "Invalid owner address");
+        if (query.has("search")) filters.search = query.get("search");
+        if (query.has("rated")) {
+          if (!["true", "false"].includes(query.get("rated"))) throw httpError(400, "Invalid rated filter");
+          filters.rated = query.get("rated") === "true";
+        }
+        if (query.has("minRating")) filters.minRating = parseRating(query.get("minRating"));
+
+        const result = store.listRestaurants({ ...filters, ...pagination });
+        return pageResponse({ ...result, items: result.items.map(formatRestaurant) }, pagination);
+      },
+    },
+    {
+      pattern: /^\/restaurants\/([^/]+)$/,
+      handler: ([id]) => formatRestaurant(requireRestaurant(id)),
+    },
+    {
+      pattern: /^\/restaurants\/([^/]+)\/reviews$/,
+      handler: ([id], query) => {
+        const restaurant = requireRestaurant(id);
+        const pagination = parsePagination(query);
+        return pageResponse(store.listReviews({ restaurantId: restaurant.id, ...pagination }), pagination);
+      },
+    },
+    {
+      pattern: /^\/users\/([^/]+)\/reviews$/,
+      handler: ([address], query) => {
+        const reviewer = parseAddress(address, "Invalid user address");
+        const pagination = parsePagination(query);
+        return pageResponse(store.listReviews({ reviewer, ...pagination }), pagination);
+      },
+    },
+    {
+      pattern: /^\/summaries$/,
+      handler: (_params, query) => {
+        const pagination = parsePagination(query);
+        const restaurantId = query.has("restaurantId")
+          ? parseInteger(query.get("restaurantId"), "Invalid restaurant ID", { min: 1 })
+          : undefined;
+        const result = store.listRatingSummaries({ restaurantId, ...pagination });
+        return pageResponse({ ...result, items: result.items.map(formatSummary) }, pagination);
+      },
+    },
+    {
+      pattern: /^\/counts$/,
+      handler: () => store.getCounts(),
+    },
+    {
+      pattern: /^\/openapi\.json$/,
+      handler: () => openApiDocument,
+    },
+  ];
+}
+
+// Clients revalidate with If-None-Match and get 304 while the indexed data is unchanged
+function etagFor(body) {
+  return `"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+}
+
+function matchesEtag(header, etag) {
+  if (!header) return false;
+  return header.split(",").some((tag) => {
+    const value = tag.trim();
+    return value === "*" || value.replace(/^W\//, "") === etag;
+  });
+}
+
+function send(req, res, status, payload) {
+  const body = JSON.stringify(payload);
+  const etag = etagFor(body);
+  const headers = {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-cache",
+    "Access-Control-Allow-Origin": "*",
+    ETag: etag,
+  };
+
+  if (status === 200 && matchesEtag(req.headers["if-none-match"], etag)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  res.writeHead(status, { ...headers, "Content-Length": Buffer.byteLength(body) });
+  res.end(req.method === "HEAD" ? undefined : body);
+}
+
+function createApiServer({ store, logger = console }) {
+  const routes = createRoutes(store);
+
+  return http.createServer((req, res) => {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.setHeader("Allow", "GET, HEAD");
+      send(req, res, 405, { error: "Method not allowed" });
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    try {
+      for (const { pattern, handler } of routes) {
+        const match = url.pathname.match(pattern);
+        if (match) {
+          send(req, res, 200, handler(match.slice(1), url.searchParams));
+          return;
+        }
+      }
+      throw httpError(404, "Not found");
+    } catch (error) {
+      if (!error.status) {
+        logger.error(`${req.method} ${req.url} failed:`, error);
+      }
+      send(req, res, error.status || 500, { error: error.status ? error.message : "Internal server error" });
+    }
+  });
+}
+
+module.exports = { createApiServer };
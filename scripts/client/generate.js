@@ -0,0 +1,21 @@
+const hre = require("hardhat");
+const path = require("path");
+const { generateClient, ABI_FILE, BROWSER_BUNDLES, ERRORS_MODULE } = require("./index");
+
+async function main() {
+  await hre.run("compile", { quiet: true });
+  await generateClient(hre.artifacts);
+
+  console.log(`✅ Contract client generated: ${path.relative(hre.config.paths.root, path.dirname(ABI_FILE))}`);
+  for (const file of [ERRORS_MODULE, ...BROWSER_BUNDLES]) {
+    console.log(`   ${path.relative(hre.config.paths.root, file)}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ Client generation failed:");
+    console.error(error);
+    process.exit(1);
+  });
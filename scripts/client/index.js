@@ -0,0 +1,115 @@
+const fs = require("fs");
+const path = require("path");
+const { runTypeChain } = require("typechain");
+
+const ROOT_DIR = path.join(__dirname, "..", "..");
+const CONTRACT_NAME = "PrivateRestaurantRating";
+
+// Typed client consumed by the Next.js app
+const CLIENT_DIR = path.join(ROOT_DIR, "restaurant-rating", "src", "contracts");
+const ABI_FILE = path.join(CLIENT_DIR, "abi", `${CONTRACT_NAME}.json`);
+const TYPES_DIR = path.join(CLIENT_DIR, "types");
+const ADDRESSES_FILE = path.join(CLIENT_DIR, "addresses.json");
+
+// Error decoder shared by the scripts and both frontends
+const ERRORS_SOURCE = path.join(__dirname, "errors.js");
+const ERRORS_MODULE = path.join(CLIENT_DIR, "errors.js");
+
+// Browser globals for the static index.html pages (root copy and restaurant-rating copy)
+const BROWSER_BUNDLES = [
+  path.join(ROOT_DIR, "public", "abi", `${CONTRACT_NAME}.js`),
+  path.join(ROOT_DIR, "restaurant-rating", "public", "abi", `${CONTRACT_NAME}.js`),
+];
+
+// In-process Hardhat deployments disappear when the script exits
+const EPHEMERAL_NETWORKS = ["hardhat"];
+
+function writeFile(file, contents) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, contents);
+}
+
+function readAddresses() {
+  if (!fs.existsSync(ADDRESSES_FILE)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(ADDRESSES_FILE, "utf8"));
+}
+
+// Line endings depend on the checkout; generated copies always use LF
+function readErrorsSource() {
+  return fs.readFileSync(ERRORS_SOURCE, "utf8").replace(/\r\n/g, "\n");
+}
+
+function renderErrorsModule() {
+  return `// Generated by scripts/client from scripts/client/errors.js. Do not edit.\n${readErrorsSource()}`;
+}
+
+function renderBrowserBundle(abi, addresses) {
+  return [
+    `// Generated by scripts/client from the ${CONTRACT_NAME} artifact, deployments and errors.js. Do not edit.`,
+    `window.${CONTRACT_NAME} = {`,
+    `  abi: ${JSON.stringify(abi)},`,
+    `  addresses: ${JSON.stringify(addresses)},`,
+    // The CommonJS error module, evaluated in place
+    "  errors: (function (module) {",
+    readErrorsSource().trimEnd(),
+    "    return module.exports;",
+    "  })({ exports: {} }),",
+    "};",
+    "",
+  ].join("\n");
+}
+
+function writeBrowserBundles(abi, addresses) {
+  const contents = renderBrowserBundle(abi, addresses);
+  for (const file of BROWSER_BUNDLES) {
+    writeFile(file, contents);
+  }
+}
+
+// Write the ABI, TypeChain types, error module and browser bundles from the compiled artifact
+async function generateClient(artifacts) {
+  const { abi } = await artifacts.readArtifact(CONTRACT_NAME);
+  writeFile(ABI_FILE, JSON.stringify(abi, null, 2) + "\n");
+  writeFile(ERRORS_MODULE, renderErrorsModule());
+
+  fs.rmSync(TYPES_DIR, { recursive: true, force: true });
+  await runTypeChain({
+    cwd: ROOT_DIR,
+    filesToProcess: [ABI_FILE],
+    allFiles: [ABI_FILE],
+    outDir: TYPES_DIR,
+    target: "ethers-v6",
+  });
+
+  writeBrowserBundles(abi, readAddresses());
+  return { abi };
+}
+
+// Record a deployment in the per-chain address registry; returns false for ephemeral networks
+async function recordDeployment(artifacts, { network, chainId, address, blockNumber }) {
+  if (EPHEMERAL_NETWORKS.includes(network)) {
+    return false;
+  }
+
+  const addresses = readAddresses();
+  addresses[chainId] = { network, address, blockNumber };
+  writeFile(ADDRESSES_FILE, JSON.stringify(addresses, null, 2) + "\n");
+
+  await generateClient(artifacts);
+  return true;
+}
+
+module.exports = {
+  CONTRACT_NAME,
+  ABI_FILE,
+  ADDRESSES_FILE,
+  BROWSER_BUNDLES,
+  ERRORS_MODULE,
+  readAddresses,
+  renderErrorsModule,
+  renderBrowserBundle,
+  generateClient,
+  recordDeployment,
+};
@@ -1,6 +1,7 @@
-const { ethers } = require("hardhat");
+const { ethers, artifacts, network: hardhatNetwork } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { recordDeployment, ADDRESSES_FILE } = require("./client");
 
 async function main() {
   console.log("=".repeat(60));
@@ -40,35 +41,47 @@ async function main() {
 
   // Get deployment transaction details
   const deploymentTx = contract.deploymentTransaction();
+  const deploymentReceipt = deploymentTx ? await deploymentTx.wait() : null;
   if (deploymentTx) {
     console.log(`Transaction hash: ${deploymentTx.hash}`);
-    console.log(`Block number: ${deploymentTx.blockNumber}`);
+    console.log(`Block number: ${deploymentReceipt.blockNumber}`);
     console.log(`Gas used: ${deploymentTx.gasLimit ? deploymentTx.gasLimit.toString() : "N/A"}`);
   }
 
+  // Deploy the moderation workflow and let it hide and restore reviews
+  console.log("\nDeploying ReviewModeration contract...");
+  const moderation = await ethers.deployContract("ReviewModeration", [contractAddress]);
+  await moderation.waitForDeployment();
+  const moderationAddress = await moderation.getAddress();
+  await (await contract.setModeration(moderationAddress)).wait();
+  console.log(`✅ ReviewModeration deployed to: ${moderationAddress}`);
+
   // Verify initial state
   console.log("\n" + "-".repeat(60));
   console.log("Verifying deployment...");
   console.log("-".repeat(60));
 
-  const owner = await contract.owner();
+  // The deployer starts with every role; grant them to operators with npm run interact:* (option 13)
+  const isAdmin = await contract.hasRole(await contract.ADMIN_ROLE(), deployer.address);
   const restaurantCounter = await contract.restaurantCounter();
   const reviewCounter = await contract.reviewCounter();
 
-  console.log(`Contract owner: ${owner}`);
+  console.log(`Deployer is admin: ${isAdmin}`);
   console.log(`Initial restaurant counter: ${restaurantCounter}`);
   console.log(`Initial review counter: ${reviewCounter}`);
 
   // Save deployment information
   const deploymentInfo = {
-    network: network.name,
+    network: hardhatNetwork.name,
     chainId: Number(network.chainId),
     contractAddress: contractAddress,
+    moderationAddress: moderationAddress,
     deployer: deployer.address,
     deploymentTime: new Date().toISOString(),
     transactionHash: deploymentTx ? deploymentTx.hash : null,
-    blockNumber: deploymentTx ? deploymentTx.blockNumber : null,
-    owner: owner,
+    // The indexer replays events starting from this block
+    blockNumber: deploymentReceipt ? deploymentReceipt.blockNumber : null,
+    admin: deployer.address,
     initialRestaurantCounter: Number(restaurantCounter),
     initialReviewCounter: Number(reviewCounter),
   };
@@ -79,25 +92,37 @@ async function main() {
     fs.mkdirSync(deploymentsDir, { recursive: true });
   }
 
-  // Save deployment info to file
+  // Save deployment info to file, named after the Hardhat network so other scripts can find it
   const deploymentFile = path.join(
     deploymentsDir,
-    `${network.name}_${Date.now()}.json`
+    `${hardhatNetwork.name}_${Date.now()}.json`
   );
   fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
   console.log(`\n📄 Deployment info saved to: ${deploymentFile}`);
 
   // Save latest deployment info
-  const latestFile = path.join(deploymentsDir, `${network.name}_latest.json`);
+  const latestFile = path.join(deploymentsDir, `${hardhatNetwork.name}_latest.json`);
   fs.writeFileSync(latestFile, JSON.stringify(deploymentInfo, null, 2));
   console.log(`📄 Latest deployment info saved to: ${latestFile}`);
 
+  // Point the frontends at the new address and regenerate their contract client
+  const recorded = await recordDeployment(artifacts, {
+    network: hardhatNetwork.name,
+    chainId: deploymentInfo.chainId,
+    address: contractAddress,
+    blockNumber: deploymentInfo.blockNumber,
+  });
+  if (recorded) {
+    console.log(`📄 Frontend address registry updated: ${path.relative(process.cwd(), ADDRESSES_FILE)}`);
+  }
+
   // Display Etherscan link (if on Sepolia)
   if (network.chainId === 11155111n) {
     console.log("\n" + "=".repeat(60));
     console.log("📊 Etherscan Links:");
     console.log("=".repeat(60));
     console.log(`Contract: https://sepolia.etherscan.io/address/${contractAddress}`);
+    console.log(`Moderation: https://sepolia.etherscan.io/address/${moderationAddress}`);
     if (deploymentTx) {
       console.log(`Transaction: https://sepolia.etherscan.io/tx/${deploymentTx.hash}`);
     }
@@ -0,0 +1,251 @@
+const { setTimeout: sleep } = require("timers/promises");
+
+const INDEXED_EVENTS = [
+  "RestaurantRegistered",
+  "RestaurantProfileUpdated",
+  "RestaurantOwnershipTransferred",
+  "ReviewSubmitted",
+  "ReviewUpdated",
+  "ReviewVerified",
+  "ReviewRetracted",
+  "ReviewModerationUpdated",
+  "RatingSummaryUpdated",
+];
+
+const DEFAULT_BATCH_SIZE = 2000;
+const DEFAULT_POLL_INTERVAL_MS = 4000;
+// Block hashes older than this many blocks behind the checkpoint are forgotten
+const REORG_WINDOW = 128;
+
+function createIndexer({
+  provider,
+  contract,
+  store,
+  startBlock,
+  batchSize = DEFAULT_BATCH_SIZE,
+  confirmations = 0,
+  logger = console,
+}) {
+  const topics = INDEXED_EVENTS.map((name) => contract.interface.getEvent(name).topicHash);
+
+  // Make sure the checkpoint is still on the canonical chain, rewinding to the last common block if not
+  async function ensureCanonical(checkpoint) {
+    const block = await provider.getBlock(checkpoint.blockNumber);
+    if (block && block.hash === checkpoint.blockHash) {
+      return checkpoint;
+    }
+
+    for (const tracked of store.getTrackedBlocks(checkpoint.blockNumber)) {
+      const canonical = await provider.getBlock(tracked.number);
+      if (canonical && canonical.hash === tracked.hash) {
+        logger.log(`Reorg detected at block ${checkpoint.blockNumber}; rewinding to block ${tracked.number}`);
+        store.rewindTo(tracked);
+        return { ...checkpoint, blockNumber: tracked.number, blockHash: tracked.hash };
+      }
+    }
+
+    logger.log(`Reorg deeper than the last ${REORG_WINDOW} blocks; rebuilding from block ${startBlock}`);
+    store.reset();
+    return null;
+  }
+
+  async function decodeLogs(logs) {
+    const timestamps = new Map();
+    const blockTimestamp = async (blockNumber) => {
+      if (!timestamps.has(blockNumber)) {
+        const block = await provider.getBlock(blockNumber);
+        timestamps.set(blockNumber, block.timestamp);
+      }
+      return timestamps.get(blockNumber);
+    };
+
+    const events = [];
+    for (const log of logs) {
+      const { name, args } = contract.interface.parseLog(log);
+      // Fields missing from the event are read from current state: reading them as of the log's block
+      // would need an archive node once it is older than the RPC node's state window
+      const base = { blockNumber: log.blockNumber, transactionHash: log.transactionHash, logIndex: log.index };
+
+      switch (name) {
+        case "RestaurantRegistered": {
+          // The location is the latest one if the profile was edited since; the edit's own log follows
+          const restaurant = await contract.getRestaurant(args.restaurantId);
+          events.push({
+            name,
+            data: {
+              ...base,
+              id: Number(args.restaurantId),
+              name: args.name,
+              location: restaurant.location,
+              owner: args.owner,
+              createdAt: Number(restaurant.createdAt),
+            },
+          });
+          break;
+        }
+        case "RestaurantProfileUpdated":
+          events.push({
+            name,
+            data: {
+              restaurantId: Number(args.restaurantId),
+              name: args.newName,
+              location: args.newLocation,
+              blockNumber: log.blockNumber,
+              logIndex: log.index,
+            },
+          });
+          break;
+        case "RestaurantOwnershipTransferred":
+          events.push({
+            name,
+            data: {
+              restaurantId: Number(args.restaurantId),
+              owner: args.newOwner,
+              blockNumber: log.blockNumber,
+              logIndex: log.index,
+            },
+          });
+          break;
+        case "ReviewSubmitted": {
+          // The comment is the latest version if the review was edited since
+          const review = await contract.getReviewInfo(args.reviewId);
+          events.push({
+            name,
+            data: {
+              ...base,
+              id: Number(args.reviewId),
+              restaurantId: Number(args.restaurantId),
+              reviewer: args.reviewer,
+              comment: review.comment,
+              timestamp: Number(review.timestamp),
+            },
+          });
+          break;
+        }
+        case "ReviewUpdated": {
+          // The event does not carry the comment, so this is the latest version as well
+          const review = await contract.getReviewInfo(args.reviewId);
+          events.push({
+            name,
+            data: {
+              reviewId: Number(args.reviewId),
+              comment: review.comment,
+              blockNumber: log.blockNumber,
+              logIndex: log.index,
+            },
+          });
+          break;
+        }
+        case "ReviewVerified":
+        case "ReviewRetracted":
+          events.push({ name, data: { id: Number(args.reviewId), blockNumber: log.blockNumber } });
+          break;
+        case "ReviewModerationUpdated":
+          events.push({
+            name,
+            data: {
+              reviewId: Number(args.reviewId),
+              status: Number(args.status),
+              blockNumber: log.blockNumber,
+              logIndex: log.index,
+            },
+          });
+          break;
+        case "RatingSummaryUpdated":
+          events.push({
+            name,
+            data: {
+              ...base,
+              restaurantId: Number(args.restaurantId),
+              averageRating: Number(args.averageRating),
+              reviewCount: Number(args.reviewCount),
+              publishedAt: await blockTimestamp(log.blockNumber),
+              logIndex: log.index,
+            },
+          });
+          break;
+      }
+    }
+    return events;
+  }
+
+  // Index the next range of confirmed blocks. Returns null when already caught up.
+  async function syncOnce() {
+    const contractAddress = await contract.getAddress();
+    const chainId = Number((await provider.getNetwork()).chainId);
+
+    let checkpoint = store.getCheckpoint();
+    if (checkpoint && (checkpoint.chainId !== chainId || checkpoint.contractAddress !== contractAddress)) {
+      logger.log(`Database belongs to another deployment; rebuilding from block ${startBlock}`);
+      store.reset();
+      checkpoint = null;
+    }
+    if (checkpoint) {
+      checkpoint = await ensureCanonical(checkpoint);
+    }
+
+    const fromBlock = checkpoint ? checkpoint.blockNumber + 1 : startBlock;
+    const targetBlock = (await provider.getBlockNumber()) - confirmations;
+    if (fromBlock > targetBlock) {
+      return null;
+    }
+
+    const toNumber = Math.min(targetBlock, fromBlock + batchSize - 1);
+    const toBlock = await provider.getBlock(toNumber);
+    const logs = await provider.getLogs({
+      address: contractAddress,
+      topics: [topics],
+      fromBlock,
+      toBlock: toNumber,
+    });
+
+    const blockHashes = new Map([[toBlock.number, toBlock.hash]]);
+    for (const log of logs) {
+      if (log.blockNumber === toBlock.number && log.blockHash !== toBlock.hash) {
+        throw new Error(`Block ${toBlock.number} changed while indexing; retrying`);
+      }
+      blockHashes.set(log.blockNumber, log.blockHash);
+    }
+
+    const events = await decodeLogs(logs);
+    store.applyBatch({
+      chainId,
+      contractAddress,
+      toBlock: { number: toBlock.number, hash: toBlock.hash },
+      blockHashes,
+      events,
+      pruneBelow: toBlock.number - REORG_WINDOW,
+    });
+
+    return { fromBlock, toBlock: toBlock.number, eventCount: events.length };
+  }
+
+  // Keep indexing until the confirmed head is reached
+  async function syncToHead() {
+    let result;
+    while ((result = await syncOnce())) {
+      logger.log(`Indexed blocks ${result.fromBlock}-${result.toBlock} (${result.eventCount} events)`);
+    }
+  }
+
+  // Follow the chain until `signal` is aborted
+  async function run({ pollInterval = DEFAULT_POLL_INTERVAL_MS, signal } = {}) {
+    while (!signal?.aborted) {
+      try {
+        await syncToHead();
+      } catch (error) {
+        logger.error(`Indexing failed: ${error.message}`);
+      }
+
+      try {
+        await sleep(pollInterval, undefined, { signal });
+      } catch (error) {
+        if (error.name !== "AbortError") throw error;
+      }
+    }
+  }
+
+  return { syncOnce, syncToHead, run };
+}
+
+module.exports = { createIndexer, INDEXED_EVENTS };
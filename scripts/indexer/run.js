@@ -0,0 +1,95 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { openStore, defaultDatabasePath } = require("./store");
+const { createIndexer } = require("./indexer");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+function envNumber(name, fallback) {
+  const value = process.env[name];
+  return value === undefined || value === "" ? fallback : Number(value);
+}
+
+async function loadDeployment() {
+  const networkName = network.name;
+  const deploymentsDir = path.join(__dirname, "..", "..", "deployments");
+  const latestFile = path.join(deploymentsDir, `${networkName}_latest.json`);
+
+  if (!fs.existsSync(latestFile)) {
+    throw new Error(`No deployment found for network ${networkName}`);
+  }
+
+  const deploymentInfo = JSON.parse(fs.readFileSync(latestFile, "utf8"));
+  const contract = await ethers.getContractAt("PrivateRestaurantRating", deploymentInfo.contractAddress);
+
+  // Older deployment records only kept the transaction hash
+  let startBlock = deploymentInfo.blockNumber;
+  if (startBlock === null || startBlock === undefined) {
+    const receipt = deploymentInfo.transactionHash
+      ? await ethers.provider.getTransactionReceipt(deploymentInfo.transactionHash)
+      : null;
+    if (!receipt) {
+      throw new Error(`Deployment block unknown for network ${networkName}; redeploy or add blockNumber`);
+    }
+    startBlock = receipt.blockNumber;
+  }
+
+  return { contract, deploymentInfo, startBlock };
+}
+
+async function main() {
+  console.log("=".repeat(60));
+  console.log("Private Restaurant Rating System - Event Indexer");
+  console.log("=".repeat(60));
+
+  const { contract, deploymentInfo, startBlock } = await loadDeployment();
+  const dbPath = process.env.INDEXER_DB_PATH || defaultDatabasePath(network.name);
+  const confirmations = envNumber("INDEXER_CONFIRMATIONS", LOCAL_NETWORKS.includes(network.name) ? 0 : 3);
+
+  console.log(`\nNetwork: ${network.name}`);
+  console.log(`Contract: ${deploymentInfo.contractAddress}`);
+  console.log(`Deployment block: ${startBlock}`);
+  console.log(`Database: ${dbPath}`);
+  console.log(`Confirmations: ${confirmations}`);
+
+  const store = openStore(dbPath);
+  const checkpoint = store.getCheckpoint();
+  if (checkpoint) {
+    console.log(`Resuming after block ${checkpoint.blockNumber}`);
+  }
+
+  const indexer = createIndexer({
+    provider: ethers.provider,
+    contract,
+    store,
+    startBlock,
+    batchSize: envNumber("INDEXER_BATCH_SIZE", undefined),
+    confirmations,
+  });
+
+  try {
+    if (process.env.INDEXER_ONCE === "true") {
+      await indexer.syncToHead();
+    } else {
+      const controller = new AbortController();
+      process.once("SIGINT", () => controller.abort());
+      process.once("SIGTERM", () => controller.abort());
+
+      console.log("\nWatching for new blocks (Ctrl+C to stop)...");
+      await indexer.run({ pollInterval: envNumber("INDEXER_POLL_INTERVAL_MS", undefined), signal: controller.signal });
+    }
+  } finally {
+    store.close();
+  }
+
+  console.log("\n✅ Indexer stopped");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Indexer failed:");
+    console.error(error);
+    process.exit(1);
+  });
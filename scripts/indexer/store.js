@@ -0,0 +1,469 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+// Bumped whenever the tables change; older databases are dropped and rebuilt from the deployment block
+const SCHEMA_VERSION = 4;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS checkpoint (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    chain_id INTEGER NOT NULL,
+    contract_address TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+
+  -- Hashes of recently indexed blocks, used to find the fork point after a reorg
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS restaurants (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    location TEXT NOT NULL,
+    owner TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    updated_block INTEGER,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS restaurants_owner ON restaurants (owner);
+
+  -- Name, location and owner after the registration and every profile edit or ownership transfer,
+  -- so a reorg can restore the previous ones
+  CREATE TABLE IF NOT EXISTS restaurant_history (
+    restaurant_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    location TEXT NOT NULL,
+    owner TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS restaurant_history_restaurant ON restaurant_history (restaurant_id, block_number);
+
+  CREATE TABLE IF NOT EXISTS reviews (
+    id INTEGER PRIMARY KEY,
+    restaurant_id INTEGER NOT NULL,
+    reviewer TEXT NOT NULL,
+    comment TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    edited_block INTEGER,
+    is_verified INTEGER NOT NULL DEFAULT 0,
+    verified_block INTEGER,
+    is_withdrawn INTEGER NOT NULL DEFAULT 0,
+    withdrawn_block INTEGER,
+    moderation_status INTEGER NOT NULL DEFAULT 0,
+    moderation_block INTEGER,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS reviews_restaurant ON reviews (restaurant_id);
+  CREATE INDEX IF NOT EXISTS reviews_reviewer ON reviews (reviewer);
+
+  -- Comment after the submission and every edit, so a reorg can restore the previous one
+  CREATE TABLE IF NOT EXISTS review_comments (
+    review_id INTEGER NOT NULL,
+    comment TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS review_comments_review ON review_comments (review_id, block_number);
+
+  -- Every moderation status change is kept so a reorg can restore the previous status
+  CREATE TABLE IF NOT EXISTS moderation_updates (
+    review_id INTEGER NOT NULL,
+    status INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS moderation_updates_review ON moderation_updates (review_id, block_number);
+
+  -- Every published summary is kept so a reorg can fall back to the previous one
+  CREATE TABLE IF NOT EXISTS rating_summaries (
+    restaurant_id INTEGER NOT NULL,
+    average_rating INTEGER NOT NULL,
+    review_count INTEGER NOT NULL,
+    published_at INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS rating_summaries_restaurant ON rating_summaries (restaurant_id, block_number);
+`;
+
+const DATA_TABLES = [
+  "blocks",
+  "restaurants",
+  "restaurant_history",
+  "reviews",
+  "review_comments",
+  "moderation_updates",
+  "rating_summaries",
+  "checkpoint",
+];
+
+// ModerationStatus values from Hidden on (Hidden, Appealed, AppealRejected) are taken down
+const MODERATION_HIDDEN = 2;
+
+// Reviews served and counted by the API; as on the contract, retracted and hidden reviews no longer count
+const VISIBLE_REVIEW = `v.is_withdrawn = 0 AND v.moderation_status < ${MODERATION_HIDDEN}`;
+
+// Restaurant rows joined with their review counts and most recently published summary
+const RESTAURANT_QUERY = `
+  SELECT
+    r.id, r.name, r.location, r.owner, r.created_at,
+    (SELECT COUNT(*) FROM reviews v WHERE v.restaurant_id = r.id AND ${VISIBLE_REVIEW}) AS review_count,
+    (SELECT COUNT(*) FROM reviews v
+      WHERE v.restaurant_id = r.id AND v.is_verified = 1 AND ${VISIBLE_REVIEW}) AS verified_review_count,
+    s.average_rating, s.review_count AS revealed_review_count, s.published_at
+  FROM restaurants r
+  LEFT JOIN rating_summaries s ON s.rowid = (
+    SELECT rowid FROM rating_summaries
+    WHERE restaurant_id = r.id
+    ORDER BY block_number DESC, log_index DESC
+    LIMIT 1
+  )
+`;
+
+function defaultDatabasePath(networkName) {
+  return path.join(__dirname, "..", "..", "data", `${networkName}.sqlite`);
+}
+
+function toRestaurant(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    location: row.location,
+    owner: row.owner,
+    createdAt: row.created_at,
+    reviewCount: row.review_count,
+    verifiedReviewCount: row.verified_review_count,
+    ratingSummary:
+      row.average_rating === null
+        ? null
+        : { averageRating: row.average_rating, reviewCount: row.revealed_review_count, publishedAt: row.published_at },
+  };
+}
+
+function toReview(row) {
+  return {
+    id: row.id,
+    restaurantId: row.restaurant_id,
+    reviewer: row.reviewer,
+    comment: row.comment,
+    timestamp: row.timestamp,
+    isVerified: row.is_verified === 1,
+  };
+}
+
+function toRatingSummary(row) {
+  return {
+    restaurantId: row.restaurant_id,
+    averageRating: row.average_rating,
+    reviewCount: row.review_count,
+    publishedAt: row.published_at,
+    blockNumber: row.block_number,
+    transactionHash: row.transaction_hash,
+  };
+}
+
+function openStore(filename) {
+  if (filename !== ":memory:") {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  if (db.pragma("user_version", { simple: true }) !== SCHEMA_VERSION) {
+    for (const table of DATA_TABLES) {
+      db.exec(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+  db.exec(SCHEMA);
+  db.pragma(`user_version = ${SCHEMA_VERSION}`);
+
+  const statements = {
+    getCheckpoint: db.prepare("SELECT * FROM checkpoint WHERE id = 1"),
+    saveCheckpoint: db.prepare(`
+      INSERT INTO checkpoint (id, chain_id, contract_address, block_number, block_hash, updated_at)
+      VALUES (1, @chainId, @contractAddress, @blockNumber, @blockHash, @updatedAt)
+      ON CONFLICT (id) DO UPDATE SET
+        chain_id = excluded.chain_id,
+        contract_address = excluded.contract_address,
+        block_number = excluded.block_number,
+        block_hash = excluded.block_hash,
+        updated_at = excluded.updated_at
+    `),
+    saveBlock: db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)"),
+    getBlocksDescending: db.prepare("SELECT number, hash FROM blocks WHERE number <= ? ORDER BY number DESC"),
+    pruneBlocks: db.prepare("DELETE FROM blocks WHERE number < ?"),
+    insertRestaurant: db.prepare(`
+      INSERT OR REPLACE INTO restaurants (id, name, location, owner, created_at, block_number, transaction_hash)
+      VALUES (@id, @name, @location, @owner, @createdAt, @blockNumber, @transactionHash)
+    `),
+    insertReview: db.prepare(`
+      INSERT OR REPLACE INTO reviews (id, restaurant_id, reviewer, comment, timestamp, block_number, transaction_hash)
+      VALUES (@id, @restaurantId, @reviewer, @comment, @timestamp, @blockNumber, @transactionHash)
+    `),
+    updateRestaurantProfile: db.prepare(
+      "UPDATE restaurants SET name = @name, location = @location, updated_block = @blockNumber WHERE id = @restaurantId"
+    ),
+    transferRestaurant: db.prepare(
+      "UPDATE restaurants SET owner = @owner, updated_block = @blockNumber WHERE id = @restaurantId"
+    ),
+    saveRestaurantHistory: db.prepare(`
+      INSERT OR REPLACE INTO restaurant_history (restaurant_id, name, location, owner, block_number, log_index)
+      SELECT id, name, location, owner, @blockNumber, @logIndex FROM restaurants WHERE id = @restaurantId
+    `),
+    updateReviewComment: db.prepare(
+      "UPDATE reviews SET comment = @comment, edited_block = @blockNumber WHERE id = @reviewId"
+    ),
+    insertReviewComment: db.prepare(`
+      INSERT OR REPLACE INTO review_comments (review_id, comment, block_number, log_index)
+      VALUES (@reviewId, @comment, @blockNumber, @logIndex)
+    `),
+    verifyReview: db.prepare("UPDATE reviews SET is_verified = 1, verified_block = @blockNumber WHERE id = @id"),
+    retractReview: db.prepare("UPDATE reviews SET is_withdrawn = 1, withdrawn_block = @blockNumber WHERE id = @id"),
+    insertModerationUpdate: db.prepare(`
+      INSERT OR REPLACE INTO moderation_updates (review_id, status, block_number, log_index)
+      VALUES (@reviewId, @status, @blockNumber, @logIndex)
+    `),
+    setModerationStatus: db.prepare(
+      "UPDATE reviews SET moderation_status = @status, moderation_block = @blockNumber WHERE id = @reviewId"
+    ),
+    insertRatingSummary: db.prepare(`
+      INSERT OR REPLACE INTO rating_summaries
+        (restaurant_id, average_rating, review_count, published_at, block_number, log_index, transaction_hash)
+      VALUES (@restaurantId, @averageRating, @reviewCount, @publishedAt, @blockNumber, @logIndex, @transactionHash)
+    `),
+  };
+
+  const rewindStatements = [
+    db.prepare("DELETE FROM blocks WHERE number > ?"),
+    db.prepare("DELETE FROM restaurants WHERE block_number > ?"),
+    db.prepare("DELETE FROM reviews WHERE block_number > ?"),
+    db.prepare("DELETE FROM restaurant_history WHERE block_number > ?"),
+    // Back to the latest name, location and owner that survived
+    db.prepare(`
+      UPDATE restaurants SET (name, location, owner, updated_block) = (
+        SELECT name, location, owner, block_number FROM restaurant_history h WHERE h.restaurant_id = restaurants.id
+        ORDER BY block_number DESC, log_index DESC LIMIT 1
+      )
+      WHERE updated_block > ?
+    `),
+    db.prepare("DELETE FROM review_comments WHERE block_number > ?"),
+    db.prepare(`
+      UPDATE reviews SET (comment, edited_block) = (
+        SELECT comment, block_number FROM review_comments c WHERE c.review_id = reviews.id
+        ORDER BY block_number DESC, log_index DESC LIMIT 1
+      )
+      WHERE edited_block > ?
+    `),
+    db.prepare("UPDATE reviews SET is_verified = 0, verified_block = NULL WHERE verified_block > ?"),
+    db.prepare("UPDATE reviews SET is_withdrawn = 0, withdrawn_block = NULL WHERE withdrawn_block > ?"),
+    db.prepare("DELETE FROM rating_summaries WHERE block_number > ?"),
+    db.prepare("DELETE FROM moderation_updates WHERE block_number > ?"),
+    // Back to the latest status change that survived, or None
+    db.prepare(`
+      UPDATE reviews SET
+        moderation_status = COALESCE((
+          SELECT status FROM moderation_updates m WHERE m.review_id = reviews.id
+          ORDER BY block_number DESC, log_index DESC LIMIT 1
+        ), 0),
+        moderation_block = (SELECT MAX(block_number) FROM moderation_updates m WHERE m.review_id = reviews.id)
+      WHERE moderation_block > ?
+    `),
+  ];
+
+  function getCheckpoint() {
+    const row = statements.getCheckpoint.get();
+    if (!row) return null;
+
+    return {
+      chainId: row.chain_id,
+      contractAddress: row.contract_address,
+      blockNumber: row.block_number,
+      blockHash: row.block_hash,
+    };
+  }
+
+  // Store a batch of decoded events and advance the checkpoint atomically
+  const applyBatch = db.transaction(({ chainId, contractAddress, toBlock, blockHashes, events, pruneBelow }) => {
+    for (const [number, hash] of blockHashes) {
+      statements.saveBlock.run(number, hash);
+    }
+
+    for (const event of events) {
+      switch (event.name) {
+        case "RestaurantRegistered":
+          statements.insertRestaurant.run(event.data);
+          statements.saveRestaurantHistory.run({ ...event.data, restaurantId: event.data.id });
+          break;
+        case "RestaurantProfileUpdated":
+          statements.updateRestaurantProfile.run(event.data);
+          statements.saveRestaurantHistory.run(event.data);
+          break;
+        case "RestaurantOwnershipTransferred":
+          statements.transferRestaurant.run(event.data);
+          statements.saveRestaurantHistory.run(event.data);
+          break;
+        case "ReviewSubmitted":
+          statements.insertReview.run(event.data);
+          statements.insertReviewComment.run({ ...event.data, reviewId: event.data.id });
+          break;
+        case "ReviewUpdated":
+          statements.updateReviewComment.run(event.data);
+          statements.insertReviewComment.run(event.data);
+          break;
+        case "ReviewVerified":
+          statements.verifyReview.run(event.data);
+          break;
+        case "ReviewRetracted":
+          statements.retractReview.run(event.data);
+          break;
+        case "ReviewModerationUpdated":
+          statements.insertModerationUpdate.run(event.data);
+          statements.setModerationStatus.run(event.data);
+          break;
+        case "RatingSummaryUpdated":
+          statements.insertRatingSummary.run(event.data);
+          break;
+        default:
+          throw new Error(`Unsupported event ${event.name}`);
+      }
+    }
+
+    statements.saveCheckpoint.run({
+      chainId,
+      contractAddress,
+      blockNumber: toBlock.number,
+      blockHash: toBlock.hash,
+      updatedAt: Math.floor(Date.now() / 1000),
+    });
+    statements.pruneBlocks.run(pruneBelow);
+  });
+
+  // Drop everything indexed after `blockNumber` and move the checkpoint back to it
+  const rewindTo = db.transaction((block) => {
+    for (const statement of rewindStatements) {
+      statement.run(block.number);
+    }
+    db.prepare("UPDATE checkpoint SET block_number = ?, block_hash = ?, updated_at = ? WHERE id = 1").run(
+      block.number,
+      block.hash,
+      Math.floor(Date.now() / 1000)
+    );
+  });
+
+  const reset = db.transaction(() => {
+    for (const table of DATA_TABLES) {
+      db.prepare(`DELETE FROM ${table}`).run();
+    }
+  });
+
+  // Run a filtered, paginated query and return the page together with the total match count
+  function page(query, where, params, orderBy, { limit, offset }) {
+    const clause = where.length > 0 ? `WHERE ${where.join(" AND ")}` : "";
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM (${query} ${clause})`).get(params);
+    const rows = db
+      .prepare(`${query} ${clause} ORDER BY ${orderBy} LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset });
+    return { rows, total };
+  }
+
+  // Filters: owner address, case-insensitive name/location search, rated flag and minimum average
+  function listRestaurants({ owner, search, rated, minRating, limit, offset }) {
+    const where = [];
+    const params = {};
+    if (owner !== undefined) {
+      where.push("r.owner = @owner");
+      params.owner = owner;
+    }
+    if (search !== undefined) {
+      where.push("(instr(lower(r.name), lower(@search)) > 0 OR instr(lower(r.location), lower(@search)) > 0)");
+      params.search = search;
+    }
+    if (rated !== undefined) {
+      where.push(rated ? "s.average_rating IS NOT NULL" : "s.average_rating IS NULL");
+    }
+    if (minRating !== undefined) {
+      where.push("s.average_rating >= @minRating");
+      params.minRating = minRating;
+    }
+
+    const { rows, total } = page(RESTAURANT_QUERY, where, params, "r.id", { limit, offset });
+    return { items: rows.map(toRestaurant), total };
+  }
+
+  function getRestaurant(id) {
+    const row = db.prepare(`${RESTAURANT_QUERY} WHERE r.id = ?`).get(id);
+    return row ? toRestaurant(row) : null;
+  }
+
+  function listReviews({ restaurantId, reviewer, limit, offset }) {
+    const where = [VISIBLE_REVIEW];
+    const params = {};
+    if (restaurantId !== undefined) {
+      where.push("restaurant_id = @restaurantId");
+      params.restaurantId = restaurantId;
+    }
+    if (reviewer !== undefined) {
+      where.push("reviewer = @reviewer");
+      params.reviewer = reviewer;
+    }
+
+    const { rows, total } = page("SELECT * FROM reviews v", where, params, "id", { limit, offset });
+    return { items: rows.map(toReview), total };
+  }
+
+  // Published summaries, newest first
+  function listRatingSummaries({ restaurantId, limit, offset }) {
+    const where = [];
+    const params = {};
+    if (restaurantId !== undefined) {
+      where.push("restaurant_id = @restaurantId");
+      params.restaurantId = restaurantId;
+    }
+
+    const orderBy = "block_number DESC, log_index DESC";
+    const { rows, total } = page("SELECT * FROM rating_summaries", where, params, orderBy, { limit, offset });
+    return { items: rows.map(toRatingSummary), total };
+  }
+
+  // Mirrors getTotalCounts on the contract, as of the indexed block: totalReviews counts every review ever
+  // submitted, like reviewCounter, while visibleReviews leaves out retracted and hidden ones
+  function getCounts() {
+    const checkpoint = getCheckpoint();
+    return {
+      totalRestaurants: db.prepare("SELECT COUNT(*) AS count FROM restaurants").get().count,
+      totalReviews: db.prepare("SELECT COUNT(*) AS count FROM reviews").get().count,
+      visibleReviews: db.prepare(`SELECT COUNT(*) AS count FROM reviews v WHERE ${VISIBLE_REVIEW}`).get().count,
+      indexedBlock: checkpoint ? checkpoint.blockNumber : null,
+    };
+  }
+
+  return {
+    db,
+    getCheckpoint,
+    getTrackedBlocks: (atOrBelow) => statements.getBlocksDescending.all(atOrBelow),
+    applyBatch,
+    rewindTo,
+    reset,
+    listRestaurants,
+    getRestaurant,
+    listReviews,
+    listRatingSummaries,
+    getCounts,
+    close: () => db.close(),
+  };
+}
+
+module.exports = { openStore, defaultDatabasePath };
@@ -1,7 +1,28 @@
-const { ethers } = require("hardhat");
+const { ethers, fhevm } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 const readline = require("readline");
+const { ERRORS, formatContractError, parseRatings, resolveLocale } = require("./client/errors");
+
+// Contract errors are printed in the terminal's language when it is supported (e.g. LANG=es_ES.UTF-8)
+const LOCALE = resolveLocale(process.env.LANG);
+
+// EIP-712 type of the visit receipts restaurants hand to diners; the domain is the contract's own
+const VISIT_RECEIPT_TYPES = {
+  VisitReceipt: [
+    { name: "restaurantId", type: "uint32" },
+    { name: "reviewer", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+// Role constants of the contract, each granted and revoked by admins
+const ROLE_NAMES = ["ADMIN_ROLE", "MODERATOR_ROLE", "VERIFIER_ROLE", "PAUSER_ROLE"];
+
+// Labels for the ModerationStatus and FlagReason enums, in declaration order
+const MODERATION_STATUSES = ["none", "flagged", "hidden", "appealed", "appeal rejected"];
+const FLAG_REASONS = ["Spam", "Offensive", "Off-topic", "Conflict of interest", "Other"];
 
 // Create readline interface for user input
 const rl = readline.createInterface({
@@ -32,6 +53,22 @@ async function loadContract() {
   return { contract, contractAddress, deploymentInfo };
 }
 
+// The moderation contract wired to the rating contract, with an interface that also decodes the rating
+// contract's errors, since moderation calls revert with them too
+async function loadModeration(contract) {
+  const address = await contract.moderation();
+  if (address === ethers.ZeroAddress) {
+    throw new Error("No moderation contract is set on this deployment");
+  }
+
+  const moderation = await ethers.getContractAt("ReviewModeration", address);
+  const errors = new ethers.Interface([
+    ...moderation.interface.fragments,
+    ...contract.interface.fragments.filter((fragment) => fragment.type === "error"),
+  ]);
+  return { moderation, errors };
+}
+
 async function displayMenu() {
   console.log("\n" + "=".repeat(60));
   console.log("Private Restaurant Rating System - Interactive Menu");
@@ -45,11 +82,22 @@ async function displayMenu() {
   console.log("7. Get total counts");
   console.log("8. Verify a review");
   console.log("9. Toggle restaurant status");
+  console.log("10. Update restaurant profile");
+  console.log("11. Transfer restaurant ownership");
+  console.log("12. Accept restaurant ownership");
+  console.log("13. Manage roles");
+  console.log("14. Manage verification staff");
+  console.log("15. Mint visit receipts");
+  console.log("16. Flag a review");
+  console.log("17. Moderate a review");
+  console.log("18. Appeal a hidden review");
+  console.log("19. Pause or resume the contract");
+  console.log("20. Freeze or unfreeze a restaurant");
   console.log("0. Exit");
   console.log("\n" + "=".repeat(60));
 }
 
-async function viewContractInfo(contract, contractAddress, deploymentInfo) {
+async function viewContractInfo(contract, contractAddress, deploymentInfo, signer) {
   console.log("\n" + "-".repeat(60));
   console.log("Contract Information");
   console.log("-".repeat(60));
@@ -58,10 +106,16 @@ async function viewContractInfo(contract, contractAddress, deploymentInfo) {
   console.log(`Chain ID: ${deploymentInfo.chainId}`);
   console.log(`Deployed: ${deploymentInfo.deploymentTime}`);
 
-  const owner = await contract.owner();
   const counts = await contract.getTotalCounts();
+  const roles = [];
+  for (const name of ROLE_NAMES) {
+    if (await contract.hasRole(await contract[name](), signer.address)) {
+      roles.push(name);
+    }
+  }
 
-  console.log(`\nOwner: ${owner}`);
+  console.log(`\nYour roles: ${roles.length > 0 ? roles.join(", ") : "none"}`);
+  console.log(`Paused: ${await contract.paused()}`);
   console.log(`Total Restaurants: ${counts.totalRestaurants}`);
   console.log(`Total Reviews: ${counts.totalReviews}`);
 }
@@ -101,7 +155,7 @@ async function registerRestaurant(contract, signer) {
       console.log(`Restaurant ID: ${parsed.args.restaurantId}`);
     }
   } catch (error) {
-    console.error(`❌ Error: ${error.message}`);
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
   }
 }
 
@@ -119,14 +173,15 @@ async function viewRestaurant(contract) {
     console.log(`Location: ${restaurant.location}`);
     console.log(`Owner: ${restaurant.restaurantOwner}`);
     console.log(`Active: ${restaurant.isActive}`);
+    console.log(`Frozen: ${await contract.isRestaurantFrozen(restaurantId)}`);
     console.log(`Total Reviews: ${restaurant.totalReviews}`);
     console.log(`Created: ${new Date(Number(restaurant.createdAt) * 1000).toLocaleString()}`);
   } catch (error) {
-    console.error(`❌ Error: ${error.message}`);
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
   }
 }
 
-async function submitReview(contract) {
+async function submitReview(contract, signer) {
   console.log("\n" + "-".repeat(60));
   console.log("Submit Review");
   console.log("-".repeat(60));
@@ -139,19 +194,34 @@ async function submitReview(contract) {
   const priceValue = await question("Price/Value: ");
   const overallRating = await question("Overall Rating: ");
   const comment = await question("Comment: ");
-
-  console.log("\nSubmitting review...");
+  const receiptCode = await question("Visit receipt from the restaurant (optional): ");
 
   try {
-    const tx = await contract.submitReview(
-      restaurantId,
-      parseInt(foodQuality),
-      parseInt(service),
-      parseInt(atmosphere),
-      parseInt(priceValue),
-      parseInt(overallRating),
-      comment
-    );
+    const ratings = parseRatings({ foodQuality, service, atmosphere, priceValue, overallRating });
+    // A receipt is the JSON printed by "Mint visit receipts"; it marks the review as verified
+    const { signature, ...visitReceipt } = receiptCode.trim() ? JSON.parse(receiptCode) : {};
+    if (signature && String(visitReceipt.restaurantId) !== restaurantId) {
+      throw new Error(`This receipt is for restaurant #${visitReceipt.restaurantId}`);
+    }
+    if (signature && visitReceipt.reviewer !== signer.address) {
+      throw new Error(`This receipt was issued to ${visitReceipt.reviewer}`);
+    }
+
+    console.log("\nEncrypting ratings...");
+    const input = fhevm.createEncryptedInput(await contract.getAddress(), signer.address);
+    Object.values(ratings).forEach((rating) => input.add8(rating));
+    const encrypted = await input.encrypt();
+
+    console.log("Submitting review...");
+    const tx = signature
+      ? await contract.submitReviewWithReceipt(
+          visitReceipt,
+          signature,
+          ...encrypted.handles,
+          encrypted.inputProof,
+          comment
+        )
+      : await contract.submitReview(restaurantId, ...encrypted.handles, encrypted.inputProof, comment);
     console.log(`Transaction hash: ${tx.hash}`);
     console.log("Waiting for confirmation...");
 
@@ -175,7 +245,7 @@ async function submitReview(contract) {
       console.log(`Review ID: ${parsed.args.reviewId}`);
     }
   } catch (error) {
-    console.error(`❌ Error: ${error.message}`);
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
   }
 }
 
@@ -191,7 +261,7 @@ async function checkUserReview(contract) {
     const hasReviewed = await contract.hasReviewed(restaurantId, userAddress);
     console.log(`\nHas user reviewed this restaurant? ${hasReviewed ? "Yes" : "No"}`);
   } catch (error) {
-    console.error(`❌ Error: ${error.message}`);
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
   }
 }
 
@@ -205,11 +275,19 @@ async function viewUserReviews(contract) {
   try {
     const reviewIds = await contract.getUserReviews(userAddress);
     console.log(`\nUser has ${reviewIds.length} review(s):`);
-    reviewIds.forEach((id, index) => {
-      console.log(`${index + 1}. Review ID: ${id}`);
-    });
+    for (const [index, id] of reviewIds.entries()) {
+      const status = await contract.getReviewStatus(id);
+      const { moderationStatus } = await contract.getReviewInfo(id);
+      const state = status.isWithdrawn
+        ? "withdrawn"
+        : status.editCount > 0n
+          ? `edited ${status.editCount} time(s)`
+          : "original";
+      const moderated = moderationStatus > 0n ? `, ${MODERATION_STATUSES[Number(moderationStatus)]}` : "";
+      console.log(`${index + 1}. Review ID: ${id} (${state}${moderated})`);
+    }
   } catch (error) {
-    console.error(`❌ Error: ${error.message}`);
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
   }
 }
 
@@ -223,7 +301,7 @@ async function getTotalCounts(contract) {
     console.log(`\nTotal Restaurants: ${counts.totalRestaurants}`);
     console.log(`Total Reviews: ${counts.totalReviews}`);
   } catch (error) {
-    console.error(`❌ Error: ${error.message}`);
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
   }
 }
 
@@ -243,7 +321,7 @@ async function verifyReview(contract) {
     console.log(`✅ Review verified successfully!`);
     console.log(`Gas used: ${receipt.gasUsed.toString()}`);
   } catch (error) {
-    console.error(`❌ Error: ${error.message}`);
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
   }
 }
 
@@ -263,7 +341,331 @@ async function toggleRestaurantStatus(contract) {
     console.log(`✅ Restaurant status toggled successfully!`);
     console.log(`Gas used: ${receipt.gasUsed.toString()}`);
   } catch (error) {
-    console.error(`❌ Error: ${error.message}`);
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
+  }
+}
+
+async function updateRestaurantProfile(contract) {
+  console.log("\n" + "-".repeat(60));
+  console.log("Update Restaurant Profile");
+  console.log("-".repeat(60));
+
+  const restaurantId = await question("Enter restaurant ID: ");
+
+  try {
+    const restaurant = await contract.getRestaurant(restaurantId);
+    const name = (await question(`New name [${restaurant.name}]: `)) || restaurant.name;
+    const location = (await question(`New location [${restaurant.location}]: `)) || restaurant.location;
+
+    const tx = await contract.updateRestaurantProfile(restaurantId, name, location);
+    console.log(`Transaction hash: ${tx.hash}`);
+    console.log("Waiting for confirmation...");
+
+    const receipt = await tx.wait();
+    console.log(`✅ Restaurant profile updated successfully!`);
+    console.log(`Gas used: ${receipt.gasUsed.toString()}`);
+  } catch (error) {
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
+  }
+}
+
+async function transferRestaurantOwnership(contract) {
+  console.log("\n" + "-".repeat(60));
+  console.log("Transfer Restaurant Ownership");
+  console.log("-".repeat(60));
+
+  const restaurantId = await question("Enter restaurant ID: ");
+  const newOwner = await question("Enter new owner address (0x0 to cancel a pending transfer): ");
+
+  try {
+    const target = /^0x0*$/.test(newOwner) ? ethers.ZeroAddress : newOwner;
+    const tx = await contract.transferRestaurantOwnership(restaurantId, target);
+    console.log(`Transaction hash: ${tx.hash}`);
+    console.log("Waiting for confirmation...");
+
+    const receipt = await tx.wait();
+    if (target === ethers.ZeroAddress) {
+      console.log(`✅ Pending transfer cancelled.`);
+    } else {
+      console.log(`✅ Transfer proposed! ${target} must accept it to become the owner.`);
+    }
+    console.log(`Gas used: ${receipt.gasUsed.toString()}`);
+  } catch (error) {
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
+  }
+}
+
+async function acceptRestaurantOwnership(contract) {
+  console.log("\n" + "-".repeat(60));
+  console.log("Accept Restaurant Ownership");
+  console.log("-".repeat(60));
+
+  const restaurantId = await question("Enter restaurant ID: ");
+
+  try {
+    const tx = await contract.acceptRestaurantOwnership(restaurantId);
+    console.log(`Transaction hash: ${tx.hash}`);
+    console.log("Waiting for confirmation...");
+
+    const receipt = await tx.wait();
+    console.log(`✅ You are now the owner of restaurant #${restaurantId}!`);
+    console.log(`Gas used: ${receipt.gasUsed.toString()}`);
+  } catch (error) {
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
+  }
+}
+
+async function manageRoles(contract) {
+  console.log("\n" + "-".repeat(60));
+  console.log("Manage Roles");
+  console.log("-".repeat(60));
+
+  ROLE_NAMES.forEach((name, index) => console.log(`${index + 1}. ${name}`));
+  const name = ROLE_NAMES[Number(await question("Select a role: ")) - 1];
+  if (!name) {
+    console.log("❌ Invalid role");
+    return;
+  }
+  const account = await question("Enter account address: ");
+
+  try {
+    const role = await contract[name]();
+    const hasRole = await contract.hasRole(role, account);
+    console.log(`${account} ${hasRole ? "has" : "does not have"} ${name}`);
+
+    const answer = (await question(hasRole ? "Revoke it? (y/n): " : "Grant it? (y/n): ")).toLowerCase();
+    if (answer !== "y") {
+      return;
+    }
+
+    const tx = hasRole ? await contract.revokeRole(role, account) : await contract.grantRole(role, account);
+    console.log(`Transaction hash: ${tx.hash}`);
+    console.log("Waiting for confirmation...");
+
+    const receipt = await tx.wait();
+    console.log(`✅ ${name} ${hasRole ? "revoked from" : "granted to"} ${account}`);
+    console.log(`Gas used: ${receipt.gasUsed.toString()}`);
+  } catch (error) {
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
+  }
+}
+
+async function manageVerificationStaff(contract) {
+  console.log("\n" + "-".repeat(60));
+  console.log("Manage Verification Staff");
+  console.log("-".repeat(60));
+
+  const restaurantId = await question("Enter restaurant ID: ");
+  const staff = await question("Enter staff address: ");
+
+  try {
+    const canVerify = await contract.canVerify(restaurantId, staff);
+    console.log(`${staff} ${canVerify ? "can" : "cannot"} verify reviews of restaurant #${restaurantId}`);
+
+    const enabled = (await question("Allow this address to verify reviews? (y/n): ")).toLowerCase() === "y";
+    const tx = await contract.setVerificationDelegate(restaurantId, staff, enabled);
+    console.log(`Transaction hash: ${tx.hash}`);
+    console.log("Waiting for confirmation...");
+
+    const receipt = await tx.wait();
+    console.log(enabled ? `✅ ${staff} can now verify reviews` : `✅ ${staff} can no longer verify reviews`);
+    console.log(`Gas used: ${receipt.gasUsed.toString()}`);
+  } catch (error) {
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
+  }
+}
+
+async function mintVisitReceipts(contract, signer) {
+  console.log("\n" + "-".repeat(60));
+  console.log("Mint Visit Receipts");
+  console.log("-".repeat(60));
+
+  const restaurantId = await question("Enter restaurant ID: ");
+  const diners = (await question("Diner addresses (comma-separated): "))
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
+  const validHours = Number((await question("Valid for how many hours [72]: ")) || 72);
+
+  try {
+    if (diners.length === 0 || !(validHours > 0)) {
+      throw new Error("Enter at least one diner address and a positive number of hours");
+    }
+    const invalid = diners.find((address) => !ethers.isAddress(address));
+    if (invalid) throw new Error(`Invalid diner address: ${invalid}`);
+
+    // Receipts signed by anyone else are rejected by the contract, so refuse before signing
+    const restaurant = await contract.getRestaurant(restaurantId);
+    if (restaurant.restaurantOwner !== signer.address) {
+      throw new ERRORS.NotRestaurantOwner({ restaurantId: Number(restaurantId), caller: signer.address });
+    }
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: "PrivateRestaurantRating",
+      version: "1",
+      chainId,
+      verifyingContract: await contract.getAddress(),
+    };
+    const expiry = Math.floor(Date.now() / 1000) + Math.round(validHours * 3600);
+
+    console.log(`\nValid until ${new Date(expiry * 1000).toLocaleString()}; each receipt verifies a single review.`);
+    console.log("Hand each diner their own receipt; only that address can redeem it:\n");
+    for (const diner of diners) {
+      // Random nonces need no bookkeeping; the contract rejects any nonce it has already seen
+      const visitReceipt = {
+        restaurantId: Number(restaurantId),
+        reviewer: ethers.getAddress(diner),
+        nonce: ethers.toBigInt(ethers.randomBytes(32)),
+        expiry,
+      };
+      const signature = await signer.signTypedData(domain, VISIT_RECEIPT_TYPES, visitReceipt);
+      console.log(JSON.stringify({ ...visitReceipt, nonce: visitReceipt.nonce.toString(), signature }));
+    }
+  } catch (error) {
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
+  }
+}
+
+async function flagReview(contract) {
+  console.log("\n" + "-".repeat(60));
+  console.log("Flag a Review");
+  console.log("-".repeat(60));
+
+  const reviewId = await question("Enter review ID: ");
+  FLAG_REASONS.forEach((reason, index) => console.log(`${index}. ${reason}`));
+  const reason = await question("Select a reason: ");
+
+  let errors = contract.interface;
+  try {
+    const loaded = await loadModeration(contract);
+    errors = loaded.errors;
+
+    const tx = await loaded.moderation.flagReview(reviewId, reason);
+    console.log(`Transaction hash: ${tx.hash}`);
+    console.log("Waiting for confirmation...");
+
+    const receipt = await tx.wait();
+    console.log(`✅ Review reported to the moderators`);
+    console.log(`Reports so far: ${await loaded.moderation.flagCount(reviewId)}`);
+    console.log(`Gas used: ${receipt.gasUsed.toString()}`);
+  } catch (error) {
+    console.error(`❌ Error: ${formatContractError(error, errors, LOCALE)}`);
+  }
+}
+
+async function moderateReview(contract) {
+  console.log("\n" + "-".repeat(60));
+  console.log("Moderate a Review");
+  console.log("-".repeat(60));
+
+  const reviewId = await question("Enter review ID: ");
+
+  let errors = contract.interface;
+  try {
+    const loaded = await loadModeration(contract);
+    errors = loaded.errors;
+
+    const review = await contract.getReviewInfo(reviewId);
+    console.log(`\nComment: ${review.comment}`);
+    console.log(`Status: ${MODERATION_STATUSES[Number(review.moderationStatus)]}`);
+    console.log(`Reports: ${await loaded.moderation.flagCount(reviewId)}`);
+
+    const action = (await question("Hide, restore or reject appeal? (h/r/j): ")).toLowerCase();
+    let tx;
+    if (action === "h") {
+      FLAG_REASONS.forEach((reason, index) => console.log(`${index}. ${reason}`));
+      tx = await loaded.moderation.hideReview(reviewId, await question("Select a reason: "));
+    } else if (action === "r") {
+      tx = await loaded.moderation.restoreReview(reviewId);
+    } else if (action === "j") {
+      tx = await loaded.moderation.rejectAppeal(reviewId);
+    } else {
+      console.log("❌ Invalid action");
+      return;
+    }
+    console.log(`Transaction hash: ${tx.hash}`);
+    console.log("Waiting for confirmation...");
+
+    const receipt = await tx.wait();
+    console.log(`✅ Moderation decision recorded`);
+    console.log(`Gas used: ${receipt.gasUsed.toString()}`);
+  } catch (error) {
+    console.error(`❌ Error: ${formatContractError(error, errors, LOCALE)}`);
+  }
+}
+
+async function appealReview(contract) {
+  console.log("\n" + "-".repeat(60));
+  console.log("Appeal a Hidden Review");
+  console.log("-".repeat(60));
+
+  const reviewId = await question("Enter review ID: ");
+
+  let errors = contract.interface;
+  try {
+    const loaded = await loadModeration(contract);
+    errors = loaded.errors;
+
+    const tx = await loaded.moderation.appealReview(reviewId);
+    console.log(`Transaction hash: ${tx.hash}`);
+    console.log("Waiting for confirmation...");
+
+    const receipt = await tx.wait();
+    console.log(`✅ Appeal submitted; the review stays hidden until a moderator decides`);
+    console.log(`Gas used: ${receipt.gasUsed.toString()}`);
+  } catch (error) {
+    console.error(`❌ Error: ${formatContractError(error, errors, LOCALE)}`);
+  }
+}
+
+async function setPaused(contract) {
+  console.log("\n" + "-".repeat(60));
+  console.log("Pause or Resume the Contract");
+  console.log("-".repeat(60));
+
+  try {
+    const paused = await contract.paused();
+    console.log(`The contract is currently ${paused ? "paused" : "running"}`);
+
+    const confirm = await question(paused ? "Resume the contract? (y/n): " : "Pause the contract? (y/n): ");
+    if (confirm.toLowerCase() !== "y") return;
+
+    const tx = await contract.setPaused(!paused);
+    console.log(`Transaction hash: ${tx.hash}`);
+    console.log("Waiting for confirmation...");
+
+    const receipt = await tx.wait();
+    console.log(paused ? "✅ Contract resumed" : "✅ Contract paused; writes and reveals are stopped");
+    console.log(`Gas used: ${receipt.gasUsed.toString()}`);
+  } catch (error) {
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
+  }
+}
+
+async function setRestaurantFrozen(contract) {
+  console.log("\n" + "-".repeat(60));
+  console.log("Freeze or Unfreeze a Restaurant");
+  console.log("-".repeat(60));
+
+  const restaurantId = await question("Enter restaurant ID: ");
+
+  try {
+    const frozen = await contract.isRestaurantFrozen(restaurantId);
+    console.log(`Restaurant #${restaurantId} is currently ${frozen ? "frozen" : "not frozen"}`);
+
+    const confirm = await question(frozen ? "Unfreeze this restaurant? (y/n): " : "Freeze this restaurant? (y/n): ");
+    if (confirm.toLowerCase() !== "y") return;
+
+    const tx = await contract.setRestaurantFrozen(restaurantId, !frozen);
+    console.log(`Transaction hash: ${tx.hash}`);
+    console.log("Waiting for confirmation...");
+
+    const receipt = await tx.wait();
+    console.log(frozen ? `✅ Restaurant #${restaurantId} unfrozen` : `✅ Restaurant #${restaurantId} frozen`);
+    console.log(`Gas used: ${receipt.gasUsed.toString()}`);
+  } catch (error) {
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
   }
 }
 
@@ -275,6 +677,7 @@ async function main() {
   try {
     const { contract, contractAddress, deploymentInfo } = await loadContract();
     const [signer] = await ethers.getSigners();
+    await fhevm.initializeCLIApi();
 
     console.log(`\nConnected to contract at: ${contractAddress}`);
     console.log(`Using account: ${signer.address}`);
@@ -286,7 +689,7 @@ async function main() {
 
       switch (choice) {
         case "1":
-          await viewContractInfo(contract, contractAddress, deploymentInfo);
+          await viewContractInfo(contract, contractAddress, deploymentInfo, signer);
           break;
         case "2":
           await registerRestaurant(contract, signer);
@@ -295,7 +698,7 @@ async function main() {
           await viewRestaurant(contract);
           break;
         case "4":
-          await submitReview(contract);
+          await submitReview(contract, signer);
           break;
         case "5":
           await checkUserReview(contract);
@@ -312,6 +715,39 @@ async function main() {
         case "9":
           await toggleRestaurantStatus(contract);
           break;
+        case "10":
+          await updateRestaurantProfile(contract);
+          break;
+        case "11":
+          await transferRestaurantOwnership(contract);
+          break;
+        case "12":
+          await acceptRestaurantOwnership(contract);
+          break;
+        case "13":
+          await manageRoles(contract);
+          break;
+        case "14":
+          await manageVerificationStaff(contract);
+          break;
+        case "15":
+          await mintVisitReceipts(contract, signer);
+          break;
+        case "16":
+          await flagReview(contract);
+          break;
+        case "17":
+          await moderateReview(contract);
+          break;
+        case "18":
+          await appealReview(contract);
+          break;
+        case "19":
+          await setPaused(contract);
+          break;
+        case "20":
+          await setRestaurantFrozen(contract);
+          break;
         case "0":
           exit = true;
           console.log("\nGoodbye!");
@@ -321,7 +757,7 @@ async function main() {
       }
     }
   } catch (error) {
-    console.error(`\n❌ Error: ${error.message}`);
+    console.error(`\n❌ Error: ${formatContractError(error, null, LOCALE)}`);
   } finally {
     rl.close();
   }
@@ -1,4 +1,4 @@
-const { ethers } = require("hardhat");
+const { ethers, fhevm } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 
@@ -13,6 +13,7 @@ async function runPerformanceTests() {
   console.log("=".repeat(60));
 
   const [owner, user1, user2, user3, user4, user5] = await ethers.getSigners();
+  await fhevm.initializeCLIApi();
 
   console.log("\nDeploying contract...");
   const PrivateRestaurantRating = await ethers.getContractFactory("PrivateRestaurantRating");
@@ -85,13 +86,13 @@ async function runPerformanceTests() {
 
   for (let i = 0; i < users.length; i++) {
     const startTime = Date.now();
+    const input = fhevm.createEncryptedInput(contractAddress, users[i].address);
+    [8, 9, 7, 8, 8].forEach((rating) => input.add8(rating)); // Food, service, atmosphere, price/value, overall
+    const encrypted = await input.encrypt();
     const tx = await contract.connect(users[i]).submitReview(
       1, // Restaurant ID
-      8, // Food quality
-      9, // Service
-      7, // Atmosphere
-      8, // Price/value
-      8, // Overall rating
+      ...encrypted.handles,
+      encrypted.inputProof,
       `Great experience at restaurant 1 by user ${i + 1}`
     );
     const receipt = await tx.wait();
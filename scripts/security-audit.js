@@ -110,10 +110,11 @@ async function performSecurityAudit() {
 
   // Check 8: Input Validation
   console.log("\n8. Checking input validation...");
-  const hasRequireStatements = (contractSource.match(/require\(/g) || []).length;
+  // Validation either uses require or reverts with a custom error
+  const validationChecks = (contractSource.match(/require\(|revert \w+\(/g) || []).length;
 
-  if (hasRequireStatements >= 5) {
-    addResult(results, "Input Validation", "PASS", `${hasRequireStatements} require statements found`);
+  if (validationChecks >= 5) {
+    addResult(results, "Input Validation", "PASS", `${validationChecks} validation checks found`);
   } else {
     addResult(results, "Input Validation", "WARN", "Consider adding more input validation");
   }
@@ -1,6 +1,10 @@
-const { ethers } = require("hardhat");
+const { ethers, fhevm } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { formatContractError, resolveLocale } = require("./client/errors");
+
+// Contract errors are printed in the terminal's language when it is supported (e.g. LANG=es_ES.UTF-8)
+const LOCALE = resolveLocale(process.env.LANG);
 
 async function loadContract() {
   const networkName = network.name;
@@ -76,7 +80,7 @@ async function simulateRestaurantRegistration(contract, signers) {
         owner: signer.address,
       });
     } catch (error) {
-      console.error(`   ❌ Error: ${error.message}`);
+      console.error(`   ❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
     }
   }
 
@@ -127,15 +131,13 @@ async function simulateReviewSubmission(contract, signers, restaurants) {
         console.log(`   Ratings: Food=${foodQuality}, Service=${service}, Atmosphere=${atmosphere}, Price=${priceValue}, Overall=${overallRating}`);
 
         try {
-          const tx = await contract.connect(reviewer).submitReview(
-            restaurant.id,
-            foodQuality,
-            service,
-            atmosphere,
-            priceValue,
-            overallRating,
-            comment
-          );
+          const input = fhevm.createEncryptedInput(await contract.getAddress(), reviewer.address);
+          [foodQuality, service, atmosphere, priceValue, overallRating].forEach((rating) => input.add8(rating));
+          const encrypted = await input.encrypt();
+
+          const tx = await contract
+            .connect(reviewer)
+            .submitReview(restaurant.id, ...encrypted.handles, encrypted.inputProof, comment);
 
           const receipt = await tx.wait();
 
@@ -166,7 +168,7 @@ async function simulateReviewSubmission(contract, signers, restaurants) {
             comment,
           });
         } catch (error) {
-          console.error(`   ❌ Error: ${error.message}`);
+          console.error(`   ❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
         }
 
         // Add small delay to avoid rate limiting
@@ -202,7 +204,7 @@ async function displayStatistics(contract, restaurants) {
       console.log(`  Total Reviews: ${details.totalReviews}`);
     }
   } catch (error) {
-    console.error(`❌ Error: ${error.message}`);
+    console.error(`❌ Error: ${formatContractError(error, contract.interface, LOCALE)}`);
   }
 }
 
@@ -238,6 +240,7 @@ async function main() {
   try {
     const { contract, contractAddress } = await loadContract();
     const signers = await ethers.getSigners();
+    await fhevm.initializeCLIApi();
 
     console.log(`\nContract address: ${contractAddress}`);
     console.log(`Network: ${network.name}`);
@@ -273,7 +276,7 @@ async function main() {
     console.log(`  Average reviews per restaurant: ${(reviews.length / restaurants.length).toFixed(2)}`);
 
   } catch (error) {
-    console.error(`\n❌ Simulation failed: ${error.message}`);
+    console.error(`\n❌ Simulation failed: ${formatContractError(error, null, LOCALE)}`);
     throw error;
   }
 }
@@ -1,6 +1,8 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("PrivateRestaurantRating", function () {
   // Fixture to deploy the contract
@@ -23,12 +25,97 @@ describe("PrivateRestaurantRating", function () {
     };
   }
 
-  describe("Deployment", function () {
-    it("Should set the correct owner", async function () {
-      const { contract, owner } = await loadFixture(deployContractFixture);
-      expect(await contract.owner()).to.equal(owner.address);
-    });
+  // The fhEVM mock coprocessor does not rewind when loadFixture reverts the chain, so tests
+  // that decrypt values must produce their ciphertexts above any block it may have processed
+  let lastProcessedBlock = 0;
+
+  afterEach(async function () {
+    lastProcessedBlock = Math.max(lastProcessedBlock, await ethers.provider.getBlockNumber());
+  });
+
+  async function moveAboveProcessedBlocks() {
+    const blockNumber = await ethers.provider.getBlockNumber();
+    if (blockNumber <= lastProcessedBlock) {
+      await mine(lastProcessedBlock - blockNumber + 1);
+    }
+  }
+
+  // Encrypt ratings client-side and submit them together with the input proof
+  async function submitEncryptedReview(contract, reviewer, restaurantId, ratings, comment) {
+    const input = fhevm.createEncryptedInput(await contract.getAddress(), reviewer.address);
+    ratings.forEach((rating) => input.add8(rating));
+    const encrypted = await input.encrypt();
+
+    return contract.connect(reviewer).submitReview(
+      restaurantId,
+      ...encrypted.handles,
+      encrypted.inputProof,
+      comment
+    );
+  }
+
+  // Encrypt replacement ratings for an existing review
+  async function updateEncryptedReview(contract, reviewer, reviewId, ratings, comment) {
+    const input = fhevm.createEncryptedInput(await contract.getAddress(), reviewer.address);
+    ratings.forEach((rating) => input.add8(rating));
+    const encrypted = await input.encrypt();
+
+    return contract.connect(reviewer).updateReview(
+      reviewId,
+      ...encrypted.handles,
+      encrypted.inputProof,
+      comment
+    );
+  }
+
+  // Decrypt the caller's own ratings for a review
+  async function decryptMyRatings(contract, reviewer, reviewId) {
+    const contractAddress = await contract.getAddress();
+    const handles = await contract.connect(reviewer).getMyReviewRatings(reviewId);
+
+    // The mock coprocessor cannot serve concurrent decryptions, so decrypt one at a time
+    const ratings = [];
+    for (const handle of handles) {
+      ratings.push(await fhevm.userDecryptEuint(FhevmType.euint8, handle, contractAddress, reviewer));
+    }
+    return ratings;
+  }
+
+  // Act as the decryption oracle relayer: decrypt the handles requested in a transaction with the
+  // mock KMS and deliver the signed cleartexts to the callback. The mock oracle itself keys requests
+  // by a counter that loadFixture rewinds, so it cannot be used across fixture-based tests.
+  async function fulfillDecryptionRequests(tx) {
+    const receipt = await tx.wait();
+    const [relayer] = await ethers.getSigners();
+    const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+    for (const request of fhevm.parseDecryptionRequestEvents(receipt.logs)) {
+      const handles = request.handlesBytes32Hex;
+      const decrypted = await fhevm.publicDecrypt(handles);
+      const values = handles.map((handle) => decrypted[handle]);
+
+      const { signatures } = await fhevm.debugger.createDecryptionSignatures(handles, values);
+      const cleartexts = abiCoder.encode(handles.map(() => "uint256"), values);
+      const decryptionProof = ethers.concat([ethers.solidityPacked(["uint8"], [signatures.length]), ...signatures, "0x00"]);
+
+      await relayer.sendTransaction({
+        to: request.contractCallerAddress,
+        data: ethers.concat([
+          request.callbackSelectorBytes4Hex,
+          abiCoder.encode(["uint256", "bytes", "bytes"], [request.requestID, cleartexts, decryptionProof]),
+        ]),
+      });
+    }
+  }
+
+  // Request an average reveal and answer it
+  async function revealAverageRating(contract, caller, restaurantId) {
+    const tx = await contract.connect(caller).calculateAverageRating(restaurantId);
+    await fulfillDecryptionRequests(tx);
+    return tx;
+  }
 
+  describe("Deployment", function () {
     it("Should initialize counters to zero", async function () {
       const { contract } = await loadFixture(deployContractFixture);
       expect(await contract.restaurantCounter()).to.equal(0);
@@ -108,13 +195,11 @@ describe("PrivateRestaurantRating", function () {
         "Test Location"
       );
 
-      const tx = await contract.connect(reviewer1).submitReview(
+      const tx = await submitEncryptedReview(
+        contract,
+        reviewer1,
         1, // restaurantId
-        8, // foodQuality
-        9, // service
-        7, // atmosphere
-        8, // priceValue
-        8, // overallRating
+        [8, 9, 7, 8, 8], // foodQuality, service, atmosphere, priceValue, overallRating
         "Great dining experience!"
       );
 
@@ -133,7 +218,7 @@ describe("PrivateRestaurantRating", function () {
         "Test Location"
       );
 
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Great!");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Great!");
 
       const restaurant = await contract.getRestaurant(1);
       expect(restaurant.totalReviews).to.equal(1);
@@ -147,11 +232,11 @@ describe("PrivateRestaurantRating", function () {
         "Test Location"
       );
 
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "First review");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "First review");
 
       await expect(
-        contract.connect(reviewer1).submitReview(1, 7, 8, 6, 7, 7, "Second review")
-      ).to.be.revertedWith("User already reviewed this restaurant");
+        submitEncryptedReview(contract, reviewer1, 1, [7, 8, 6, 7, 7], "Second review")
+      ).to.be.revertedWithCustomError(contract, "AlreadyReviewed").withArgs(1, reviewer1.address);
     });
 
     it("Should prevent restaurant owner from reviewing own restaurant", async function () {
@@ -163,34 +248,55 @@ describe("PrivateRestaurantRating", function () {
       );
 
       await expect(
-        contract.connect(restaurantOwner1).submitReview(1, 10, 10, 10, 10, 10, "Self review")
-      ).to.be.revertedWith("Restaurant owner cannot review own restaurant");
+        submitEncryptedReview(contract, restaurantOwner1, 1, [10, 10, 10, 10, 10], "Self review")
+      ).to.be.revertedWithCustomError(contract, "OwnerCannotReview").withArgs(1, restaurantOwner1.address);
     });
 
-    it("Should reject invalid ratings (below 1)", async function () {
+    it("Should clamp invalid ratings (below 1) under encryption", async function () {
       const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+      await moveAboveProcessedBlocks();
 
       await contract.connect(restaurantOwner1).registerRestaurant(
         "Test Restaurant",
         "Test Location"
       );
 
-      await expect(
-        contract.connect(reviewer1).submitReview(1, 0, 9, 7, 8, 8, "Invalid rating")
-      ).to.be.revertedWith("Rating must be between 1-10");
+      await submitEncryptedReview(contract, reviewer1, 1, [0, 9, 7, 8, 8], "Invalid rating");
+
+      const decrypted = await decryptMyRatings(contract, reviewer1, 1);
+      expect(decrypted[0]).to.equal(1n);
     });
 
-    it("Should reject invalid ratings (above 10)", async function () {
+    it("Should clamp invalid ratings (above 10) under encryption", async function () {
       const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+      await moveAboveProcessedBlocks();
+
+      await contract.connect(restaurantOwner1).registerRestaurant(
+        "Test Restaurant",
+        "Test Location"
+      );
+
+      await submitEncryptedReview(contract, reviewer1, 1, [11, 9, 7, 8, 8], "Invalid rating");
+
+      const decrypted = await decryptMyRatings(contract, reviewer1, 1);
+      expect(decrypted[0]).to.equal(10n);
+    });
+
+    it("Should reject an input proof created for another user", async function () {
+      const { contract, restaurantOwner1, reviewer1, reviewer2 } = await loadFixture(deployContractFixture);
 
       await contract.connect(restaurantOwner1).registerRestaurant(
         "Test Restaurant",
         "Test Location"
       );
 
+      const input = fhevm.createEncryptedInput(await contract.getAddress(), reviewer1.address);
+      [8, 9, 7, 8, 8].forEach((rating) => input.add8(rating));
+      const encrypted = await input.encrypt();
+
       await expect(
-        contract.connect(reviewer1).submitReview(1, 11, 9, 7, 8, 8, "Invalid rating")
-      ).to.be.revertedWith("Rating must be between 1-10");
+        contract.connect(reviewer2).submitReview(1, ...encrypted.handles, encrypted.inputProof, "Stolen proof")
+      ).to.be.reverted;
     });
 
     it("Should track which users have reviewed a restaurant", async function () {
@@ -203,13 +309,194 @@ describe("PrivateRestaurantRating", function () {
 
       expect(await contract.hasReviewed(1, reviewer1.address)).to.equal(false);
 
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Review");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Review");
 
       expect(await contract.hasReviewed(1, reviewer1.address)).to.equal(true);
       expect(await contract.hasReviewed(1, reviewer2.address)).to.equal(false);
     });
   });
 
+  describe("Reviewer Eligibility", function () {
+    async function deployEligibilityFixture() {
+      const accounts = await deployContractFixture();
+      const [, , , , , , issuer, otherIssuer] = await ethers.getSigners();
+      await accounts.contract.connect(accounts.restaurantOwner1).registerRestaurant("Restaurant", "Location");
+
+      const allowlist = await ethers.deployContract("AllowlistEligibility");
+      const attestations = await ethers.deployContract("AttestationEligibility", [issuer.address]);
+      const registry = await ethers.deployContract("MockIdentityRegistry");
+
+      return { ...accounts, issuer, otherIssuer, allowlist, attestations, registry };
+    }
+
+    // EIP-712 attestation signed by the issuer, valid for an hour unless an expiry is given
+    async function signAttestation(attestations, issuer, reviewer, expiry) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "PrivateRestaurantRating Attestations",
+        version: "1",
+        chainId,
+        verifyingContract: await attestations.getAddress(),
+      };
+      const types = {
+        ReviewerAttestation: [
+          { name: "reviewer", type: "address" },
+          { name: "expiry", type: "uint256" },
+        ],
+      };
+      const attestationExpiry = expiry ?? (await time.latest()) + 3600;
+      const value = { reviewer: reviewer.address, expiry: attestationExpiry };
+      const signature = await issuer.signTypedData(domain, types, value);
+      return { expiry: attestationExpiry, signature };
+    }
+
+    it("Should let anyone review when no check is set", async function () {
+      const { contract, reviewer1 } = await loadFixture(deployEligibilityFixture);
+
+      expect(await contract.reviewerEligibility(1)).to.equal(ethers.ZeroAddress);
+      expect(await contract.isEligibleReviewer(1, reviewer1.address)).to.equal(true);
+      await expect(submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Open")).to.emit(
+        contract,
+        "ReviewSubmitted"
+      );
+    });
+
+    it("Should only let admins set a check on an existing restaurant", async function () {
+      const { contract, owner, restaurantOwner1, allowlist } = await loadFixture(deployEligibilityFixture);
+
+      await expect(contract.connect(restaurantOwner1).setReviewerEligibility(1, allowlist))
+        .to.be.revertedWithCustomError(contract, "MissingRole")
+        .withArgs(await contract.ADMIN_ROLE(), restaurantOwner1.address);
+      await expect(contract.connect(owner).setReviewerEligibility(99, allowlist))
+        .to.be.revertedWithCustomError(contract, "RestaurantNotFound")
+        .withArgs(99);
+
+      await expect(contract.connect(owner).setReviewerEligibility(1, allowlist))
+        .to.emit(contract, "ReviewerEligibilityUpdated")
+        .withArgs(1, await allowlist.getAddress());
+
+      // Clearing the check reopens the restaurant
+      await expect(contract.connect(owner).setReviewerEligibility(1, ethers.ZeroAddress))
+        .to.emit(contract, "ReviewerEligibilityUpdated")
+        .withArgs(1, ethers.ZeroAddress);
+    });
+
+    it("Should only accept reviewers on the allowlist", async function () {
+      const { contract, owner, reviewer1, reviewer2, allowlist } = await loadFixture(deployEligibilityFixture);
+      await contract.connect(owner).setReviewerEligibility(1, allowlist);
+
+      await expect(allowlist.connect(reviewer1).setAllowed([reviewer1.address], true))
+        .to.be.revertedWithCustomError(allowlist, "NotOwner")
+        .withArgs(reviewer1.address);
+      await expect(allowlist.connect(owner).setAllowed([reviewer1.address, reviewer2.address], true))
+        .to.emit(allowlist, "ReviewerAllowlistUpdated")
+        .withArgs(reviewer2.address, true);
+      await allowlist.connect(owner).setAllowed([reviewer2.address], false);
+
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Allowed");
+      await expect(submitEncryptedReview(contract, reviewer2, 1, [8, 8, 8, 8, 8], "Removed"))
+        .to.be.revertedWithCustomError(contract, "ReviewerNotEligible")
+        .withArgs(1, reviewer2.address, await allowlist.getAddress());
+    });
+
+    it("Should accept reviewers with a valid attestation from the issuer", async function () {
+      const { contract, owner, reviewer1, reviewer2, issuer, attestations } =
+        await loadFixture(deployEligibilityFixture);
+      await contract.connect(owner).setReviewerEligibility(1, attestations);
+
+      const { expiry, signature } = await signAttestation(attestations, issuer, reviewer1);
+      // Anyone may relay the attestation
+      await expect(attestations.connect(reviewer2).submitAttestation(reviewer1.address, expiry, signature))
+        .to.emit(attestations, "ReviewerAttested")
+        .withArgs(reviewer1.address, issuer.address, expiry);
+
+      expect(await contract.isEligibleReviewer(1, reviewer1.address)).to.equal(true);
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Attested");
+      await expect(submitEncryptedReview(contract, reviewer2, 1, [8, 8, 8, 8, 8], "Not attested"))
+        .to.be.revertedWithCustomError(contract, "ReviewerNotEligible")
+        .withArgs(1, reviewer2.address, await attestations.getAddress());
+    });
+
+    it("Should reject forged, misaddressed and expired attestations", async function () {
+      const { reviewer1, reviewer2, issuer, otherIssuer, attestations } = await loadFixture(deployEligibilityFixture);
+
+      const forged = await signAttestation(attestations, otherIssuer, reviewer1);
+      await expect(attestations.submitAttestation(reviewer1.address, forged.expiry, forged.signature))
+        .to.be.revertedWithCustomError(attestations, "InvalidAttestation")
+        .withArgs(reviewer1.address);
+
+      // A signature only covers the reviewer it was issued to
+      const valid = await signAttestation(attestations, issuer, reviewer1);
+      await expect(attestations.submitAttestation(reviewer2.address, valid.expiry, valid.signature))
+        .to.be.revertedWithCustomError(attestations, "InvalidAttestation")
+        .withArgs(reviewer2.address);
+
+      const expired = await signAttestation(attestations, issuer, reviewer1, (await time.latest()) - 1);
+      await expect(attestations.submitAttestation(reviewer1.address, expired.expiry, expired.signature))
+        .to.be.revertedWithCustomError(attestations, "AttestationExpired")
+        .withArgs(reviewer1.address, expired.expiry);
+    });
+
+    it("Should stop accepting attestations once they expire or the issuer is replaced", async function () {
+      const { contract, owner, reviewer1, reviewer2, issuer, otherIssuer, attestations } =
+        await loadFixture(deployEligibilityFixture);
+      await contract.connect(owner).setReviewerEligibility(1, attestations);
+
+      const first = await signAttestation(attestations, issuer, reviewer1);
+      await attestations.submitAttestation(reviewer1.address, first.expiry, first.signature);
+      const second = await signAttestation(attestations, issuer, reviewer2);
+      await attestations.submitAttestation(reviewer2.address, second.expiry, second.signature);
+
+      await time.increaseTo(first.expiry);
+      expect(await contract.isEligibleReviewer(1, reviewer1.address)).to.equal(false);
+
+      await expect(attestations.connect(reviewer1).setIssuer(otherIssuer.address))
+        .to.be.revertedWithCustomError(attestations, "NotOwner")
+        .withArgs(reviewer1.address);
+      await expect(attestations.connect(owner).setIssuer(otherIssuer.address))
+        .to.emit(attestations, "IssuerUpdated")
+        .withArgs(issuer.address, otherIssuer.address);
+      expect(await contract.isEligibleReviewer(1, reviewer2.address)).to.equal(false);
+
+      const renewed = await signAttestation(attestations, otherIssuer, reviewer2);
+      await attestations.submitAttestation(reviewer2.address, renewed.expiry, renewed.signature);
+      expect(await contract.isEligibleReviewer(1, reviewer2.address)).to.equal(true);
+    });
+
+    it("Should defer to an external identity registry", async function () {
+      const { contract, owner, reviewer1, reviewer2, registry } = await loadFixture(deployEligibilityFixture);
+      await contract.connect(owner).setReviewerEligibility(1, registry);
+      await registry.setVerified(reviewer1.address, true);
+
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Verified identity");
+      await expect(submitEncryptedReview(contract, reviewer2, 1, [8, 8, 8, 8, 8], "Unknown identity"))
+        .to.be.revertedWithCustomError(contract, "ReviewerNotEligible")
+        .withArgs(1, reviewer2.address, await registry.getAddress());
+    });
+
+    it("Should treat a failing registry as not eligible", async function () {
+      const { contract, owner, reviewer1, registry } = await loadFixture(deployEligibilityFixture);
+      await contract.connect(owner).setReviewerEligibility(1, registry);
+      await registry.setVerified(reviewer1.address, true);
+      await registry.setUnavailable(true);
+
+      expect(await contract.isEligibleReviewer(1, reviewer1.address)).to.equal(false);
+      await expect(submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Registry down"))
+        .to.be.revertedWithCustomError(contract, "ReviewerNotEligible")
+        .withArgs(1, reviewer1.address, await registry.getAddress());
+    });
+
+    it("Should apply checks per restaurant", async function () {
+      const { contract, owner, restaurantOwner2, reviewer1, allowlist } = await loadFixture(deployEligibilityFixture);
+      await contract.connect(restaurantOwner2).registerRestaurant("Open Restaurant", "Location");
+      await contract.connect(owner).setReviewerEligibility(1, allowlist);
+
+      expect(await contract.isEligibleReviewer(1, reviewer1.address)).to.equal(false);
+      expect(await contract.isEligibleReviewer(2, reviewer1.address)).to.equal(true);
+      await submitEncryptedReview(contract, reviewer1, 2, [8, 8, 8, 8, 8], "Open restaurant");
+    });
+  });
+
   describe("Review Retrieval", function () {
     it("Should retrieve review information correctly", async function () {
       const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
@@ -219,9 +506,7 @@ describe("PrivateRestaurantRating", function () {
         "Test Location"
       );
 
-      await contract.connect(reviewer1).submitReview(
-        1, 8, 9, 7, 8, 8, "Excellent service!"
-      );
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Excellent service!");
 
       const review = await contract.getReviewInfo(1);
       expect(review.restaurantId).to.equal(1);
@@ -237,8 +522,8 @@ describe("PrivateRestaurantRating", function () {
       await contract.connect(restaurantOwner1).registerRestaurant("Restaurant 1", "Location 1");
       await contract.connect(restaurantOwner2).registerRestaurant("Restaurant 2", "Location 2");
 
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Review 1");
-      await contract.connect(reviewer1).submitReview(2, 7, 8, 6, 7, 7, "Review 2");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Review 1");
+      await submitEncryptedReview(contract, reviewer1, 2, [7, 8, 6, 7, 7], "Review 2");
 
       const reviewIds = await contract.getUserReviews(reviewer1.address);
       expect(reviewIds.length).to.equal(2);
@@ -255,14 +540,30 @@ describe("PrivateRestaurantRating", function () {
         "Test Location"
       );
 
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Review 1");
-      await contract.connect(reviewer2).submitReview(1, 7, 8, 6, 7, 7, "Review 2");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Review 1");
+      await submitEncryptedReview(contract, reviewer2, 1, [7, 8, 6, 7, 7], "Review 2");
 
       const reviewIds = await contract.getRestaurantReviews(1);
       expect(reviewIds.length).to.equal(2);
       expect(reviewIds[0]).to.equal(1);
       expect(reviewIds[1]).to.equal(2);
     });
+
+    it("Should expose restaurants and review lists through the public storage getters", async function () {
+      const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Test Restaurant", "Test Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Review 1");
+
+      const restaurant = await contract.restaurants(1);
+      expect(restaurant.name).to.equal("Test Restaurant");
+      expect(restaurant.owner).to.equal(restaurantOwner1.address);
+      expect(restaurant.totalReviews).to.equal(1);
+      expect(await contract.restaurantReviews(1, 0)).to.equal(1);
+      expect(await contract.userReviews(reviewer1.address, 0)).to.equal(1);
+      expect(await contract.hasUserReviewed(1, reviewer1.address)).to.be.true;
+      expect((await contract.reviewSummaries(1)).hasData).to.be.false;
+    });
   });
 
   describe("Review Verification", function () {
@@ -274,7 +575,7 @@ describe("PrivateRestaurantRating", function () {
         "Test Location"
       );
 
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Great food!");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Great food!");
 
       const tx = await contract.connect(restaurantOwner1).verifyReview(1);
       await expect(tx).to.emit(contract, "ReviewVerified").withArgs(1, 1);
@@ -283,7 +584,7 @@ describe("PrivateRestaurantRating", function () {
       expect(review.isVerified).to.equal(true);
     });
 
-    it("Should allow contract owner to verify review", async function () {
+    it("Should allow verifiers to verify review", async function () {
       const { contract, owner, restaurantOwner1, reviewer1 } =
         await loadFixture(deployContractFixture);
 
@@ -292,7 +593,7 @@ describe("PrivateRestaurantRating", function () {
         "Test Location"
       );
 
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Great food!");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Great food!");
 
       await contract.connect(owner).verifyReview(1);
 
@@ -309,11 +610,11 @@ describe("PrivateRestaurantRating", function () {
         "Test Location"
       );
 
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Great food!");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Great food!");
 
       await expect(
         contract.connect(reviewer2).verifyReview(1)
-      ).to.be.revertedWith("Not authorized to verify");
+      ).to.be.revertedWithCustomError(contract, "NotAuthorizedToVerify").withArgs(1, reviewer2.address);
     });
 
     it("Should prevent double verification", async function () {
@@ -324,13 +625,538 @@ describe("PrivateRestaurantRating", function () {
         "Test Location"
       );
 
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Great food!");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Great food!");
 
       await contract.connect(restaurantOwner1).verifyReview(1);
 
       await expect(
         contract.connect(restaurantOwner1).verifyReview(1)
-      ).to.be.revertedWith("Review already verified");
+      ).to.be.revertedWithCustomError(contract, "ReviewAlreadyVerified").withArgs(1);
+    });
+  });
+
+  describe("Visit Receipts", function () {
+    async function deployReceiptFixture() {
+      const accounts = await deployContractFixture();
+      await accounts.contract.connect(accounts.restaurantOwner1).registerRestaurant("Restaurant 1", "Location 1");
+      await accounts.contract.connect(accounts.restaurantOwner2).registerRestaurant("Restaurant 2", "Location 2");
+      return accounts;
+    }
+
+    // EIP-712 visit receipt signed by a restaurant for one diner, valid for a day unless an expiry is given
+    async function signVisitReceipt(contract, signer, restaurantId, reviewer, nonce, expiry) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "PrivateRestaurantRating",
+        version: "1",
+        chainId,
+        verifyingContract: await contract.getAddress(),
+      };
+      const types = {
+        VisitReceipt: [
+          { name: "restaurantId", type: "uint32" },
+          { name: "reviewer", type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "expiry", type: "uint256" },
+        ],
+      };
+      const receipt = {
+        restaurantId,
+        reviewer: reviewer.address,
+        nonce,
+        expiry: expiry ?? (await time.latest()) + 86400,
+      };
+      return { receipt, signature: await signer.signTypedData(domain, types, receipt) };
+    }
+
+    async function submitReviewWithReceipt(contract, reviewer, { receipt, signature }, ratings, comment) {
+      const input = fhevm.createEncryptedInput(await contract.getAddress(), reviewer.address);
+      ratings.forEach((rating) => input.add8(rating));
+      const encrypted = await input.encrypt();
+
+      return contract
+        .connect(reviewer)
+        .submitReviewWithReceipt(receipt, signature, ...encrypted.handles, encrypted.inputProof, comment);
+    }
+
+    it("Should verify a review submitted with a receipt from the restaurant owner", async function () {
+      const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployReceiptFixture);
+      const signed = await signVisitReceipt(contract, restaurantOwner1, 1, reviewer1, 42n);
+
+      const tx = await submitReviewWithReceipt(contract, reviewer1, signed, [8, 9, 7, 8, 8], "Visited!");
+      await expect(tx).to.emit(contract, "ReviewSubmitted").withArgs(1, 1, reviewer1.address);
+      await expect(tx).to.emit(contract, "VisitReceiptRedeemed").withArgs(1, 42n, 1);
+      await expect(tx).to.emit(contract, "ReviewVerified").withArgs(1, 1);
+
+      expect((await contract.getReviewInfo(1)).isVerified).to.equal(true);
+      expect(await contract.isVisitReceiptUsed(1, 42n)).to.equal(true);
+      expect(await contract.visitReceiptSigner(signed.receipt, signed.signature)).to.equal(restaurantOwner1.address);
+    });
+
+    it("Should use the standard EIP-712 domain", async function () {
+      const { contract } = await loadFixture(deployReceiptFixture);
+      const { chainId } = await ethers.provider.getNetwork();
+
+      expect(await contract.domainSeparator()).to.equal(
+        ethers.TypedDataEncoder.hashDomain({
+          name: "PrivateRestaurantRating",
+          version: "1",
+          chainId,
+          verifyingContract: await contract.getAddress(),
+        })
+      );
+    });
+
+    it("Should reject a receipt that was already redeemed", async function () {
+      const { contract, restaurantOwner1, restaurantOwner2, reviewer1, reviewer2 } =
+        await loadFixture(deployReceiptFixture);
+      const signed = await signVisitReceipt(contract, restaurantOwner1, 1, reviewer1, 7n);
+      await submitReviewWithReceipt(contract, reviewer1, signed, [8, 8, 8, 8, 8], "First");
+      await contract.connect(reviewer1).retractReview(1);
+
+      await expect(submitReviewWithReceipt(contract, reviewer1, signed, [8, 8, 8, 8, 8], "Replayed"))
+        .to.be.revertedWithCustomError(contract, "VisitReceiptAlreadyUsed")
+        .withArgs(1, 7n);
+
+      // Nonces are per restaurant
+      const other = await signVisitReceipt(contract, restaurantOwner2, 2, reviewer2, 7n);
+      await expect(submitReviewWithReceipt(contract, reviewer2, other, [8, 8, 8, 8, 8], "Other restaurant")).to.emit(
+        contract,
+        "VisitReceiptRedeemed"
+      );
+    });
+
+    it("Should reject a receipt issued to another diner", async function () {
+      const { contract, restaurantOwner1, reviewer1, reviewer2 } = await loadFixture(deployReceiptFixture);
+      const signed = await signVisitReceipt(contract, restaurantOwner1, 1, reviewer1, 1n);
+
+      // Copying the receipt out of the diner's pending transaction does not let anyone else redeem it
+      await expect(submitReviewWithReceipt(contract, reviewer2, signed, [1, 1, 1, 1, 1], "Front-run"))
+        .to.be.revertedWithCustomError(contract, "VisitReceiptNotForCaller")
+        .withArgs(1, reviewer1.address, reviewer2.address);
+      expect(await contract.isVisitReceiptUsed(1, 1n)).to.equal(false);
+
+      await expect(submitReviewWithReceipt(contract, reviewer1, signed, [8, 8, 8, 8, 8], "Visited!")).to.emit(
+        contract,
+        "VisitReceiptRedeemed"
+      );
+    });
+
+    it("Should reject an expired receipt", async function () {
+      const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployReceiptFixture);
+      const expiry = (await time.latest()) + 60;
+      const signed = await signVisitReceipt(contract, restaurantOwner1, 1, reviewer1, 1n, expiry);
+      await time.increaseTo(expiry + 1);
+
+      await expect(submitReviewWithReceipt(contract, reviewer1, signed, [8, 8, 8, 8, 8], "Too late"))
+        .to.be.revertedWithCustomError(contract, "VisitReceiptExpired")
+        .withArgs(1, expiry);
+    });
+
+    it("Should reject receipts not signed by the restaurant owner", async function () {
+      const { contract, restaurantOwner2, reviewer1 } = await loadFixture(deployReceiptFixture);
+      const signed = await signVisitReceipt(contract, restaurantOwner2, 1, reviewer1, 1n);
+
+      await expect(submitReviewWithReceipt(contract, reviewer1, signed, [8, 8, 8, 8, 8], "Forged"))
+        .to.be.revertedWithCustomError(contract, "InvalidVisitReceipt")
+        .withArgs(1, restaurantOwner2.address);
+    });
+
+    it("Should reject a receipt altered after signing", async function () {
+      const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployReceiptFixture);
+      const signed = await signVisitReceipt(contract, restaurantOwner1, 1, reviewer1, 1n);
+      const altered = { ...signed, receipt: { ...signed.receipt, restaurantId: 2 } };
+
+      await expect(submitReviewWithReceipt(contract, reviewer1, altered, [8, 8, 8, 8, 8], "Altered"))
+        .to.be.revertedWithCustomError(contract, "InvalidVisitReceipt")
+        .withArgs(2, anyValue);
+    });
+
+    it("Should not consume a receipt when the review is rejected", async function () {
+      const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployReceiptFixture);
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Already reviewed");
+      const signed = await signVisitReceipt(contract, restaurantOwner1, 1, reviewer1, 1n);
+
+      await expect(submitReviewWithReceipt(contract, reviewer1, signed, [8, 8, 8, 8, 8], "Second"))
+        .to.be.revertedWithCustomError(contract, "AlreadyReviewed")
+        .withArgs(1, reviewer1.address);
+      expect(await contract.isVisitReceiptUsed(1, 1n)).to.equal(false);
+    });
+
+    it("Should stop accepting receipts from a previous restaurant owner", async function () {
+      const { contract, restaurantOwner1, restaurantOwner2, reviewer1 } = await loadFixture(deployReceiptFixture);
+      const signed = await signVisitReceipt(contract, restaurantOwner1, 1, reviewer1, 1n);
+      await contract.connect(restaurantOwner1).transferRestaurantOwnership(1, restaurantOwner2.address);
+      await contract.connect(restaurantOwner2).acceptRestaurantOwnership(1);
+
+      await expect(submitReviewWithReceipt(contract, reviewer1, signed, [8, 8, 8, 8, 8], "Old receipt"))
+        .to.be.revertedWithCustomError(contract, "InvalidVisitReceipt")
+        .withArgs(1, restaurantOwner1.address);
+    });
+  });
+
+  describe("Review Editing and Retraction", function () {
+    it("Should replace ratings and comment when a review is updated", async function () {
+      const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+      await moveAboveProcessedBlocks();
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Great food!");
+
+      await expect(updateEncryptedReview(contract, reviewer1, 1, [5, 6, 4, 5, 5], "Second visit was worse"))
+        .to.emit(contract, "ReviewUpdated")
+        .withArgs(1, 1, reviewer1.address);
+
+      expect(await decryptMyRatings(contract, reviewer1, 1)).to.deep.equal([5n, 6n, 4n, 5n, 5n]);
+
+      const info = await contract.getReviewInfo(1);
+      expect(info.comment).to.equal("Second visit was worse");
+
+      const status = await contract.getReviewStatus(1);
+      expect(status.isWithdrawn).to.equal(false);
+      expect(status.editCount).to.equal(1);
+      expect(status.updatedAt).to.equal(await time.latest());
+    });
+
+    it("Should keep the previous versions in the edit history", async function () {
+      const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "First");
+      const submittedAt = (await contract.getReviewInfo(1)).timestamp;
+
+      await updateEncryptedReview(contract, reviewer1, 1, [7, 7, 7, 7, 7], "Second");
+      const firstEditAt = await time.latest();
+      await updateEncryptedReview(contract, reviewer1, 1, [6, 6, 6, 6, 6], "Third");
+
+      const history = await contract.getReviewHistory(1);
+      expect(history.length).to.equal(2);
+      expect(history[0].comment).to.equal("First");
+      expect(history[0].timestamp).to.equal(submittedAt);
+      expect(history[0].replacedAt).to.equal(firstEditAt);
+      expect(history[1].comment).to.equal("Second");
+      expect(history[1].timestamp).to.equal(firstEditAt);
+      expect((await contract.getReviewInfo(1)).timestamp).to.equal(submittedAt);
+    });
+
+    it("Should move the encrypted totals from the old ratings to the new ones", async function () {
+      const { contract, restaurantOwner1, reviewer1, reviewer2, reviewer3 } =
+        await loadFixture(deployContractFixture);
+      await moveAboveProcessedBlocks();
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review 1");
+      await submitEncryptedReview(contract, reviewer2, 1, [6, 6, 6, 6, 6], "Review 2");
+      await submitEncryptedReview(contract, reviewer3, 1, [7, 7, 7, 7, 7], "Review 3");
+      await updateEncryptedReview(contract, reviewer1, 1, [2, 3, 4, 5, 2], "Changed my mind");
+
+      await revealAverageRating(contract, reviewer1, 1);
+
+      const summary = await contract.getRatingSummary(1);
+      expect(summary.reviewCount).to.equal(3);
+      expect(summary.averageRating).to.equal(500); // (2 + 6 + 7) / 3
+
+      const averages = await contract.getCategoryAverages(1);
+      expect(averages.foodQuality).to.equal(500); // (2 + 6 + 7) / 3
+      expect(averages.priceValue).to.equal(600); // (5 + 6 + 7) / 3
+    });
+
+    it("Should remove a retracted review from the totals", async function () {
+      const { contract, owner, restaurantOwner1, reviewer1, reviewer2, reviewer3 } =
+        await loadFixture(deployContractFixture);
+      await moveAboveProcessedBlocks();
+      await contract.connect(owner).setRevealThresholds(2, 1);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review 1");
+      await submitEncryptedReview(contract, reviewer2, 1, [6, 6, 6, 6, 6], "Review 2");
+      await submitEncryptedReview(contract, reviewer3, 1, [1, 1, 1, 1, 1], "Review 3");
+
+      await expect(contract.connect(reviewer3).retractReview(3))
+        .to.emit(contract, "ReviewRetracted")
+        .withArgs(3, 1, reviewer3.address);
+
+      expect((await contract.getRestaurant(1)).totalReviews).to.equal(2);
+      expect((await contract.getReviewStatus(3)).isWithdrawn).to.equal(true);
+      expect(await contract.hasReviewed(1, reviewer3.address)).to.equal(false);
+
+      // Withdrawn reviews stay listed so consumers can show their status
+      expect(await contract.getRestaurantReviews(1)).to.deep.equal([1n, 2n, 3n]);
+      expect(await contract.getUserReviews(reviewer3.address)).to.deep.equal([3n]);
+
+      await revealAverageRating(contract, reviewer1, 1);
+
+      const summary = await contract.getRatingSummary(1);
+      expect(summary.reviewCount).to.equal(2);
+      expect(summary.averageRating).to.equal(700);
+    });
+
+    it("Should allow a new review after retracting", async function () {
+      const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review");
+      await contract.connect(reviewer1).retractReview(1);
+
+      await expect(submitEncryptedReview(contract, reviewer1, 1, [6, 6, 6, 6, 6], "Fresh review")).to.not.be
+        .reverted;
+      expect((await contract.getRestaurant(1)).totalReviews).to.equal(1);
+      expect(await contract.getUserReviews(reviewer1.address)).to.deep.equal([1n, 2n]);
+    });
+
+    it("Should reject edits and retractions of withdrawn reviews", async function () {
+      const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review");
+      await contract.connect(reviewer1).retractReview(1);
+
+      await expect(
+        updateEncryptedReview(contract, reviewer1, 1, [6, 6, 6, 6, 6], "Edit")
+      ).to.be.revertedWithCustomError(contract, "ReviewWithdrawn").withArgs(1);
+      await expect(contract.connect(reviewer1).retractReview(1))
+        .to.be.revertedWithCustomError(contract, "ReviewWithdrawn")
+        .withArgs(1);
+      await expect(contract.connect(restaurantOwner1).verifyReview(1))
+        .to.be.revertedWithCustomError(contract, "ReviewWithdrawn")
+        .withArgs(1);
+    });
+
+    it("Should only let the author edit or retract a review", async function () {
+      const { contract, restaurantOwner1, reviewer1, reviewer2 } = await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review");
+
+      await expect(
+        updateEncryptedReview(contract, reviewer2, 1, [1, 1, 1, 1, 1], "Hijacked")
+      ).to.be.revertedWithCustomError(contract, "NotReviewAuthor").withArgs(1, reviewer2.address);
+      await expect(contract.connect(reviewer2).retractReview(1))
+        .to.be.revertedWithCustomError(contract, "NotReviewAuthor")
+        .withArgs(1, reviewer2.address);
+      await expect(contract.connect(reviewer2).retractReview(99))
+        .to.be.revertedWithCustomError(contract, "ReviewNotFound")
+        .withArgs(99);
+    });
+  });
+
+  describe("Review Moderation", function () {
+    const Status = { None: 0, Flagged: 1, Hidden: 2, Appealed: 3, AppealRejected: 4 };
+    const Reason = { Spam: 0, Offensive: 1 };
+
+    // Review #1, the one being moderated
+    async function submitAbusiveReview(contract, reviewer) {
+      await submitEncryptedReview(contract, reviewer, 1, [2, 2, 2, 2, 2], "Abusive review");
+    }
+
+    async function deployModerationFixture() {
+      const accounts = await deployContractFixture();
+      const { contract, owner, restaurantOwner1 } = accounts;
+      const [, , , , , , moderator] = await ethers.getSigners();
+
+      const moderation = await ethers.deployContract("ReviewModeration", [await contract.getAddress()]);
+      await contract.connect(owner).setModeration(await moderation.getAddress());
+      await contract.connect(owner).grantRole(await contract.MODERATOR_ROLE(), moderator.address);
+
+      await contract.connect(owner).setRevealThresholds(2, 1);
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+
+      return { ...accounts, moderator, moderation };
+    }
+
+    it("Should only let admins choose the moderation contract", async function () {
+      const { contract, owner, restaurantOwner1, reviewer1, moderation } = await loadFixture(deployModerationFixture);
+      await submitAbusiveReview(contract, reviewer1);
+
+      await expect(contract.connect(restaurantOwner1).setModeration(restaurantOwner1.address))
+        .to.be.revertedWithCustomError(contract, "MissingRole")
+        .withArgs(await contract.ADMIN_ROLE(), restaurantOwner1.address);
+      await expect(contract.connect(owner).setModeration(await moderation.getAddress()))
+        .to.emit(contract, "ModerationContractUpdated")
+        .withArgs(await moderation.getAddress());
+
+      // Status changes only come through the moderation contract
+      await expect(contract.connect(owner).setModerationStatus(1, Status.Hidden))
+        .to.be.revertedWithCustomError(contract, "NotModerationContract")
+        .withArgs(owner.address);
+    });
+
+    it("Should let anyone flag a review once", async function () {
+      const { contract, reviewer1, reviewer2, reviewer3, moderation } = await loadFixture(deployModerationFixture);
+      await submitAbusiveReview(contract, reviewer1);
+
+      await expect(moderation.connect(reviewer2).flagReview(1, Reason.Offensive))
+        .to.emit(moderation, "ReviewFlagged")
+        .withArgs(1, reviewer2.address, Reason.Offensive)
+        .and.to.emit(contract, "ReviewModerationUpdated")
+        .withArgs(1, 1, Status.Flagged);
+      await expect(moderation.connect(reviewer3).flagReview(1, Reason.Spam)).to.not.emit(
+        contract,
+        "ReviewModerationUpdated"
+      );
+      await expect(moderation.connect(reviewer2).flagReview(1, Reason.Spam))
+        .to.be.revertedWithCustomError(moderation, "AlreadyFlagged")
+        .withArgs(1, reviewer2.address);
+
+      expect(await moderation.flagCount(1)).to.equal(2);
+      expect((await contract.getReviewInfo(1)).moderationStatus).to.equal(Status.Flagged);
+
+      // A flagged review stays listed and counted until a moderator acts
+      expect((await contract.getRestaurant(1)).totalReviews).to.equal(1);
+      expect((await contract.getRestaurantReviewsPage(1, 0, 10)).total).to.equal(1);
+    });
+
+    it("Should only let moderators hide reviews", async function () {
+      const { contract, owner, reviewer1, reviewer2, moderator, moderation } =
+        await loadFixture(deployModerationFixture);
+      await submitAbusiveReview(contract, reviewer1);
+
+      await expect(moderation.connect(reviewer2).hideReview(1, Reason.Offensive))
+        .to.be.revertedWithCustomError(moderation, "NotModerator")
+        .withArgs(reviewer2.address);
+
+      await expect(moderation.connect(moderator).hideReview(1, Reason.Offensive))
+        .to.emit(moderation, "ReviewHidden")
+        .withArgs(1, moderator.address, Reason.Offensive);
+      await expect(moderation.connect(owner).hideReview(1, Reason.Offensive))
+        .to.be.revertedWithCustomError(moderation, "InvalidModerationStatus")
+        .withArgs(1, Status.Hidden);
+
+      await contract.connect(owner).revokeRole(await contract.MODERATOR_ROLE(), moderator.address);
+      await expect(moderation.connect(moderator).restoreReview(1))
+        .to.be.revertedWithCustomError(moderation, "NotModerator")
+        .withArgs(moderator.address);
+      expect((await contract.getReviewInfo(1)).moderationStatus).to.equal(Status.Hidden);
+    });
+
+    it("Should take hidden reviews out of the listings and the encrypted totals", async function () {
+      const { contract, reviewer1, reviewer2, reviewer3, moderator, moderation } =
+        await loadFixture(deployModerationFixture);
+
+      await moveAboveProcessedBlocks();
+      await submitAbusiveReview(contract, reviewer1);
+      await submitEncryptedReview(contract, reviewer2, 1, [8, 8, 8, 8, 8], "Good");
+      await submitEncryptedReview(contract, reviewer3, 1, [6, 6, 6, 6, 6], "Fine");
+
+      await moderation.connect(reviewer2).flagReview(1, Reason.Offensive);
+      await expect(moderation.connect(moderator).hideReview(1, Reason.Offensive))
+        .to.emit(contract, "ReviewModerationUpdated")
+        .withArgs(1, 1, Status.Hidden);
+
+      expect((await contract.getRestaurant(1)).totalReviews).to.equal(2);
+      // The last listed review takes the hidden one's place
+      const [page, total] = await contract.getRestaurantReviewsPage(1, 0, 10);
+      expect(total).to.equal(2);
+      expect(page.map((review) => review.id)).to.deep.equal([3n, 2n]);
+      expect(await contract.getRestaurantReviews(1)).to.deep.equal([3n, 2n]);
+
+      // The author still sees it, with its status
+      const [own] = await contract.getUserReviewsPage(reviewer1.address, 0, 10);
+      expect(own[0].moderationStatus).to.equal(Status.Hidden);
+
+      await revealAverageRating(contract, reviewer2, 1);
+      const summary = await contract.getRatingSummary(1);
+      expect(summary.reviewCount).to.equal(2);
+      expect(summary.averageRating).to.equal(700);
+    });
+
+    it("Should not let the author edit or retract a hidden review", async function () {
+      const { contract, reviewer1, moderator, moderation } = await loadFixture(deployModerationFixture);
+      await submitAbusiveReview(contract, reviewer1);
+
+      await moderation.connect(moderator).hideReview(1, Reason.Offensive);
+
+      await expect(updateEncryptedReview(contract, reviewer1, 1, [9, 9, 9, 9, 9], "Edited"))
+        .to.be.revertedWithCustomError(contract, "ReviewIsHidden")
+        .withArgs(1);
+      await expect(contract.connect(reviewer1).retractReview(1))
+        .to.be.revertedWithCustomError(contract, "ReviewIsHidden")
+        .withArgs(1);
+    });
+
+    it("Should let the author appeal and a moderator restore the review", async function () {
+      const { contract, reviewer1, reviewer2, moderator, moderation } = await loadFixture(deployModerationFixture);
+
+      await moveAboveProcessedBlocks();
+      await submitAbusiveReview(contract, reviewer1);
+      await submitEncryptedReview(contract, reviewer2, 1, [8, 8, 8, 8, 8], "Good");
+      await moderation.connect(moderator).hideReview(1, Reason.Spam);
+
+      await expect(moderation.connect(reviewer2).appealReview(1))
+        .to.be.revertedWithCustomError(moderation, "NotReviewAuthor")
+        .withArgs(1, reviewer2.address);
+      await expect(moderation.connect(reviewer1).appealReview(1))
+        .to.emit(moderation, "ReviewAppealed")
+        .withArgs(1, reviewer1.address);
+      await expect(moderation.connect(reviewer1).appealReview(1))
+        .to.be.revertedWithCustomError(moderation, "InvalidModerationStatus")
+        .withArgs(1, Status.Appealed);
+
+      // Still hidden while the appeal is pending
+      expect((await contract.getRestaurant(1)).totalReviews).to.equal(1);
+
+      await expect(moderation.connect(moderator).restoreReview(1))
+        .to.emit(moderation, "ReviewRestored")
+        .withArgs(1, moderator.address)
+        .and.to.emit(contract, "ReviewModerationUpdated")
+        .withArgs(1, 1, Status.None);
+      expect((await contract.getRestaurant(1)).totalReviews).to.equal(2);
+      // Restored reviews are listed last
+      expect(await contract.getRestaurantReviews(1)).to.deep.equal([2n, 1n]);
+      expect((await contract.getRestaurantReviewsPage(1, 0, 10)).total).to.equal(2);
+
+      await revealAverageRating(contract, reviewer2, 1);
+      expect((await contract.getRatingSummary(1)).averageRating).to.equal(500);
+    });
+
+    it("Should keep a review hidden when its appeal is rejected", async function () {
+      const { contract, reviewer1, moderator, moderation } = await loadFixture(deployModerationFixture);
+      await submitAbusiveReview(contract, reviewer1);
+
+      await moderation.connect(moderator).hideReview(1, Reason.Offensive);
+      await expect(moderation.connect(moderator).rejectAppeal(1))
+        .to.be.revertedWithCustomError(moderation, "InvalidModerationStatus")
+        .withArgs(1, Status.Hidden);
+
+      await moderation.connect(reviewer1).appealReview(1);
+      await expect(moderation.connect(moderator).rejectAppeal(1))
+        .to.emit(moderation, "AppealRejected")
+        .withArgs(1, moderator.address);
+
+      expect((await contract.getReviewInfo(1)).moderationStatus).to.equal(Status.AppealRejected);
+      expect((await contract.getRestaurant(1)).totalReviews).to.equal(0);
+      await expect(moderation.connect(reviewer1).appealReview(1))
+        .to.be.revertedWithCustomError(moderation, "InvalidModerationStatus")
+        .withArgs(1, Status.AppealRejected);
+    });
+
+    it("Should not restore a review whose appeal was rejected", async function () {
+      const { contract, reviewer1, moderator, moderation } = await loadFixture(deployModerationFixture);
+      await submitAbusiveReview(contract, reviewer1);
+
+      await moderation.connect(moderator).hideReview(1, Reason.Offensive);
+      await moderation.connect(reviewer1).appealReview(1);
+      await moderation.connect(moderator).rejectAppeal(1);
+
+      await expect(moderation.connect(moderator).restoreReview(1))
+        .to.be.revertedWithCustomError(moderation, "InvalidModerationStatus")
+        .withArgs(1, Status.AppealRejected);
+      expect((await contract.getReviewInfo(1)).moderationStatus).to.equal(Status.AppealRejected);
+      expect((await contract.getRestaurant(1)).totalReviews).to.equal(0);
+    });
+
+    it("Should not moderate withdrawn reviews", async function () {
+      const { contract, reviewer1, reviewer2, moderator, moderation } = await loadFixture(deployModerationFixture);
+      await submitAbusiveReview(contract, reviewer1);
+
+      await contract.connect(reviewer1).retractReview(1);
+
+      await expect(moderation.connect(reviewer2).flagReview(1, Reason.Spam))
+        .to.be.revertedWithCustomError(contract, "ReviewWithdrawn")
+        .withArgs(1);
+      await expect(moderation.connect(moderator).hideReview(1, Reason.Spam))
+        .to.be.revertedWithCustomError(contract, "ReviewWithdrawn")
+        .withArgs(1);
     });
   });
 
@@ -367,7 +1193,7 @@ describe("PrivateRestaurantRating", function () {
 
       await expect(
         contract.connect(reviewer1).toggleRestaurantStatus(1)
-      ).to.be.revertedWith("Not restaurant owner");
+      ).to.be.revertedWithCustomError(contract, "NotRestaurantOwner").withArgs(1, reviewer1.address);
     });
 
     it("Should prevent reviews on inactive restaurants", async function () {
@@ -381,8 +1207,346 @@ describe("PrivateRestaurantRating", function () {
       await contract.connect(restaurantOwner1).toggleRestaurantStatus(1);
 
       await expect(
-        contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Review")
-      ).to.be.revertedWith("Restaurant not active");
+        submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Review")
+      ).to.be.revertedWithCustomError(contract, "RestaurantNotActive").withArgs(1);
+    });
+
+    it("Should let the restaurant owner update the profile", async function () {
+      const { contract, restaurantOwner1 } = await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Old Name", "Old Street");
+
+      await expect(contract.connect(restaurantOwner1).updateRestaurantProfile(1, "New Name", "New Street"))
+        .to.emit(contract, "RestaurantProfileUpdated")
+        .withArgs(1, "Old Name", "New Name", "Old Street", "New Street");
+
+      const restaurant = await contract.getRestaurant(1);
+      expect(restaurant.name).to.equal("New Name");
+      expect(restaurant.location).to.equal("New Street");
+    });
+
+    it("Should prevent others from updating the profile", async function () {
+      const { contract, owner, restaurantOwner1 } = await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Name", "Street");
+
+      await expect(
+        contract.connect(owner).updateRestaurantProfile(1, "Hijacked", "Elsewhere")
+      ).to.be.revertedWithCustomError(contract, "NotRestaurantOwner").withArgs(1, owner.address);
+    });
+  });
+
+  describe("Ownership Transfer", function () {
+    it("Should transfer restaurant ownership in two steps", async function () {
+      const { contract, restaurantOwner1, restaurantOwner2 } = await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+
+      await expect(contract.connect(restaurantOwner1).transferRestaurantOwnership(1, restaurantOwner2.address))
+        .to.emit(contract, "RestaurantOwnershipTransferStarted")
+        .withArgs(1, restaurantOwner1.address, restaurantOwner2.address);
+
+      // Nothing changes until the new owner accepts
+      expect((await contract.getRestaurant(1)).restaurantOwner).to.equal(restaurantOwner1.address);
+      expect(await contract.pendingRestaurantOwner(1)).to.equal(restaurantOwner2.address);
+
+      await expect(contract.connect(restaurantOwner2).acceptRestaurantOwnership(1))
+        .to.emit(contract, "RestaurantOwnershipTransferred")
+        .withArgs(1, restaurantOwner1.address, restaurantOwner2.address);
+
+      expect((await contract.getRestaurant(1)).restaurantOwner).to.equal(restaurantOwner2.address);
+      expect(await contract.pendingRestaurantOwner(1)).to.equal(ethers.ZeroAddress);
+      await expect(
+        contract.connect(restaurantOwner1).toggleRestaurantStatus(1)
+      ).to.be.revertedWithCustomError(contract, "NotRestaurantOwner").withArgs(1, restaurantOwner1.address);
+    });
+
+    it("Should only let the proposed owner accept a restaurant transfer", async function () {
+      const { contract, restaurantOwner1, restaurantOwner2, reviewer1 } = await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+
+      await expect(
+        contract.connect(reviewer1).transferRestaurantOwnership(1, reviewer1.address)
+      ).to.be.revertedWithCustomError(contract, "NotRestaurantOwner").withArgs(1, reviewer1.address);
+
+      await contract.connect(restaurantOwner1).transferRestaurantOwnership(1, restaurantOwner2.address);
+      await expect(
+        contract.connect(reviewer1).acceptRestaurantOwnership(1)
+      ).to.be.revertedWithCustomError(contract, "NotPendingRestaurantOwner").withArgs(1, reviewer1.address);
+
+      // Proposing the zero address cancels the transfer
+      await contract.connect(restaurantOwner1).transferRestaurantOwnership(1, ethers.ZeroAddress);
+      await expect(
+        contract.connect(restaurantOwner2).acceptRestaurantOwnership(1)
+      ).to.be.revertedWithCustomError(contract, "NotPendingRestaurantOwner").withArgs(1, restaurantOwner2.address);
+    });
+
+    it("Should not hand a restaurant to one of its reviewers", async function () {
+      const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review");
+      await contract.connect(restaurantOwner1).transferRestaurantOwnership(1, reviewer1.address);
+
+      await expect(
+        contract.connect(reviewer1).acceptRestaurantOwnership(1)
+      ).to.be.revertedWithCustomError(contract, "NewOwnerHasReviewed").withArgs(1, reviewer1.address);
+    });
+  });
+
+  describe("Access Control", function () {
+    const ROLES = ["ADMIN_ROLE", "MODERATOR_ROLE", "VERIFIER_ROLE", "PAUSER_ROLE"];
+
+    it("Should grant every role to the deployer", async function () {
+      const { contract, owner, reviewer1 } = await loadFixture(deployContractFixture);
+
+      for (const name of ROLES) {
+        const role = await contract[name]();
+        expect(role).to.equal(ethers.id(name));
+        expect(await contract.hasRole(role, owner.address)).to.equal(true);
+        expect(await contract.hasRole(role, reviewer1.address)).to.equal(false);
+      }
+    });
+
+    it("Should let admins grant and revoke roles", async function () {
+      const { contract, owner, reviewer1 } = await loadFixture(deployContractFixture);
+      const ADMIN_ROLE = await contract.ADMIN_ROLE();
+
+      await expect(contract.connect(owner).grantRole(ADMIN_ROLE, reviewer1.address))
+        .to.emit(contract, "RoleGranted")
+        .withArgs(ADMIN_ROLE, reviewer1.address, owner.address);
+      await expect(contract.connect(reviewer1).setRevealThresholds(1, 1)).to.not.be.reverted;
+
+      await expect(contract.connect(reviewer1).revokeRole(ADMIN_ROLE, owner.address))
+        .to.emit(contract, "RoleRevoked")
+        .withArgs(ADMIN_ROLE, owner.address, reviewer1.address);
+      expect(await contract.hasRole(ADMIN_ROLE, owner.address)).to.equal(false);
+      await expect(contract.connect(owner).setRevealThresholds(1, 1))
+        .to.be.revertedWithCustomError(contract, "MissingRole")
+        .withArgs(ADMIN_ROLE, owner.address);
+
+      // Repeated grants and revocations change nothing and emit nothing
+      await expect(contract.connect(reviewer1).revokeRole(ADMIN_ROLE, owner.address)).to.not.emit(
+        contract,
+        "RoleRevoked"
+      );
+    });
+
+    it("Should restrict role management to admins", async function () {
+      const { contract, owner, reviewer1, reviewer2 } = await loadFixture(deployContractFixture);
+      const ADMIN_ROLE = await contract.ADMIN_ROLE();
+      const VERIFIER_ROLE = await contract.VERIFIER_ROLE();
+
+      await expect(contract.connect(reviewer1).grantRole(VERIFIER_ROLE, reviewer1.address))
+        .to.be.revertedWithCustomError(contract, "MissingRole")
+        .withArgs(ADMIN_ROLE, reviewer1.address);
+      await expect(contract.connect(reviewer1).revokeRole(VERIFIER_ROLE, owner.address))
+        .to.be.revertedWithCustomError(contract, "MissingRole")
+        .withArgs(ADMIN_ROLE, reviewer1.address);
+
+      // Other roles do not include role management
+      await contract.connect(owner).grantRole(VERIFIER_ROLE, reviewer1.address);
+      await expect(contract.connect(reviewer1).grantRole(VERIFIER_ROLE, reviewer2.address))
+        .to.be.revertedWithCustomError(contract, "MissingRole")
+        .withArgs(ADMIN_ROLE, reviewer1.address);
+    });
+
+    it("Should not let an admin revoke their own admin role", async function () {
+      const { contract, owner } = await loadFixture(deployContractFixture);
+      const ADMIN_ROLE = await contract.ADMIN_ROLE();
+      const PAUSER_ROLE = await contract.PAUSER_ROLE();
+
+      await expect(contract.connect(owner).revokeRole(ADMIN_ROLE, owner.address))
+        .to.be.revertedWithCustomError(contract, "CannotRevokeOwnAdminRole")
+        .withArgs(owner.address);
+      await expect(contract.connect(owner).revokeRole(PAUSER_ROLE, owner.address))
+        .to.emit(contract, "RoleRevoked")
+        .withArgs(PAUSER_ROLE, owner.address, owner.address);
+    });
+
+    it("Should let verifiers verify reviews of any restaurant", async function () {
+      const { contract, owner, restaurantOwner1, reviewer1, reviewer2 } = await loadFixture(deployContractFixture);
+      const VERIFIER_ROLE = await contract.VERIFIER_ROLE();
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review");
+
+      expect(await contract.canVerify(1, reviewer2.address)).to.equal(false);
+      await contract.connect(owner).grantRole(VERIFIER_ROLE, reviewer2.address);
+      expect(await contract.canVerify(1, reviewer2.address)).to.equal(true);
+
+      await expect(contract.connect(reviewer2).verifyReview(1)).to.emit(contract, "ReviewVerified").withArgs(1, 1);
+    });
+
+    it("Should let restaurant owners delegate verification to staff", async function () {
+      const { contract, restaurantOwner1, restaurantOwner2, reviewer1, reviewer2, reviewer3 } =
+        await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant 1", "Location");
+      await contract.connect(restaurantOwner2).registerRestaurant("Restaurant 2", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review 1");
+      await submitEncryptedReview(contract, reviewer1, 2, [8, 8, 8, 8, 8], "Review 2");
+      await submitEncryptedReview(contract, reviewer2, 1, [8, 8, 8, 8, 8], "Review 3");
+
+      await expect(contract.connect(restaurantOwner2).setVerificationDelegate(1, reviewer3.address, true))
+        .to.be.revertedWithCustomError(contract, "NotRestaurantOwner")
+        .withArgs(1, restaurantOwner2.address);
+      await expect(contract.connect(restaurantOwner1).setVerificationDelegate(1, reviewer3.address, true))
+        .to.emit(contract, "VerificationDelegateUpdated")
+        .withArgs(1, reviewer3.address, true);
+
+      await expect(contract.connect(reviewer3).verifyReview(1)).to.emit(contract, "ReviewVerified").withArgs(1, 1);
+      // Staff only verify reviews of the restaurant that delegated to them
+      await expect(contract.connect(reviewer3).verifyReview(2))
+        .to.be.revertedWithCustomError(contract, "NotAuthorizedToVerify")
+        .withArgs(2, reviewer3.address);
+
+      await contract.connect(restaurantOwner1).setVerificationDelegate(1, reviewer3.address, false);
+      await expect(contract.connect(reviewer3).verifyReview(3))
+        .to.be.revertedWithCustomError(contract, "NotAuthorizedToVerify")
+        .withArgs(3, reviewer3.address);
+    });
+
+    it("Should drop delegated staff when the restaurant changes hands", async function () {
+      const { contract, restaurantOwner1, restaurantOwner2, reviewer1, reviewer3 } =
+        await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await contract.connect(restaurantOwner1).setVerificationDelegate(1, reviewer3.address, true);
+      await contract.connect(restaurantOwner1).transferRestaurantOwnership(1, restaurantOwner2.address);
+      await contract.connect(restaurantOwner2).acceptRestaurantOwnership(1);
+
+      expect(await contract.canVerify(1, reviewer3.address)).to.equal(false);
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review");
+      await expect(contract.connect(reviewer3).verifyReview(1))
+        .to.be.revertedWithCustomError(contract, "NotAuthorizedToVerify")
+        .withArgs(1, reviewer3.address);
+    });
+  });
+
+  describe("Pause and Freeze", function () {
+    it("Should restrict pausing and freezing to pausers", async function () {
+      const { contract, owner, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+      const PAUSER_ROLE = await contract.PAUSER_ROLE();
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+
+      await expect(contract.connect(reviewer1).setPaused(true))
+        .to.be.revertedWithCustomError(contract, "MissingRole")
+        .withArgs(PAUSER_ROLE, reviewer1.address);
+      await expect(contract.connect(restaurantOwner1).setRestaurantFrozen(1, true))
+        .to.be.revertedWithCustomError(contract, "MissingRole")
+        .withArgs(PAUSER_ROLE, restaurantOwner1.address);
+
+      await contract.connect(owner).grantRole(PAUSER_ROLE, reviewer1.address);
+      await expect(contract.connect(reviewer1).setPaused(true))
+        .to.emit(contract, "PauseUpdated")
+        .withArgs(true, reviewer1.address);
+      await expect(contract.connect(reviewer1).setRestaurantFrozen(1, true))
+        .to.emit(contract, "RestaurantFreezeUpdated")
+        .withArgs(1, true, reviewer1.address);
+      await expect(contract.connect(reviewer1).setRestaurantFrozen(2, true))
+        .to.be.revertedWithCustomError(contract, "RestaurantNotFound")
+        .withArgs(2);
+    });
+
+    it("Should block registrations and review writes while paused", async function () {
+      const { contract, owner, restaurantOwner1, reviewer1, reviewer2 } = await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review");
+      await contract.connect(owner).setPaused(true);
+      expect(await contract.paused()).to.equal(true);
+
+      await expect(
+        contract.connect(restaurantOwner1).registerRestaurant("Another", "Location")
+      ).to.be.revertedWithCustomError(contract, "ContractPaused");
+      await expect(
+        submitEncryptedReview(contract, reviewer2, 1, [8, 8, 8, 8, 8], "Review")
+      ).to.be.revertedWithCustomError(contract, "ContractPaused");
+      await expect(
+        updateEncryptedReview(contract, reviewer1, 1, [5, 5, 5, 5, 5], "Edited")
+      ).to.be.revertedWithCustomError(contract, "ContractPaused");
+      await expect(contract.connect(reviewer1).retractReview(1)).to.be.revertedWithCustomError(
+        contract,
+        "ContractPaused"
+      );
+      await expect(contract.connect(reviewer1).calculateAverageRating(1)).to.be.revertedWithCustomError(
+        contract,
+        "ContractPaused"
+      );
+
+      // Views keep working
+      expect((await contract.getRestaurant(1)).totalReviews).to.equal(1);
+      expect((await contract.getReviewInfo(1)).reviewer).to.equal(reviewer1.address);
+      expect((await contract.getTotalCounts()).totalReviews).to.equal(1);
+
+      await expect(contract.connect(owner).setPaused(false))
+        .to.emit(contract, "PauseUpdated")
+        .withArgs(false, owner.address);
+      await expect(submitEncryptedReview(contract, reviewer2, 1, [8, 8, 8, 8, 8], "Review")).to.not.be.reverted;
+      await expect(contract.connect(restaurantOwner1).registerRestaurant("Another", "Location")).to.not.be.reverted;
+    });
+
+    it("Should reject reveal callbacks while paused", async function () {
+      const { contract, owner, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+      await moveAboveProcessedBlocks();
+      await contract.connect(owner).setRevealThresholds(1, 1);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review");
+
+      const tx = await contract.connect(reviewer1).calculateAverageRating(1);
+      await contract.connect(owner).setPaused(true);
+
+      await expect(fulfillDecryptionRequests(tx)).to.be.revertedWithCustomError(contract, "ContractPaused");
+      expect((await contract.getRatingSummary(1)).hasData).to.equal(false);
+      expect(await contract.hasPendingReveal(1)).to.equal(true);
+    });
+
+    it("Should only block writes to a frozen restaurant", async function () {
+      const { contract, owner, restaurantOwner1, restaurantOwner2, reviewer1, reviewer2 } =
+        await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant 1", "Location 1");
+      await contract.connect(restaurantOwner2).registerRestaurant("Restaurant 2", "Location 2");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review");
+      await contract.connect(owner).setRestaurantFrozen(1, true);
+      expect(await contract.isRestaurantFrozen(1)).to.equal(true);
+
+      await expect(submitEncryptedReview(contract, reviewer2, 1, [8, 8, 8, 8, 8], "Review"))
+        .to.be.revertedWithCustomError(contract, "RestaurantIsFrozen")
+        .withArgs(1);
+      await expect(updateEncryptedReview(contract, reviewer1, 1, [5, 5, 5, 5, 5], "Edited"))
+        .to.be.revertedWithCustomError(contract, "RestaurantIsFrozen")
+        .withArgs(1);
+      await expect(contract.connect(reviewer1).retractReview(1))
+        .to.be.revertedWithCustomError(contract, "RestaurantIsFrozen")
+        .withArgs(1);
+      await expect(contract.connect(reviewer1).calculateAverageRating(1))
+        .to.be.revertedWithCustomError(contract, "RestaurantIsFrozen")
+        .withArgs(1);
+
+      await expect(submitEncryptedReview(contract, reviewer2, 2, [8, 8, 8, 8, 8], "Review")).to.not.be.reverted;
+
+      await contract.connect(owner).setRestaurantFrozen(1, false);
+      await expect(contract.connect(reviewer1).retractReview(1)).to.not.be.reverted;
+    });
+
+    it("Should keep a freeze in place when the owner toggles the restaurant", async function () {
+      const { contract, owner, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await contract.connect(owner).setRestaurantFrozen(1, true);
+
+      await contract.connect(restaurantOwner1).toggleRestaurantStatus(1);
+      await contract.connect(restaurantOwner1).toggleRestaurantStatus(1);
+      expect((await contract.getRestaurant(1)).isActive).to.equal(true);
+
+      await expect(submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review"))
+        .to.be.revertedWithCustomError(contract, "RestaurantIsFrozen")
+        .withArgs(1);
     });
   });
 
@@ -390,13 +1554,17 @@ describe("PrivateRestaurantRating", function () {
     it("Should revert when querying non-existent restaurant", async function () {
       const { contract } = await loadFixture(deployContractFixture);
 
-      await expect(contract.getRestaurant(999)).to.be.revertedWith("Restaurant not found");
+      await expect(contract.getRestaurant(999))
+        .to.be.revertedWithCustomError(contract, "RestaurantNotFound")
+        .withArgs(999);
     });
 
     it("Should revert when querying non-existent review", async function () {
       const { contract } = await loadFixture(deployContractFixture);
 
-      await expect(contract.getReviewInfo(999)).to.be.revertedWith("Review not found");
+      await expect(contract.getReviewInfo(999))
+        .to.be.revertedWithCustomError(contract, "ReviewNotFound")
+        .withArgs(999);
     });
 
     it("Should handle multiple reviews for same restaurant", async function () {
@@ -408,9 +1576,9 @@ describe("PrivateRestaurantRating", function () {
         "Prime Location"
       );
 
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Review 1");
-      await contract.connect(reviewer2).submitReview(1, 7, 8, 6, 7, 7, "Review 2");
-      await contract.connect(reviewer3).submitReview(1, 9, 10, 8, 9, 9, "Review 3");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Review 1");
+      await submitEncryptedReview(contract, reviewer2, 1, [7, 8, 6, 7, 7], "Review 2");
+      await submitEncryptedReview(contract, reviewer3, 1, [9, 10, 8, 9, 9], "Review 3");
 
       const restaurant = await contract.getRestaurant(1);
       expect(restaurant.totalReviews).to.equal(3);
@@ -427,7 +1595,7 @@ describe("PrivateRestaurantRating", function () {
         "Test Location"
       );
 
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "");
 
       const review = await contract.getReviewInfo(1);
       expect(review.comment).to.equal("");
@@ -449,13 +1617,400 @@ describe("PrivateRestaurantRating", function () {
       await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
 
       const longComment = "Great! ".repeat(100);
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, longComment);
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], longComment);
 
       const review = await contract.getReviewInfo(1);
       expect(review.comment).to.equal(longComment);
     });
   });
 
+  describe("Average Rating Reveal", function () {
+    it("Should publish the average with two decimals of precision", async function () {
+      const { contract, restaurantOwner1, reviewer1, reviewer2, reviewer3 } =
+        await loadFixture(deployContractFixture);
+      await moveAboveProcessedBlocks();
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Review 1");
+      await submitEncryptedReview(contract, reviewer2, 1, [7, 8, 6, 7, 7], "Review 2");
+      await submitEncryptedReview(contract, reviewer3, 1, [9, 10, 8, 9, 8], "Review 3");
+
+      await revealAverageRating(contract, reviewer1, 1);
+
+      const summary = await contract.getRatingSummary(1);
+      expect(summary.hasData).to.equal(true);
+      expect(summary.reviewCount).to.equal(3);
+      expect(summary.averageRating).to.equal(767); // 23 / 3 = 7.67
+      expect(summary.publishedAt).to.equal(await time.latest());
+    });
+
+    it("Should publish per-category averages in the same reveal", async function () {
+      const { contract, restaurantOwner1, reviewer1, reviewer2, reviewer3 } =
+        await loadFixture(deployContractFixture);
+      await moveAboveProcessedBlocks();
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Review 1");
+      await submitEncryptedReview(contract, reviewer2, 1, [7, 8, 6, 6, 7], "Review 2");
+      await submitEncryptedReview(contract, reviewer3, 1, [9, 10, 8, 9, 8], "Review 3");
+
+      const tx = await revealAverageRating(contract, reviewer1, 1);
+      const receipt = await tx.wait();
+      await expect(tx).to.emit(contract, "AverageRatingRequested");
+
+      const events = await contract.queryFilter(contract.filters.CategoryAveragesUpdated(1), receipt.blockNumber);
+      expect(events.length).to.equal(1);
+
+      const averages = await contract.getCategoryAverages(1);
+      expect(averages.foodQuality).to.equal(800); // 24 / 3
+      expect(averages.service).to.equal(900); // 27 / 3
+      expect(averages.atmosphere).to.equal(700); // 21 / 3
+      expect(averages.priceValue).to.equal(767); // 23 / 3
+      expect(events[0].args.priceValue).to.equal(767);
+      expect((await contract.getRatingSummary(1)).averageRating).to.equal(767);
+    });
+
+    it("Should emit request and summary events for the right restaurant", async function () {
+      const { contract, owner, restaurantOwner1, restaurantOwner2, reviewer1 } =
+        await loadFixture(deployContractFixture);
+      await moveAboveProcessedBlocks();
+      await contract.connect(owner).setRevealThresholds(1, 1);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant 1", "Location 1");
+      await contract.connect(restaurantOwner2).registerRestaurant("Restaurant 2", "Location 2");
+      await submitEncryptedReview(contract, reviewer1, 2, [6, 6, 6, 6, 6], "Review");
+
+      const tx = await contract.connect(reviewer1).calculateAverageRating(2);
+      await expect(tx).to.emit(contract, "AverageRatingRequested");
+
+      await fulfillDecryptionRequests(tx);
+
+      const events = await contract.queryFilter(contract.filters.RatingSummaryUpdated(2));
+      expect(events.length).to.equal(1);
+      expect(events[0].args.averageRating).to.equal(600);
+      expect(events[0].args.reviewCount).to.equal(1);
+      expect((await contract.getRatingSummary(1)).hasData).to.equal(false);
+    });
+
+    it("Should map concurrent requests to their restaurants", async function () {
+      const { contract, owner, restaurantOwner1, restaurantOwner2, reviewer1, reviewer2 } =
+        await loadFixture(deployContractFixture);
+      await moveAboveProcessedBlocks();
+      await contract.connect(owner).setRevealThresholds(1, 1);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant 1", "Location 1");
+      await contract.connect(restaurantOwner2).registerRestaurant("Restaurant 2", "Location 2");
+      await submitEncryptedReview(contract, reviewer1, 1, [9, 9, 9, 9, 9], "Review 1-1");
+      await submitEncryptedReview(contract, reviewer2, 1, [8, 8, 8, 8, 8], "Review 1-2");
+      await submitEncryptedReview(contract, reviewer1, 2, [4, 4, 4, 4, 4], "Review 2-1");
+
+      const tx1 = await contract.connect(reviewer1).calculateAverageRating(1);
+      const tx2 = await contract.connect(reviewer1).calculateAverageRating(2);
+      expect(await contract.hasPendingReveal(1)).to.equal(true);
+      expect(await contract.hasPendingReveal(2)).to.equal(true);
+
+      // Answer out of order
+      await fulfillDecryptionRequests(tx2);
+      await fulfillDecryptionRequests(tx1);
+
+      const summary1 = await contract.getRatingSummary(1);
+      const summary2 = await contract.getRatingSummary(2);
+      expect(summary1.averageRating).to.equal(850);
+      expect(summary1.reviewCount).to.equal(2);
+      expect(summary2.averageRating).to.equal(400);
+      expect(summary2.reviewCount).to.equal(1);
+      expect(await contract.hasPendingReveal(1)).to.equal(false);
+      expect(await contract.hasPendingReveal(2)).to.equal(false);
+    });
+
+    it("Should use the review count snapshot taken at request time", async function () {
+      const { contract, owner, restaurantOwner1, reviewer1, reviewer2, reviewer3 } =
+        await loadFixture(deployContractFixture);
+      await moveAboveProcessedBlocks();
+      await contract.connect(owner).setRevealThresholds(2, 1);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review 1");
+      await submitEncryptedReview(contract, reviewer2, 1, [6, 6, 6, 6, 6], "Review 2");
+
+      const tx = await contract.connect(reviewer1).calculateAverageRating(1);
+      await submitEncryptedReview(contract, reviewer3, 1, [1, 1, 1, 1, 1], "Review 3");
+
+      await fulfillDecryptionRequests(tx);
+
+      const summary = await contract.getRatingSummary(1);
+      expect(summary.reviewCount).to.equal(2);
+      expect(summary.averageRating).to.equal(700);
+    });
+
+    it("Should prevent duplicate pending requests for the same restaurant", async function () {
+      const { contract, owner, restaurantOwner1, reviewer1, reviewer2 } = await loadFixture(deployContractFixture);
+      await contract.connect(owner).setRevealThresholds(1, 1);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review");
+
+      await contract.connect(reviewer1).calculateAverageRating(1);
+
+      await expect(
+        contract.connect(reviewer2).calculateAverageRating(1)
+      ).to.be.revertedWithCustomError(contract, "RevealAlreadyPending");
+    });
+
+    it("Should allow a new request once a pending reveal has timed out", async function () {
+      const { contract, owner, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+      await contract.connect(owner).setRevealThresholds(1, 1);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review");
+
+      await contract.connect(reviewer1).calculateAverageRating(1);
+      const staleRequestId = await contract.pendingRevealRequest(1);
+
+      await time.increase(Number(await contract.REVEAL_TIMEOUT()) + 1);
+
+      await expect(contract.connect(reviewer1).calculateAverageRating(1)).to.not.be.reverted;
+      expect(await contract.pendingRevealRequest(1)).to.not.equal(staleRequestId);
+      expect((await contract.revealRequests(staleRequestId)).restaurantId).to.equal(0);
+    });
+
+    it("Should reject reveal requests without reviews", async function () {
+      const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+
+      await expect(
+        contract.connect(reviewer1).calculateAverageRating(1)
+      ).to.be.revertedWithCustomError(contract, "NoReviewsToCalculate").withArgs(1);
+    });
+
+    it("Should return an empty summary before any reveal", async function () {
+      const { contract, restaurantOwner1 } = await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+
+      const summary = await contract.getRatingSummary(1);
+      expect(summary.hasData).to.equal(false);
+      expect(summary.reviewCount).to.equal(0);
+      expect(summary.publishedAt).to.equal(0);
+      expect((await contract.getCategoryAverages(1)).foodQuality).to.equal(0);
+    });
+  });
+
+  describe("Reveal Thresholds", function () {
+    it("Should start with the default thresholds", async function () {
+      const { contract } = await loadFixture(deployContractFixture);
+
+      expect(await contract.minReviewsForReveal()).to.equal(3);
+      expect(await contract.minNewReviewsBetweenReveals()).to.equal(2);
+    });
+
+    it("Should reject reveals below the minimum review count", async function () {
+      const { contract, restaurantOwner1, reviewer1, reviewer2 } = await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review 1");
+      await submitEncryptedReview(contract, reviewer2, 1, [6, 6, 6, 6, 6], "Review 2");
+
+      expect(await contract.reviewsUntilReveal(1)).to.equal(1);
+      await expect(
+        contract.connect(reviewer1).calculateAverageRating(1)
+      ).to.be.revertedWithCustomError(contract, "NotEnoughReviews").withArgs(1, 2, 3);
+    });
+
+    it("Should require enough new reviews between reveals", async function () {
+      const { contract, owner, restaurantOwner1, restaurantOwner2, reviewer1, reviewer2, reviewer3 } =
+        await loadFixture(deployContractFixture);
+      await moveAboveProcessedBlocks();
+      await contract.connect(owner).setRevealThresholds(2, 2);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review 1");
+      await submitEncryptedReview(contract, reviewer2, 1, [6, 6, 6, 6, 6], "Review 2");
+      await revealAverageRating(contract, reviewer1, 1);
+      expect(await contract.lastRevealReviewCount(1)).to.equal(2);
+
+      await submitEncryptedReview(contract, reviewer3, 1, [3, 3, 3, 3, 3], "Review 3");
+      expect(await contract.reviewsUntilReveal(1)).to.equal(1);
+      await expect(
+        contract.connect(reviewer1).calculateAverageRating(1)
+      ).to.be.revertedWithCustomError(contract, "NotEnoughNewReviews").withArgs(1, 1);
+
+      await submitEncryptedReview(contract, restaurantOwner2, 1, [7, 7, 7, 7, 7], "Review 4");
+      expect(await contract.reviewsUntilReveal(1)).to.equal(0);
+      await revealAverageRating(contract, reviewer1, 1);
+
+      const summary = await contract.getRatingSummary(1);
+      expect(summary.reviewCount).to.equal(4);
+      expect(summary.averageRating).to.equal(600);
+    });
+
+    it("Should not overflow with very large thresholds", async function () {
+      const { contract, owner, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+      const MAX_UINT32 = 2n ** 32n - 1n;
+      await contract.connect(owner).setRevealThresholds(1, 1);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review 1");
+      await contract.connect(reviewer1).calculateAverageRating(1);
+      expect(await contract.lastRevealReviewCount(1)).to.equal(1);
+
+      await contract.connect(owner).setRevealThresholds(MAX_UINT32, MAX_UINT32);
+
+      // The shortfall saturates at the largest uint32 instead of reverting the views
+      expect(await contract.reviewsUntilReveal(1)).to.equal(MAX_UINT32);
+      const { page } = await contract.getRestaurantsPage(0, 10);
+      expect(page[0].reviewsUntilReveal).to.equal(MAX_UINT32);
+    });
+
+    it("Should count a timed-out request towards the new review requirement", async function () {
+      const { contract, owner, restaurantOwner1, reviewer1, reviewer2, reviewer3 } =
+        await loadFixture(deployContractFixture);
+      await contract.connect(owner).setRevealThresholds(2, 2);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review 1");
+      await submitEncryptedReview(contract, reviewer2, 1, [6, 6, 6, 6, 6], "Review 2");
+      await contract.connect(reviewer1).calculateAverageRating(1);
+
+      await submitEncryptedReview(contract, reviewer3, 1, [3, 3, 3, 3, 3], "Review 3");
+      await time.increase(Number(await contract.REVEAL_TIMEOUT()) + 1);
+
+      // The stale request may already have been decrypted off-chain
+      await expect(
+        contract.connect(reviewer1).calculateAverageRating(1)
+      ).to.be.revertedWithCustomError(contract, "NotEnoughNewReviews").withArgs(1, 1);
+    });
+
+    it("Should not treat a request as a retry once the sums changed at the same review count", async function () {
+      const { contract, owner, restaurantOwner1, reviewer1, reviewer2 } = await loadFixture(deployContractFixture);
+      await contract.connect(owner).setRevealThresholds(2, 2);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review 1");
+      await submitEncryptedReview(contract, reviewer2, 1, [6, 6, 6, 6, 6], "Review 2");
+      await contract.connect(reviewer1).calculateAverageRating(1);
+
+      // Revealing the edited sums next to the stale ones would expose the edit
+      await updateEncryptedReview(contract, reviewer1, 1, [2, 2, 2, 2, 2], "Edited");
+      await time.increase(Number(await contract.REVEAL_TIMEOUT()) + 1);
+
+      expect((await contract.getRestaurant(1)).totalReviews).to.equal(2);
+      await expect(
+        contract.connect(reviewer1).calculateAverageRating(1)
+      ).to.be.revertedWithCustomError(contract, "NotEnoughNewReviews").withArgs(1, 2);
+    });
+
+    it("Should allow only the contract owner to update thresholds", async function () {
+      const { contract, owner, reviewer1 } = await loadFixture(deployContractFixture);
+
+      await expect(contract.connect(owner).setRevealThresholds(5, 3))
+        .to.emit(contract, "RevealThresholdsUpdated")
+        .withArgs(5, 3);
+      expect(await contract.minReviewsForReveal()).to.equal(5);
+      expect(await contract.minNewReviewsBetweenReveals()).to.equal(3);
+
+      await expect(contract.connect(reviewer1).setRevealThresholds(1, 1))
+        .to.be.revertedWithCustomError(contract, "MissingRole")
+        .withArgs(await contract.ADMIN_ROLE(), reviewer1.address);
+    });
+
+    it("Should reject zero thresholds", async function () {
+      const { contract, owner } = await loadFixture(deployContractFixture);
+
+      await expect(
+        contract.connect(owner).setRevealThresholds(0, 1)
+      ).to.be.revertedWithCustomError(contract, "InvalidRevealThresholds").withArgs(0, 1);
+      await expect(
+        contract.connect(owner).setRevealThresholds(1, 0)
+      ).to.be.revertedWithCustomError(contract, "InvalidRevealThresholds").withArgs(1, 0);
+    });
+  });
+
+  describe("Pagination", function () {
+    it("Should return restaurants page by page", async function () {
+      const { contract, restaurantOwner1, restaurantOwner2 } = await loadFixture(deployContractFixture);
+
+      for (let i = 1; i <= 5; i++) {
+        const owner = i % 2 === 0 ? restaurantOwner2 : restaurantOwner1;
+        await contract.connect(owner).registerRestaurant(`Restaurant ${i}`, `Location ${i}`);
+      }
+      await contract.connect(restaurantOwner2).toggleRestaurantStatus(2);
+
+      const [firstPage, total] = await contract.getRestaurantsPage(0, 2);
+      expect(total).to.equal(5);
+      expect(firstPage.map((r) => r.id)).to.deep.equal([1n, 2n]);
+      expect(firstPage[1].name).to.equal("Restaurant 2");
+      expect(firstPage[1].owner).to.equal(restaurantOwner2.address);
+      expect(firstPage[1].isActive).to.equal(false);
+
+      const [lastPage] = await contract.getRestaurantsPage(4, 2);
+      expect(lastPage.length).to.equal(1);
+      expect(lastPage[0].id).to.equal(5);
+
+      const [emptyPage] = await contract.getRestaurantsPage(5, 2);
+      expect(emptyPage.length).to.equal(0);
+    });
+
+    it("Should include review counts and reveal state in restaurant records", async function () {
+      const { contract, restaurantOwner1, reviewer1, reviewer2 } = await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "Review 1");
+      await submitEncryptedReview(contract, reviewer2, 1, [6, 6, 6, 6, 6], "Review 2");
+
+      const [[restaurant]] = await contract.getRestaurantsPage(0, 10);
+      expect(restaurant.totalReviews).to.equal(2);
+      expect(restaurant.hasRevealedAverage).to.equal(false);
+      expect(restaurant.reviewsUntilReveal).to.equal(1);
+      expect(restaurant.hasPendingReveal).to.equal(false);
+    });
+
+    it("Should return review info batches for a restaurant and a user", async function () {
+      const { contract, restaurantOwner1, restaurantOwner2, reviewer1, reviewer2 } =
+        await loadFixture(deployContractFixture);
+
+      await contract.connect(restaurantOwner1).registerRestaurant("Restaurant 1", "Location 1");
+      await contract.connect(restaurantOwner2).registerRestaurant("Restaurant 2", "Location 2");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 8, 8, 8, 8], "R1 by reviewer1");
+      await submitEncryptedReview(contract, reviewer2, 1, [6, 6, 6, 6, 6], "R1 by reviewer2");
+      await submitEncryptedReview(contract, reviewer1, 2, [7, 7, 7, 7, 7], "R2 by reviewer1");
+      await contract.connect(reviewer2).retractReview(2);
+      await contract.connect(restaurantOwner1).verifyReview(1);
+
+      const [restaurantPage, restaurantTotal] = await contract.getRestaurantReviewsPage(1, 0, 10);
+      expect(restaurantTotal).to.equal(2);
+      expect(restaurantPage.map((r) => r.id)).to.deep.equal([1n, 2n]);
+      expect(restaurantPage[0].isVerified).to.equal(true);
+      expect(restaurantPage[1].reviewer).to.equal(reviewer2.address);
+      expect(restaurantPage[1].isWithdrawn).to.equal(true);
+
+      const [userPage, userTotal] = await contract.getUserReviewsPage(reviewer1.address, 1, 10);
+      expect(userTotal).to.equal(2);
+      expect(userPage.length).to.equal(1);
+      expect(userPage[0].restaurantId).to.equal(2);
+      expect(userPage[0].comment).to.equal("R2 by reviewer1");
+    });
+
+    it("Should reject invalid page sizes", async function () {
+      const { contract, reviewer1 } = await loadFixture(deployContractFixture);
+      const maxPageSize = await contract.MAX_PAGE_SIZE();
+
+      await expect(contract.getRestaurantsPage(0, 0))
+        .to.be.revertedWithCustomError(contract, "InvalidPageSize")
+        .withArgs(0, maxPageSize);
+      await expect(contract.getRestaurantsPage(0, maxPageSize + 1n))
+        .to.be.revertedWithCustomError(contract, "InvalidPageSize")
+        .withArgs(maxPageSize + 1n, maxPageSize);
+      await expect(contract.getRestaurantReviewsPage(1, 0, 0))
+        .to.be.revertedWithCustomError(contract, "InvalidPageSize")
+        .withArgs(0, maxPageSize);
+      await expect(contract.getUserReviewsPage(reviewer1.address, 0, 0))
+        .to.be.revertedWithCustomError(contract, "InvalidPageSize")
+        .withArgs(0, maxPageSize);
+    });
+  });
+
   describe("Gas Optimization", function () {
     it("Should register restaurant efficiently", async function () {
       const { contract, restaurantOwner1 } = await loadFixture(deployContractFixture);
@@ -477,10 +2032,11 @@ describe("PrivateRestaurantRating", function () {
         "Test Location"
       );
 
-      const tx = await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Great!");
+      const tx = await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Great!");
       const receipt = await tx.wait();
 
-      expect(receipt.gasUsed).to.be.lt(1000000);
+      // Overall plus four category sums are updated homomorphically
+      expect(receipt.gasUsed).to.be.lt(1500000);
     });
 
     it("Should verify review efficiently", async function () {
@@ -491,7 +2047,7 @@ describe("PrivateRestaurantRating", function () {
         "Test Location"
       );
 
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Great!");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Great!");
 
       const tx = await contract.connect(restaurantOwner1).verifyReview(1);
       const receipt = await tx.wait();
@@ -507,8 +2063,8 @@ describe("PrivateRestaurantRating", function () {
 
       await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
 
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Review 1");
-      await contract.connect(reviewer2).submitReview(1, 7, 8, 6, 7, 7, "Review 2");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Review 1");
+      await submitEncryptedReview(contract, reviewer2, 1, [7, 8, 6, 7, 7], "Review 2");
 
       const counts = await contract.getTotalCounts();
       const restaurant = await contract.getRestaurant(1);
@@ -521,19 +2077,18 @@ describe("PrivateRestaurantRating", function () {
 
     it("Should preserve review data accuracy", async function () {
       const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+      await moveAboveProcessedBlocks();
 
       await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
 
       const ratings = { food: 8, service: 9, atmosphere: 7, price: 8, overall: 8 };
       const comment = "Excellent dining experience!";
 
-      await contract.connect(reviewer1).submitReview(
+      await submitEncryptedReview(
+        contract,
+        reviewer1,
         1,
-        ratings.food,
-        ratings.service,
-        ratings.atmosphere,
-        ratings.price,
-        ratings.overall,
+        [ratings.food, ratings.service, ratings.atmosphere, ratings.price, ratings.overall],
         comment
       );
 
@@ -541,6 +2096,9 @@ describe("PrivateRestaurantRating", function () {
       expect(review.restaurantId).to.equal(1);
       expect(review.reviewer).to.equal(reviewer1.address);
       expect(review.comment).to.equal(comment);
+
+      const decrypted = await decryptMyRatings(contract, reviewer1, 1);
+      expect(decrypted).to.deep.equal([8n, 9n, 7n, 8n, 8n]);
     });
 
     it("Should maintain restaurant ownership", async function () {
@@ -560,7 +2118,7 @@ describe("PrivateRestaurantRating", function () {
       await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
 
       await expect(
-        contract.connect(reviewer1).submitReview(1, 1, 1, 1, 1, 1, "Minimum ratings")
+        submitEncryptedReview(contract, reviewer1, 1, [1, 1, 1, 1, 1], "Minimum ratings")
       ).to.not.be.reverted;
     });
 
@@ -570,28 +2128,32 @@ describe("PrivateRestaurantRating", function () {
       await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
 
       await expect(
-        contract.connect(reviewer1).submitReview(1, 10, 10, 10, 10, 10, "Maximum ratings")
+        submitEncryptedReview(contract, reviewer1, 1, [10, 10, 10, 10, 10], "Maximum ratings")
       ).to.not.be.reverted;
     });
 
-    it("Should reject food quality rating of 0", async function () {
+    it("Should clamp food quality rating of 0 to 1", async function () {
       const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+      await moveAboveProcessedBlocks();
 
       await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
 
-      await expect(
-        contract.connect(reviewer1).submitReview(1, 0, 5, 5, 5, 5, "Invalid")
-      ).to.be.revertedWith("Rating must be between 1-10");
+      await submitEncryptedReview(contract, reviewer1, 1, [0, 5, 5, 5, 5], "Invalid");
+
+      const decrypted = await decryptMyRatings(contract, reviewer1, 1);
+      expect(decrypted).to.deep.equal([1n, 5n, 5n, 5n, 5n]);
     });
 
-    it("Should reject service rating above 10", async function () {
+    it("Should clamp service rating above 10 to 10", async function () {
       const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
+      await moveAboveProcessedBlocks();
 
       await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
 
-      await expect(
-        contract.connect(reviewer1).submitReview(1, 5, 11, 5, 5, 5, "Invalid")
-      ).to.be.revertedWith("Rating must be between 1-10");
+      await submitEncryptedReview(contract, reviewer1, 1, [5, 11, 5, 5, 5], "Invalid");
+
+      const decrypted = await decryptMyRatings(contract, reviewer1, 1);
+      expect(decrypted).to.deep.equal([5n, 10n, 5n, 5n, 5n]);
     });
   });
 
@@ -615,8 +2177,8 @@ describe("PrivateRestaurantRating", function () {
       await contract.connect(restaurantOwner1).registerRestaurant("Restaurant 1", "Location 1");
       await contract.connect(restaurantOwner2).registerRestaurant("Restaurant 2", "Location 2");
 
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Review 1");
-      await contract.connect(reviewer1).submitReview(2, 7, 8, 6, 7, 7, "Review 2");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Review 1");
+      await submitEncryptedReview(contract, reviewer1, 2, [7, 8, 6, 7, 7], "Review 2");
 
       const userReviews = await contract.getUserReviews(reviewer1.address);
       expect(userReviews.length).to.equal(2);
@@ -629,9 +2191,9 @@ describe("PrivateRestaurantRating", function () {
       await contract.connect(restaurantOwner1).registerRestaurant("Restaurant 1", "Location 1");
       await contract.connect(restaurantOwner2).registerRestaurant("Restaurant 2", "Location 2");
 
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Review 1-1");
-      await contract.connect(reviewer2).submitReview(1, 7, 8, 6, 7, 7, "Review 1-2");
-      await contract.connect(reviewer1).submitReview(2, 9, 10, 8, 9, 9, "Review 2-1");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Review 1-1");
+      await submitEncryptedReview(contract, reviewer2, 1, [7, 8, 6, 7, 7], "Review 1-2");
+      await submitEncryptedReview(contract, reviewer1, 2, [9, 10, 8, 9, 9], "Review 2-1");
 
       const restaurant1Reviews = await contract.getRestaurantReviews(1);
       const restaurant2Reviews = await contract.getRestaurantReviews(2);
@@ -658,7 +2220,7 @@ describe("PrivateRestaurantRating", function () {
       await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
 
       await expect(
-        contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Great!")
+        submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Great!")
       )
         .to.emit(contract, "ReviewSubmitted")
         .withArgs(1, 1, reviewer1.address);
@@ -668,7 +2230,7 @@ describe("PrivateRestaurantRating", function () {
       const { contract, restaurantOwner1, reviewer1 } = await loadFixture(deployContractFixture);
 
       await contract.connect(restaurantOwner1).registerRestaurant("Restaurant", "Location");
-      await contract.connect(reviewer1).submitReview(1, 8, 9, 7, 8, 8, "Great!");
+      await submitEncryptedReview(contract, reviewer1, 1, [8, 9, 7, 8, 8], "Great!");
 
       await expect(contract.connect(restaurantOwner1).verifyReview(1))
         .to.emit(contract, "ReviewVerified")
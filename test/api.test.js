@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { openStore } = require("../scripts/indexer/store");
+const { createIndexer } = require("../scripts/indexer/indexer");
+const { createApiServer } = require("../scripts/api/server");
+
+describe("Read API", function () {
+  const silentLogger = { log() {}, error() {} };
+
+  async function deployContractFixture() {
+    const [owner, restaurantOwner1, restaurantOwner2, reviewer1, reviewer2] = await ethers.getSigners();
+
+    const PrivateRestaurantRating = await ethers.getContractFactory("PrivateRestaurantRating");
+    const contract = await PrivateRestaurantRating.deploy();
+    const receipt = await contract.deploymentTransaction().wait();
+
+    await contract.connect(restaurantOwner1).registerRestaurant("Test Restaurant", "123 Test St");
+    await contract.connect(restaurantOwner2).registerRestaurant("Harbor Grill", "9 Pier Rd");
+    await submitEncryptedReview(contract, reviewer1, 1, [8, 7, 9, 6, 8], "Great food!");
+    await submitEncryptedReview(contract, reviewer2, 1, [5, 5, 5, 5, 5], "Average");
+    await submitEncryptedReview(contract, reviewer1, 2, [9, 9, 9, 9, 9], "Fresh fish");
+    await contract.connect(owner).verifyReview(2);
+
+    return { contract, startBlock: receipt.blockNumber, owner, restaurantOwner1, reviewer1 };
+  }
+
+  async function submitEncryptedReview(contract, reviewer, restaurantId, ratings, comment) {
+    const input = fhevm.createEncryptedInput(await contract.getAddress(), reviewer.address);
+    ratings.forEach((rating) => input.add8(rating));
+    const encrypted = await input.encrypt();
+
+    return contract.connect(reviewer).submitReview(restaurantId, ...encrypted.handles, encrypted.inputProof, comment);
+  }
+
+  let store;
+  let indexer;
+  let server;
+  let baseUrl;
+
+  // Index the fixture chain and serve it on a random local port
+  async function startApi() {
+    const fixture = await loadFixture(deployContractFixture);
+    store = openStore(":memory:");
+    indexer = createIndexer({
+      provider: ethers.provider,
+      contract: fixture.contract,
+      store,
+      startBlock: fixture.startBlock,
+      logger: silentLogger,
+    });
+    await indexer.syncToHead();
+
+    server = createApiServer({ store, logger: silentLogger });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    return fixture;
+  }
+
+  async function getJson(path, headers = {}) {
+    const response = await fetch(`${baseUrl}${path}`, { headers });
+    return { response, body: response.status === 304 ? null : await response.json() };
+  }
+
+  afterEach(async function () {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      server = null;
+    }
+    if (store) {
+      store.close();
+      store = null;
+    }
+  });
+
+  it("Should list restaurants with review counts and pagination", async function () {
+    await startApi();
+
+    const { body } = await getJson("/restaurants?limit=1");
+    expect(body.total).to.equal(2);
+    expect(body.limit).to.equal(1);
+    expect(body.items).to.have.lengthOf(1);
+    expect(body.items[0]).to.include({ id: 1, name: "Test Restaurant", reviewCount: 2, verifiedReviewCount: 1 });
+    expect(body.items[0].ratingSummary).to.equal(null);
+
+    const { body: secondPage } = await getJson("/restaurants?limit=1&offset=1");
+    expect(secondPage.items.map((restaurant) => restaurant.name)).to.deep.equal(["Harbor Grill"]);
+  });
+
+  it("Should filter restaurants by owner, search text and rating state", async function () {
+    const { restaurantOwner1 } = await startApi();
+
+    const { body: owned } = await getJson(`/restaurants?owner=${restaurantOwner1.address.toLowerCase()}`);
+    expect(owned.items.map((restaurant) => restaurant.id)).to.deep.equal([1]);
+
+    const { body: searched } = await getJson("/restaurants?search=pier");
+    expect(searched.items.map((restaurant) => restaurant.id)).to.deep.equal([2]);
+
+    const { body: rated } = await getJson("/restaurants?rated=true");
+    expect(rated.total).to.equal(0);
+  });
+
+  it("Should return restaurant detail and its reviews", async function () {
+    await startApi();
+
+    const { body: restaurant } = await getJson("/restaurants/2");
+    expect(restaurant).to.include({ name: "Harbor Grill", location: "9 Pier Rd", reviewCount: 1 });
+
+    const { body: reviews } = await getJson("/restaurants/1/reviews");
+    expect(reviews.items.map((review) => review.comment)).to.deep.equal(["Great food!", "Average"]);
+    expect(reviews.items.map((review) => review.isVerified)).to.deep.equal([false, true]);
+
+    const { response } = await getJson("/restaurants/99");
+    expect(response.status).to.equal(404);
+  });
+
+  it("Should return reviews by user and global counts", async function () {
+    const { reviewer1 } = await startApi();
+
+    const { body: reviews } = await getJson(`/users/${reviewer1.address}/reviews`);
+    expect(reviews.items.map((review) => review.restaurantId)).to.deep.equal([1, 2]);
+
+    const { body: counts } = await getJson("/counts");
+    expect(counts).to.include({ totalRestaurants: 2, totalReviews: 3, visibleReviews: 3 });
+    expect(counts.indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+
+    const { body: summaries } = await getJson("/summaries");
+    expect(summaries.items).to.deep.equal([]);
+  });
+
+  it("Should leave hidden reviews out of listings and counts", async function () {
+    const { contract, owner } = await startApi();
+
+    const ReviewModeration = await ethers.getContractFactory("ReviewModeration");
+    const moderation = await ReviewModeration.deploy(await contract.getAddress());
+    await contract.connect(owner).setModeration(await moderation.getAddress());
+    await moderation.connect(owner).hideReview(1, 1);
+    await indexer.syncToHead();
+
+    const { body: reviews } = await getJson("/restaurants/1/reviews");
+    expect(reviews.items.map((review) => review.comment)).to.deep.equal(["Average"]);
+    expect(reviews.total).to.equal(1);
+    expect((await getJson("/restaurants/1")).body.reviewCount).to.equal(1);
+    expect((await getJson("/counts")).body).to.include({ totalReviews: 3, visibleReviews: 2 });
+
+    // Restored reviews come back
+    await moderation.connect(owner).restoreReview(1);
+    await indexer.syncToHead();
+    expect((await getJson("/restaurants/1")).body.reviewCount).to.equal(2);
+  });
+
+  it("Should answer 304 when the ETag still matches", async function () {
+    await startApi();
+
+    const { response } = await getJson("/restaurants");
+    const etag = response.headers.get("etag");
+    expect(etag).to.be.a("string");
+
+    const { response: revalidated } = await getJson("/restaurants", { "If-None-Match": etag });
+    expect(revalidated.status).to.equal(304);
+
+    const { response: otherPage } = await getJson("/restaurants?offset=1", { "If-None-Match": etag });
+    expect(otherPage.status).to.equal(200);
+  });
+
+  it("Should reject invalid parameters and serve the OpenAPI document", async function () {
+    await startApi();
+
+    const { response, body } = await getJson("/restaurants?limit=101");
+    expect(response.status).to.equal(400);
+    expect(body.error).to.equal("Invalid page size");
+
+    expect((await getJson("/users/not-an-address/reviews")).response.status).to.equal(400);
+    expect((await fetch(`${baseUrl}/restaurants`, { method: "POST" })).status).to.equal(405);
+
+    const { body: document } = await getJson("/openapi.json");
+    expect(document.openapi).to.equal("3.0.3");
+    expect(document.paths).to.have.property("/restaurants/{id}/reviews");
+  });
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const { artifacts, ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  CONTRACT_NAME,
+  ABI_FILE,
+  BROWSER_BUNDLES,
+  ERRORS_MODULE,
+  readAddresses,
+  renderErrorsModule,
+  renderBrowserBundle,
+  recordDeployment,
+} = require("../scripts/client");
+const {
+  ERROR_CATALOG,
+  ERRORS,
+  ContractError,
+  decodeContractError,
+  formatContractError,
+  parseRatings,
+} = require("../scripts/client/errors");
+
+// Fails when the contract changes without `npm run client`, so the frontends never ship a stale ABI
+describe("Generated contract client", function () {
+  it("Should match the compiled contract ABI", async function () {
+    const { abi } = await artifacts.readArtifact(CONTRACT_NAME);
+    const generated = JSON.parse(fs.readFileSync(ABI_FILE, "utf8"));
+
+    expect(generated).to.deep.equal(abi);
+  });
+
+  it("Should keep the static page bundles in sync with the ABI and address registry", async function () {
+    const { abi } = await artifacts.readArtifact(CONTRACT_NAME);
+    const expected = renderBrowserBundle(abi, readAddresses());
+
+    for (const file of BROWSER_BUNDLES) {
+      expect(fs.readFileSync(file, "utf8").replace(/\r\n/g, "\n")).to.equal(expected);
+    }
+  });
+
+  it("Should keep the Next.js error module in sync with scripts/client/errors.js", function () {
+    expect(fs.readFileSync(ERRORS_MODULE, "utf8").replace(/\r\n/g, "\n")).to.equal(renderErrorsModule());
+  });
+
+  // Entries are only written by recordDeployment, which always knows the deployment block
+  it("Should register deployments with checksummed addresses and deployment blocks", function () {
+    for (const [chainId, deployment] of Object.entries(readAddresses())) {
+      expect(Number(chainId)).to.be.a("number").and.above(0);
+      expect(deployment.address).to.equal(ethers.getAddress(deployment.address));
+      expect(deployment.network).to.be.a("string").and.not.equal("hardhat");
+      expect(deployment.blockNumber).to.be.a("number").and.above(0);
+    }
+  });
+
+  it("Should not record deployments on the in-process Hardhat network", async function () {
+    const before = readAddresses();
+    const recorded = await recordDeployment(artifacts, {
+      network: "hardhat",
+      chainId: 31337,
+      address: ethers.ZeroAddress,
+      blockNumber: 1,
+    });
+
+    expect(recorded).to.equal(false);
+    expect(readAddresses()).to.deep.equal(before);
+  });
+});
+
+describe("Contract error decoder", function () {
+  async function deployContractFixture() {
+    const PrivateRestaurantRating = await ethers.getContractFactory("PrivateRestaurantRating");
+    const contract = await PrivateRestaurantRating.deploy();
+    await contract.waitForDeployment();
+    return { contract };
+  }
+
+  it("Should describe every custom error in the ABI", async function () {
+    const { abi } = await artifacts.readArtifact(CONTRACT_NAME);
+
+    for (const fragment of abi.filter((entry) => entry.type === "error")) {
+      expect(ERROR_CATALOG, fragment.name).to.have.property(fragment.name);
+      expect(ERROR_CATALOG[fragment.name].params).to.have.lengthOf(fragment.inputs.length);
+    }
+  });
+
+  it("Should decode a reverted call into a typed, localized error", async function () {
+    const { contract } = await loadFixture(deployContractFixture);
+    const error = await contract.getRestaurant(999).catch((caught) => caught);
+    const decoded = decodeContractError(error, contract.interface);
+
+    expect(decoded).to.be.instanceOf(ERRORS.RestaurantNotFound);
+    expect(decoded).to.be.instanceOf(ContractError);
+    expect(decoded.args).to.deep.equal({ restaurantId: 999 });
+    expect(decoded.cause).to.equal(error);
+    expect(decoded.message).to.equal("Restaurant #999 does not exist.");
+    expect(decoded.localize("es_ES.UTF-8")).to.equal("El restaurante #999 no existe.");
+  });
+
+  it("Should find revert data nested in wallet and JSON-RPC errors", async function () {
+    const { contract } = await loadFixture(deployContractFixture);
+    const [user] = await ethers.getSigners();
+    const data = contract.interface.encodeErrorResult("AlreadyReviewed", [3, user.address]);
+    const walletError = { code: "UNPREDICTABLE_GAS_LIMIT", error: { body: JSON.stringify({ error: { data } }) } };
+
+    const decoded = decodeContractError(walletError, contract.interface);
+    expect(decoded).to.be.instanceOf(ERRORS.AlreadyReviewed);
+    expect(decoded.args).to.deep.equal({ restaurantId: 3, user: user.address });
+    expect(formatContractError({ info: { error: { data } } }, contract.interface)).to.equal(
+      "You have already reviewed restaurant #3."
+    );
+  });
+
+  it("Should fall back to the ethers message for other errors", async function () {
+    const { contract } = await loadFixture(deployContractFixture);
+
+    expect(decodeContractError(new Error("network down"), contract.interface)).to.equal(null);
+    expect(formatContractError({ shortMessage: "could not coalesce error", message: "long" })).to.equal(
+      "could not coalesce error"
+    );
+  });
+
+  it("Should reject ratings outside the 1-10 scale before encryption", function () {
+    const ratings = { foodQuality: "8", service: 9, atmosphere: "7", priceValue: "8", overallRating: "8" };
+
+    expect(parseRatings(ratings)).to.deep.equal({
+      foodQuality: 8,
+      service: 9,
+      atmosphere: 7,
+      priceValue: 8,
+      overallRating: 8,
+    });
+    expect(() => parseRatings({ ...ratings, service: "11" }))
+      .to.throw(ERRORS.InvalidRating)
+      .with.property("args")
+      .that.deep.equals({ field: "service", value: "11" });
+    expect(() => parseRatings({ ...ratings, atmosphere: "" })).to.throw(
+      ERRORS.InvalidRating,
+      "Atmosphere must be a whole number from 1 to 10."
+    );
+  });
+});
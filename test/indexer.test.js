@@ -0,0 +1,254 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { loadFixture, mine, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openStore } = require("../scripts/indexer/store");
+const { createIndexer } = require("../scripts/indexer/indexer");
+
+describe("Event Indexer", function () {
+  const silentLogger = { log() {}, error() {} };
+
+  async function deployContractFixture() {
+    const [owner, restaurantOwner, reviewer1, reviewer2] = await ethers.getSigners();
+
+    const PrivateRestaurantRating = await ethers.getContractFactory("PrivateRestaurantRating");
+    const contract = await PrivateRestaurantRating.deploy();
+    const receipt = await contract.deploymentTransaction().wait();
+
+    return { contract, startBlock: receipt.blockNumber, owner, restaurantOwner, reviewer1, reviewer2 };
+  }
+
+  async function submitEncryptedReview(contract, reviewer, restaurantId, ratings, comment) {
+    const input = fhevm.createEncryptedInput(await contract.getAddress(), reviewer.address);
+    ratings.forEach((rating) => input.add8(rating));
+    const encrypted = await input.encrypt();
+
+    return contract.connect(reviewer).submitReview(restaurantId, ...encrypted.handles, encrypted.inputProof, comment);
+  }
+
+  async function updateEncryptedReview(contract, reviewer, reviewId, ratings, comment) {
+    const input = fhevm.createEncryptedInput(await contract.getAddress(), reviewer.address);
+    ratings.forEach((rating) => input.add8(rating));
+    const encrypted = await input.encrypt();
+
+    return contract.connect(reviewer).updateReview(reviewId, ...encrypted.handles, encrypted.inputProof, comment);
+  }
+
+  function indexerFor(contract, store, startBlock) {
+    return createIndexer({ provider: ethers.provider, contract, store, startBlock, logger: silentLogger });
+  }
+
+  let store;
+  let tmpDir;
+
+  afterEach(function () {
+    if (store) {
+      store.close();
+      store = null;
+    }
+    if (tmpDir) {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+      tmpDir = null;
+    }
+  });
+
+  it("Should index restaurants, reviews and verifications from the deployment block", async function () {
+    const { contract, startBlock, owner, restaurantOwner, reviewer1, reviewer2 } =
+      await loadFixture(deployContractFixture);
+
+    await contract.connect(restaurantOwner).registerRestaurant("Test Restaurant", "123 Test St");
+    await submitEncryptedReview(contract, reviewer1, 1, [8, 7, 9, 6, 8], "Great food!");
+    await submitEncryptedReview(contract, reviewer2, 1, [5, 5, 5, 5, 5], "Average");
+    await contract.connect(owner).verifyReview(2);
+
+    store = openStore(":memory:");
+    await indexerFor(contract, store, startBlock).syncToHead();
+
+    const restaurant = store.db.prepare("SELECT * FROM restaurants WHERE id = 1").get();
+    expect(restaurant.name).to.equal("Test Restaurant");
+    expect(restaurant.location).to.equal("123 Test St");
+    expect(restaurant.owner).to.equal(restaurantOwner.address);
+
+    const reviews = store.db.prepare("SELECT * FROM reviews ORDER BY id").all();
+    expect(reviews.map((review) => review.reviewer)).to.deep.equal([reviewer1.address, reviewer2.address]);
+    expect(reviews[0].comment).to.equal("Great food!");
+    expect(reviews.map((review) => review.is_verified)).to.deep.equal([0, 1]);
+
+    const checkpoint = store.getCheckpoint();
+    expect(checkpoint.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    expect(checkpoint.contractAddress).to.equal(await contract.getAddress());
+  });
+
+  it("Should leave retracted reviews out of listings and counts", async function () {
+    const { contract, startBlock, restaurantOwner, reviewer1, reviewer2 } = await loadFixture(deployContractFixture);
+
+    await contract.connect(restaurantOwner).registerRestaurant("Test Restaurant", "123 Test St");
+    await submitEncryptedReview(contract, reviewer1, 1, [8, 7, 9, 6, 8], "Great food!");
+    await submitEncryptedReview(contract, reviewer2, 1, [5, 5, 5, 5, 5], "Average");
+    await contract.connect(reviewer1).retractReview(1);
+
+    store = openStore(":memory:");
+    await indexerFor(contract, store, startBlock).syncToHead();
+
+    const reviews = store.listReviews({ restaurantId: 1, limit: 10, offset: 0 });
+    expect(reviews.items.map((review) => review.comment)).to.deep.equal(["Average"]);
+    expect(reviews.total).to.equal(1);
+    expect(store.getRestaurant(1).reviewCount).to.equal(1);
+    expect(store.getCounts()).to.include({ totalReviews: 2, visibleReviews: 1 });
+    expect(store.db.prepare("SELECT is_withdrawn FROM reviews WHERE id = 1").get().is_withdrawn).to.equal(1);
+  });
+
+  it("Should follow profile edits, ownership transfers and review edits made after the initial sync", async function () {
+    const { contract, startBlock, owner, restaurantOwner, reviewer1 } = await loadFixture(deployContractFixture);
+
+    await contract.connect(restaurantOwner).registerRestaurant("Test Restaurant", "123 Test St");
+    await submitEncryptedReview(contract, reviewer1, 1, [8, 7, 9, 6, 8], "Great food!");
+
+    store = openStore(":memory:");
+    const indexer = indexerFor(contract, store, startBlock);
+    await indexer.syncToHead();
+
+    await contract.connect(restaurantOwner).updateRestaurantProfile(1, "Renamed Bistro", "9 New St");
+    await contract.connect(restaurantOwner).transferRestaurantOwnership(1, owner.address);
+    await contract.connect(owner).acceptRestaurantOwnership(1);
+    await updateEncryptedReview(contract, reviewer1, 1, [5, 5, 5, 5, 5], "Went downhill");
+    await indexer.syncToHead();
+
+    const restaurant = store.getRestaurant(1);
+    expect(restaurant.name).to.equal("Renamed Bistro");
+    expect(restaurant.location).to.equal("9 New St");
+    expect(restaurant.owner).to.equal(owner.address);
+    expect(store.listRestaurants({ owner: owner.address, limit: 10, offset: 0 }).total).to.equal(1);
+    expect(store.listRestaurants({ owner: restaurantOwner.address, limit: 10, offset: 0 }).total).to.equal(0);
+    expect(store.listReviews({ restaurantId: 1, limit: 10, offset: 0 }).items[0].comment).to.equal("Went downhill");
+  });
+
+  it("Should restore restaurant profiles, owners and review comments after a reorg", async function () {
+    const { contract, startBlock, owner, restaurantOwner, reviewer1 } = await loadFixture(deployContractFixture);
+
+    await contract.connect(restaurantOwner).registerRestaurant("Test Restaurant", "123 Test St");
+    await submitEncryptedReview(contract, reviewer1, 1, [8, 7, 9, 6, 8], "Great food!");
+
+    store = openStore(":memory:");
+    const indexer = indexerFor(contract, store, startBlock);
+    await indexer.syncToHead();
+
+    const fork = await takeSnapshot();
+    await contract.connect(restaurantOwner).updateRestaurantProfile(1, "Orphaned Name", "1 Side St");
+    await contract.connect(restaurantOwner).transferRestaurantOwnership(1, owner.address);
+    await contract.connect(owner).acceptRestaurantOwnership(1);
+    await updateEncryptedReview(contract, reviewer1, 1, [5, 5, 5, 5, 5], "Orphaned edit");
+    await indexer.syncToHead();
+    expect(store.getRestaurant(1).name).to.equal("Orphaned Name");
+
+    await fork.restore();
+    await mine(6);
+    await indexer.syncToHead();
+
+    const restaurant = store.getRestaurant(1);
+    expect(restaurant.name).to.equal("Test Restaurant");
+    expect(restaurant.location).to.equal("123 Test St");
+    expect(restaurant.owner).to.equal(restaurantOwner.address);
+    expect(store.listReviews({ restaurantId: 1, limit: 10, offset: 0 }).items[0].comment).to.equal("Great food!");
+  });
+
+  it("Should restore the moderation status of reviews after a reorg", async function () {
+    const { contract, startBlock, owner, restaurantOwner, reviewer1 } = await loadFixture(deployContractFixture);
+
+    const ReviewModeration = await ethers.getContractFactory("ReviewModeration");
+    const moderation = await ReviewModeration.deploy(await contract.getAddress());
+    await contract.connect(owner).setModeration(await moderation.getAddress());
+    await contract.connect(restaurantOwner).registerRestaurant("Test Restaurant", "123 Test St");
+    await submitEncryptedReview(contract, reviewer1, 1, [8, 7, 9, 6, 8], "Great food!");
+    await moderation.connect(reviewer1).flagReview(1, 0);
+
+    store = openStore(":memory:");
+    const indexer = indexerFor(contract, store, startBlock);
+    await indexer.syncToHead();
+
+    const fork = await takeSnapshot();
+    await moderation.connect(owner).hideReview(1, 0);
+    await indexer.syncToHead();
+    expect(store.listReviews({ restaurantId: 1, limit: 10, offset: 0 }).total).to.equal(0);
+    expect(store.getCounts()).to.include({ totalReviews: 1, visibleReviews: 0 });
+
+    await fork.restore();
+    await mine(3);
+    await indexer.syncToHead();
+
+    // Back to Flagged, which stays visible
+    expect(store.db.prepare("SELECT moderation_status FROM reviews WHERE id = 1").get().moderation_status).to.equal(1);
+    expect(store.listReviews({ restaurantId: 1, limit: 10, offset: 0 }).total).to.equal(1);
+    expect(store.getRestaurant(1).reviewCount).to.equal(1);
+  });
+
+  it("Should rebuild a database written with an older schema", async function () {
+    const { contract, startBlock, restaurantOwner } = await loadFixture(deployContractFixture);
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    const dbPath = path.join(tmpDir, "index.sqlite");
+
+    await contract.connect(restaurantOwner).registerRestaurant("Test Restaurant", "123 Test St");
+    store = openStore(dbPath);
+    await indexerFor(contract, store, startBlock).syncToHead();
+    store.db.pragma("user_version = 1");
+    store.close();
+
+    store = openStore(dbPath);
+    expect(store.getCheckpoint()).to.equal(null);
+    await indexerFor(contract, store, startBlock).syncToHead();
+    expect(store.getRestaurant(1).name).to.equal("Test Restaurant");
+  });
+
+  it("Should resume from the stored checkpoint", async function () {
+    const { contract, startBlock, restaurantOwner, reviewer1 } = await loadFixture(deployContractFixture);
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    const dbPath = path.join(tmpDir, "index.sqlite");
+
+    await contract.connect(restaurantOwner).registerRestaurant("Test Restaurant", "123 Test St");
+    store = openStore(dbPath);
+    await indexerFor(contract, store, startBlock).syncToHead();
+    const firstCheckpoint = store.getCheckpoint().blockNumber;
+    store.close();
+
+    await submitEncryptedReview(contract, reviewer1, 1, [8, 7, 9, 6, 8], "Great food!");
+
+    store = openStore(dbPath);
+    const result = await indexerFor(contract, store, startBlock).syncOnce();
+    expect(result.fromBlock).to.equal(firstCheckpoint + 1);
+    expect(result.eventCount).to.equal(1);
+    expect(store.db.prepare("SELECT COUNT(*) AS count FROM restaurants").get().count).to.equal(1);
+    expect(store.db.prepare("SELECT COUNT(*) AS count FROM reviews").get().count).to.equal(1);
+  });
+
+  it("Should roll back events from blocks dropped by a reorg", async function () {
+    const { contract, startBlock, owner, restaurantOwner, reviewer1 } = await loadFixture(deployContractFixture);
+
+    await contract.connect(restaurantOwner).registerRestaurant("Test Restaurant", "123 Test St");
+    await submitEncryptedReview(contract, reviewer1, 1, [8, 7, 9, 6, 8], "Great food!");
+
+    store = openStore(":memory:");
+    const indexer = indexerFor(contract, store, startBlock);
+    await indexer.syncToHead();
+
+    const fork = await takeSnapshot();
+    await contract.connect(owner).verifyReview(1);
+    await contract.connect(restaurantOwner).registerRestaurant("Orphaned Bistro", "1 Side St");
+    await indexer.syncToHead();
+    expect(store.db.prepare("SELECT COUNT(*) AS count FROM restaurants").get().count).to.equal(2);
+
+    // Replace the indexed blocks with a longer competing branch
+    await fork.restore();
+    await contract.connect(restaurantOwner).registerRestaurant("Canonical Cafe", "2 Main St");
+    await mine(3);
+    await indexer.syncToHead();
+
+    const names = store.db.prepare("SELECT name FROM restaurants ORDER BY id").all();
+    expect(names.map((row) => row.name)).to.deep.equal(["Test Restaurant", "Canonical Cafe"]);
+    expect(store.db.prepare("SELECT is_verified FROM reviews WHERE id = 1").get().is_verified).to.equal(0);
+
+    const head = await ethers.provider.getBlock("latest");
+    expect(store.getCheckpoint().blockHash).to.equal(head.hash);
+  });
+});